@@ -3,6 +3,8 @@
  */
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
+const { EVENTS, emitEvent } = require('../utils/eventBus');
+const { queueEmail } = require('../utils/emailOutbox');
 
 const authController = {
   // Register a new user
@@ -119,9 +121,7 @@ const authController = {
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         isActive: true,
         profileData: {},
-        ouraIntegration: {
-          connected: false
-        },
+        integrations: {},
         notifications: {
           email: true,
           inApp: true
@@ -263,6 +263,15 @@ const authController = {
       console.log(`User registered successfully: ${result.userId}`);
       console.log(`Invitation ${invitations[0].id} marked as accepted.`);
 
+      // Let the inviter know (not awaited: handlers never reject)
+      if (invitations[0].id !== 'dev-invitation') {
+        emitEvent(EVENTS.INVITATION_ACCEPTED, {
+          invitation: invitations[0],
+          userId: result.userId,
+          displayName
+        });
+      }
+
       // 7. Send email verification (Implementation needed)
       // Consider calling admin.auth().generateEmailVerificationLink(email)
       // and sending it via an email service.
@@ -316,10 +325,19 @@ const authController = {
       }
 
       // Generate password reset link
-      const resetLink = await admin.auth().generatePasswordResetLink(email); // Still using admin.auth()!
+      let resetLink;
+      try {
+        resetLink = await admin.auth().generatePasswordResetLink(email); // Still using admin.auth()!
+      } catch (linkError) {
+        // Same response as for registered emails, so the endpoint can't be used to look up accounts
+        if (linkError.code === 'auth/user-not-found' || linkError.code === 'auth/email-not-found') {
+          logger.info('Password reset requested for an unknown email');
+          return res.json({ message: 'Password reset email sent' });
+        }
+        throw linkError;
+      }
 
-      // In a real app, you would send this link via email
-      console.log('Password reset link:', resetLink);
+      await queueEmail('passwordReset', email, { resetLink });
 
       return res.json({ message: 'Password reset email sent' });
     } catch (error) {
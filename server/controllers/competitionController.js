@@ -10,6 +10,7 @@ const { logger } = require('../utils/logger');
 const Competition = require('../model/Competition');
 const Leaderboard = require('../model/Leaderboard');
 const firestoreUtilsFactory = require('../utils/firestoreUtils');
+const competitionWinners = require('../utils/competitionWinners');
 
 // Initialize with Firestore
 let firestoreUtils;
@@ -715,6 +716,7 @@ const updateCompetition = async (req, res) => {
 
 /**
  * Admin only: Update competition winners
+ * Winners are determined automatically on completion; this overrides them
  */
 const updateCompetitionWinners = async (req, res) => {
   try {
@@ -773,42 +775,8 @@ const updateCompetitionWinners = async (req, res) => {
       }
     }
 
-    // Update the competition winners
-    competition.winners = winners;
-    await firestoreUtils.saveCompetition(competition);
-
-    // Use a batch to update user documents
-    const batch = firestore.batch();
-
-    // Get existing winners to handle removals
-    const existingWinnerIds = competition.winners.map(w => w.userId);
-
-    // Get all users who might need updates
-    const userDocs = await firestore.collection('users')
-      .where('competitions.won', 'array-contains', competitionId)
-      .get();
-
-    // Remove competition from users who are no longer winners
-    userDocs.forEach(doc => {
-      const userId = doc.id;
-
-      // If user is not in new winners, remove competition from won list
-      if (!existingWinnerIds.includes(userId)) {
-        batch.update(doc.ref, {
-          'competitions.won': admin.firestore.FieldValue.arrayRemove(competitionId)
-        });
-      }
-    });
-
-    // Add competition to new winners' won list
-    winners.forEach(winner => {
-      const userRef = firestore.collection('users').doc(winner.userId);
-      batch.update(userRef, {
-        'competitions.won': admin.firestore.FieldValue.arrayUnion(competitionId)
-      });
-    });
-
-    await batch.commit();
+    // Update the competition winners and the users' won lists (admin override of automatic winners)
+    await competitionWinners.saveCompetitionWinners(competitionId, winners);
 
     logger.info(`Competition ${competitionId} winners updated successfully`, { requestId });
     return res.status(200).json({
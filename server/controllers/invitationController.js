@@ -5,6 +5,8 @@
 const admin = require('firebase-admin');
 const moment = require('moment');
 const { logger } = require('../utils/logger');
+const { EVENTS, emitEvent } = require('../utils/eventBus');
+const { queueEmail } = require('../utils/emailOutbox');
 
 // Import models
 const Invitation = require('../model/Invitation');
@@ -75,10 +77,25 @@ module.exports = (firestoreUtils) => {
         adminUserId,
       });
 
+      // Email the code; the invitation stays valid (and the code is returned) if queueing fails
+      let emailQueued = false;
+      try {
+        const inviter = await firestoreUtils.getUser(adminUserId);
+        await queueEmail('invitation', email, {
+          code: invitation.code,
+          expiresAt,
+          inviterName: inviter?.displayName || inviter?.username
+        });
+        emailQueued = true;
+      } catch (emailError) {
+        logger.error(`Error queueing invitation email for ${email}:`, { error: emailError.message, requestId });
+      }
+
       return res.status(201).json({
         message: 'Invitation created successfully',
         invitationId,
         invitationCode: invitation.code,
+        emailQueued,
       });
     } catch (error) {
       logger.error('Error creating invitation:', error);
@@ -297,6 +314,9 @@ module.exports = (firestoreUtils) => {
       await firestoreUtils.saveInvitation(invitation);
 
       logger.info(`Invitation accepted successfully for ${invitation.email}`, { requestId });
+
+      // Let the inviter know (not awaited: handlers never reject)
+      emitEvent(EVENTS.INVITATION_ACCEPTED, { invitation, userId: req.userId || null });
       return res.status(200).json({
         message: 'Invitation accepted successfully',
         email: invitation.email,
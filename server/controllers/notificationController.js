@@ -1,4 +1,7 @@
 const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { deliverPush } = require('../utils/notifications');
+const webPush = require('../utils/webPush');
 
 /**
  * Helper function to ensure parent notification document exists and is properly initialized
@@ -272,6 +275,8 @@ const createNotification = async (req, res) => {
       .doc(userId)
       .collection('items')
       .add(notification);
+
+    deliverPush(userId, { ...notification, id: notificationRef.id });
       
     // Update unread count in parent document
     await firestore
@@ -351,6 +356,7 @@ const createBulkNotifications = async (req, res) => {
     
     // Use batched writes for efficiency with items subcollection and unread counts
     const batches = [];
+    const pushes = [];
     const batchSize = 250; // Reduced from 500 since we have 2 operations per user now
 
     for (let i = 0; i < validUserIds.length; i += batchSize) {
@@ -366,6 +372,7 @@ const createBulkNotifications = async (req, res) => {
           .doc(); // Auto-generate ID
 
         batch.set(notificationRef, notification);
+        pushes.push({ userId, id: notificationRef.id });
         
         // Update parent document unread count
         const parentRef = firestore.collection('notifications').doc(userId);
@@ -380,6 +387,8 @@ const createBulkNotifications = async (req, res) => {
 
     await Promise.all(batches);
 
+    pushes.forEach(({ userId, id }) => deliverPush(userId, { ...notification, id }));
+
     return res.status(201).json({
       message: 'Bulk notifications created successfully',
       count: userIds.length
@@ -390,6 +399,97 @@ const createBulkNotifications = async (req, res) => {
   }
 };
 
+/**
+ * Get the VAPID public key browsers need to create a push subscription.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {object} Express response.
+ */
+const getPushPublicKey = (req, res) => {
+  const vapid = webPush.getVapidConfig();
+
+  if (!vapid) {
+    return res.status(503).json({ error: 'Push notifications are not available' });
+  }
+
+  return res.status(200).json({ publicKey: vapid.publicKey });
+};
+
+/**
+ * Register a browser push subscription for the current device.
+ * @param {object} req - Express request object (requires `req.userId`, `req.body.subscription`, optional `req.body.deviceName`).
+ * @param {object} res - Express response object.
+ * @returns {Promise<object>} Express response.
+ */
+const registerPushSubscription = async (req, res) => {
+  const userId = req.userId;
+  const { subscription, deviceName } = req.body;
+
+  try {
+    const { id, created } = await webPush.saveSubscription(userId, subscription, {
+      deviceName,
+      userAgent: req.get('user-agent') || null
+    });
+
+    logger.info(`${created ? 'Registered' : 'Refreshed'} push subscription ${id} for user ${userId}`);
+    return res.status(created ? 201 : 200).json({
+      message: created ? 'Push subscription registered' : 'Push subscription updated',
+      subscriptionId: id
+    });
+  } catch (error) {
+    if (error.code === 'PUSH_NOT_CONFIGURED') {
+      return res.status(503).json({ error: 'Push notifications are not available' });
+    }
+    if (error.code === 'INVALID_PUSH_ENDPOINT') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error registering push subscription for user ${userId}:`, { error: error.message });
+    return res.status(500).json({ error: 'Failed to register push subscription' });
+  }
+};
+
+/**
+ * Unregister a browser push subscription.
+ * @param {object} req - Express request object (requires `req.userId`, `req.body.endpoint`).
+ * @param {object} res - Express response object.
+ * @returns {Promise<object>} Express response.
+ */
+const unregisterPushSubscription = async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const deleted = await webPush.deleteSubscription(userId, req.body.endpoint);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Push subscription not found' });
+    }
+
+    logger.info(`Unregistered push subscription for user ${userId}`);
+    return res.status(200).json({ message: 'Push subscription removed' });
+  } catch (error) {
+    logger.error(`Error unregistering push subscription for user ${userId}:`, { error: error.message });
+    return res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+};
+
+/**
+ * List the devices subscribed to push notifications.
+ * @param {object} req - Express request object (requires `req.userId`).
+ * @param {object} res - Express response object.
+ * @returns {Promise<object>} Express response.
+ */
+const getPushSubscriptions = async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const subscriptions = await webPush.listSubscriptions(userId);
+    return res.status(200).json({ subscriptions });
+  } catch (error) {
+    logger.error(`Error listing push subscriptions for user ${userId}:`, { error: error.message });
+    return res.status(500).json({ error: 'Failed to retrieve push subscriptions' });
+  }
+};
+
 module.exports = {
   getUserNotifications,
   markNotificationRead,
@@ -397,5 +497,9 @@ module.exports = {
   getUnreadCount,
   deleteNotification,
   createNotification,
-  createBulkNotifications
+  createBulkNotifications,
+  getPushPublicKey,
+  registerPushSubscription,
+  unregisterPushSubscription,
+  getPushSubscriptions
 };
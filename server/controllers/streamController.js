@@ -0,0 +1,29 @@
+const { logger } = require('../utils/logger');
+const { openUserEventStream } = require('../utils/userEventStream');
+
+/**
+ * Open the current user's real-time event stream (Server-Sent Events).
+ * Browsers send `Last-Event-ID` when they reconnect; clients that reconnect themselves
+ * can pass it as `?lastEventId=` instead.
+ * @param {object} req - Express request object (requires `req.userId`, optional `req.tokenExpiresAt`).
+ * @param {object} res - Express response object.
+ * @returns {object|undefined} Express response on error; the stream stays open otherwise.
+ */
+const openStream = (req, res) => {
+  const userId = req.userId;
+  const lastEventId = req.get('last-event-id') || (typeof req.query.lastEventId === 'string' ? req.query.lastEventId : null);
+
+  try {
+    openUserEventStream(req, res, { userId, lastEventId, tokenExpiresAt: req.tokenExpiresAt });
+  } catch (error) {
+    if (error.code === 'STREAM_LIMIT_REACHED') {
+      return res.status(429).json({ error: 'Too many open streams' });
+    }
+    logger.error(`Error opening event stream for user ${userId}:`, { error: error.message });
+    return res.status(500).json({ error: 'Failed to open event stream' });
+  }
+};
+
+module.exports = {
+  openStream
+};
@@ -2,7 +2,13 @@ const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const User = require('../model/User');
 const { logger } = require('../utils/logger');
-const ouraOAuth = require('../utils/ouraOAuth');
+const { encryptData } = require('../utils/encryption');
+const providers = require('../utils/providers');
+const accountDeletion = require('../utils/accountDeletion');
+const sleepSummaryGenerator = require('../utils/sleepSummaryGenerator');
+const leaderboardGenerator = require('../utils/leaderboardGenerator');
+const sleepInsights = require('../utils/sleepInsights');
+const sleepDigests = require('../utils/sleepDigests');
 const admin = require('firebase-admin');
 
 // We'll initialize this later with an init function
@@ -21,10 +27,7 @@ const getUserProfile = async (req, res) => {
 
     // Remove sensitive data before sending response
     const userData = { ...user };
-
-    if (userData.ouraIntegration && userData.ouraIntegration.apiKeyHash) {
-      delete userData.ouraIntegration.apiKeyHash;
-    }
+    userData.integrations = User.sanitizeIntegrations(userData.integrations);
     
     // Add debug logs
     console.log('User profile request for user:', userId);
@@ -175,7 +178,9 @@ const getNotificationPreferences = async (req, res) => {
 
     const notifications = user.notifications || { email: true, inApp: true };
 
-    return res.status(200).json({ notifications });
+    return res.status(200).json({
+      notifications: { ...notifications, digest: sleepDigests.getDigestPreferences(notifications.digest) }
+    });
   } catch (error) {
     console.error('Error getting notification preferences:', error);
     return res.status(500).json({ error: 'Failed to retrieve notification preferences' });
@@ -186,9 +191,9 @@ const getNotificationPreferences = async (req, res) => {
 const updateNotificationPreferences = async (req, res) => {
   try {
     const userId = req.userId;
-    const { email, inApp } = req.body;
+    const { email, inApp, digest } = req.body;
 
-    if (typeof email !== 'boolean' && typeof inApp !== 'boolean') {
+    if (typeof email !== 'boolean' && typeof inApp !== 'boolean' && !digest) {
       return res.status(400).json({ error: 'Invalid notification preferences' });
     }
 
@@ -214,6 +219,16 @@ const updateNotificationPreferences = async (req, res) => {
       
       if (typeof email === 'boolean') notifications.email = email;
       if (typeof inApp === 'boolean') notifications.inApp = inApp;
+
+      // Daily summary / weekly recap: only the given fields change
+      if (digest) {
+        notifications.digest = {
+          ...sleepDigests.getDigestPreferences(notifications.digest),
+          ...Object.fromEntries(['daily', 'weekly', 'time', 'timezone', 'weekday']
+            .filter(field => digest[field] !== undefined)
+            .map(field => [field, digest[field]]))
+        };
+      }
       
       // Apply updates
       transaction.update(userRef, { notifications });
@@ -222,10 +237,11 @@ const updateNotificationPreferences = async (req, res) => {
     
     // Fetch the updated user to return in response
     const updatedUser = await firestoreUtils.getUser(userId);
+    const updated = updatedUser.notifications || { email: true, inApp: true };
     
     return res.status(200).json({ 
       message: 'Notification preferences updated', 
-      updated: updatedUser.notifications || { email: true, inApp: true } 
+      updated: { ...updated, digest: sleepDigests.getDigestPreferences(updated.digest) }
     });
   } catch (error) {
     console.error('Error updating notification preferences:', error);
@@ -239,13 +255,72 @@ const updateNotificationPreferences = async (req, res) => {
   }
 };
 
-// oura oauth flow
-const initiateOuraOAuth = async (req, res) => {
+/**
+ * Helper: Builds a redirect to the frontend carrying the OAuth result.
+ * @param {string} status - 'success' or 'error'.
+ * @param {string} [message] - Error message.
+ * @returns {string} Redirect URL.
+ * @private
+ */
+const buildOAuthRedirectUrl = (status, message) => {
+  const redirectUrl = new URL(process.env.FRONTEND_URL);
+  redirectUrl.searchParams.append('status', status);
+  if (message) {
+    redirectUrl.searchParams.append('message', message);
+  }
+  if (status === 'success') {
+    redirectUrl.pathname = '/profile'; // Adjust to your frontend route
+  }
+  return redirectUrl.toString();
+};
+
+/**
+ * Helper: Resolves the provider of an integration route.
+ * The legacy /oura/* routes have no :provider param and always mean Oura.
+ * @param {object} req - Express request.
+ * @returns {object|null} The provider, or null if unknown.
+ * @private
+ */
+const getRequestProvider = (req) => providers.getProvider(req.params.provider || 'oura');
+
+// List the providers a user can connect, with the user's connection status
+const getIntegrations = async (req, res) => {
+  try {
+    const user = await firestoreUtils.getUser(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const integrations = User.sanitizeIntegrations(user.integrations);
+
+    return res.status(200).json({
+      providers: providers.listProviders().map(provider => ({
+        ...provider,
+        connected: !!integrations[provider.name]?.connected,
+        tokenInvalid: !!integrations[provider.name]?.tokenInvalid,
+        lastSyncDate: integrations[provider.name]?.lastSyncDate || null,
+        connectedAt: integrations[provider.name]?.connectedAt || null
+      }))
+    });
+  } catch (error) {
+    logger.error('Error listing integrations:', error);
+    return res.status(500).json({ error: 'Failed to retrieve integrations' });
+  }
+};
+
+// Start the OAuth flow of a wearable provider
+const initiateIntegrationOAuth = async (req, res) => {
+  const provider = getRequestProvider(req);
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown integration provider: ${req.params.provider}` });
+  }
+
   try {
     const userId = req.userId;
     const requestId = req.id;
 
-    logger.info(`Initiating Oura OAuth flow for user: ${userId}`, { requestId });
+    logger.info(`Initiating ${provider.displayName} OAuth flow for user: ${userId}`, { requestId });
     
     // Verify the user exists in Firestore before starting OAuth flow
     const firestore = admin.firestore();
@@ -283,6 +358,7 @@ const initiateOuraOAuth = async (req, res) => {
     // Generate a state parameter for CSRF protection
     const stateObj = {
       userId,
+      provider: provider.name,
       nonce: uuidv4(),
       timestamp: Date.now()
     };
@@ -292,52 +368,46 @@ const initiateOuraOAuth = async (req, res) => {
     // This prevents CSRF attacks
     await firestore.collection('oauthStates').doc(state).set({
       userId,
+      provider: provider.name,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
       expires: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
     });
 
     // Generate authorization URL
-    const authUrl = ouraOAuth.getAuthorizationUrl(state);
+    const authUrl = provider.getAuthorizationUrl(state);
 
-    logger.info(`Redirecting user ${userId} to Oura authorization`, { requestId });
+    logger.info(`Redirecting user ${userId} to ${provider.displayName} authorization`, { requestId });
 
     return res.status(200).json({
       authorizationUrl: authUrl
     });
   } catch (error) {
-    logger.error('Error initiating Oura OAuth:', error);
-    return res.status(500).json({ error: 'Failed to initiate Oura authorization' });
+    logger.error(`Error initiating ${provider.displayName} OAuth:`, error);
+    return res.status(500).json({ error: `Failed to initiate ${provider.displayName} authorization` });
   }
 };
 
-// Handle Oura OAuth callback
-const handleOuraOAuthCallback = async (req, res) => {
+// Handle the OAuth callback of a wearable provider
+const handleIntegrationOAuthCallback = async (req, res) => {
+  const provider = getRequestProvider(req);
+  if (!provider) {
+    return res.redirect(buildOAuthRedirectUrl('error', 'Unknown integration provider'));
+  }
+
   try {
     const {code, state, error} = req.query;
     const requestId = req.id;
 
     // handle error
     if (error) {
-      logger.error(`Oura OAuth error: ${error}`, { requestId });
-
-      // redirect to frontend with error
-      const redirectUrl = new URL(process.env.FRONTEND_URL);
-      redirectUrl.searchParams.append('status', 'error');
-      redirectUrl.searchParams.append('message', error);
-
-      return res.redirect(redirectUrl.toString());
+      logger.error(`${provider.displayName} OAuth error: ${error}`, { requestId });
+      return res.redirect(buildOAuthRedirectUrl('error', error));
     }
 
     // Validate state parameter to prevent CSRF
     if (!state) {
       logger.error('Missing state parameter in OAuth callback', { requestId });
-
-      // Redirect to frontend with error
-      const redirectUrl = new URL(process.env.FRONTEND_URL);
-      redirectUrl.searchParams.append('status', 'error');
-      redirectUrl.searchParams.append('message', 'Invalid OAuth callback');
-
-      return res.redirect(redirectUrl.toString());
+      return res.redirect(buildOAuthRedirectUrl('error', 'Invalid OAuth callback'));
     }
 
     // Get state from database
@@ -346,13 +416,7 @@ const handleOuraOAuthCallback = async (req, res) => {
 
     if (!stateDoc.exists) {
       logger.error('Invalid or expired state in OAuth callback', { requestId });
-
-      // Redirect to frontend with error
-      const redirectUrl = new URL(process.env.FRONTEND_URL);
-      redirectUrl.searchParams.append('status', 'error');
-      redirectUrl.searchParams.append('message', 'Invalid or expired authorization session');
-
-      return res.redirect(redirectUrl.toString());
+      return res.redirect(buildOAuthRedirectUrl('error', 'Invalid or expired authorization session'));
     }
 
     // Check if state is expired
@@ -363,68 +427,48 @@ const handleOuraOAuthCallback = async (req, res) => {
       // Delete expired state
       await firestore.collection('oauthStates').doc(state).delete();
 
-      // Redirect to frontend with error
-      const redirectUrl = new URL(process.env.FRONTEND_URL);
-      redirectUrl.searchParams.append('status', 'error');
-      redirectUrl.searchParams.append('message', 'Authorization session expired');
+      return res.redirect(buildOAuthRedirectUrl('error', 'Authorization session expired'));
+    }
 
-      return res.redirect(redirectUrl.toString());
+    // The session must have been started for this provider (sessions from before providers were pluggable are Oura)
+    if ((stateData.provider || 'oura') !== provider.name) {
+      logger.error(`OAuth state was created for ${stateData.provider}, not ${provider.name}`, { requestId });
+      return res.redirect(buildOAuthRedirectUrl('error', 'Invalid authorization session'));
     }
 
     // Get user ID from state
     const userId = stateData.userId;
 
-    // Log the user ID we're about to process
-    logger.info(`Processing Oura OAuth callback for user: ${userId}`, { requestId });
-    
     // Verify this is a legitimate Firebase Auth UID
     if (userId.length < 20) {
       logger.error(`Invalid userId format in OAuth state: ${userId} - length: ${userId.length}`, { requestId });
-      const redirectUrl = new URL(process.env.FRONTEND_URL);
-      redirectUrl.searchParams.append('status', 'error');
-      redirectUrl.searchParams.append('message', 'Invalid user identification');
-      return res.redirect(redirectUrl.toString());
+      return res.redirect(buildOAuthRedirectUrl('error', 'Invalid user identification'));
     }
     
-    // Log the userId format for debugging ID issues
-    logger.info(`OAuth callback processing for userId: ${userId} (length: ${userId.length})`, { requestId });
+    logger.info(`Processing ${provider.displayName} OAuth callback for user: ${userId}`, { requestId });
 
     // Exchange authorization code for tokens
-    console.log(`Exchanging authorization code for tokens for user: ${userId}`);
-    const tokenResponse = await ouraOAuth.exchangeCodeForToken(code);
-    console.log('Token exchange successful, got tokens:', Object.keys(tokenResponse));
-    
-    // Log token response details (without exposing actual tokens)
-    console.log('Token response details:', {
-      expires_in: tokenResponse.expires_in,
-      token_type: tokenResponse.token_type,
-      has_access_token: !!tokenResponse.access_token,
-      has_refresh_token: !!tokenResponse.refresh_token,
-      user_id: tokenResponse.user_id || 'not available'
+    const tokenSet = await provider.exchangeCodeForToken(code);
+    
+    // Log token details (without exposing actual tokens)
+    logger.info(`${provider.displayName} token exchange successful for user ${userId}`, {
+      requestId,
+      expiresIn: tokenSet.expiresIn,
+      hasAccessToken: !!tokenSet.accessToken,
+      hasRefreshToken: !!tokenSet.refreshToken,
+      providerUserId: tokenSet.providerUserId || 'not available'
     });
 
     // Encrypt tokens for storage
-    console.log('Encrypting tokens for storage');
-    const encryptedAccessToken = ouraOAuth.encryptData(tokenResponse.access_token);
-    const encryptedRefreshToken = ouraOAuth.encryptData(tokenResponse.refresh_token);
-    console.log('Tokens encrypted successfully');
+    const encryptedAccessToken = encryptData(tokenSet.accessToken);
+    const encryptedRefreshToken = encryptData(tokenSet.refreshToken);
 
-    // Update user's Oura integration - use a transaction for atomic update
-    console.log(`Getting user ${userId} from Firestore to update Oura integration`);
-    
+    // Update the user's integration - use a transaction for atomic update
     try {
-      const firestore = admin.firestore();
-      
       // Verify the user exists before attempting transaction
       const userRef = firestore.collection('users').doc(userId);
       const userDocSnapshot = await userRef.get();
       
-      // Log user document details for debugging
-      logger.info(`Checked existence of user ${userId} before transaction`, { 
-        exists: userDocSnapshot.exists,
-        requestId
-      });
-      
       if (!userDocSnapshot.exists) {
         logger.error(`User not found before transaction: ${userId}`, { requestId });
         
@@ -451,16 +495,12 @@ const handleOuraOAuthCallback = async (req, res) => {
           }
         } catch (authError) {
           logger.error(`User not found in Firebase Auth: ${userId}`, { requestId, error: authError });
-          const redirectUrl = new URL(process.env.FRONTEND_URL);
-          redirectUrl.searchParams.append('status', 'error');
-          redirectUrl.searchParams.append('message', 'User account not found');
-          return res.redirect(redirectUrl.toString());
+          return res.redirect(buildOAuthRedirectUrl('error', 'User account not found'));
         }
       }
       
       // Use a transaction to ensure we don't create duplicates
       await firestore.runTransaction(async (transaction) => {
-        // Get the user document in the transaction
         const userDoc = await transaction.get(userRef);
         
         if (!userDoc.exists) {
@@ -468,34 +508,21 @@ const handleOuraOAuthCallback = async (req, res) => {
           throw new Error(`User not found: ${userId}`);
         }
         
-        // Get the user data
-        const userData = userDoc.data();
-        console.log(`Found user ${userId} in Firestore, proceeding with Oura integration update`);
+        const existingIntegration = User.normalizeIntegrations(userDoc.data())[provider.name] || {};
         
-        // Check if user has existing Oura integration
-        if (userData.ouraIntegration && userData.ouraIntegration.connected) {
-          logger.info(`User ${userId} already has Oura connected, will replace with new token`, { requestId });
-          
-          // Clean up the user's previous Oura data (optional - include any cleanup logic here)
-          // For example: Delete any existing sleep data tied to old token
-          
-          // Log the disconnection of the old token
-          logger.info(`Disconnecting previous Oura integration for user ${userId}`, { requestId });
+        if (existingIntegration.connected) {
+          logger.info(`User ${userId} already has ${provider.displayName} connected, will replace with new token`, { requestId });
         }
         
-        // Create Oura integration object with required fields
         // Calculate expiration time - subtract 5 minutes for safety margin
-        const expiresInMs = (tokenResponse.expires_in - 300) * 1000; // 5 minutes safety margin
+        const expiresInMs = (tokenSet.expiresIn - 300) * 1000;
         const expiryDate = new Date(Date.now() + expiresInMs);
         
-        // Get the existing user data from the current transaction
-        const currentUserData = userDoc.data();
-        
-        // Create updated Oura integration object, preserving any existing fields
-        const ouraIntegration = {
-          ...(currentUserData.ouraIntegration || {}),
+        // Create updated integration object, preserving any existing fields
+        const integration = {
+          ...existingIntegration,
           connected: true,
-          lastSyncDate: currentUserData.ouraIntegration?.lastSyncDate || null,
+          lastSyncDate: existingIntegration.lastSyncDate || null,
           connectedAt: new Date(),
           accessToken: encryptedAccessToken,
           refreshToken: encryptedRefreshToken,
@@ -505,128 +532,228 @@ const handleOuraOAuthCallback = async (req, res) => {
           appUserId: userId // Explicitly store our app's user ID to ensure correct association
         };
         
-        logger.info(`Setting Oura token expiry for user ${userId} to ${expiryDate.toISOString()}`, { requestId });
-        
-        // Add Oura's user_id field (rename to ouraUserId for clarity)
-        if (tokenResponse.user_id) {
-          ouraIntegration.ouraUserId = tokenResponse.user_id; // Oura's user ID
-          logger.info(`Stored Oura's user_id (${tokenResponse.user_id}) as ouraUserId for app user ${userId}`, { requestId });
+        // The provider's own user ID links webhook notifications to the user
+        if (tokenSet.providerUserId) {
+          integration.providerUserId = tokenSet.providerUserId;
         }
         
-        // Update the user document in the transaction (update just the ouraIntegration object)
-        // Importantly, don't overwrite any other fields like roles or isAdmin
+        logger.info(`Setting ${provider.displayName} token expiry for user ${userId} to ${expiryDate.toISOString()}`, { requestId });
+        
+        // Update just this provider's integration; don't overwrite other fields like roles or isAdmin
         transaction.update(userRef, {
-          ouraIntegration: ouraIntegration,
+          [`integrations.${provider.name}`]: integration,
           updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
-        
-        console.log(`Updated user ${userId} with Oura integration in transaction`);
       });
-      
-      console.log(`Successfully completed transaction for user ${userId}`);
     } catch (error) {
       logger.error(`User not found or error in transaction: ${userId}`, { requestId, error });
-      console.error(`Failed to find/update user ${userId} in Firestore:`, error);
-
-      // Redirect to frontend with error
-      const redirectUrl = new URL(process.env.FRONTEND_URL);
-      redirectUrl.searchParams.append('status', 'error');
-      redirectUrl.searchParams.append('message', error.message || 'User not found or could not be updated');
-
-      return res.redirect(redirectUrl.toString());
+      return res.redirect(buildOAuthRedirectUrl('error', error.message || 'User not found or could not be updated'));
     }
 
     // Delete used state from database
     await firestore.collection('oauthStates').doc(state).delete();
-    console.log(`Deleted OAuth state from database`);
 
-    logger.info(`Oura integration connected successfully for user: ${userId}`, { requestId });
+    logger.info(`${provider.displayName} integration connected successfully for user: ${userId}`, { requestId });
 
-    // Redirect to frontend with success
-    const redirectUrl = new URL(process.env.FRONTEND_URL);
-    redirectUrl.searchParams.append('status', 'success');
-    redirectUrl.pathname = '/profile'; // Adjust to your frontend route
-
-    return res.redirect(redirectUrl.toString());
+    return res.redirect(buildOAuthRedirectUrl('success'));
   } catch (error) {
-    logger.error('Error handling Oura OAuth callback:', error);
-
-    // Redirect to frontend with error
-    const redirectUrl = new URL(process.env.FRONTEND_URL);
-    redirectUrl.searchParams.append('status', 'error');
-    redirectUrl.searchParams.append('message', 'Failed to complete Oura authorization');
-
-    return res.redirect(redirectUrl.toString());
+    logger.error(`Error handling ${provider.displayName} OAuth callback:`, error);
+    return res.redirect(buildOAuthRedirectUrl('error', `Failed to complete ${provider.displayName} authorization`));
   }
 };
 
+// Get the connection status of a wearable provider
+const getIntegrationStatus = async (req, res) => {
+  const provider = getRequestProvider(req);
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown integration provider: ${req.params.provider}` });
+  }
 
-const getOuraConnectionStatus = async (req, res) => {
   try {
-    const userId = req.userId;
-    const user = await firestoreUtils.getUser(userId);
+    const user = await firestoreUtils.getUser(req.userId);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const ouraIntegration = user.ouraIntegration || { connected: false };
+    const integration = user.integrations[provider.name] || { connected: false };
 
     // Don't include the tokens in the response
-    const safeOuraData = {
-      connected: ouraIntegration.connected || false,
-      lastSyncDate: ouraIntegration.lastSyncDate,
-      connectedAt: ouraIntegration.connectedAt
-    };
-
-    return res.status(200).json(safeOuraData);
+    return res.status(200).json({
+      provider: provider.name,
+      connected: integration.connected || false,
+      tokenInvalid: integration.tokenInvalid || false,
+      lastSyncDate: integration.lastSyncDate,
+      connectedAt: integration.connectedAt
+    });
   } catch (error) {
-    logger.error('Error getting Oura connection status:', error);
-    return res.status(500).json({ error: 'Failed to retrieve Oura connection status' });
+    logger.error(`Error getting ${provider.displayName} connection status:`, error);
+    return res.status(500).json({ error: `Failed to retrieve ${provider.displayName} connection status` });
   }
 };
 
+// Disconnect a wearable provider: revoke the grant, wipe the tokens and optionally purge synced data
+const disconnectIntegration = async (req, res) => {
+  const provider = getRequestProvider(req);
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown integration provider: ${req.params.provider}` });
+  }
 
-const disconnectOuraIntegration = async (req, res) => {
   try {
     const userId = req.userId;
-    console.log(`Disconnecting Oura integration for user: ${userId}`);
+    const purgeData = req.body?.purgeData === true || String(req.query.purgeData) === 'true';
+    logger.info(`Disconnecting ${provider.displayName} integration for user: ${userId}`, { requestId: req.id, purgeData });
     
-    // Use a transaction to disconnect Oura integration
+    // Use a transaction to disconnect the integration
     const firestore = admin.firestore();
     
-    await firestore.runTransaction(async (transaction) => {
-      // Get the user document reference
+    const integration = await firestore.runTransaction(async (transaction) => {
       const userRef = firestore.collection('users').doc(userId);
       const userDoc = await transaction.get(userRef);
       
       if (!userDoc.exists) {
         throw new Error(`User not found: ${userId}`);
       }
-      
-      // Set ouraIntegration to disconnected
-      transaction.update(userRef, {
-        ouraIntegration: {
-          connected: false
+
+      const userData = userDoc.data();
+      const current = User.normalizeIntegrations(userData)[provider.name] || {};
+
+      // Replacing the map drops the tokens and expiry; the legacy Oura field may still hold tokens too
+      const update = {
+        [`integrations.${provider.name}`]: {
+          connected: false,
+          disconnectedAt: new Date()
         }
-      });
-      
-      console.log(`Disconnected Oura integration for user ${userId} in transaction`);
+      };
+      if (provider.name === 'oura' && userData.ouraIntegration) {
+        update.ouraIntegration = admin.firestore.FieldValue.delete();
+      }
+      transaction.update(userRef, update);
+
+      return current;
     });
 
+    const report = {
+      provider: provider.name,
+      tokensDeleted: Boolean(integration.accessToken || integration.refreshToken),
+      revoked: false,
+      revokeError: null,
+      dataPurged: false,
+      deleted: null
+    };
+
+    // The tokens are already gone from our side, so a failed revocation is reported but not fatal
+    if (integration.accessToken && provider.revokeToken) {
+      try {
+        await provider.revokeToken(integration.accessToken);
+        report.revoked = true;
+      } catch (revokeError) {
+        logger.warn(`Could not revoke ${provider.displayName} grant for user ${userId}`, { requestId: req.id, error: revokeError.message });
+        report.revokeError = revokeError.message;
+      }
+    }
+
+    if (purgeData && provider.purgeSyncedData) {
+      report.deleted = await provider.purgeSyncedData(userId, { requestId: req.id });
+      report.dataPurged = true;
+
+      // Refresh derived data without blocking the response
+      sleepSummaryGenerator.updateSleepSummaries(userId).catch(summaryError => {
+        logger.error(`Error updating sleep summary for user ${userId}:`, { error: summaryError.message });
+      });
+      leaderboardGenerator.updateLeaderboardsForUser(userId).catch(leaderboardError => {
+        logger.error(`Error regenerating leaderboards for user ${userId}:`, { error: leaderboardError.message });
+      });
+      sleepInsights.updateSleepInsights(userId).catch(insightsError => {
+        logger.error(`Error updating sleep insights for user ${userId}:`, { error: insightsError.message });
+      });
+    }
+
     return res.status(200).json({
-      message: 'Oura integration disconnected successfully',
-      status: 'disconnected'
+      message: `${provider.displayName} integration disconnected successfully`,
+      status: 'disconnected',
+      report
     });
   } catch (error) {
-    logger.error('Error disconnecting Oura integration:', error);
+    logger.error(`Error disconnecting ${provider.displayName} integration:`, error);
     
-    // Better error handling
     if (error.message && error.message.includes('User not found')) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    return res.status(500).json({ error: 'Failed to disconnect Oura integration' });
+    return res.status(500).json({ error: `Failed to disconnect ${provider.displayName} integration` });
+  }
+};
+
+
+// Schedule the deletion of the current user's account
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { deletion, created } = await accountDeletion.requestAccountDeletion(userId);
+
+    logger.info(`Account deletion requested by user: ${userId}`, { requestId: req.id, created });
+
+    return res.status(202).json({
+      message: created
+        ? 'Account deletion scheduled'
+        : 'Account deletion was already requested',
+      deletion
+    });
+  } catch (error) {
+    logger.error('Error requesting account deletion:', error);
+
+    if (error.message && error.message.includes('User not found')) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.status(500).json({ error: 'Failed to request account deletion' });
+  }
+};
+
+// Get the deletion state of the current user's account
+const getAccountDeletionStatus = async (req, res) => {
+  try {
+    const deletion = await accountDeletion.getAccountDeletion(req.userId);
+
+    return res.status(200).json({
+      deletion,
+      gracePeriodDays: accountDeletion.getGracePeriodDays()
+    });
+  } catch (error) {
+    logger.error('Error getting account deletion status:', error);
+
+    if (error.message && error.message.includes('User not found')) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.status(500).json({ error: 'Failed to retrieve account deletion status' });
+  }
+};
+
+// Cancel a scheduled deletion of the current user's account
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const result = await accountDeletion.cancelAccountDeletion(userId);
+
+    if (result === 'not_scheduled') {
+      return res.status(404).json({ error: 'No account deletion is scheduled' });
+    }
+    if (result === 'erasing') {
+      return res.status(409).json({ error: 'Account deletion is already in progress and can no longer be cancelled' });
+    }
+
+    logger.info(`Account deletion cancelled by user: ${userId}`, { requestId: req.id });
+    return res.status(200).json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    logger.error('Error cancelling account deletion:', error);
+
+    if (error.message && error.message.includes('User not found')) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.status(500).json({ error: 'Failed to cancel account deletion' });
   }
 };
 
@@ -659,15 +786,7 @@ const getAllUsers = async (req, res) => {
       const user = new User(userData);
       
       // Remove sensitive data before sending response
-      if (user.ouraIntegration && user.ouraIntegration.apiKeyHash) {
-        delete user.ouraIntegration.apiKeyHash;
-      }
-      if (user.ouraIntegration && user.ouraIntegration.accessToken) {
-        delete user.ouraIntegration.accessToken;
-      }
-      if (user.ouraIntegration && user.ouraIntegration.refreshToken) {
-        delete user.ouraIntegration.refreshToken;
-      }
+      user.integrations = User.sanitizeIntegrations(user.integrations);
       
       return user;
     });
@@ -811,10 +930,14 @@ module.exports = {
   updateUserProfile,
   getNotificationPreferences,
   updateNotificationPreferences,
-  initiateOuraOAuth,
-  handleOuraOAuthCallback,
-  getOuraConnectionStatus,
-  disconnectOuraIntegration,
+  getIntegrations,
+  initiateIntegrationOAuth,
+  handleIntegrationOAuthCallback,
+  getIntegrationStatus,
+  disconnectIntegration,
+  requestAccountDeletion,
+  getAccountDeletionStatus,
+  cancelAccountDeletion,
   getAllUsers,
   updateUserStatus,
   addAdminRole,
@@ -0,0 +1,59 @@
+/**
+ * Webhook Controller
+ * Receives notifications from external providers
+ */
+const { logger } = require('../utils/logger');
+const ouraWebhooks = require('../utils/ouraWebhooks');
+
+/**
+ * Answers the verification challenge Oura sends when a webhook subscription is created.
+ * @param {object} req - Express request object (`req.query.verification_token`, `req.query.challenge`).
+ * @param {object} res - Express response object.
+ * @returns {object} Express response.
+ */
+const verifyOuraSubscription = (req, res) => {
+  const { verification_token: verificationToken, challenge } = req.query;
+
+  if (!challenge || !ouraWebhooks.verifyChallengeToken(verificationToken)) {
+    logger.warn('Rejected Oura webhook verification request with invalid token');
+    return res.status(401).json({ error: 'Invalid verification token' });
+  }
+
+  return res.status(200).json({ challenge });
+};
+
+/**
+ * Receives an Oura webhook notification.
+ * The notification is acknowledged right away and handled in the background,
+ * so Oura doesn't time out while the changed day is re-fetched.
+ * @param {object} req - Express request object (requires `req.rawBody` for signature verification).
+ * @param {object} res - Express response object.
+ * @returns {object} Express response.
+ */
+const receiveOuraWebhook = (req, res) => {
+  const signature = req.get('x-oura-signature');
+  const timestamp = req.get('x-oura-timestamp');
+
+  if (!ouraWebhooks.verifySignature(req.rawBody, timestamp, signature)) {
+    logger.warn('Rejected Oura webhook notification with invalid or expired signature', { requestId: req.id, timestamp });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const event = req.body || {};
+
+  ouraWebhooks.handleWebhookEvent(event).then(result => {
+    logger.info(`Handled Oura webhook ${event.event_type}/${event.data_type}`, { objectId: event.object_id, ...result });
+  }).catch(error => {
+    logger.error(`Error handling Oura webhook ${event.event_type}/${event.data_type}:`, {
+      objectId: event.object_id,
+      error: error.message
+    });
+  });
+
+  return res.status(200).json({ received: true });
+};
+
+module.exports = {
+  verifyOuraSubscription,
+  receiveOuraWebhook
+};
@@ -2,8 +2,6 @@
  * Sleep Olympics API Server - Production Optimized
  */
 const express = require('express');
-const admin = require('firebase-admin');
-const path = require('path');
 const dotenv = require('dotenv');
 
 // Load environment variables once
@@ -14,38 +12,7 @@ let firestore; // Declare firestore outside
 // Initialize Firebase Admin with optimized settings
 async function initializeFirebaseAdmin() {
   try {
-    let serviceAccount;
-
-    if (process.env.NODE_ENV === 'production' && process.env.FIREBASE_SERVICE_ACCOUNT) {
-      // In production, use environment variable (safer for deployment)
-      serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    } else {
-      // In development, use local file
-      serviceAccount = require('./serviceAccountKey.json');
-    }
-
-    // Production optimized Firebase settings
-    const isProd = process.env.NODE_ENV === 'production';
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      // Optimize database connection settings for production
-      databaseAuthVariableOverride: isProd ? undefined : null,
-      // Set higher timeout for production reliability
-      httpAgent: isProd ? undefined : null
-    });
-
-    // Initialize Firestore with caching optimizations for production
-    firestore = admin.firestore();
-    
-    if (isProd) {
-      // Optimize Firestore settings for production
-      firestore.settings({
-        ignoreUndefinedProperties: true,
-        cacheSizeBytes: 1073741824, // 1GB cache size
-      });
-    }
-
-    logger.info('Firebase Admin initialized successfully');
+    firestore = firebaseAdmin.initializeFirebaseAdmin();
   } catch (error) {
     logger.error('Error initializing Firebase Admin:', error);
     process.exit(1);
@@ -57,6 +24,17 @@ const {
   configureSecurityMiddleware
 } = require('./middleware/security');
 const { configureLogging, logger } = require('./utils/logger');
+const firebaseAdmin = require('./utils/firebaseAdmin');
+const encryption = require('./utils/encryption');
+const competitionScheduler = require('./utils/competitionScheduler');
+const autoSyncScheduler = require('./utils/autoSyncScheduler');
+const accountDeletion = require('./utils/accountDeletion');
+const tokenRefreshScheduler = require('./utils/tokenRefreshScheduler');
+const { registerNotificationTriggers } = require('./utils/notificationTriggers');
+const emailOutbox = require('./utils/emailOutbox');
+const emailDigest = require('./utils/emailDigest');
+const sleepDigests = require('./utils/sleepDigests');
+const { closeAllEventStreams } = require('./utils/userEventStream');
 
 //   Import routes (import after Firebase initialization, if they use it)
 const authRoutes = require('./routes/auth');
@@ -65,8 +43,18 @@ const sleepRoutes = require('./routes/sleep');
 const competitionRoutes = require('./routes/competitions');
 const notificationRoutes = require('./routes/notifications');
 const invitationRoutes = require('./routes/invitations');
+const webhookRoutes = require('./routes/webhooks');
+const streamRoutes = require('./routes/stream');
 
 async function startServer() {
+  // Refuse to start with a malformed keyring, or without a key in production
+  try {
+    encryption.assertEncryptionConfigured();
+  } catch (error) {
+    logger.error('Invalid encryption configuration:', { error: error.message });
+    process.exit(1);
+  }
+
   // Initialize Firebase Admin
   await initializeFirebaseAdmin();
 
@@ -93,7 +81,13 @@ async function startServer() {
   app.use(express.json({ 
     limit: isProd ? '1mb' : '10mb',
     strict: true,
-    reviver: isProd ? undefined : null
+    reviver: isProd ? undefined : null,
+    // Webhook signatures are computed over the raw body
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/webhooks/')) {
+        req.rawBody = buf;
+      }
+    }
   }));
   
   // URL parser with size limits for production
@@ -146,6 +140,8 @@ async function startServer() {
   app.use('/api/competitions', competitionRoutes(firestoreUtils));
   app.use('/api/notifications', notificationRoutes(firestoreUtils));
   app.use('/api/invitations', invitationRoutes(firestoreUtils));
+  app.use('/api/webhooks', webhookRoutes());
+  app.use('/api/stream', streamRoutes());
 
   //   6. Health check endpoint
   app.get('/api/health', (req, res) => {
@@ -198,6 +194,44 @@ async function startServer() {
   const server = app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
   });
+
+  // Notifications for domain events (competition started, overtaken, streak records, ...)
+  registerNotificationTriggers();
+
+  // Background jobs (can be disabled when they run as standalone scripts instead)
+  if (process.env.COMPETITION_SCHEDULER_ENABLED !== 'false') {
+    competitionScheduler.startCompetitionScheduler();
+  }
+
+  // Nightly Oura sync of all connected users
+  if (process.env.AUTO_SYNC_ENABLED !== 'false') {
+    autoSyncScheduler.startAutoSyncScheduler();
+  }
+
+  // Refresh of Oura tokens before they expire
+  if (process.env.TOKEN_REFRESH_ENABLED !== 'false') {
+    tokenRefreshScheduler.startTokenRefreshScheduler();
+  }
+
+  // Erasure of accounts whose deletion grace period is over
+  if (process.env.ACCOUNT_DELETION_SCHEDULER_ENABLED !== 'false') {
+    accountDeletion.startAccountDeletionScheduler();
+  }
+
+  // Delivery of queued emails
+  if (process.env.EMAIL_OUTBOX_ENABLED !== 'false') {
+    emailOutbox.startEmailOutboxScheduler();
+  }
+
+  // Email digests of unread notifications
+  if (process.env.EMAIL_DIGEST_ENABLED !== 'false') {
+    emailDigest.startNotificationDigestScheduler();
+  }
+
+  // Daily sleep summaries and weekly recaps for users who opted in
+  if (process.env.SLEEP_DIGEST_ENABLED !== 'false') {
+    sleepDigests.startSleepDigestScheduler();
+  }
   
   // Production optimizations for the HTTP server
   if (process.env.NODE_ENV === 'production') {
@@ -208,6 +242,15 @@ async function startServer() {
     // Handle graceful shutdown
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received, shutting down gracefully');
+      competitionScheduler.stopCompetitionScheduler();
+      autoSyncScheduler.stopAutoSyncScheduler();
+      tokenRefreshScheduler.stopTokenRefreshScheduler();
+      accountDeletion.stopAccountDeletionScheduler();
+      emailOutbox.stopEmailOutboxScheduler();
+      emailDigest.stopNotificationDigestScheduler();
+      sleepDigests.stopSleepDigestScheduler();
+      // Open event streams would keep the server from closing
+      closeAllEventStreams();
       server.close(() => {
         logger.info('Server closed');
         process.exit(0);
@@ -62,6 +62,39 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate Server-Sent Events streams. EventSource can't send headers, so the
+// Firebase ID token may also be passed as `?token=` (JWTs are redacted from the logs).
+// Always answers with JSON, and records when the token expires so the stream can be closed then.
+const authenticateStream = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.split(' ')[1]
+    : req.query.token;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(401).json({ error: 'Unauthorized: No token provided' });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(token);
+
+    req.userId = decodedToken.uid;
+    req.tokenExpiresAt = new Date(decodedToken.exp * 1000);
+
+    next();
+  } catch (error) {
+    if (error.code === 'auth/id-token-expired') {
+      return res.status(401).json({
+        error: 'TokenExpired',
+        message: 'Firebase ID token has expired. Please refresh the token.'
+      });
+    }
+
+    console.error('Stream authentication error:', error.message);
+    return res.status(401).json({ error: 'Unauthorized: Invalid token' });
+  }
+};
+
 // Check if user has admin role
 const isAdmin = async (req, res, next) => {
   try {
@@ -116,5 +149,5 @@ const isAdmin = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate, isAdmin };
+module.exports = { authenticate, authenticateStream, isAdmin };
 
@@ -71,7 +71,8 @@ const configureSecurityMiddleware = (app) => {
     // Skip rate limiting for trusted proxies if applicable
     skip: (req, res) => {
       // Example: trusted IPs or health checks could be exempted
-      return req.url === '/api/health';
+      // Webhooks are signed and arrive in bursts after a ring syncs
+      return req.url === '/api/health' || req.originalUrl.startsWith('/api/webhooks/');
     },
     // Add custom headers for debugging in non-production
     headers: !isProd
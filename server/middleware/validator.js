@@ -3,6 +3,10 @@
  * Provides validation for API requests using express-validator
  */
 const { validationResult, checkSchema } = require('express-validator');
+const Competition = require('../model/Competition');
+const SleepData = require('../model/SleepData');
+const { isValidTimezone } = require('../utils/timezone');
+const { isAllowedPushEndpoint } = require('../utils/webPush');
 
 // Validation schemas for different API endpoints
 const validationSchemas = {
@@ -121,6 +125,54 @@ const validationSchemas = {
       optional: true,
       isBoolean: true,
       toBoolean: true
+    },
+    digest: {
+      in: ['body'],
+      optional: true,
+      isObject: {
+        errorMessage: 'Digest preferences must be an object'
+      }
+    },
+    'digest.daily': {
+      in: ['body'],
+      optional: true,
+      isBoolean: {
+        options: { strict: true },
+        errorMessage: 'Daily digest must be true or false'
+      }
+    },
+    'digest.weekly': {
+      in: ['body'],
+      optional: true,
+      isBoolean: {
+        options: { strict: true },
+        errorMessage: 'Weekly digest must be true or false'
+      }
+    },
+    'digest.time': {
+      in: ['body'],
+      optional: true,
+      matches: {
+        options: /^([01]\d|2[0-3]):[0-5]\d$/,
+        errorMessage: 'Digest time must be in format HH:mm'
+      }
+    },
+    'digest.timezone': {
+      in: ['body'],
+      optional: true,
+      custom: {
+        options: (value) => isValidTimezone(value),
+        errorMessage: 'Digest timezone must be a valid IANA time zone, e.g. Europe/Tallinn'
+      }
+    },
+    'digest.weekday': {
+      in: ['body'],
+      optional: true,
+      isInt: {
+        options: { min: 1, max: 7 },
+        errorMessage: 'Digest weekday must be between 1 (Monday) and 7 (Sunday)'
+      },
+      toInt: true
     }
   },
   
@@ -137,6 +189,17 @@ const validationSchemas = {
     }
   },
   
+  disconnectIntegration: {
+    purgeData: {
+      in: ['body', 'query'],
+      optional: true,
+      isBoolean: {
+        errorMessage: 'purgeData must be true or false'
+      },
+      toBoolean: true
+    }
+  },
+  
   // Sleep data routes
   dateParam: {
     date: {
@@ -250,6 +313,252 @@ const validationSchemas = {
     }
   },
   
+  manualSleepEntry: {
+    bedTime: {
+      in: ['body'],
+      isISO8601: {
+        errorMessage: 'Bed time must be an ISO 8601 date-time'
+      }
+    },
+    wakeTime: {
+      in: ['body'],
+      isISO8601: {
+        errorMessage: 'Wake time must be an ISO 8601 date-time'
+      },
+      custom: {
+        options: (value, { req }) => {
+          const hoursInBed = (new Date(value) - new Date(req.body.bedTime)) / (1000 * 60 * 60);
+          if (!(hoursInBed > 0)) {
+            throw new Error('Wake time must be after bed time');
+          }
+          if (hoursInBed > 24) {
+            throw new Error('Time in bed cannot exceed 24 hours');
+          }
+          return true;
+        }
+      }
+    },
+    quality: {
+      in: ['body'],
+      isInt: {
+        options: { min: 1, max: 5 },
+        errorMessage: 'Quality must be a whole number from 1 to 5'
+      },
+      toInt: true
+    },
+    awakeMinutes: {
+      in: ['body'],
+      optional: true,
+      isInt: {
+        options: { min: 0, max: 1440 },
+        errorMessage: 'Awake minutes must be a whole number from 0 to 1440'
+      },
+      toInt: true
+    },
+    note: {
+      in: ['body'],
+      optional: true,
+      isString: true,
+      isLength: {
+        options: { max: 1000 },
+        errorMessage: 'Note cannot exceed 1000 characters'
+      }
+    }
+  },
+
+  updateSleepTags: {
+    add: {
+      in: ['body'],
+      optional: true,
+      isArray: {
+        options: { max: 50 },
+        errorMessage: 'add must be an array of at most 50 tags'
+      },
+      custom: {
+        options: (value) => {
+          if (value.some(tag => typeof tag !== 'string' || tag.length > 50)) {
+            throw new Error('Tags must be strings of at most 50 characters');
+          }
+          return true;
+        }
+      }
+    },
+    remove: {
+      in: ['body'],
+      optional: true,
+      isArray: {
+        options: { max: 50 },
+        errorMessage: 'remove must be an array of at most 50 tags'
+      },
+      custom: {
+        options: (value) => {
+          if (value.some(tag => typeof tag !== 'string' || tag.length > 50)) {
+            throw new Error('Tags must be strings of at most 50 characters');
+          }
+          return true;
+        }
+      }
+    }
+  },
+
+  updateTag: {
+    tag: {
+      in: ['params'],
+      isLength: {
+        options: { min: 1, max: 50 },
+        errorMessage: 'Tag must be 1 to 50 characters'
+      }
+    },
+    aliases: {
+      in: ['body'],
+      optional: true,
+      isArray: {
+        options: { max: 50 },
+        errorMessage: 'aliases must be an array of at most 50 tags'
+      },
+      custom: {
+        options: (value) => {
+          if (value.some(tag => typeof tag !== 'string' || tag.length > 50)) {
+            throw new Error('Tags must be strings of at most 50 characters');
+          }
+          return true;
+        }
+      }
+    }
+  },
+
+  tagStats: {
+    startDate: {
+      in: ['query'],
+      optional: true,
+      matches: {
+        options: /^\d{4}-\d{2}-\d{2}$/,
+        errorMessage: 'Start date must be in format YYYY-MM-DD'
+      }
+    },
+    endDate: {
+      in: ['query'],
+      optional: true,
+      matches: {
+        options: /^\d{4}-\d{2}-\d{2}$/,
+        errorMessage: 'End date must be in format YYYY-MM-DD'
+      }
+    }
+  },
+  
+  sleepSummary: {
+    window: {
+      in: ['query'],
+      optional: true,
+      matches: {
+        options: /^\d{1,3}d?$/,
+        errorMessage: 'Window must be a number of days, e.g. 7 or 30d'
+      },
+      custom: {
+        options: (value) => {
+          const days = parseInt(value, 10);
+          if (days < 1 || days > 365) {
+            throw new Error('Window must be between 1 and 365 days');
+          }
+          return true;
+        }
+      }
+    }
+  },
+
+  summarySettings: {
+    goodScoreThreshold: {
+      in: ['body'],
+      optional: true,
+      isInt: {
+        options: { min: 1, max: 100 },
+        errorMessage: 'Good score threshold must be an integer between 1 and 100'
+      },
+      toInt: true
+    },
+    perfectScoreThreshold: {
+      in: ['body'],
+      optional: true,
+      isInt: {
+        options: { min: 1, max: 100 },
+        errorMessage: 'Perfect score threshold must be an integer between 1 and 100'
+      },
+      toInt: true
+    }
+  },
+  
+  sleepExport: {
+    format: {
+      in: ['query'],
+      isIn: {
+        options: [['csv', 'json', 'fhir']],
+        errorMessage: 'Format must be csv, json or fhir'
+      }
+    },
+    startDate: {
+      in: ['query'],
+      optional: true,
+      matches: {
+        options: /^\d{4}-\d{2}-\d{2}$/,
+        errorMessage: 'Start date must be in format YYYY-MM-DD'
+      }
+    },
+    endDate: {
+      in: ['query'],
+      optional: true,
+      matches: {
+        options: /^\d{4}-\d{2}-\d{2}$/,
+        errorMessage: 'End date must be in format YYYY-MM-DD'
+      },
+      custom: {
+        options: (value, { req }) => {
+          if (req.query.startDate && req.query.startDate > value) {
+            throw new Error('startDate cannot be after endDate');
+          }
+          return true;
+        }
+      }
+    }
+  },
+
+  sleepInsights: {
+    threshold: {
+      in: ['query'],
+      optional: true,
+      isFloat: {
+        options: { min: 1, max: 5 },
+        errorMessage: 'Threshold must be between 1 and 5 standard deviations'
+      }
+    },
+    refresh: {
+      in: ['query'],
+      optional: true,
+      isIn: {
+        options: [['true', 'false']],
+        errorMessage: 'Refresh must be true or false'
+      }
+    }
+  },
+
+  sleepImport: {
+    format: {
+      in: ['query'],
+      optional: true,
+      isIn: {
+        options: [[SleepData.SOURCES.APPLE_HEALTH, SleepData.SOURCES.GOOGLE_FIT]],
+        errorMessage: `Format must be ${SleepData.SOURCES.APPLE_HEALTH} or ${SleepData.SOURCES.GOOGLE_FIT}`
+      }
+    },
+    utcOffset: {
+      in: ['query'],
+      optional: true,
+      matches: {
+        options: /^[+-]\d{2}:\d{2}$/,
+        errorMessage: 'UTC offset must be in format +HH:MM or -HH:MM'
+      }
+    }
+  },
+  
   // Competition routes
   competitionId: {
     competitionId: {
@@ -280,10 +589,14 @@ const validationSchemas = {
     type: {
       in: ['body'],
       isString: true,
-      isIn: {
-        options: [['DAILY', 'WEEKLY', 'CHALLENGE', 'CUSTOM', 
-                  'highest_score', 'improvement', 'consistency', 'deep_sleep', 'efficiency']],
-        errorMessage: 'Type must be one of: DAILY, WEEKLY, CHALLENGE, CUSTOM, highest_score, improvement, consistency, deep_sleep, efficiency'
+      custom: {
+        options: (value) => {
+          const validTypes = Competition.getValidTypes();
+          if (!validTypes.includes(value)) {
+            throw new Error(`Type must be one of: ${validTypes.join(', ')}`);
+          }
+          return true;
+        }
       }
     },
     startDate: {
@@ -358,10 +671,14 @@ const validationSchemas = {
       in: ['body'],
       optional: true,
       isString: true,
-      isIn: {
-        options: [['DAILY', 'WEEKLY', 'CHALLENGE', 'CUSTOM', 
-                  'highest_score', 'improvement', 'consistency', 'deep_sleep', 'efficiency']],
-        errorMessage: 'Type must be one of: DAILY, WEEKLY, CHALLENGE, CUSTOM, highest_score, improvement, consistency, deep_sleep, efficiency'
+      custom: {
+        options: (value) => {
+          const validTypes = Competition.getValidTypes();
+          if (!validTypes.includes(value)) {
+            throw new Error(`Type must be one of: ${validTypes.join(', ')}`);
+          }
+          return true;
+        }
       }
     },
     startDate: {
@@ -474,6 +791,51 @@ const validationSchemas = {
       isBoolean: true
     }
   },
+
+  pushSubscription: {
+    'subscription.endpoint': {
+      in: ['body'],
+      isString: true,
+      custom: {
+        options: (value) => isAllowedPushEndpoint(value),
+        errorMessage: 'Subscription endpoint must be an https URL of a supported push service'
+      }
+    },
+    'subscription.keys.p256dh': {
+      in: ['body'],
+      isString: true,
+      notEmpty: {
+        errorMessage: 'Subscription key p256dh is required'
+      }
+    },
+    'subscription.keys.auth': {
+      in: ['body'],
+      isString: true,
+      notEmpty: {
+        errorMessage: 'Subscription key auth is required'
+      }
+    },
+    deviceName: {
+      in: ['body'],
+      optional: true,
+      isString: true,
+      isLength: {
+        options: { max: 100 },
+        errorMessage: 'Device name must not exceed 100 characters'
+      },
+      trim: true
+    }
+  },
+
+  pushUnsubscribe: {
+    endpoint: {
+      in: ['body'],
+      isString: true,
+      notEmpty: {
+        errorMessage: 'Subscription endpoint is required'
+      }
+    }
+  },
   
   // Invitation routes
   createInvitation: {
@@ -1,3 +1,6 @@
+const { getScoringTypes } = require('../utils/scoringStrategies');
+const SleepData = require('./SleepData');
+
 /**
  * Competition model for Firebase Firestore
  * Represents a sleep competition in the Sleep Olympics application
@@ -107,8 +110,7 @@ class Competition {
       console.log('Description length validation failed:', { description: this.description, length: this.description.length });
     }
     
-    const validTypes = ['DAILY', 'WEEKLY', 'CHALLENGE', 'CUSTOM', 
-                    'highest_score', 'improvement', 'consistency', 'deep_sleep', 'efficiency'];
+    const validTypes = Competition.getValidTypes();
     if (!validTypes.includes(this.type)) {
       errors.push(`Type must be one of: ${validTypes.join(', ')}`);
       console.log('Type validation failed:', { type: this.type, validTypes });
@@ -129,6 +131,16 @@ class Competition {
       console.log('Date range validation failed:', { startDate: this.startDate, endDate: this.endDate });
     }
     
+    // rules.allowedSources lists which data sources count toward ranking (only Oura when unset)
+    if (this.rules.allowedSources !== undefined) {
+      const validSources = SleepData.getSources();
+      if (!Array.isArray(this.rules.allowedSources) || this.rules.allowedSources.length === 0 ||
+          this.rules.allowedSources.some(source => !validSources.includes(source))) {
+        errors.push(`Allowed sources must be a non-empty list of: ${validSources.join(', ')}`);
+        console.log('Allowed sources validation failed:', { allowedSources: this.rules.allowedSources, validSources });
+      }
+    }
+    
     const validStatuses = ['PENDING', 'ACTIVE', 'COMPLETED', 'CANCELLED', 
                       'upcoming', 'active', 'completed'];
     if (!validStatuses.includes(this.status)) {
@@ -146,6 +158,27 @@ class Competition {
     return result;
   }
 
+  /**
+   * Lists all accepted competition types
+   * General types plus every type with a registered scoring strategy
+   * @returns {string[]} Valid competition types
+   */
+  static getValidTypes() {
+    return ['DAILY', 'WEEKLY', 'CHALLENGE', 'CUSTOM', ...getScoringTypes()];
+  }
+
+  /**
+   * Lists the data sources whose sleep records count toward ranking
+   * Competitions without rules.allowedSources (including those created before sources existed)
+   * keep ranking Oura data only
+   * @returns {string[]} Allowed sources
+   */
+  getAllowedSources() {
+    return Array.isArray(this.rules.allowedSources) && this.rules.allowedSources.length > 0
+      ? this.rules.allowedSources
+      : [SleepData.SOURCES.OURA];
+  }
+
   /**
    * Converts this model to a Firestore document
    * @returns {Object} Firestore document representation
@@ -40,11 +40,19 @@ class Leaderboard {
   }
 
   /**
-   * Sorts rankings by score (descending) and assigns positions
+   * Sorts rankings by score and assigns positions
+   * Rankings without a score (not enough data) are placed last
+   * @param {string} direction - 'desc' (higher is better, default) or 'asc' (lower is better)
    */
-  sortAndAssignPositions() {
-    // Sort by score (descending)
-    this.rankings.sort((a, b) => b.score - a.score);
+  sortAndAssignPositions(direction = 'desc') {
+    const hasScore = r => typeof r.score === 'number' && !isNaN(r.score);
+
+    this.rankings.sort((a, b) => {
+      if (!hasScore(a) || !hasScore(b)) {
+        return hasScore(b) - hasScore(a);
+      }
+      return direction === 'asc' ? a.score - b.score : b.score - a.score;
+    });
     
     // Assign positions
     this.rankings.forEach((ranking, index) => {
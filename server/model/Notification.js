@@ -29,7 +29,7 @@ class Notification {
     if (!this.title) errors.push('Title is required');
     if (!this.message) errors.push('Message is required');
     
-    const validTypes = ['SYSTEM', 'COMPETITION', 'INVITATION', 'ACHIEVEMENT', 'REMINDER'];
+    const validTypes = ['SYSTEM', 'COMPETITION', 'INVITATION', 'ACHIEVEMENT', 'REMINDER', 'DIGEST'];
     if (!validTypes.includes(this.type)) {
       errors.push(`Type must be one of: ${validTypes.join(', ')}`);
     }
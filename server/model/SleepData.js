@@ -12,6 +12,9 @@ class SleepData {
     this.userId = data.userId || '';
     this.dateId = data.dateId || ''; // Format: YYYY-MM-DD
     this.date = data.date || new Date();
+    // Where the record came from; records stored before sources existed are Oura records
+    this.source = data.source || SleepData.SOURCES.OURA;
+    // Sleep score (0-100): Oura's score, or calculated by utils/sleepScore for other sources
     this.ouraScore = data.ouraScore || 0;
     this.metrics = data.metrics || {};
     this.tags = data.tags || [];
@@ -29,6 +32,7 @@ class SleepData {
     if (!this.dateId) errors.push('Date ID is required');
     if (!(this.date instanceof Date)) errors.push('Date is required');
     if (typeof this.ouraScore !== 'number') errors.push('Oura score is required and must be a number');
+    if (!SleepData.getSources().includes(this.source)) errors.push(`Source must be one of: ${SleepData.getSources().join(', ')}`);
     
     return {
       valid: errors.length === 0,
@@ -36,6 +40,14 @@ class SleepData {
     };
   }
 
+  /**
+   * Lists all supported data sources
+   * @returns {string[]} Source identifiers
+   */
+  static getSources() {
+    return Object.values(SleepData.SOURCES);
+  }
+
   /**
    * Generates a dateId (YYYY-MM-DD) from a Date object
    * @param {Date} date - The date to convert
@@ -54,6 +66,7 @@ class SleepData {
       userId: this.userId,
       dateId: this.dateId,
       date: this.date,
+      source: this.source,
       ouraScore: this.ouraScore,
       metrics: this.metrics,
       tags: this.tags,
@@ -79,4 +92,12 @@ class SleepData {
   }
 }
 
+// Data sources a sleep record can come from
+SleepData.SOURCES = {
+  OURA: 'oura',
+  MANUAL: 'manual',
+  APPLE_HEALTH: 'apple_health', // Imported Apple Health export.xml
+  GOOGLE_FIT: 'google_fit' // Imported Google Takeout (Fit) sleep data
+};
+
 module.exports = SleepData;
\ No newline at end of file
@@ -10,35 +10,50 @@ class SleepSummary {
   constructor(data = {}) {
     this.id = data.id || null;
     this.userId = data.userId || '';
+    this.version = data.version || 1;
     this.dailyAverage = data.dailyAverage || {
       currentMonth: 0,
       previousMonth: 0,
       overall: 0
     };
+    // Rolling windows keyed by length, e.g. '7d': { days, startDate, endDate, recordCount, metrics }
+    this.windows = data.windows || {};
     this.weeklyTrend = data.weeklyTrend || [];
     this.monthlyTrend = data.monthlyTrend || [];
     this.bestScore = data.bestScore || 0;
+    this.bestScoreDate = data.bestScoreDate || null;
     this.worstScore = data.worstScore || 0;
+    this.worstScoreDate = data.worstScoreDate || null;
     this.improvement = data.improvement || {
       monthly: 0,
       overall: 0
     };
+    this.currentMonth = data.currentMonth || null;
+    this.previousMonth = data.previousMonth || null;
+    this.overall = data.overall || null;
+    this.streaks = data.streaks || null;
     this.lastUpdated = data.lastUpdated || new Date();
   }
 
   /**
    * Updates the summary with a new sleep score
    * @param {number} score - The new sleep score
-   * @param {Date} date - The date of the sleep score
+   * @param {string} date - The date of the sleep score (YYYY-MM-DD)
    * @returns {boolean} Whether the summary was updated
    */
   updateWithScore(score, date) {
     if (typeof score !== 'number' || !date) return false;
-    
+
     // Update best and worst scores
-    if (score > this.bestScore) this.bestScore = score;
-    if (this.worstScore === 0 || score < this.worstScore) this.worstScore = score;
-    
+    if (score > this.bestScore) {
+      this.bestScore = score;
+      this.bestScoreDate = date;
+    }
+    if (this.worstScore === 0 || score < this.worstScore) {
+      this.worstScore = score;
+      this.worstScoreDate = date;
+    }
+
     this.lastUpdated = new Date();
     return true;
   }
@@ -50,12 +65,20 @@ class SleepSummary {
   toFirestore() {
     return {
       userId: this.userId,
+      version: this.version,
       dailyAverage: this.dailyAverage,
+      windows: this.windows,
       weeklyTrend: this.weeklyTrend,
       monthlyTrend: this.monthlyTrend,
       bestScore: this.bestScore,
+      bestScoreDate: this.bestScoreDate,
       worstScore: this.worstScore,
+      worstScoreDate: this.worstScoreDate,
       improvement: this.improvement,
+      currentMonth: this.currentMonth,
+      previousMonth: this.previousMonth,
+      overall: this.overall,
+      streaks: this.streaks,
       lastUpdated: this.lastUpdated
     };
   }
@@ -69,7 +92,7 @@ class SleepSummary {
     const data = doc.data();
     // Handle Firestore timestamps
     const lastUpdated = data.lastUpdated?.toDate ? data.lastUpdated.toDate() : data.lastUpdated;
-    
+
     return new SleepSummary({
       ...data,
       id: doc.id,
@@ -78,4 +101,8 @@ class SleepSummary {
   }
 }
 
-module.exports = SleepSummary;
\ No newline at end of file
+// Version of the document layout written by utils/sleepSummaryGenerator.js;
+// summaries with an older version are regenerated when read
+SleepSummary.CURRENT_VERSION = 2;
+
+module.exports = SleepSummary;
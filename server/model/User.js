@@ -14,8 +14,9 @@ class User {
     this.createdAt = data.createdAt || new Date();
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.profileData = data.profileData || {};
-    this.ouraIntegration = data.ouraIntegration || { connected: false };
+    this.integrations = User.normalizeIntegrations(data);
     this.notifications = data.notifications || { email: true, inApp: true };
+    this.summarySettings = data.summarySettings || {};
     this.competitions = data.competitions || { participating: [], won: [] };
     this.roles = data.roles || ['user'];
   }
@@ -32,13 +33,43 @@ class User {
       createdAt: this.createdAt,
       isActive: this.isActive,
       profileData: this.profileData,
-      ouraIntegration: this.ouraIntegration,
+      integrations: this.integrations,
       notifications: this.notifications,
+      summarySettings: this.summarySettings,
       competitions: this.competitions,
       roles: this.roles
     };
   }
 
+  /**
+   * Builds the wearable integrations map (provider name -> integration).
+   * Documents written before providers were pluggable keep Oura in `ouraIntegration`;
+   * it is read as `integrations.oura` until scripts/migrate-integrations.js has moved it.
+   * @param {Object} data - User data
+   * @returns {Object} Integrations keyed by provider name
+   */
+  static normalizeIntegrations(data = {}) {
+    const integrations = { ...(data.integrations || {}) };
+    if (!integrations.oura && data.ouraIntegration) {
+      integrations.oura = data.ouraIntegration;
+    }
+    return integrations;
+  }
+
+  /**
+   * Removes tokens and other secrets from an integrations map before it is sent to clients
+   * @param {Object} integrations - Integrations keyed by provider name
+   * @returns {Object} Integrations without secrets
+   */
+  static sanitizeIntegrations(integrations = {}) {
+    return Object.fromEntries(
+      Object.entries(integrations).map(([provider, integration]) => {
+        const { accessToken, refreshToken, apiKeyHash, ...safeIntegration } = integration || {};
+        return [provider, safeIntegration];
+      })
+    );
+  }
+
   /**
    * Creates a User model from a Firestore document
    * @param {Object} doc - Firestore document data
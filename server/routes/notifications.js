@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticate, isAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
 const notificationController = require('../controllers/notificationController');
 
 // Return a router function that accepts firestoreUtils
@@ -12,6 +13,12 @@ module.exports = (firestoreUtils) => {
   // Get user notifications with pagination
   router.get('/', authenticate, notificationController.getUserNotifications);
 
+  // Web Push: VAPID public key and the current user's subscribed devices
+  router.get('/push/public-key', notificationController.getPushPublicKey);
+  router.get('/push/subscriptions', authenticate, notificationController.getPushSubscriptions);
+  router.post('/push/subscriptions', authenticate, validate('pushSubscription'), notificationController.registerPushSubscription);
+  router.delete('/push/subscriptions', authenticate, validate('pushUnsubscribe'), notificationController.unregisterPushSubscription);
+
   // Mark a notification as read
   router.put('/:notificationId/read', authenticate, notificationController.markNotificationRead);
 
@@ -20,6 +20,28 @@ module.exports = (firestoreUtils) => {
     sleepController.getSleepData
   );
 
+  // Add or replace a manual sleep entry for a specific date
+  router.post('/data/:date', 
+    authenticate, 
+    validate('dateParam'),
+    validate('manualSleepEntry'),
+    sleepController.addManualSleepData
+  );
+
+  // Download all sleep data as CSV, JSON or a FHIR Bundle
+  router.get('/export', 
+    authenticate, 
+    validate('sleepExport'),
+    sleepController.exportSleepData
+  );
+
+  // Import sleep history from an Apple Health or Google Takeout export (multipart upload)
+  router.post('/import', 
+    authenticate, 
+    validate('sleepImport'),
+    sleepController.importSleepData
+  );
+
   // Get sleep data for a date range
   router.get('/data', 
     authenticate, 
@@ -33,6 +55,12 @@ module.exports = (firestoreUtils) => {
     sleepController.syncOuraData
   );
 
+  // Get the status of a sync job
+  router.get('/sync/:jobId', 
+    authenticate, 
+    sleepController.getSyncJobStatus
+  );
+
   // Add a note to sleep data
   router.post('/data/:date/note', 
     authenticate, 
@@ -41,11 +69,65 @@ module.exports = (firestoreUtils) => {
     sleepController.addSleepNote
   );
 
-  // Get sleep summary
+  // Add or remove individual tags of a night
+  router.patch('/data/:date/tags',
+    authenticate,
+    validate('dateParam'),
+    validate('updateSleepTags'),
+    sleepController.updateSleepTags
+  );
+
+  // Tag vocabulary
+  router.get('/tags',
+    authenticate,
+    sleepController.getTags
+  );
+
+  // Per-tag statistics (registered before /tags/:tag)
+  router.get('/tags/stats',
+    authenticate,
+    validate('tagStats'),
+    sleepController.getTagStats
+  );
+
+  // Create a tag or replace its aliases
+  router.put('/tags/:tag',
+    authenticate,
+    validate('updateTag'),
+    sleepController.updateTag
+  );
+
+  // Delete a tag everywhere
+  router.delete('/tags/:tag',
+    authenticate,
+    sleepController.deleteTag
+  );
+
+  // Get sleep summary (?window=N adds a rolling window of N days)
   router.get('/summary', 
     authenticate, 
+    validate('sleepSummary'),
     sleepController.getSleepSummary
   );
 
+  // Summary settings (streak thresholds)
+  router.get('/summary/settings',
+    authenticate,
+    sleepController.getSummarySettings
+  );
+
+  router.put('/summary/settings',
+    authenticate,
+    validate('summarySettings'),
+    sleepController.updateSummarySettings
+  );
+
+  // Get sleep insights (baselines, anomalies, tag correlations)
+  router.get('/insights',
+    authenticate,
+    validate('sleepInsights'),
+    sleepController.getSleepInsights
+  );
+
   return router;
 };
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const { authenticateStream } = require('../middleware/auth');
+const streamController = require('../controllers/streamController');
+
+// Return a router function
+module.exports = () => {
+  const router = express.Router();
+
+  // Real-time notifications, unread count, leaderboard positions and sync progress (Server-Sent Events)
+  router.get('/', authenticateStream, streamController.openStream);
+
+  return router;
+};
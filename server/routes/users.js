@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticate, isAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
 const userController = require('../controllers/userController');
 
 // Return a router function that accepts firestoreUtils
@@ -29,20 +30,34 @@ module.exports = (firestoreUtils) => {
   router.get('/notifications', authenticate, userController.getNotificationPreferences);
 
   // Update notification preferences
-  router.put('/notifications', authenticate, userController.updateNotificationPreferences);
+  router.put('/notifications', authenticate, validate('updateNotificationPreferences'), userController.updateNotificationPreferences);
 
-  // OAuth flow routes
-  // Initiate Oura OAuth flow
-  router.get('/oura/authorize', authenticate, userController.initiateOuraOAuth);
+  // Wearable integrations (Oura, ...)
+  // List providers and the user's connection status
+  router.get('/integrations', authenticate, userController.getIntegrations);
 
-  // OAuth callback from Oura
-  router.get('/oura/callback', userController.handleOuraOAuthCallback);
+  // Initiate a provider's OAuth flow
+  router.get('/integrations/:provider/authorize', authenticate, userController.initiateIntegrationOAuth);
 
-  // Get Oura connection status
-  router.get('/oura/status', authenticate, userController.getOuraConnectionStatus);
+  // OAuth callback from the provider
+  router.get('/integrations/:provider/callback', userController.handleIntegrationOAuthCallback);
 
-  // Disconnect Oura integration
-  router.post('/oura/disconnect', authenticate, userController.disconnectOuraIntegration);
+  // Get a provider's connection status
+  router.get('/integrations/:provider/status', authenticate, userController.getIntegrationStatus);
+
+  // Disconnect a provider (revokes the grant; ?purgeData=true also deletes the synced data)
+  router.post('/integrations/:provider/disconnect', authenticate, validate('disconnectIntegration'), userController.disconnectIntegration);
+
+  // Legacy Oura routes (the callback is the redirect URI registered with Oura)
+  router.get('/oura/authorize', authenticate, userController.initiateIntegrationOAuth);
+  router.get('/oura/callback', userController.handleIntegrationOAuthCallback);
+  router.get('/oura/status', authenticate, userController.getIntegrationStatus);
+  router.post('/oura/disconnect', authenticate, validate('disconnectIntegration'), userController.disconnectIntegration);
+
+  // Account deletion (erased after a grace period, cancellable until then)
+  router.delete('/me', authenticate, userController.requestAccountDeletion);
+  router.get('/me/deletion', authenticate, userController.getAccountDeletionStatus);
+  router.post('/me/deletion/cancel', authenticate, userController.cancelAccountDeletion);
 
   // Update user status (activate/deactivate) - admin only
   router.put('/:userId/status', authenticate, isAdmin, (req, res, next) => {
@@ -0,0 +1,19 @@
+/**
+ * Webhook Routes
+ * Called by external providers, authenticated by signature instead of user tokens
+ */
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+
+// Return a router function
+module.exports = () => {
+  const router = express.Router();
+
+  // Oura subscription verification challenge
+  router.get('/oura', webhookController.verifyOuraSubscription);
+
+  // Oura data change notifications
+  router.post('/oura', webhookController.receiveOuraWebhook);
+
+  return router;
+};
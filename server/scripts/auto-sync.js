@@ -0,0 +1,51 @@
+/**
+ * Oura Auto-Sync Script
+ *
+ * Syncs the Oura data of every connected user outside the API server.
+ *
+ * Usage:
+ *   node scripts/auto-sync.js           Run tonight's sync once and exit (e.g. from cron)
+ *   node scripts/auto-sync.js --force   Run an extra sync even if tonight's already ran
+ *   node scripts/auto-sync.js --watch   Keep running and sync every night
+ *
+ * Safe to run next to API servers that also run the scheduler.
+ */
+require('dotenv').config();
+
+const { initializeFirebaseAdmin } = require('../utils/firebaseAdmin');
+const { logger } = require('../utils/logger');
+const autoSyncScheduler = require('../utils/autoSyncScheduler');
+const { registerNotificationTriggers } = require('../utils/notificationTriggers');
+
+/**
+ * Main function to run the auto-sync once or every night
+ */
+async function main() {
+  try {
+    initializeFirebaseAdmin();
+    registerNotificationTriggers();
+
+    if (process.argv.includes('--watch')) {
+      autoSyncScheduler.startAutoSyncScheduler();
+
+      // Keep the process alive until it is stopped
+      const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+      process.on('SIGTERM', () => {
+        autoSyncScheduler.stopAutoSyncScheduler();
+        clearInterval(keepAlive);
+      });
+      return;
+    }
+
+    const runId = process.argv.includes('--force') ? autoSyncScheduler.createManualRunId() : undefined;
+    const result = await autoSyncScheduler.runAutoSync({ runId });
+    logger.info('Auto-sync run completed', result || {});
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error running auto-sync:', error);
+    process.exit(1);
+  }
+}
+
+// Execute the main function
+main();
@@ -0,0 +1,51 @@
+/**
+ * Competition Lifecycle Script
+ *
+ * Runs the competition lifecycle scheduler outside the API server:
+ * moves competitions from PENDING to ACTIVE to COMPLETED based on their dates
+ * and generates the final leaderboard of completed competitions.
+ *
+ * Usage:
+ *   node scripts/competition-scheduler.js           Run once and exit (e.g. from cron)
+ *   node scripts/competition-scheduler.js --watch   Keep running on an interval
+ *
+ * Safe to run next to API servers that also run the scheduler.
+ */
+require('dotenv').config();
+
+const { initializeFirebaseAdmin } = require('../utils/firebaseAdmin');
+const { logger } = require('../utils/logger');
+const competitionScheduler = require('../utils/competitionScheduler');
+const { registerNotificationTriggers } = require('../utils/notificationTriggers');
+
+/**
+ * Main function to run the scheduler once or on an interval
+ */
+async function main() {
+  try {
+    initializeFirebaseAdmin();
+    registerNotificationTriggers();
+
+    if (process.argv.includes('--watch')) {
+      competitionScheduler.startCompetitionScheduler();
+
+      // Keep the process alive until it is stopped
+      const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+      process.on('SIGTERM', () => {
+        competitionScheduler.stopCompetitionScheduler();
+        clearInterval(keepAlive);
+      });
+      return;
+    }
+
+    const result = await competitionScheduler.runCompetitionLifecycle();
+    logger.info('Competition lifecycle run completed', result || {});
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error running competition lifecycle:', error);
+    process.exit(1);
+  }
+}
+
+// Execute the main function
+main();
@@ -0,0 +1,16 @@
+/**
+ * VAPID Key Generation Script
+ *
+ * Prints a new VAPID key pair for Web Push as environment variable lines.
+ * Add them to the server environment; replacing existing keys drops all
+ * browser push subscriptions, so clients have to subscribe again.
+ *
+ * Usage:
+ *   node scripts/generate-vapid-keys.js
+ */
+const { generateVapidKeys } = require('../utils/webPush');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -0,0 +1,72 @@
+/**
+ * Integrations Migration Script
+ *
+ * Moves each user's legacy `ouraIntegration` field to `integrations.oura`
+ * (renaming `ouraUserId` to `providerUserId`) and removes the legacy field.
+ * Auto-sync and Oura webhooks only find users whose integration has been moved.
+ *
+ * Usage:
+ *   node scripts/migrate-integrations.js            Migrate all users
+ *   node scripts/migrate-integrations.js --dry-run  Only report what would change
+ *
+ * Safe to run more than once.
+ */
+require('dotenv').config();
+
+const admin = require('firebase-admin');
+const { initializeFirebaseAdmin } = require('../utils/firebaseAdmin');
+const { logger } = require('../utils/logger');
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 400;
+
+/**
+ * Builds the migrated Oura integration of a user.
+ * @param {object} userData - User document data.
+ * @returns {object} The integration for `integrations.oura`.
+ */
+function migrateOuraIntegration(userData) {
+  // An already migrated integration wins over the legacy field
+  const { ouraUserId, ...integration } = userData.integrations?.oura || userData.ouraIntegration;
+  const providerUserId = integration.providerUserId || ouraUserId;
+
+  return providerUserId ? { ...integration, providerUserId } : integration;
+}
+
+/**
+ * Main function to migrate all users
+ */
+async function main() {
+  try {
+    initializeFirebaseAdmin();
+    const firestore = admin.firestore();
+    const dryRun = process.argv.includes('--dry-run');
+
+    const snapshot = await firestore.collection('users').get();
+    const legacyDocs = snapshot.docs.filter(doc => doc.data().ouraIntegration !== undefined);
+
+    logger.info(`Found ${legacyDocs.length} of ${snapshot.size} users with a legacy Oura integration`, { dryRun });
+
+    if (!dryRun) {
+      for (let i = 0; i < legacyDocs.length; i += BATCH_SIZE) {
+        const batch = firestore.batch();
+        legacyDocs.slice(i, i + BATCH_SIZE).forEach(doc => {
+          batch.update(doc.ref, {
+            'integrations.oura': migrateOuraIntegration(doc.data()),
+            ouraIntegration: admin.firestore.FieldValue.delete()
+          });
+        });
+        await batch.commit();
+      }
+      logger.info(`Migrated ${legacyDocs.length} users`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating integrations:', error);
+    process.exit(1);
+  }
+}
+
+// Execute the main function
+main();
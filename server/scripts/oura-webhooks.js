@@ -0,0 +1,89 @@
+/**
+ * Oura Webhook Subscriptions Script
+ *
+ * Manages the app's Oura webhook subscriptions.
+ *
+ * Usage:
+ *   node scripts/oura-webhooks.js list
+ *   node scripts/oura-webhooks.js create                          Subscribe to every synced data type and event
+ *   node scripts/oura-webhooks.js create <data_type> <event_type> Subscribe to one data type/event
+ *   node scripts/oura-webhooks.js renew <subscription_id>
+ *   node scripts/oura-webhooks.js renew --all                     Renew every subscription
+ *
+ * Requires OURA_CLIENT_ID and OURA_CLIENT_SECRET; create also needs OURA_WEBHOOK_CALLBACK_URL
+ * and OURA_WEBHOOK_VERIFICATION_TOKEN. Set OURA_API_URL to run against a fake Oura server.
+ */
+require('dotenv').config();
+
+const { logger } = require('../utils/logger');
+const ouraWebhooks = require('../utils/ouraWebhooks');
+
+/**
+ * Runs an operation for each item, reporting failures without stopping
+ * @param {Array} items - Items to process
+ * @param {Function} operation - Async operation for one item
+ * @param {Function} describe - Describes an item for log output
+ * @returns {Promise<number>} Number of failed operations
+ */
+async function runEach(items, operation, describe) {
+  let failed = 0;
+
+  for (const item of items) {
+    try {
+      const result = await operation(item);
+      logger.info(`${describe(item)}: ok`, result);
+    } catch (error) {
+      failed++;
+      logger.error(`${describe(item)}: failed`, {
+        status: error.response?.status,
+        error: error.response?.data || error.message
+      });
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Main function to run the requested command
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    let failed = 0;
+
+    if (command === 'list') {
+      const subscriptions = await ouraWebhooks.listSubscriptions();
+      console.log(JSON.stringify(subscriptions, null, 2));
+    } else if (command === 'create') {
+      const subscriptions = args.length >= 2
+        ? [{ dataType: args[0], eventType: args[1] }]
+        : ouraWebhooks.WEBHOOK_DATA_TYPES.flatMap(dataType =>
+          ouraWebhooks.WEBHOOK_EVENT_TYPES.map(eventType => ({ dataType, eventType })));
+
+      failed = await runEach(subscriptions, ouraWebhooks.createSubscription,
+        s => `Create subscription ${s.dataType}/${s.eventType}`);
+    } else if (command === 'renew' && args[0]) {
+      const ids = args[0] === '--all'
+        ? (await ouraWebhooks.listSubscriptions()).map(s => s.id)
+        : [args[0]];
+
+      failed = await runEach(ids, ouraWebhooks.renewSubscription, id => `Renew subscription ${id}`);
+    } else {
+      console.log('Usage: node scripts/oura-webhooks.js list | create [<data_type> <event_type>] | renew <subscription_id>|--all');
+      process.exit(1);
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error('Error managing Oura webhook subscriptions:', {
+      status: error.response?.status,
+      error: error.response?.data || error.message
+    });
+    process.exit(1);
+  }
+}
+
+// Execute the main function
+main();
@@ -0,0 +1,102 @@
+/**
+ * Token Re-encryption Script
+ *
+ * Re-encrypts every stored OAuth token (`users.integrations.*` and the legacy
+ * `users.ouraIntegration`) with the newest key in ENCRYPTION_KEYS. Run it after
+ * prepending a new key; once it reports no failures, the old key can be removed.
+ *
+ * Usage:
+ *   node scripts/reencrypt-tokens.js            Re-encrypt all tokens
+ *   node scripts/reencrypt-tokens.js --dry-run  Only report what would change
+ *
+ * Safe to run more than once.
+ */
+require('dotenv').config();
+
+const admin = require('firebase-admin');
+const { initializeFirebaseAdmin } = require('../utils/firebaseAdmin');
+const { logger } = require('../utils/logger');
+const encryption = require('../utils/encryption');
+
+const TOKEN_FIELDS = ['accessToken', 'refreshToken'];
+
+/**
+ * Builds the Firestore update that moves a user's tokens to the newest key.
+ * @param {object} userData - User document data.
+ * @returns {object} Field paths to re-encrypted values (empty if nothing to do).
+ * @throws {Error} If a token can't be decrypted with the keyring.
+ */
+function buildReencryptionUpdate(userData) {
+  const integrations = Object.entries(userData.integrations || {})
+    .map(([name, integration]) => [`integrations.${name}`, integration]);
+  if (userData.ouraIntegration) {
+    integrations.push(['ouraIntegration', userData.ouraIntegration]);
+  }
+
+  const update = {};
+  for (const [path, integration] of integrations) {
+    for (const field of TOKEN_FIELDS) {
+      const value = integration?.[field];
+      if (typeof value === 'string' && encryption.needsReencryption(value)) {
+        update[`${path}.${field}`] = encryption.reencryptData(value);
+      }
+    }
+  }
+  return update;
+}
+
+/**
+ * Main function to re-encrypt all tokens
+ */
+async function main() {
+  try {
+    encryption.assertEncryptionConfigured();
+    if (!encryption.getPrimaryKeyId()) {
+      throw new Error('No encryption key configured');
+    }
+
+    initializeFirebaseAdmin();
+    const firestore = admin.firestore();
+    const dryRun = process.argv.includes('--dry-run');
+
+    const snapshot = await firestore.collection('users').get();
+    let usersUpdated = 0;
+    let tokensReencrypted = 0;
+    let failed = 0;
+
+    for (const doc of snapshot.docs) {
+      try {
+        if (dryRun) {
+          const count = Object.keys(buildReencryptionUpdate(doc.data())).length;
+          usersUpdated += count > 0 ? 1 : 0;
+          tokensReencrypted += count;
+          continue;
+        }
+
+        // Read again in a transaction so a token refreshed meanwhile isn't overwritten
+        const count = await firestore.runTransaction(async (transaction) => {
+          const userDoc = await transaction.get(doc.ref);
+          const update = userDoc.exists ? buildReencryptionUpdate(userDoc.data()) : {};
+          if (Object.keys(update).length > 0) {
+            transaction.update(doc.ref, update);
+          }
+          return Object.keys(update).length;
+        });
+        usersUpdated += count > 0 ? 1 : 0;
+        tokensReencrypted += count;
+      } catch (error) {
+        logger.error(`Error re-encrypting tokens of user ${doc.id}:`, { error: error.message });
+        failed++;
+      }
+    }
+
+    logger.info(`${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${tokensReencrypted} tokens of ${usersUpdated} users with key ${encryption.getPrimaryKeyId()}`, { dryRun, failed });
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error('Error re-encrypting tokens:', error);
+    process.exit(1);
+  }
+}
+
+// Execute the main function
+main();
@@ -0,0 +1,65 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const crypto = require('crypto');
+const { eraseUserAccount, getPseudonym } = require('../utils/accountDeletion');
+
+const USER_ID = 'user-1';
+const SECRET = 'deletion-secret';
+
+const store = (path, data) => mockFirebase.firestore.doc(path).set(data);
+const has = (path) => mockFirebase.firestore.docs.has(path);
+
+describe('eraseUserAccount', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    mockFirebase.admin.auth = () => ({ deleteUser: jest.fn().mockResolvedValue() });
+    process.env.ACCOUNT_DELETION_HASH_SECRET = SECRET;
+
+    await store(`users/${USER_ID}`, { email: 'sam@example.com', displayName: 'Sam' });
+    await store(`syncRuns/2024-06-01/results/${USER_ID}`, { userId: USER_ID, status: 'completed' });
+    await store('syncRuns/2024-06-01/results/user-2', { userId: 'user-2', status: 'completed' });
+    await store(`syncRuns/2024-06-02/results/${USER_ID}`, { userId: USER_ID, status: 'failed' });
+  });
+
+  afterEach(() => {
+    delete process.env.ACCOUNT_DELETION_HASH_SECRET;
+  });
+
+  test("deletes only the user's sync run results", async () => {
+    const report = await eraseUserAccount(USER_ID);
+
+    expect(report.syncResultsDeleted).toBe(2);
+    expect(has(`syncRuns/2024-06-01/results/${USER_ID}`)).toBe(false);
+    expect(has(`syncRuns/2024-06-02/results/${USER_ID}`)).toBe(false);
+    expect(has('syncRuns/2024-06-01/results/user-2')).toBe(true);
+  });
+
+  test('keys the tombstone and pseudonym with the server secret', async () => {
+    await eraseUserAccount(USER_ID);
+
+    const digest = crypto.createHmac('sha256', SECRET).update(USER_ID).digest('hex');
+    const unkeyed = crypto.createHash('sha256').update(USER_ID).digest('hex');
+    expect(has(`deletedAccounts/${digest}`)).toBe(true);
+    expect(has(`deletedAccounts/${unkeyed}`)).toBe(false);
+    expect(getPseudonym(USER_ID)).toBe(`deleted-${digest.substring(0, 16)}`);
+    expect(has(`users/${USER_ID}`)).toBe(false);
+  });
+
+  test('refuses to erase without a secret in production', async () => {
+    delete process.env.ACCOUNT_DELETION_HASH_SECRET;
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      await expect(eraseUserAccount(USER_ID)).rejects.toThrow('ACCOUNT_DELETION_HASH_SECRET');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+    expect(has(`users/${USER_ID}`)).toBe(true);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/eventBus', () => ({
+  ...jest.requireActual('../utils/eventBus'),
+  emitEvent: jest.fn().mockResolvedValue({ handled: 0, failed: 0 })
+}));
+jest.mock('../utils/leaderboardGenerator', () => ({
+  generateLeaderboard: jest.fn()
+}));
+jest.mock('../utils/competitionWinners', () => ({
+  awardCompetitionWinners: jest.fn().mockResolvedValue([])
+}));
+
+const leaderboardGenerator = require('../utils/leaderboardGenerator');
+const { runCompetitionLifecycle } = require('../utils/competitionScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const storeCompetition = (id, data) => mockFirebase.firestore.doc(`competitions/${id}`).set(data);
+const readCompetition = (id) => mockFirebase.firestore.docs.get(`competitions/${id}`);
+
+describe('runCompetitionLifecycle', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+    leaderboardGenerator.generateLeaderboard.mockReset();
+    leaderboardGenerator.generateLeaderboard.mockResolvedValue({ id: 'leaderboard-1', rankings: [] });
+  });
+
+  test('transitions competitions stored with lowercase statuses', async () => {
+    const now = Date.now();
+    await storeCompetition('upcoming-1', {
+      status: 'upcoming', startDate: new Date(now - DAY_MS), endDate: new Date(now + DAY_MS)
+    });
+    await storeCompetition('active-1', {
+      status: 'active', startDate: new Date(now - 2 * DAY_MS), endDate: new Date(now - DAY_MS)
+    });
+
+    const result = await runCompetitionLifecycle();
+
+    expect(result).toMatchObject({ activated: 1, completed: 1 });
+    expect(readCompetition('upcoming-1').status).toBe('ACTIVE');
+    expect(readCompetition('active-1')).toMatchObject({
+      status: 'COMPLETED', finalLeaderboardId: 'leaderboard-1', finalizationPending: false
+    });
+  });
+
+  test('retries a finalization that failed once its claim has expired', async () => {
+    const now = Date.now();
+    await storeCompetition('competition-1', {
+      status: 'ACTIVE', startDate: new Date(now - 2 * DAY_MS), endDate: new Date(now - DAY_MS)
+    });
+    leaderboardGenerator.generateLeaderboard.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    await runCompetitionLifecycle();
+    expect(readCompetition('competition-1')).toMatchObject({ status: 'COMPLETED', finalizationPending: true });
+
+    // Still claimed by the failed attempt
+    expect(await runCompetitionLifecycle()).toMatchObject({ finalizationsRetried: 0 });
+
+    readCompetition('competition-1').finalizationClaimedAt = new Date(now - 60 * 60 * 1000);
+    expect(await runCompetitionLifecycle()).toMatchObject({ finalizationsRetried: 1 });
+    expect(readCompetition('competition-1')).toMatchObject({
+      finalLeaderboardId: 'leaderboard-1', finalizationPending: false, finalizationAttempts: 1
+    });
+  });
+});
@@ -0,0 +1,40 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const { awardCompetitionWinners } = require('../utils/competitionWinners');
+
+describe('awardCompetitionWinners', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    await mockFirebase.firestore.doc('competitions/competition-1').set({ title: 'Sleep week' });
+    for (const userId of ['user-1', 'user-3', 'user-4']) {
+      await mockFirebase.firestore.doc(`users/${userId}`).set({ competitions: { won: [] } });
+    }
+  });
+
+  test('moves the next participants up when a winner deleted their account', async () => {
+    const competition = { id: 'competition-1', prizes: ['Gold', 'Silver'] };
+    const leaderboard = {
+      rankings: [
+        { userId: 'user-1', position: 1, score: 90 },
+        { userId: 'user-2', position: 2, score: 85 },
+        { userId: 'user-3', position: 3, score: 80 },
+        { userId: 'user-4', position: 4, score: 75 }
+      ]
+    };
+
+    const winners = await awardCompetitionWinners(competition, leaderboard);
+
+    expect(winners).toEqual([
+      { userId: 'user-1', rank: 1, score: 90, prize: 'Gold' },
+      { userId: 'user-3', rank: 2, score: 80, prize: 'Silver' }
+    ]);
+    expect(mockFirebase.firestore.docs.get('competitions/competition-1').winners).toEqual(winners);
+    expect(mockFirebase.firestore.docs.get('users/user-3').competitions.won).toEqual(['competition-1']);
+    expect(mockFirebase.firestore.docs.get('users/user-4').competitions.won).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const { queueNotificationDigest } = require('../utils/emailDigest');
+
+const USER_ID = 'user-1';
+const USER = { email: 'sam@example.com', displayName: 'Sam' };
+
+const outboxEntries = () => [...mockFirebase.firestore.docs.keys()].filter(path => path.startsWith('emailOutbox/'));
+
+describe('queueNotificationDigest', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    jest.restoreAllMocks();
+    await mockFirebase.firestore.doc(`notifications/${USER_ID}`).set({ unreadCount: 1 });
+    await mockFirebase.firestore.doc(`notifications/${USER_ID}/items/n1`).set({
+      type: 'COMPETITION_STARTED', title: 'It has begun', message: 'Sleep well', read: false, createdAt: new Date()
+    });
+  });
+
+  test('queues one digest and records when it was sent', async () => {
+    expect(await queueNotificationDigest(USER_ID, USER, 24)).toBe(true);
+    expect(await queueNotificationDigest(USER_ID, USER, 24)).toBe(false);
+
+    expect(outboxEntries()).toHaveLength(1);
+    expect(mockFirebase.firestore.docs.get(`notifications/${USER_ID}`).lastEmailDigestAt).toBeInstanceOf(Date);
+  });
+
+  test('does not queue a digest another run claimed meanwhile', async () => {
+    const runTransaction = mockFirebase.firestore.runTransaction;
+    jest.spyOn(mockFirebase.firestore, 'runTransaction').mockImplementationOnce(async (updateFunction) => {
+      // Another instance sends the digest between this run's read and its claim
+      await mockFirebase.firestore.doc(`notifications/${USER_ID}`).set({ lastEmailDigestAt: new Date() }, { merge: true });
+      return runTransaction(updateFunction);
+    });
+
+    expect(await queueNotificationDigest(USER_ID, USER, 24)).toBe(false);
+    expect(outboxEntries()).toHaveLength(0);
+  });
+});
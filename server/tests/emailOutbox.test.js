@@ -0,0 +1,57 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+const mailer = require('../utils/mailer');
+const { queueEmail, processEmailOutbox } = require('../utils/emailOutbox');
+
+const RESET = { resetLink: 'https://example.com/reset?token=secret' };
+
+describe('processEmailOutbox', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+    mailer.sendMail.mockReset();
+  });
+
+  test('removes the bodies of sent emails', async () => {
+    mailer.sendMail.mockResolvedValue('message-1');
+    const id = await queueEmail('passwordReset', 'sam@example.com', RESET);
+
+    expect(await processEmailOutbox()).toMatchObject({ sent: 1 });
+
+    const email = mockFirebase.firestore.docs.get(`emailOutbox/${id}`);
+    expect(email).toMatchObject({ status: 'SENT', messageId: 'message-1' });
+    expect(email).not.toHaveProperty('html');
+    expect(email).not.toHaveProperty('text');
+  });
+
+  test('removes the bodies of emails it gives up on', async () => {
+    mailer.sendMail.mockRejectedValue(Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 }));
+    const id = await queueEmail('passwordReset', 'sam@example.com', RESET);
+
+    expect(await processEmailOutbox()).toMatchObject({ failed: 1 });
+
+    const email = mockFirebase.firestore.docs.get(`emailOutbox/${id}`);
+    expect(email).toMatchObject({ status: 'FAILED', attempts: 1, lastError: 'Mailbox unavailable' });
+    expect(email).not.toHaveProperty('html');
+    expect(email).not.toHaveProperty('text');
+  });
+
+  test('keeps the bodies of emails it retries', async () => {
+    mailer.sendMail.mockRejectedValue(new Error('Connection timeout'));
+    const id = await queueEmail('passwordReset', 'sam@example.com', RESET);
+
+    expect(await processEmailOutbox()).toMatchObject({ retry: 1 });
+
+    const email = mockFirebase.firestore.docs.get(`emailOutbox/${id}`);
+    expect(email).toMatchObject({ status: 'PENDING', attempts: 1 });
+    expect(email.html).toContain(RESET.resetLink);
+  });
+});
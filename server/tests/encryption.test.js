@@ -0,0 +1,94 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const crypto = require('crypto');
+
+const ENV_NAMES = ['ENCRYPTION_KEYS', 'ENCRYPTION_KEY', 'NODE_ENV'];
+const originalEnv = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+
+/**
+ * Loads a fresh copy of the module (the keyring is cached) with the given environment.
+ * @param {object} env - Environment variables to set; the others are unset.
+ * @returns {object} The encryption module.
+ */
+const loadEncryption = (env) => {
+  ENV_NAMES.forEach(name => {
+    if (env[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = env[name];
+    }
+  });
+  let encryption;
+  jest.isolateModules(() => {
+    encryption = require('../utils/encryption');
+  });
+  return encryption;
+};
+
+describe('encryption keyring', () => {
+  afterAll(() => {
+    loadEncryption(originalEnv);
+  });
+
+  test('encrypts with the first key and decrypts with any key in the ring', () => {
+    const before = loadEncryption({ ENCRYPTION_KEYS: 'k1:first-secret' });
+    const oldValue = before.encryptData('refresh-token');
+
+    const after = loadEncryption({ ENCRYPTION_KEYS: 'k2:second-secret,k1:first-secret' });
+    const newValue = after.encryptData('refresh-token');
+
+    expect(oldValue).toMatch(/^v2:k1:/);
+    expect(newValue).toMatch(/^v2:k2:/);
+    expect(after.getPrimaryKeyId()).toBe('k2');
+    expect(after.decryptData(oldValue)).toBe('refresh-token');
+    expect(after.decryptData(newValue)).toBe('refresh-token');
+  });
+
+  test('re-encrypts values of older keys with the primary key', () => {
+    const oldValue = loadEncryption({ ENCRYPTION_KEYS: 'k1:first-secret' }).encryptData('access-token');
+    const encryption = loadEncryption({ ENCRYPTION_KEYS: 'k2:second-secret,k1:first-secret' });
+
+    expect(encryption.needsReencryption(oldValue)).toBe(true);
+    const reencrypted = encryption.reencryptData(oldValue);
+    expect(reencrypted).toMatch(/^v2:k2:/);
+    expect(encryption.needsReencryption(reencrypted)).toBe(false);
+
+    // Once the old key is removed, only the re-encrypted value can be read
+    const rotated = loadEncryption({ ENCRYPTION_KEYS: 'k2:second-secret' });
+    expect(rotated.decryptData(reencrypted)).toBe('access-token');
+    expect(() => rotated.decryptData(oldValue)).toThrow('Failed to retrieve sensitive data');
+  });
+
+  test('reads values written with ENCRYPTION_KEY before key IDs existed', () => {
+    const key = crypto.scryptSync('legacy-secret', Buffer.from('SleepOlympicsSaltForKeyDerivation', 'utf8'), 32);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = cipher.update('old-token', 'utf8', 'hex') + cipher.final('hex');
+    const legacyValue = `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted}`;
+
+    const encryption = loadEncryption({ ENCRYPTION_KEYS: 'k1:first-secret', ENCRYPTION_KEY: 'legacy-secret' });
+
+    expect(encryption.decryptData(legacyValue)).toBe('old-token');
+    expect(encryption.needsReencryption(legacyValue)).toBe(true);
+  });
+
+  test('stores values as plain text only outside production', () => {
+    const development = loadEncryption({ NODE_ENV: 'development' });
+    expect(development.encryptData('token')).toBe('insecure:token');
+    expect(development.decryptData('insecure:token')).toBe('token');
+    expect(development.needsReencryption('insecure:token')).toBe(false);
+
+    const production = loadEncryption({ NODE_ENV: 'production' });
+    expect(() => production.assertEncryptionConfigured()).toThrow('No encryption key configured');
+    expect(() => production.encryptData('token')).toThrow('no encryption key configured');
+  });
+
+  test('rejects a malformed keyring', () => {
+    expect(() => loadEncryption({ ENCRYPTION_KEYS: 'missing-secret' }).assertEncryptionConfigured())
+      .toThrow('comma separated list of keyId:secret pairs');
+    expect(() => loadEncryption({ ENCRYPTION_KEYS: 'k1:a,k1:b' }).assertEncryptionConfigured())
+      .toThrow('contains key ID k1 more than once');
+  });
+});
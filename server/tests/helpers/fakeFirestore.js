@@ -0,0 +1,380 @@
+/**
+ * In-memory stand-in for the parts of firebase-admin's Firestore the server uses, for tests.
+ *
+ * Documents live in a Map keyed by path. Dates are stored as given and read back as
+ * Timestamp-like objects (with `toDate()`), like Firestore does. Transactions and batches
+ * apply their writes when they commit; transactions run one at a time, like Firestore's
+ * serializable transactions. `onSnapshot` listeners are called asynchronously with the first
+ * snapshot and after writes that change their results (only 'added' and 'modified' changes).
+ */
+class FakeTimestamp {
+  constructor(date) {
+    this.date = date;
+  }
+
+  toDate() {
+    return new Date(this.date.getTime());
+  }
+
+  toMillis() {
+    return this.date.getTime();
+  }
+}
+
+const SERVER_TIMESTAMP = { fieldValue: 'serverTimestamp' };
+const DELETE = { fieldValue: 'delete' };
+const DOCUMENT_ID = { fieldPath: '__name__' };
+
+class FieldPath {
+  constructor(...segments) {
+    this.segments = segments;
+  }
+
+  static documentId() {
+    return DOCUMENT_ID;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => SERVER_TIMESTAMP,
+  delete: () => DELETE,
+  increment: (by) => ({ fieldValue: 'increment', by }),
+  arrayUnion: (...values) => ({ fieldValue: 'arrayUnion', values }),
+  arrayRemove: (...values) => ({ fieldValue: 'arrayRemove', values })
+};
+
+const toReadValue = (value) => {
+  if (value instanceof Date) {
+    return new FakeTimestamp(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toReadValue);
+  }
+  if (value && typeof value === 'object' && !(value instanceof FakeTimestamp)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toReadValue(inner)]));
+  }
+  return value;
+};
+
+const toComparable = (value) => {
+  if (value instanceof FakeTimestamp) {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+};
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const applyFieldValue = (current, value) => {
+  if (value === SERVER_TIMESTAMP) {
+    return new Date();
+  }
+  if (value && value.fieldValue === 'increment') {
+    return (typeof current === 'number' ? current : 0) + value.by;
+  }
+  if (value && value.fieldValue === 'arrayUnion') {
+    const array = Array.isArray(current) ? [...current] : [];
+    value.values.forEach(item => { if (!array.includes(item)) array.push(item); });
+    return array;
+  }
+  if (value && value.fieldValue === 'arrayRemove') {
+    return (Array.isArray(current) ? current : []).filter(item => !value.values.includes(item));
+  }
+  return value;
+};
+
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath instanceof FieldPath ? fieldPath.segments : fieldPath.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach(key => {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  const last = keys[keys.length - 1];
+  if (value === DELETE) {
+    delete target[last];
+  } else {
+    target[last] = applyFieldValue(target[last], value);
+  }
+};
+
+const mergeInto = (data, update) => {
+  Object.entries(update).forEach(([key, value]) => {
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value) &&
+      !(value instanceof Date) && !value.fieldValue;
+    if (isPlainObject) {
+      data[key] = data[key] && typeof data[key] === 'object' ? data[key] : {};
+      mergeInto(data[key], value);
+    } else {
+      setField(data, key, value);
+    }
+  });
+};
+
+const resolveValues = (data) => {
+  const resolved = {};
+  mergeInto(resolved, data);
+  return resolved;
+};
+
+const matches = (fieldValue, { op, value }) => {
+  const actual = toComparable(fieldValue);
+  const expected = toComparable(value);
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== undefined && actual !== expected;
+    case '<': return actual !== undefined && actual < expected;
+    case '<=': return actual !== undefined && actual <= expected;
+    case '>': return actual !== undefined && actual > expected;
+    case '>=': return actual !== undefined && actual >= expected;
+    case 'in': return value.map(toComparable).includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const createFakeFirestore = () => {
+  const docs = new Map(); // path -> data
+
+  const snapshotOf = (ref) => {
+    const data = docs.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : toReadValue(data)),
+      get: (fieldPath) => (data === undefined ? undefined : toReadValue(getField(data, fieldPath)))
+    };
+  };
+
+  const listeners = new Set();
+  const notifyListeners = () => {
+    Promise.resolve().then(() => listeners.forEach(listener => listener()));
+  };
+
+  /**
+   * Registers a listener that checks for changes now and after every write.
+   * @param {Function} check - Compares the current results with the last ones and reports changes.
+   * @returns {Function} Function that removes the listener.
+   */
+  const listen = (check) => {
+    const listener = () => check();
+    listeners.add(listener);
+    Promise.resolve().then(() => listeners.has(listener) && check());
+    return () => listeners.delete(listener);
+  };
+
+  const write = {
+    set: (ref, data, options = {}) => {
+      if (options.merge && docs.has(ref.path)) {
+        mergeInto(docs.get(ref.path), data);
+      } else {
+        docs.set(ref.path, resolveValues(data));
+      }
+      notifyListeners();
+    },
+    // Takes an object of field paths, or alternating field paths and values like Firestore
+    update: (ref, ...fieldsOrData) => {
+      if (!docs.has(ref.path)) {
+        const error = new Error(`No document to update: ${ref.path}`);
+        error.code = 5;
+        throw error;
+      }
+      const current = docs.get(ref.path);
+      const pairs = [];
+      if (fieldsOrData.length === 1) {
+        pairs.push(...Object.entries(fieldsOrData[0]));
+      } else {
+        for (let i = 0; i < fieldsOrData.length; i += 2) {
+          pairs.push([fieldsOrData[i], fieldsOrData[i + 1]]);
+        }
+      }
+      pairs.forEach(([fieldPath, value]) => setField(current, fieldPath, value));
+      notifyListeners();
+    },
+    delete: (ref) => {
+      docs.delete(ref.path);
+      notifyListeners();
+    }
+  };
+
+  let autoId = 0;
+  let transactionQueue = Promise.resolve();
+
+  const docRef = (path) => {
+    const id = path.split('/').pop();
+    const ref = {
+      id,
+      path,
+      get parent() {
+        return collectionRef(path.split('/').slice(0, -1).join('/'));
+      },
+      get: async () => snapshotOf(ref),
+      set: async (data, options) => write.set(ref, data, options),
+      update: async (...fieldsOrData) => write.update(ref, ...fieldsOrData),
+      delete: async () => write.delete(ref),
+      collection: (name) => collectionRef(`${path}/${name}`),
+      onSnapshot: (onNext) => {
+        let previous;
+        return listen(() => {
+          const current = JSON.stringify(docs.get(path) ?? null);
+          if (current !== previous) {
+            previous = current;
+            onNext(snapshotOf(ref));
+          }
+        });
+      }
+    };
+    return ref;
+  };
+
+  // `path` is a collection path, or a collection ID for collection group queries
+  const query = (path, filters = [], order = [], limitCount = null, group = false) => ({
+    where: (field, op, value) => query(path, [...filters, { field, op, value }], order, limitCount, group),
+    orderBy: (field, direction = 'asc') => query(path, filters, [...order, { field, direction }], limitCount, group),
+    limit: (count) => query(path, filters, order, count, group),
+    // All fields are returned; callers only rely on the ones they select
+    select: () => query(path, filters, order, limitCount, group),
+    get: async () => {
+      const prefix = `${path}/`;
+      const inQuery = group
+        ? (key) => key.split('/').slice(-2, -1)[0] === path
+        : (key) => key.startsWith(prefix) && !key.slice(prefix.length).includes('/');
+      const fieldOf = (ref, field) => (field === DOCUMENT_ID ? ref.id : getField(docs.get(ref.path), field));
+      let refs = [...docs.keys()]
+        .filter(inQuery)
+        .map(docRef)
+        .filter(ref => filters.every(filter => matches(fieldOf(ref, filter.field), filter)));
+
+      order.slice().reverse().forEach(({ field, direction }) => {
+        refs = refs.slice().sort((a, b) => {
+          const left = toComparable(fieldOf(a, field));
+          const right = toComparable(fieldOf(b, field));
+          const result = left < right ? -1 : (left > right ? 1 : 0);
+          return direction === 'desc' ? -result : result;
+        });
+      });
+      if (limitCount !== null) {
+        refs = refs.slice(0, limitCount);
+      }
+
+      const snapshots = refs.map(snapshotOf);
+      return {
+        docs: snapshots,
+        empty: snapshots.length === 0,
+        size: snapshots.length,
+        forEach: (callback) => snapshots.forEach(callback)
+      };
+    },
+    stream: () => (async function* () {
+      const snapshot = await query(path, filters, order, limitCount, group).get();
+      yield* snapshot.docs;
+    })(),
+    onSnapshot: (onNext) => {
+      let previous = null; // path -> serialized data of the last delivered results
+      return listen(async () => {
+        const snapshot = await query(path, filters, order, limitCount, group).get();
+        const current = new Map(snapshot.docs.map(doc => [doc.ref.path, JSON.stringify(docs.get(doc.ref.path))]));
+        const changes = snapshot.docs
+          .filter(doc => !previous || previous.get(doc.ref.path) !== current.get(doc.ref.path))
+          .map(doc => ({ type: previous?.has(doc.ref.path) ? 'modified' : 'added', doc }));
+        const removed = previous !== null && [...previous.keys()].some(docPath => !current.has(docPath));
+        if (previous !== null && changes.length === 0 && !removed) {
+          return;
+        }
+        previous = current;
+        onNext({ ...snapshot, docChanges: () => changes });
+      });
+    }
+  });
+
+  const collectionRef = (path) => ({
+    ...query(path),
+    id: path.split('/').pop(),
+    path,
+    get parent() {
+      return path.includes('/') ? docRef(path.split('/').slice(0, -1).join('/')) : null;
+    },
+    doc: (id) => docRef(`${path}/${id || `auto-${++autoId}`}`),
+    add: async (data) => {
+      const ref = docRef(`${path}/auto-${++autoId}`);
+      write.set(ref, data);
+      return ref;
+    }
+  });
+
+  const batch = () => {
+    const operations = [];
+    return {
+      set: (ref, data, options) => operations.push(() => write.set(ref, data, options)),
+      update: (ref, ...fieldsOrData) => operations.push(() => write.update(ref, ...fieldsOrData)),
+      delete: (ref) => operations.push(() => write.delete(ref)),
+      commit: async () => operations.forEach(operation => operation())
+    };
+  };
+
+  const firestore = {
+    docs,
+    collection: collectionRef,
+    collectionGroup: (collectionId) => query(collectionId, [], [], null, true),
+    doc: docRef,
+    batch,
+    getAll: async (...refs) => refs.map(snapshotOf),
+    recursiveDelete: async (ref) => {
+      [...docs.keys()]
+        .filter(key => key === ref.path || key.startsWith(`${ref.path}/`))
+        .forEach(key => docs.delete(key));
+    },
+    bulkWriter: () => ({
+      set: async (ref, data, options) => write.set(ref, data, options),
+      update: async (ref, data) => write.update(ref, data),
+      delete: async (ref) => write.delete(ref),
+      close: async () => {}
+    }),
+    runTransaction: (updateFunction) => {
+      const run = async () => {
+        const transaction = batch();
+        transaction.get = async (refOrQuery) => refOrQuery.get();
+        const result = await updateFunction(transaction);
+        await transaction.commit();
+        return result;
+      };
+      const result = transactionQueue.then(run);
+      transactionQueue = result.catch(() => {});
+      return result;
+    }
+  };
+
+  return firestore;
+};
+
+/**
+ * Creates a jest mock of the firebase-admin module backed by a fake Firestore.
+ * @returns {{admin: object, firestore: object}} Module mock and the fake database.
+ */
+const createFirebaseAdminMock = () => {
+  const firestore = createFakeFirestore();
+  const firestoreFn = () => firestore;
+  firestoreFn.FieldValue = FieldValue;
+  firestoreFn.FieldPath = FieldPath;
+  firestoreFn.Timestamp = { fromDate: (date) => new FakeTimestamp(date) };
+
+  return {
+    firestore,
+    admin: {
+      firestore: firestoreFn,
+      auth: () => ({})
+    }
+  };
+};
+
+module.exports = {
+  FakeTimestamp,
+  createFakeFirestore,
+  createFirebaseAdminMock
+};
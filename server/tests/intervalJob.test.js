@@ -0,0 +1,59 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { logger } = require('../utils/logger');
+const { createIntervalJob } = require('../utils/intervalJob');
+
+describe('createIntervalJob', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('skips a run while the previous one is in progress', async () => {
+    let finish;
+    const task = jest.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }))
+      .mockResolvedValue('again');
+    const job = createIntervalJob('Test', task);
+
+    const first = job.run('a');
+    expect(await job.run('b')).toBeNull();
+    finish('done');
+
+    expect(await first).toBe('done');
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(task).toHaveBeenCalledWith('a');
+    expect(await job.run('c')).toBe('again');
+  });
+
+  test('runs on start and after every interval until stopped', async () => {
+    jest.useFakeTimers();
+    const task = jest.fn().mockResolvedValue({});
+    const job = createIntervalJob('Test', task);
+
+    const stop = job.start({ intervalMs: 1000 });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(task).toHaveBeenCalledTimes(3);
+
+    stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('keeps the schedule after a failed run', async () => {
+    jest.useFakeTimers();
+    const task = jest.fn().mockRejectedValueOnce(new Error('Firestore unavailable')).mockResolvedValue({});
+    const job = createIntervalJob('Test', task);
+
+    job.start({ getDelayMs: () => 500 });
+    await jest.advanceTimersByTimeAsync(1000);
+    job.stop();
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledWith('Test run failed:', { error: 'Firestore unavailable' });
+  });
+});
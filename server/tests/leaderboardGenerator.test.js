@@ -0,0 +1,47 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/eventBus', () => ({
+  ...jest.requireActual('../utils/eventBus'),
+  emitEvent: jest.fn().mockResolvedValue({ handled: 0, failed: 0 })
+}));
+
+const { generateLeaderboard } = require('../utils/leaderboardGenerator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const latestLeaderboards = () => [...mockFirebase.firestore.docs.entries()]
+  .filter(([path, data]) => path.startsWith('leaderboards/') && data.isLatest);
+
+describe('generateLeaderboard', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    const now = Date.now();
+    await mockFirebase.firestore.doc('competitions/competition-1').set({
+      title: 'Sleep week',
+      type: 'CHALLENGE',
+      status: 'ACTIVE',
+      startDate: new Date(now - 2 * DAY_MS),
+      endDate: new Date(now + 5 * DAY_MS),
+      participants: []
+    });
+  });
+
+  test('retires the previous latest leaderboard', async () => {
+    const first = await generateLeaderboard('competition-1');
+    const second = await generateLeaderboard('competition-1');
+
+    expect(latestLeaderboards().map(([path]) => path)).toEqual([`leaderboards/${second.id}`]);
+    expect(mockFirebase.firestore.docs.get(`leaderboards/${first.id}`).isLatest).toBe(false);
+  });
+
+  test('leaves one latest leaderboard when generations overlap', async () => {
+    await Promise.all([generateLeaderboard('competition-1'), generateLeaderboard('competition-1')]);
+
+    expect(latestLeaderboards()).toHaveLength(1);
+  });
+});
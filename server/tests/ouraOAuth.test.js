@@ -0,0 +1,86 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('axios');
+
+process.env.ENCRYPTION_KEYS = 'test:test-secret';
+
+const axios = require('axios');
+const { encryptData } = require('../utils/encryption');
+const { createOuraClient, revokeAccessToken } = require('../utils/ouraOAuth');
+
+/**
+ * Makes axios.create return a client whose GET requests answer with the given pages in turn.
+ * @param {Array<object>} pages - Response bodies.
+ * @returns {jest.Mock} The client's get mock.
+ */
+const mockPages = (pages) => {
+  const get = jest.fn();
+  pages.forEach(page => get.mockResolvedValueOnce({ data: page }));
+  axios.create.mockReturnValue({
+    get,
+    interceptors: { request: { use: jest.fn() }, response: { use: jest.fn() } }
+  });
+  return get;
+};
+
+describe('getAllPages', () => {
+  test('follows next_token until the last page', async () => {
+    const get = mockPages([
+      { data: [{ id: 1 }, { id: 2 }], next_token: 'page-2' },
+      { data: [{ id: 3 }], next_token: null }
+    ]);
+    const client = createOuraClient('insecure:access-token');
+
+    const result = await client.getAllPages('/daily_sleep', { params: { start_date: '2024-06-01' } });
+
+    expect(result).toEqual({ data: [{ id: 1 }, { id: 2 }, { id: 3 }], pages: 2, truncated: false });
+    expect(get).toHaveBeenNthCalledWith(1, '/daily_sleep', { params: { start_date: '2024-06-01' } });
+    expect(get).toHaveBeenNthCalledWith(2, '/daily_sleep', { params: { start_date: '2024-06-01', next_token: 'page-2' } });
+  });
+
+  test('stops at maxPages and reports the result as truncated', async () => {
+    const get = mockPages([
+      { data: [{ id: 1 }], next_token: 'page-2' },
+      { data: [{ id: 2 }], next_token: 'page-3' }
+    ]);
+    const client = createOuraClient('insecure:access-token');
+
+    const result = await client.getAllPages('/heartrate', { maxPages: 2 });
+
+    expect(result).toEqual({ data: [{ id: 1 }, { id: 2 }], pages: 2, truncated: true });
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects responses without a data array', async () => {
+    mockPages([{ message: 'Not a collection' }]);
+    const client = createOuraClient('insecure:access-token');
+
+    await expect(client.getAllPages('/personal_info')).rejects.toMatchObject({ code: 'OURA_INVALID_RESPONSE' });
+  });
+});
+
+describe('revokeAccessToken', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  test.each([
+    ['encrypted', () => encryptData('access-token')],
+    ['insecure', () => 'insecure:access-token']
+  ])('revokes the decrypted token of an %s value', async (kind, storedToken) => {
+    axios.get.mockResolvedValue({ data: {} });
+
+    await revokeAccessToken(storedToken());
+
+    expect(axios.get).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      params: { access_token: 'access-token' }
+    }));
+  });
+
+  test('treats an already invalid token as revoked', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }));
+
+    await expect(revokeAccessToken('insecure:access-token')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/ouraOAuth', () => ({
+  createOuraClient: jest.fn()
+}));
+jest.mock('../utils/ouraTokenRefresh', () => ({
+  isSameToken: jest.requireActual('../utils/ouraTokenRefresh').isSameToken,
+  markTokenInvalid: jest.fn().mockResolvedValue(true),
+  refreshOuraToken: jest.fn(),
+  waitForTokenRefresh: jest.fn().mockResolvedValue()
+}));
+
+const ouraOAuth = require('../utils/ouraOAuth');
+const ouraTokenRefresh = require('../utils/ouraTokenRefresh');
+const { getConnectedOuraUsers, purgeOuraData, syncUserOuraData } = require('../utils/ouraSync');
+
+const USER_ID = 'user-1';
+const userRef = () => mockFirebase.firestore.doc(`users/${USER_ID}`);
+const storedUser = () => mockFirebase.firestore.docs.get(`users/${USER_ID}`);
+const night = (date, source) => ({ date: new Date(`${date}T00:00:00Z`), ouraScore: 80, ...(source && { source }) });
+
+describe('purgeOuraData', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+  });
+
+  test('deletes Oura nights, including ones stored before nights had a source', async () => {
+    const daily = mockFirebase.firestore.collection(`sleepData/${USER_ID}/daily`);
+    await daily.doc('2024-01-01').set(night('2024-01-01'));
+    await daily.doc('2024-01-02').set(night('2024-01-02', 'oura'));
+    await daily.doc('2024-01-03').set(night('2024-01-03', 'manual'));
+    await daily.doc('2024-01-04').set(night('2024-01-04', 'apple_health'));
+
+    const report = await purgeOuraData(USER_ID);
+
+    expect(report.daily).toBe(2);
+    const remaining = (await daily.get()).docs.map(doc => doc.id);
+    expect(remaining).toEqual(['2024-01-03', '2024-01-04']);
+  });
+});
+
+describe('getConnectedOuraUsers', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+  });
+
+  test('includes users whose integration is still in the legacy field', async () => {
+    const users = mockFirebase.firestore.collection('users');
+    await users.doc('current').set({ integrations: { oura: { connected: true } } });
+    await users.doc('legacy').set({ ouraIntegration: { connected: true, ouraUserId: 'oura-1' } });
+    await users.doc('both').set({ integrations: { oura: { connected: true, tokenInvalid: true } }, ouraIntegration: { connected: true } });
+    await users.doc('disconnected').set({ integrations: { oura: { connected: false } }, ouraIntegration: { connected: true } });
+
+    const connected = await getConnectedOuraUsers();
+
+    expect(connected.map(({ id }) => id).sort()).toEqual(['both', 'current', 'legacy']);
+    expect(connected.find(({ id }) => id === 'legacy').integration.ouraUserId).toBe('oura-1');
+    expect(connected.find(({ id }) => id === 'both').integration.tokenInvalid).toBe(true);
+  });
+});
+
+describe('syncUserOuraData', () => {
+  let client;
+
+  const integration = () => ({
+    connected: true,
+    accessToken: 'insecure:access-1',
+    refreshToken: 'insecure:refresh-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    client = { getAllPages: jest.fn().mockResolvedValue({ data: [], pages: 1, truncated: false }) };
+    ouraOAuth.createOuraClient.mockReturnValue(client);
+    await userRef().set({ integrations: { oura: integration() } });
+  });
+
+  test('stores the sync date', async () => {
+    const result = await syncUserOuraData(USER_ID);
+
+    expect(result.status).toBe('completed');
+    expect(storedUser().integrations.oura).toEqual({ ...integration(), expiresAt: expect.anything(), lastSyncDate: expect.any(Date) });
+  });
+
+  test('keeps tokens refreshed elsewhere during the sync', async () => {
+    client.getAllPages.mockImplementationOnce(async () => {
+      await userRef().update({
+        'integrations.oura.accessToken': 'insecure:access-2',
+        'integrations.oura.refreshToken': 'insecure:refresh-2'
+      });
+      return { data: [], pages: 1, truncated: false };
+    });
+
+    await syncUserOuraData(USER_ID);
+
+    expect(storedUser().integrations.oura).toMatchObject({ accessToken: 'insecure:access-2', refreshToken: 'insecure:refresh-2' });
+    expect(storedUser().integrations.oura.lastSyncDate).toBeUndefined();
+  });
+
+  test('leaves a connection that was disconnected during the sync alone', async () => {
+    client.getAllPages.mockImplementationOnce(async () => {
+      await userRef().update({ 'integrations.oura': { connected: false } });
+      return { data: [], pages: 1, truncated: false };
+    });
+
+    await syncUserOuraData(USER_ID);
+
+    expect(storedUser().integrations.oura).toEqual({ connected: false });
+  });
+
+  test('marks the connection invalid through the token refresh when Oura rejects the token', async () => {
+    client.getAllPages.mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { response: { status: 401, data: {} } }));
+
+    const result = await syncUserOuraData(USER_ID, { requestId: 'request-1' });
+
+    expect(result).toMatchObject({ status: 'failed', needsReconnect: true, statusCode: 401 });
+    expect(ouraTokenRefresh.markTokenInvalid).toHaveBeenCalledWith(USER_ID, 'insecure:refresh-1', 'request-1');
+  });
+
+  test('stores the sync date of a user not yet migrated in the legacy field', async () => {
+    await userRef().set({ ouraIntegration: integration() });
+
+    await syncUserOuraData(USER_ID);
+
+    expect(storedUser().ouraIntegration.lastSyncDate).toBeInstanceOf(Date);
+    expect(storedUser().integrations).toBeUndefined();
+  });
+
+  test('skips heart rate for a targeted re-fetch of a day older than 30 days', async () => {
+    const result = await syncUserOuraData(USER_ID, { dateRange: { startDate: '2024-01-01', endDate: '2024-01-01' } });
+
+    expect(result.status).toBe('completed');
+    expect(result.datasets.heartRate).toEqual(expect.objectContaining({ received: 0, skipped: true }));
+    const endpoints = client.getAllPages.mock.calls.map(([endpoint]) => endpoint);
+    expect(endpoints).toContain('/daily_sleep');
+    expect(endpoints).not.toContain('/heartrate');
+  });
+
+  test('fetches heart rate for recent days from the start of the day', async () => {
+    const day = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    await syncUserOuraData(USER_ID, { dateRange: { startDate: day, endDate: day } });
+
+    const [, { params }] = client.getAllPages.mock.calls.find(([endpoint]) => endpoint === '/heartrate');
+    expect(params.start_datetime).toBe(`${day}T00:00:00.000Z`);
+    expect(params.end_datetime).toBe(`${day}T23:59:59.999Z`);
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/ouraOAuth', () => ({
+  refreshAccessToken: jest.fn()
+}));
+jest.mock('../utils/eventBus', () => ({
+  ...jest.requireActual('../utils/eventBus'),
+  emitEvent: jest.fn().mockResolvedValue({ handled: 0, failed: 0 })
+}));
+
+process.env.ENCRYPTION_KEYS = 'test:test-secret';
+
+const ouraOAuth = require('../utils/ouraOAuth');
+const { encryptData, decryptData } = require('../utils/encryption');
+const { refreshOuraToken } = require('../utils/ouraTokenRefresh');
+const { acquireLease, releaseLease } = require('../utils/firestoreLease');
+
+const USER_ID = 'user-1';
+const userRef = () => mockFirebase.firestore.doc(`users/${USER_ID}`);
+const storedIntegration = () => mockFirebase.firestore.docs.get(`users/${USER_ID}`).integrations.oura;
+
+describe('refreshOuraToken', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    ouraOAuth.refreshAccessToken.mockReset();
+    await userRef().set({
+      integrations: {
+        oura: { connected: true, accessToken: encryptData('access-1'), refreshToken: encryptData('refresh-1') }
+      }
+    });
+  });
+
+  test('stores the new tokens when the stored token was only re-encrypted meanwhile', async () => {
+    ouraOAuth.refreshAccessToken.mockImplementation(async () => {
+      // Key rotation re-encrypts the same token while Oura answers
+      await userRef().update({ 'integrations.oura.refreshToken': encryptData('refresh-1') });
+      return { access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 86400 };
+    });
+
+    const result = await refreshOuraToken(USER_ID);
+
+    expect(result.status).toBe('refreshed');
+    expect(decryptData(storedIntegration().refreshToken)).toBe('refresh-2');
+  });
+
+  test('waits for a refresh running elsewhere and uses the tokens it stored', async () => {
+    await acquireLease(`ouraTokenRefresh:${USER_ID}`, 'other-instance', 60 * 1000);
+    setTimeout(async () => {
+      await userRef().update({
+        'integrations.oura.accessToken': encryptData('access-other'),
+        'integrations.oura.refreshToken': encryptData('refresh-other')
+      });
+      await releaseLease(`ouraTokenRefresh:${USER_ID}`, 'other-instance');
+    }, 100);
+
+    const result = await refreshOuraToken(USER_ID);
+
+    expect(result.status).toBe('superseded');
+    expect(decryptData(result.integration.accessToken)).toBe('access-other');
+    expect(ouraOAuth.refreshAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('releases its lease when done', async () => {
+    ouraOAuth.refreshAccessToken.mockResolvedValue({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 86400 });
+
+    await refreshOuraToken(USER_ID);
+
+    expect(mockFirebase.firestore.docs.has(`leases/ouraTokenRefresh:${USER_ID}`)).toBe(false);
+  });
+
+  test('keeps tokens stored by another refresh meanwhile', async () => {
+    ouraOAuth.refreshAccessToken.mockImplementation(async () => {
+      await userRef().update({ 'integrations.oura.refreshToken': encryptData('refresh-other') });
+      return { access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 86400 };
+    });
+
+    const result = await refreshOuraToken(USER_ID);
+
+    expect(result.status).toBe('superseded');
+    expect(decryptData(storedIntegration().refreshToken)).toBe('refresh-other');
+  });
+});
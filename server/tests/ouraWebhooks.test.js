@@ -0,0 +1,85 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const crypto = require('crypto');
+const { verifySignature, handleWebhookEvent } = require('../utils/ouraWebhooks');
+
+const SECRET = 'webhook-secret';
+const BODY = JSON.stringify({ event_type: 'update', data_type: 'daily_sleep', object_id: 'abc', user_id: 'oura-1' });
+
+const sign = (timestamp, body = BODY) => crypto.createHmac('sha256', SECRET).update(`${timestamp}${body}`).digest('hex');
+
+describe('verifySignature', () => {
+  const now = new Date('2024-06-01T12:00:00Z');
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  beforeAll(() => {
+    process.env.OURA_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.OURA_WEBHOOK_SECRET;
+  });
+
+  test('accepts a valid signature over a recent timestamp', () => {
+    const timestamp = String(nowSeconds - 60);
+    expect(verifySignature(Buffer.from(BODY), timestamp, sign(timestamp), now)).toBe(true);
+  });
+
+  test('rejects a valid signature over a timestamp outside the window', () => {
+    const old = String(nowSeconds - 10 * 60);
+    const future = String(nowSeconds + 10 * 60);
+    expect(verifySignature(Buffer.from(BODY), old, sign(old), now)).toBe(false);
+    expect(verifySignature(Buffer.from(BODY), future, sign(future), now)).toBe(false);
+  });
+
+  test('rejects a tampered body or a malformed timestamp', () => {
+    const timestamp = String(nowSeconds);
+    expect(verifySignature(Buffer.from(`${BODY} `), timestamp, sign(timestamp), now)).toBe(false);
+    expect(verifySignature(Buffer.from(BODY), 'yesterday', sign('yesterday'), now)).toBe(false);
+  });
+});
+
+describe('handleWebhookEvent', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    await mockFirebase.firestore.doc('users/user-1').set({
+      integrations: { oura: { connected: true, providerUserId: 'oura-1' } }
+    });
+    await mockFirebase.firestore.doc('sleepData/user-1/daily/2024-06-01').set({ ouraScore: 80, notes: 'Slept well' });
+  });
+
+  test('keeps the stored night when Oura deletes daily sleep', async () => {
+    const result = await handleWebhookEvent({ event_type: 'delete', data_type: 'daily_sleep', object_id: 'abc', user_id: 'oura-1' });
+
+    expect(result).toEqual({ handled: false, reason: 'Deleted daily sleep is kept' });
+    expect(mockFirebase.firestore.docs.has('sleepData/user-1/daily/2024-06-01')).toBe(true);
+  });
+});
+
+describe('handleWebhookEvent for users with a legacy Oura integration', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    await mockFirebase.firestore.doc('users/user-2').set({
+      ouraIntegration: { connected: true, ouraUserId: 'oura-2' }
+    });
+    await mockFirebase.firestore.doc('sleepData/user-2/workouts/w-1').set({ sourceData: { provider: 'oura', sourceId: 'xyz' } });
+  });
+
+  test('finds the user by the legacy Oura user ID', async () => {
+    const result = await handleWebhookEvent({ event_type: 'delete', data_type: 'workout', object_id: 'xyz', user_id: 'oura-2' });
+
+    expect(result).toEqual({ handled: true, deleted: 1 });
+    expect(mockFirebase.firestore.docs.has('sleepData/user-2/workouts/w-1')).toBe(false);
+  });
+
+  test('ignores Oura users without an app user', async () => {
+    const result = await handleWebhookEvent({ event_type: 'delete', data_type: 'workout', object_id: 'xyz', user_id: 'oura-3' });
+
+    expect(result).toEqual({ handled: false, reason: 'No connected user for this Oura account' });
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../utils/ouraOAuth', () => ({
+  getAuthorizationUrl: jest.fn(state => `https://cloud.ouraring.com/oauth/authorize?state=${state}`),
+  exchangeCodeForToken: jest.fn(),
+  refreshAccessToken: jest.fn(),
+  createOuraClient: jest.fn()
+}));
+jest.mock('../utils/ouraSync', () => ({
+  mapOuraDataToSleepData: jest.fn()
+}));
+
+const ouraOAuth = require('../utils/ouraOAuth');
+const { registerProvider, getProvider, listProviders } = require('../utils/providers');
+
+describe('provider registry', () => {
+  test('registers Oura as the first provider', () => {
+    expect(listProviders()).toEqual([{ name: 'oura', displayName: 'Oura' }]);
+    expect(getProvider('fitbit')).toBeNull();
+  });
+
+  test('rejects providers that do not implement the interface', () => {
+    expect(() => registerProvider({ displayName: 'Nameless' })).toThrow('Provider must have a name');
+    expect(() => registerProvider({ name: 'fitbit', getAuthorizationUrl: () => '' }))
+      .toThrow('Provider fitbit is missing: exchangeCodeForToken, refreshAccessToken, fetchDailySleep, normalizeSleepData');
+    expect(getProvider('fitbit')).toBeNull();
+  });
+
+  test('registers providers that implement the interface', () => {
+    const provider = {
+      name: 'withings',
+      displayName: 'Withings',
+      getAuthorizationUrl: () => 'https://account.withings.com/oauth2_user/authorize2',
+      exchangeCodeForToken: async () => ({}),
+      refreshAccessToken: async () => ({}),
+      fetchDailySleep: async () => [],
+      normalizeSleepData: () => []
+    };
+
+    registerProvider(provider);
+
+    expect(getProvider('withings')).toBe(provider);
+    expect(listProviders()).toContainEqual({ name: 'withings', displayName: 'Withings' });
+  });
+});
+
+describe('Oura provider', () => {
+  const oura = getProvider('oura');
+
+  test('converts Oura token responses to token sets', async () => {
+    ouraOAuth.exchangeCodeForToken.mockResolvedValue({
+      access_token: 'access', refresh_token: 'refresh', expires_in: 86400
+    });
+
+    await expect(oura.exchangeCodeForToken('code')).resolves.toEqual({
+      accessToken: 'access', refreshToken: 'refresh', expiresIn: 86400, providerUserId: null
+    });
+  });
+
+  test('fetches every page of daily sleep', async () => {
+    const getAllPages = jest.fn().mockResolvedValue({ data: [{ day: '2024-06-01' }], pages: 1, truncated: false });
+    ouraOAuth.createOuraClient.mockReturnValue({ getAllPages });
+
+    const records = await oura.fetchDailySleep('encrypted', '2024-06-01', '2024-06-07', { requestId: 'request-1' });
+
+    expect(records).toEqual([{ day: '2024-06-01' }]);
+    expect(ouraOAuth.createOuraClient).toHaveBeenCalledWith('encrypted', 'request-1');
+    expect(getAllPages).toHaveBeenCalledWith('/daily_sleep', { params: { start_date: '2024-06-01', end_date: '2024-06-07' } });
+  });
+});
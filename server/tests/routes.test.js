@@ -0,0 +1,49 @@
+/**
+ * Router smoke tests: every route module builds its router, so the server can start.
+ */
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  configureLogging: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+
+const routesDir = path.join(__dirname, '../routes');
+const routeFiles = fs.readdirSync(routesDir).filter(file => file.endsWith('.js'));
+
+describe('routes', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test.each(routeFiles)('%s builds a router', (file) => {
+    const createRouter = require(path.join(routesDir, file));
+    const router = createRouter({});
+
+    expect(typeof router).toBe('function');
+    expect(router.stack.length).toBeGreaterThan(0);
+  });
+
+  const listRoutes = (router) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+
+  test('webhook routes take no arguments', () => {
+    const router = require('../routes/webhooks')();
+
+    expect(listRoutes(router)).toEqual(['GET /oura', 'POST /oura']);
+  });
+
+  test('stream route authenticates with the stream token check', () => {
+    const { authenticateStream } = require('../middleware/auth');
+    const router = require('../routes/stream')();
+
+    expect(listRoutes(router)).toEqual(['GET /']);
+    expect(router.stack[0].route.stack[0].handle).toBe(authenticateStream);
+  });
+});
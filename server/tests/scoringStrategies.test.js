@@ -0,0 +1,58 @@
+const {
+  DEFAULT_SCORING_TYPE,
+  registerScoringStrategy,
+  getScoringStrategy,
+  getScoringTypes,
+  getBaselineDays
+} = require('../utils/scoringStrategies');
+
+const nights = (...scores) => scores.map(ouraScore => ({ ouraScore }));
+
+describe('scoring strategies', () => {
+  test('falls back to the default strategy for unknown types', () => {
+    expect(getScoringStrategy('CHALLENGE')).toBe(getScoringStrategy(DEFAULT_SCORING_TYPE));
+    expect(getScoringTypes()).toEqual(expect.arrayContaining(['highest_score', 'improvement', 'consistency']));
+  });
+
+  test('highest_score averages the nightly scores, ignoring missing ones', () => {
+    expect(getScoringStrategy('highest_score').calculate([...nights(80, 85), { ouraScore: null }])).toBe(82.5);
+    expect(getScoringStrategy('highest_score').calculate([])).toBeNull();
+  });
+
+  test('improvement compares against the baseline and needs both', () => {
+    const strategy = getScoringStrategy('improvement');
+
+    expect(strategy.requiresBaseline).toBe(true);
+    expect(strategy.calculate(nights(80, 90), { baselineRecords: nights(70, 74) })).toBe(13);
+    expect(strategy.calculate(nights(80, 90), { baselineRecords: [] })).toBeNull();
+  });
+
+  test('consistency ranks lower deviations first and needs two nights', () => {
+    const strategy = getScoringStrategy('consistency');
+
+    expect(strategy.lowerIsBetter).toBe(true);
+    expect(strategy.calculate(nights(70, 80))).toBe(5);
+    expect(strategy.calculate(nights(70))).toBeNull();
+  });
+
+  test('metric strategies read the nightly metrics', () => {
+    const records = [{ metrics: { latency: 600, deepSleep: 3600 } }, { metrics: { latency: 900, deepSleep: 5400 } }];
+
+    expect(getScoringStrategy('lowest_latency').calculate(records)).toBe(750);
+    expect(getScoringStrategy('lowest_latency').lowerIsBetter).toBe(true);
+    expect(getScoringStrategy('deep_sleep').calculate(records)).toBe(4500);
+  });
+
+  test('registers custom strategies and rejects ones without calculate', () => {
+    registerScoringStrategy('nights_logged', { description: 'Nights with data', calculate: records => records.length });
+
+    expect(getScoringStrategy('nights_logged').calculate(nights(1, 2, 3))).toBe(3);
+    expect(() => registerScoringStrategy('broken', {})).toThrow('must provide a calculate function');
+  });
+
+  test('uses the baseline days from the rules or the default', () => {
+    expect(getBaselineDays({ rules: { baselineDays: '7' } })).toBe(7);
+    expect(getBaselineDays({ rules: { baselineDays: 0 } })).toBe(14);
+    expect(getBaselineDays({})).toBe(14);
+  });
+});
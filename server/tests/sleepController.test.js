@@ -0,0 +1,49 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/sleepExport', () => ({
+  ...jest.requireActual('../utils/sleepExport'),
+  streamSleepDataExport: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const sleepExport = require('../utils/sleepExport');
+const sleepController = require('../controllers/sleepController');
+
+const app = express();
+app.get('/export', (req, res, next) => {
+  req.userId = 'user-1';
+  next();
+}, sleepController.exportSleepData);
+
+describe('exportSleepData', () => {
+  test('streams the export as a download', async () => {
+    sleepExport.streamSleepDataExport.mockImplementation(async (userId, output) => {
+      output.write('date,score\r\n');
+      return 0;
+    });
+
+    const response = await request(app).get('/export?format=csv');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="sleep-data-.*\.csv"$/);
+    expect(response.text).toBe('date,score\r\n');
+  });
+
+  test('sends a JSON error without download headers when the export fails before writing', async () => {
+    sleepExport.streamSleepDataExport.mockRejectedValue(new Error('Firestore unavailable'));
+
+    const response = await request(app).get('/export?format=csv');
+
+    expect(response.status).toBe(500);
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.headers['content-disposition']).toBeUndefined();
+    expect(response.body).toEqual({ error: 'Failed to export sleep data.' });
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const { writeDailySleepRecords } = require('../utils/sleepDataWriter');
+
+const USER_ID = 'user-1';
+
+const storeNight = (dateId, data) => mockFirebase.firestore.doc(`sleepData/${USER_ID}/daily/${dateId}`)
+  .set({ date: new Date(`${dateId}T00:00:00Z`), ...data });
+const readNight = (dateId) => mockFirebase.firestore.docs.get(`sleepData/${USER_ID}/daily/${dateId}`);
+const night = (dateId, source, ouraScore) => ({
+  userId: USER_ID,
+  dateId,
+  date: new Date(`${dateId}T00:00:00Z`),
+  source,
+  ouraScore,
+  metrics: { totalSleepTime: 420 }
+});
+
+describe('writeDailySleepRecords', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+  });
+
+  test('keeps manual and imported nights when Oura data arrives', async () => {
+    await storeNight('2024-01-01', { source: 'manual', ouraScore: 70, metrics: { totalSleepTime: 400 } });
+    await storeNight('2024-01-02', { source: 'apple_health', ouraScore: 65, metrics: { totalSleepTime: 380 } });
+
+    const report = await writeDailySleepRecords(USER_ID, [
+      night('2024-01-01', 'oura', 90),
+      night('2024-01-02', 'oura', 91),
+      night('2024-01-03', 'oura', 92)
+    ]);
+
+    expect(report).toMatchObject({ created: 1, merged: 0, skipped: 2 });
+    expect(readNight('2024-01-01')).toMatchObject({ source: 'manual', ouraScore: 70 });
+    expect(readNight('2024-01-02')).toMatchObject({ source: 'apple_health', ouraScore: 65 });
+    expect(readNight('2024-01-03')).toMatchObject({ source: 'oura', ouraScore: 92 });
+  });
+
+  test('replaces nights of the same source and nights that only hold notes or tags', async () => {
+    await storeNight('2024-01-01', { ouraScore: 70, metrics: { totalSleepTime: 400 } });
+    await storeNight('2024-01-02', { source: 'manual', notes: 'Late dinner', tags: ['caffeine'] });
+
+    const report = await writeDailySleepRecords(USER_ID, [
+      night('2024-01-01', 'oura', 90),
+      night('2024-01-02', 'oura', 91)
+    ]);
+
+    expect(report).toMatchObject({ merged: 2, skipped: 0 });
+    expect(readNight('2024-01-01')).toMatchObject({ source: 'oura', ouraScore: 90 });
+    expect(readNight('2024-01-02')).toMatchObject({ source: 'oura', ouraScore: 91, notes: 'Late dinner', tags: ['caffeine'] });
+  });
+});
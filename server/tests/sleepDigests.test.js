@@ -0,0 +1,67 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/notifications', () => ({
+  notifyUser: jest.fn().mockResolvedValue(),
+  isChannelEnabled: jest.fn().mockResolvedValue(false)
+}));
+
+const { notifyUser } = require('../utils/notifications');
+const { sendSleepDigest } = require('../utils/sleepDigests');
+
+const USER_ID = 'user-1';
+const USER = { email: 'sam@example.com', displayName: 'Sam' };
+const digestState = () => mockFirebase.firestore.docs.get(`notifications/${USER_ID}`);
+
+// Makes building a digest fail: standings can't be read
+const failCompetitionQueries = () => {
+  const collection = mockFirebase.firestore.collection;
+  jest.spyOn(mockFirebase.firestore, 'collection').mockImplementation((name) => {
+    if (name === 'competitions') {
+      throw new Error('Firestore unavailable');
+    }
+    return collection.call(mockFirebase.firestore, name);
+  });
+};
+
+describe('sendSleepDigest', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    jest.restoreAllMocks();
+    notifyUser.mockClear();
+    await mockFirebase.firestore.doc(`notifications/${USER_ID}`).set({ lastDailyDigestDate: '2024-06-01' });
+    await mockFirebase.firestore.doc(`sleepData/${USER_ID}/daily/2024-06-02`).set({ ouraScore: 84 });
+  });
+
+  test('sends a digest once per local date', async () => {
+    expect(await sendSleepDigest(USER_ID, USER, 'daily', '2024-06-02')).toBe(true);
+    expect(await sendSleepDigest(USER_ID, USER, 'daily', '2024-06-02')).toBe(false);
+
+    expect(notifyUser).toHaveBeenCalledTimes(1);
+    expect(notifyUser).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ title: 'Last night you scored 84' }));
+    expect(digestState().lastDailyDigestDate).toBe('2024-06-02');
+  });
+
+  test('releases the claim when the digest cannot be built, so a later run sends it', async () => {
+    failCompetitionQueries();
+
+    await expect(sendSleepDigest(USER_ID, USER, 'daily', '2024-06-02')).rejects.toThrow('Firestore unavailable');
+    expect(digestState().lastDailyDigestDate).toBe('2024-06-01');
+
+    mockFirebase.firestore.collection.mockRestore();
+    expect(await sendSleepDigest(USER_ID, USER, 'daily', '2024-06-02')).toBe(true);
+    expect(notifyUser).toHaveBeenCalledTimes(1);
+  });
+
+  test('releases a first claim completely', async () => {
+    await mockFirebase.firestore.doc(`notifications/${USER_ID}`).set({ unreadCount: 0 });
+    failCompetitionQueries();
+
+    await expect(sendSleepDigest(USER_ID, USER, 'daily', '2024-06-02')).rejects.toThrow('Firestore unavailable');
+    expect(digestState()).toEqual({ unreadCount: 0 });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const { PassThrough } = require('stream');
+const { getExportFileInfo, streamSleepDataExport } = require('../utils/sleepExport');
+
+const USER_ID = 'user-1';
+
+const storeNight = (dateId, data) => mockFirebase.firestore.doc(`sleepData/${USER_ID}/daily/${dateId}`).set({
+  userId: USER_ID, dateId, date: new Date(`${dateId}T00:00:00Z`), source: 'oura', ...data
+});
+
+/**
+ * Runs an export and collects its output.
+ * @param {object} options - Export options.
+ * @returns {Promise<{count: number, body: string}>} Exported nights and the output.
+ */
+const runExport = async (options) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const count = await streamSleepDataExport(USER_ID, output, options);
+  return { count, body: Buffer.concat(chunks).toString('utf8') };
+};
+
+describe('sleep data export', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    await storeNight('2024-06-01', {
+      ouraScore: 78,
+      metrics: { totalSleepTime: 25200, efficiency: 88, heartRate: { average: 55 } },
+      tags: ['caffeine', 'late-workout'],
+      notes: '=HYPERLINK("x"), "bad" night'
+    });
+    await storeNight('2024-06-02', { ouraScore: 84, metrics: { totalSleepTime: 28800 } });
+    await storeNight('2024-06-03', { ouraScore: 90, metrics: { totalSleepTime: 30000 } });
+  });
+
+  test('names the download after the format', () => {
+    expect(getExportFileInfo('fhir')).toEqual({
+      contentType: 'application/fhir+json; charset=utf-8',
+      filename: expect.stringMatching(/^sleep-data-\d{4}-\d{2}-\d{2}\.fhir\.json$/)
+    });
+  });
+
+  test('writes CSV rows with escaped cells and without running formulas', async () => {
+    const { count, body } = await runExport({ format: 'csv', endDate: '2024-06-02' });
+    const [header, first, second, rest] = body.split('\r\n');
+
+    expect(count).toBe(2);
+    expect(header).toMatch(/^date,source,score,totalSleepTime,/);
+    expect(first).toMatch(/^2024-06-01,oura,78,25200,/);
+    expect(first).toMatch(/,caffeine;late-workout,"'=HYPERLINK\(""x""\), ""bad"" night"$/);
+    expect(second).toMatch(/^2024-06-02,oura,84,28800,/);
+    expect(rest).toBe('');
+  });
+
+  test('writes a JSON document with the nights in the date range', async () => {
+    const { body } = await runExport({ format: 'json', startDate: '2024-06-02' });
+    const exported = JSON.parse(body);
+
+    expect(exported).toMatchObject({ userId: USER_ID, count: 2 });
+    expect(exported.sleepData.map(night => [night.dateId, night.ouraScore])).toEqual([['2024-06-02', 84], ['2024-06-03', 90]]);
+  });
+
+  test('writes a FHIR Bundle with one sleep duration Observation per night', async () => {
+    const { body } = await runExport({ format: 'fhir', startDate: '2024-06-01', endDate: '2024-06-01' });
+    const bundle = JSON.parse(body);
+    const observation = bundle.entry[0].resource;
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+    expect(bundle.entry).toHaveLength(1);
+    expect(bundle.entry[0].fullUrl).toBe(`urn:uuid:${observation.id}`);
+    expect(observation).toMatchObject({
+      resourceType: 'Observation',
+      code: { coding: [{ system: 'http://loinc.org', code: '93832-4' }] },
+      subject: { identifier: { value: USER_ID } },
+      effectiveDateTime: '2024-06-01',
+      valueQuantity: { value: 420, unit: 'min' },
+      meta: { tag: [{ code: 'caffeine' }, { code: 'late-workout' }] }
+    });
+    expect(observation.component.map(component => component.code.coding[0].code))
+      .toEqual(['sleep-score', 'sleep-efficiency', 'heart-rate-average']);
+  });
+
+  test('rejects unknown formats', async () => {
+    await expect(runExport({ format: 'xlsx' })).rejects.toThrow('Unsupported export format: xlsx');
+  });
+});
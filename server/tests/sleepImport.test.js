@@ -0,0 +1,93 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const { Readable } = require('stream');
+const { detectFormat, importSleepExport } = require('../utils/sleepImport');
+
+const USER_ID = 'user-1';
+
+const appleRecord = (value, startDate, endDate) =>
+  `<Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="Watch" value="${value}" startDate="${startDate}" endDate="${endDate}"/>`;
+
+const appleExport = (...records) => Readable.from([
+  '<?xml version="1.0" encoding="UTF-8"?>\n<HealthData locale="en_US">\n',
+  ...records,
+  '<Record type="HKQuantityTypeIdentifierStepCount" value="120" startDate="2024-06-02 07:00:00 +0200" endDate="2024-06-02 07:05:00 +0200"/>',
+  '\n</HealthData>\n'
+]);
+
+const readNight = (dateId) => mockFirebase.firestore.docs.get(`sleepData/${USER_ID}/daily/${dateId}`);
+
+describe('detectFormat', () => {
+  test('detects the format from the file name or MIME type', () => {
+    expect(detectFormat('export.xml')).toBe('apple_health');
+    expect(detectFormat('upload', 'application/json')).toBe('google_fit');
+    expect(detectFormat('export.zip', 'application/zip')).toBeNull();
+  });
+});
+
+describe('importSleepExport', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+  });
+
+  test('imports an Apple Health night with its sleep stages on the day the user woke up', async () => {
+    const input = appleExport(
+      appleRecord('HKCategoryValueSleepAnalysisAsleepCore', '2024-06-01 23:00:00 +0200', '2024-06-02 02:00:00 +0200'),
+      appleRecord('HKCategoryValueSleepAnalysisAsleepDeep', '2024-06-02 02:00:00 +0200', '2024-06-02 03:30:00 +0200'),
+      appleRecord('HKCategoryValueSleepAnalysisAwake', '2024-06-02 03:30:00 +0200', '2024-06-02 04:00:00 +0200'),
+      appleRecord('HKCategoryValueSleepAnalysisAsleepREM', '2024-06-02 04:00:00 +0200', '2024-06-02 06:30:00 +0200'),
+      // A nap later that day is not the night
+      appleRecord('HKCategoryValueSleepAnalysisAsleepCore', '2024-06-02 14:00:00 +0200', '2024-06-02 14:30:00 +0200')
+    );
+
+    const report = await importSleepExport(USER_ID, input, { format: 'apple_health' });
+
+    expect(report).toMatchObject({
+      format: 'apple_health',
+      recordsRead: 5,
+      nightsFound: 1,
+      nightsCreated: 1,
+      dateRange: { start: '2024-06-02', end: '2024-06-02' }
+    });
+    expect(readNight('2024-06-02')).toMatchObject({
+      source: 'apple_health',
+      metrics: { deepSleep: 90 * 60, remSleep: 150 * 60, lightSleep: 180 * 60 }
+    });
+  });
+
+  test('imports Google Takeout sleep segments and keeps nights synced from Oura', async () => {
+    await mockFirebase.firestore.doc(`sleepData/${USER_ID}/daily/2024-06-03`).set({
+      date: new Date('2024-06-03T00:00:00Z'), ouraScore: 82, metrics: { totalSleepTime: 27000 }
+    });
+    const segment = (start, end, intVal) => ({
+      dataTypeName: 'com.google.sleep.segment',
+      startTimeNanos: String(Date.parse(start) * 1e6),
+      endTimeNanos: String(Date.parse(end) * 1e6),
+      fitValue: [{ value: { intVal } }]
+    });
+    const input = Readable.from([JSON.stringify({
+      'Data Points': [
+        segment('2024-06-01T22:00:00Z', '2024-06-02T05:00:00Z', 2),
+        segment('2024-06-02T22:00:00Z', '2024-06-03T06:00:00Z', 2)
+      ]
+    })]);
+
+    const report = await importSleepExport(USER_ID, input, { format: 'google_fit', utcOffset: '+01:00' });
+
+    expect(report).toMatchObject({ nightsFound: 2, nightsCreated: 1, nightsSkipped: 1, skippedDates: ['2024-06-03'] });
+    expect(readNight('2024-06-02')).toMatchObject({ source: 'google_fit', metrics: { totalSleepTime: 7 * 3600 } });
+    expect(readNight('2024-06-03').ouraScore).toBe(82);
+  });
+
+  test('rejects files that are not valid exports', async () => {
+    await expect(importSleepExport(USER_ID, Readable.from(['{"Data Points": [']), { format: 'google_fit' }))
+      .rejects.toMatchObject({ code: 'IMPORT_INVALID_FILE' });
+    await expect(importSleepExport(USER_ID, Readable.from(['<HealthData><Record></HealthData>']), { format: 'apple_health' }))
+      .rejects.toMatchObject({ code: 'IMPORT_INVALID_FILE' });
+  });
+});
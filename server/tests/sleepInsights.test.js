@@ -0,0 +1,77 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const moment = require('moment');
+const { generateSleepInsights, getSleepInsights } = require('../utils/sleepInsights');
+
+const USER_ID = 'user-1';
+
+/**
+ * Stores a night `daysAgo` days before today.
+ * @param {number} daysAgo - Days before today.
+ * @param {object} data - Night data.
+ */
+const storeNight = (daysAgo, data) => {
+  const dateId = moment.utc().subtract(daysAgo, 'days').format('YYYY-MM-DD');
+  mockFirebase.firestore.doc(`sleepData/${USER_ID}/daily/${dateId}`).set({ dateId, ...data });
+};
+
+describe('sleep insights', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+    // Three weeks of steady nights (HRV 48-52 ms, resting heart rate 50-52 bpm), the third one tagged
+    for (let daysAgo = 21; daysAgo >= 1; daysAgo--) {
+      storeNight(daysAgo, {
+        ouraScore: daysAgo % 3 === 0 ? 70 : 85,
+        tags: daysAgo % 3 === 0 ? ['alcohol'] : [],
+        metrics: { hrv: daysAgo % 2 === 0 ? 48 : 52, heartRate: { lowest: 50 + (daysAgo % 3) } }
+      });
+    }
+  });
+
+  test('flags a night that deviates from the rolling baseline in the unhealthy direction', async () => {
+    storeNight(0, { ouraScore: 60, tags: [], metrics: { hrv: 30, heartRate: { lowest: 51 } } });
+
+    const insights = await generateSleepInsights(USER_ID);
+
+    expect(insights.nightsAnalyzed).toBe(22);
+    expect(insights.baselines.hrv).toMatchObject({ mean: expect.any(Number), nights: 22, unit: 'ms' });
+    expect(insights.anomalies).toEqual([expect.objectContaining({
+      date: moment.utc().format('YYYY-MM-DD'),
+      metric: 'hrv',
+      value: 30,
+      direction: 'low'
+    })]);
+  });
+
+  test('does not flag deviations in the healthy direction or below the threshold', async () => {
+    storeNight(0, { ouraScore: 95, tags: [], metrics: { hrv: 90, heartRate: { lowest: 51 } } });
+
+    expect((await generateSleepInsights(USER_ID)).anomalies).toEqual([]);
+    expect((await generateSleepInsights(USER_ID, { threshold: 100 })).anomalies).toEqual([]);
+  });
+
+  test('compares the scores of tagged and untagged nights', async () => {
+    const { tagCorrelations } = await generateSleepInsights(USER_ID);
+
+    expect(tagCorrelations).toEqual([expect.objectContaining({
+      tag: 'alcohol',
+      nightsTagged: 7,
+      nightsUntagged: 14,
+      scoreDifference: -15,
+      message: 'Nights tagged "alcohol" average 15 points lower'
+    })]);
+  });
+
+  test('serves cached insights until they are refreshed', async () => {
+    const first = await getSleepInsights(USER_ID);
+    storeNight(0, { ouraScore: 60, tags: [], metrics: { hrv: 30 } });
+
+    expect((await getSleepInsights(USER_ID)).nightsAnalyzed).toBe(first.nightsAnalyzed);
+    expect((await getSleepInsights(USER_ID, { refresh: true })).nightsAnalyzed).toBe(first.nightsAnalyzed + 1);
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/eventBus', () => ({
+  ...jest.requireActual('../utils/eventBus'),
+  emitEvent: jest.fn().mockResolvedValue({ handled: 0, failed: 0 })
+}));
+
+const moment = require('moment');
+const { EVENTS, emitEvent } = require('../utils/eventBus');
+const { updateSleepSummaries } = require('../utils/sleepSummaryGenerator');
+
+const USER_ID = 'user-1';
+
+/**
+ * Stores nightly scores ending today (the last score is today's night).
+ * @param {Array<number>} scores - Scores, oldest first.
+ */
+const storeNights = (scores) => {
+  scores.forEach((score, index) => {
+    const day = moment.utc().startOf('day').subtract(scores.length - 1 - index, 'days');
+    mockFirebase.firestore.doc(`sleepData/${USER_ID}/daily/${day.format('YYYY-MM-DD')}`)
+      .set({ date: day.toDate(), ouraScore: score });
+  });
+};
+
+const streakRecordEvents = () => emitEvent.mock.calls.filter(([event]) => event === EVENTS.STREAK_RECORD);
+
+describe('updateSleepSummaries streak records', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+    emitEvent.mockClear();
+  });
+
+  test('reports a record the night an ongoing streak passes a tied record', async () => {
+    // Ended streak of 5, a bad night, then an ongoing streak of 5 that ties it
+    storeNights([80, 80, 80, 80, 80, 60, 80, 80, 80, 80, 80]);
+    await updateSleepSummaries(USER_ID);
+    expect(streakRecordEvents()).toHaveLength(0);
+
+    // The next night makes it 6
+    storeNights([80, 80, 80, 80, 80, 60, 80, 80, 80, 80, 80, 80]);
+    await updateSleepSummaries(USER_ID);
+
+    expect(streakRecordEvents()).toEqual([[EVENTS.STREAK_RECORD, expect.objectContaining({
+      userId: USER_ID,
+      streak: 'goodScore',
+      length: 6,
+      previousRecord: 5
+    })]]);
+  });
+
+  test('reports a record only once while the streak keeps growing', async () => {
+    storeNights([80, 80, 60, 80, 80, 80]);
+    await updateSleepSummaries(USER_ID);
+    storeNights([80, 80, 60, 80, 80, 80, 80]);
+    await updateSleepSummaries(USER_ID);
+
+    expect(streakRecordEvents()).toHaveLength(0);
+  });
+
+  test('stores the longest ended streak next to the ongoing one', async () => {
+    storeNights([90, 90, 90, 60, 90]);
+    const summary = await updateSleepSummaries(USER_ID);
+
+    expect(summary.streaks.goodScore).toEqual(expect.objectContaining({ current: 1, longest: 3, previousLongest: 3 }));
+  });
+});
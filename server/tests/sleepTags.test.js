@@ -0,0 +1,85 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+const sleepTags = require('../utils/sleepTags');
+
+const USER_ID = 'user-1';
+
+const storeNight = (dateId, data) => mockFirebase.firestore.doc(`sleepData/${USER_ID}/daily/${dateId}`).set({ dateId, ...data });
+const readNight = (dateId) => mockFirebase.firestore.docs.get(`sleepData/${USER_ID}/daily/${dateId}`);
+
+describe('sleep tags', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+  });
+
+  test('normalizes tags as entered', () => {
+    expect(sleepTags.normalizeTag('  Late Workout ')).toBe('late-workout');
+    expect(sleepTags.normalizeTag('night_shift!!')).toBe('night-shift');
+    expect(sleepTags.normalizeTag('Café')).toBe('café');
+    expect(sleepTags.normalizeTag('***')).toBe('');
+  });
+
+  test('resolves aliases to their tag and adds new tags to the vocabulary', async () => {
+    await sleepTags.setTagAliases(USER_ID, 'coffee', ['Caffeine', 'espresso']);
+
+    const tags = await sleepTags.resolveTags(USER_ID, ['Caffeine', 'coffee ', 'Late workout']);
+
+    expect(tags).toEqual(['coffee', 'late-workout']);
+    expect(Object.keys(await sleepTags.getTagVocabulary(USER_ID)).sort()).toEqual(['coffee', 'late-workout']);
+  });
+
+  test('merges a tag used as an alias and retags its nights', async () => {
+    await storeNight('2024-06-01', { tags: ['caffeine', 'alcohol'] });
+    await storeNight('2024-06-02', { tags: ['coffee', 'caffeine'] });
+    await sleepTags.resolveTags(USER_ID, ['caffeine', 'coffee', 'alcohol']);
+
+    const result = await sleepTags.setTagAliases(USER_ID, 'coffee', ['caffeine']);
+
+    expect(result).toEqual({ tag: 'coffee', aliases: ['caffeine'], merged: ['caffeine'], nightsRetagged: 2 });
+    expect(readNight('2024-06-01').tags).toEqual(['coffee', 'alcohol']);
+    expect(readNight('2024-06-02').tags).toEqual(['coffee']);
+  });
+
+  test('deletes a tag from the vocabulary and every night', async () => {
+    await storeNight('2024-06-01', { tags: ['alcohol', 'coffee'] });
+    await sleepTags.resolveTags(USER_ID, ['alcohol', 'coffee']);
+
+    expect(await sleepTags.deleteTag(USER_ID, 'Alcohol')).toEqual({ tag: 'alcohol', nightsUpdated: 1 });
+    expect(readNight('2024-06-01').tags).toEqual(['coffee']);
+    expect(Object.keys(await sleepTags.getTagVocabulary(USER_ID))).toEqual(['coffee']);
+    expect(await sleepTags.deleteTag(USER_ID, 'alcohol')).toBeNull();
+  });
+
+  test('adds and removes tags of a night', async () => {
+    await storeNight('2024-06-01', { tags: ['coffee'] });
+
+    expect(await sleepTags.updateNightTags(USER_ID, '2024-06-01', { add: ['Alcohol'], remove: ['coffee'] }))
+      .toEqual(['alcohol']);
+    await expect(sleepTags.updateNightTags(USER_ID, '2024-06-05', { add: ['alcohol'] }))
+      .rejects.toMatchObject({ code: 'NIGHT_NOT_FOUND' });
+  });
+
+  test('compares nights with and without each tag', async () => {
+    await storeNight('2024-06-01', { ouraScore: 70, tags: ['alcohol'], metrics: { totalSleepTime: 21600 } });
+    await storeNight('2024-06-02', { ouraScore: 80, tags: ['alcohol'], metrics: { totalSleepTime: 25200 } });
+    await storeNight('2024-06-03', { ouraScore: 90, tags: [], metrics: { totalSleepTime: 28800 } });
+    // Only a note: not analyzed
+    await storeNight('2024-06-04', { tags: ['alcohol'], notes: 'Forgot the ring' });
+
+    const stats = await sleepTags.getTagStats(USER_ID, { endDate: '2024-06-04' });
+
+    expect(stats).toMatchObject({ nightsAnalyzed: 3, period: { startDate: '2024-06-01', endDate: '2024-06-03' } });
+    expect(stats.tags).toEqual([expect.objectContaining({
+      tag: 'alcohol',
+      nights: { with: 2, without: 1 },
+      metrics: expect.objectContaining({
+        score: { with: { nights: 2, mean: 75, median: 75 }, without: { nights: 1, mean: 90, median: 90 }, difference: -15 }
+      })
+    })]);
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+jest.mock('../utils/ouraSync', () => ({
+  createSyncProgress: () => ({ recordsProcessed: 0 }),
+  syncUserOuraData: jest.fn()
+}));
+
+const ouraSync = require('../utils/ouraSync');
+const { enqueueSyncJob, getSyncJob } = require('../utils/syncJobQueue');
+const { acquireLease } = require('../utils/firestoreLease');
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Makes the next sync wait until the returned function is called.
+ * @returns {{finish: function(object): void, fail: function(Error): void}} Controls for the sync.
+ */
+const deferSync = () => {
+  const controls = {};
+  ouraSync.syncUserOuraData.mockImplementationOnce(() => new Promise((resolve, reject) => {
+    controls.finish = resolve;
+    controls.fail = reject;
+  }));
+  return controls;
+};
+
+describe('syncJobQueue', () => {
+  beforeEach(() => {
+    process.env.SYNC_QUEUE_CONCURRENCY = '1';
+    mockFirebase.firestore.docs.clear();
+    ouraSync.syncUserOuraData.mockReset();
+  });
+
+  afterAll(() => {
+    delete process.env.SYNC_QUEUE_CONCURRENCY;
+  });
+
+  test('runs one job per user and returns the active job when enqueued again', async () => {
+    const sync = deferSync();
+
+    const first = enqueueSyncJob('user-1');
+    const second = enqueueSyncJob('user-1', { trigger: 'auto' });
+    await flushPromises();
+
+    expect(first).toMatchObject({ created: true, job: { status: 'running', trigger: 'manual' } });
+    expect(second).toEqual({ created: false, job: expect.objectContaining({ id: first.job.id }) });
+    expect(ouraSync.syncUserOuraData).toHaveBeenCalledTimes(1);
+
+    sync.finish({ status: 'completed', recordsProcessed: 3 });
+    await flushPromises();
+
+    expect(await getSyncJob(first.job.id)).toMatchObject({ status: 'completed', result: { recordsProcessed: 3 } });
+    expect(mockFirebase.firestore.docs.has('leases/ouraSync:user-1')).toBe(false);
+    expect(enqueueSyncJob('user-1').created).toBe(true);
+    await flushPromises();
+  });
+
+  test('queues jobs beyond the concurrency limit and releases the lock of failed jobs', async () => {
+    const firstSync = deferSync();
+    const secondSync = deferSync();
+
+    const first = enqueueSyncJob('user-2');
+    const second = enqueueSyncJob('user-3');
+    await flushPromises();
+    expect((await getSyncJob(second.job.id)).status).toBe('queued');
+
+    firstSync.fail(new Error('Oura unavailable'));
+    await flushPromises();
+
+    expect(await getSyncJob(first.job.id)).toMatchObject({ status: 'failed', error: 'Oura unavailable' });
+    expect((await getSyncJob(second.job.id)).status).toBe('running');
+
+    secondSync.finish({ status: 'completed' });
+    await flushPromises();
+    expect(enqueueSyncJob('user-2').created).toBe(true);
+    await flushPromises();
+  });
+
+  test('skips the job while another instance syncs the user', async () => {
+    await acquireLease('ouraSync:user-4', 'job-elsewhere', 60 * 1000);
+
+    const { job } = enqueueSyncJob('user-4');
+    await flushPromises();
+
+    expect(ouraSync.syncUserOuraData).not.toHaveBeenCalled();
+    expect(await getSyncJob(job.id)).toMatchObject({ status: 'skipped', result: { status: 'skipped' } });
+    expect(mockFirebase.firestore.docs.get('leases/ouraSync:user-4').holder).toBe('job-elsewhere');
+  });
+
+  test('finds jobs stored by other instances until they expire', async () => {
+    const job = { id: 'job-2', userId: 'user-5', status: 'completed', createdAt: new Date(), finishedAt: new Date() };
+    await mockFirebase.firestore.doc('syncJobs/job-1').set({ ...job, id: 'job-1', expiresAt: new Date(Date.now() + 60 * 1000) });
+    await mockFirebase.firestore.doc('syncJobs/job-2').set({ ...job, expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await getSyncJob('job-1')).toMatchObject({ id: 'job-1', userId: 'user-5', status: 'completed', startedAt: null });
+    expect((await getSyncJob('job-1')).createdAt).toBeInstanceOf(Date);
+    expect(await getSyncJob('job-2')).toBeNull();
+  });
+
+  test('stores the status of its own jobs', async () => {
+    ouraSync.syncUserOuraData.mockResolvedValue({ status: 'completed' });
+
+    const { job } = enqueueSyncJob('user-6');
+    await flushPromises();
+
+    const stored = mockFirebase.firestore.docs.get(`syncJobs/${job.id}`);
+    expect(stored).toMatchObject({ userId: 'user-6', status: 'completed', result: { status: 'completed' } });
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('returns null for unknown jobs', async () => {
+    expect(await getSyncJob('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+const { isValidTimezone, getLocalTime } = require('../utils/timezone');
+
+describe('isValidTimezone', () => {
+  test.each(['UTC', 'Europe/Tallinn', 'America/New_York'])('accepts %s', (timezone) => {
+    expect(isValidTimezone(timezone)).toBe(true);
+  });
+
+  test.each(['', 'Mars/Olympus_Mons', null, 42])('rejects %p', (timezone) => {
+    expect(isValidTimezone(timezone)).toBe(false);
+  });
+});
+
+describe('getLocalTime', () => {
+  test('gets the local date, minutes since midnight and ISO weekday', () => {
+    // Sunday 23:30 UTC is already Monday 02:30 in Tallinn (UTC+3 in summer)
+    expect(getLocalTime(new Date('2024-06-02T23:30:00Z'), 'Europe/Tallinn')).toEqual({
+      date: '2024-06-03',
+      minutes: 150,
+      weekday: 1
+    });
+  });
+});
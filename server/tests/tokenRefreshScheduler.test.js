@@ -0,0 +1,35 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/ouraTokenRefresh', () => ({
+  refreshOuraToken: jest.fn().mockResolvedValue({ status: 'refreshed' }),
+  waitForTokenRefresh: jest.fn().mockResolvedValue()
+}));
+
+const ouraTokenRefresh = require('../utils/ouraTokenRefresh');
+const { runTokenRefresh } = require('../utils/tokenRefreshScheduler');
+
+const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('runTokenRefresh', () => {
+  beforeEach(async () => {
+    mockFirebase.firestore.docs.clear();
+    const users = mockFirebase.firestore.collection('users');
+    await users.doc('expiring').set({ integrations: { oura: { connected: true, refreshToken: 'r', expiresAt: inHours(1) } } });
+    await users.doc('legacy').set({ ouraIntegration: { connected: true, refreshToken: 'r', expiresAt: inHours(2) } });
+    await users.doc('valid').set({ integrations: { oura: { connected: true, refreshToken: 'r', expiresAt: inHours(48) } } });
+    await users.doc('invalid').set({ integrations: { oura: { connected: true, refreshToken: 'r', tokenInvalid: true } } });
+  });
+
+  test('refreshes expiring tokens, including those of users not yet migrated', async () => {
+    const totals = await runTokenRefresh({ windowHours: 6 });
+
+    const userIds = ouraTokenRefresh.refreshOuraToken.mock.calls.map(([userId]) => userId);
+    expect(userIds.sort()).toEqual(['expiring', 'legacy']);
+    expect(totals.refreshed).toBe(2);
+  });
+});
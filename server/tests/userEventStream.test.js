@@ -0,0 +1,151 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockFirebase = require('./helpers/fakeFirestore').createFirebaseAdminMock();
+jest.mock('firebase-admin', () => mockFirebase.admin);
+
+jest.mock('../utils/syncJobQueue', () => ({
+  getActiveSyncJob: jest.fn().mockReturnValue(null),
+  onSyncJobUpdate: jest.fn().mockReturnValue(() => {})
+}));
+
+const { EventEmitter } = require('events');
+const syncJobQueue = require('../utils/syncJobQueue');
+const {
+  getNotificationEventId,
+  getResumeTime,
+  openUserEventStream,
+  closeAllEventStreams
+} = require('../utils/userEventStream');
+
+const USER_ID = 'user-1';
+const HOUR_MS = 60 * 60 * 1000;
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Creates a request and a response that records what is written to it.
+ * @returns {{req: EventEmitter, res: object, events: function(): Array<object>}} Fakes; `events`
+ *   parses the written Server-Sent Events.
+ */
+const createConnection = () => {
+  const req = new EventEmitter();
+  const res = {
+    chunks: [],
+    ended: false,
+    writeHead: jest.fn(),
+    write: jest.fn(chunk => res.chunks.push(chunk)),
+    end: jest.fn(() => { res.ended = true; })
+  };
+  const events = () => res.chunks
+    .filter(chunk => chunk.includes('event: '))
+    .map(chunk => {
+      const fields = Object.fromEntries(chunk.trim().split('\n').map(line => [line.split(': ')[0], line.slice(line.indexOf(': ') + 2)]));
+      return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+    });
+  return { req, res, events };
+};
+
+const storeNotification = (id, createdAt, data = {}) => mockFirebase.firestore
+  .doc(`notifications/${USER_ID}/items/${id}`)
+  .set({ type: 'SYSTEM', title: `Notification ${id}`, message: '', read: false, createdAt, ...data });
+
+describe('getResumeTime', () => {
+  test('reads the notification time from the last event ID', () => {
+    const now = new Date('2024-06-02T12:00:00Z');
+    const createdAt = new Date('2024-06-02T10:00:00Z');
+
+    expect(getResumeTime(getNotificationEventId('n1', createdAt), now)).toEqual(createdAt);
+  });
+
+  test('replays at most a day and ignores invalid IDs', () => {
+    const now = new Date('2024-06-02T12:00:00Z');
+
+    expect(getResumeTime('0-n1', now)).toEqual(new Date(now.getTime() - 24 * HOUR_MS));
+    expect(getResumeTime('not-an-id', now)).toBeNull();
+    expect(getResumeTime(undefined, now)).toBeNull();
+  });
+});
+
+describe('openUserEventStream', () => {
+  beforeEach(() => {
+    mockFirebase.firestore.docs.clear();
+    syncJobQueue.onSyncJobUpdate.mockClear();
+  });
+
+  afterEach(() => {
+    closeAllEventStreams();
+    jest.useRealTimers();
+    delete process.env.STREAM_HEARTBEAT_MS;
+    delete process.env.STREAM_MAX_PER_USER;
+  });
+
+  test('replays the notifications after the last event ID and streams new ones', async () => {
+    const now = Date.now();
+    await storeNotification('seen', new Date(now - 2 * HOUR_MS));
+    await storeNotification('missed', new Date(now - HOUR_MS));
+    const { req, res, events } = createConnection();
+
+    openUserEventStream(req, res, { userId: USER_ID, lastEventId: getNotificationEventId('seen', new Date(now - 2 * HOUR_MS)) });
+    await flushPromises();
+    await storeNotification('new', new Date());
+    await flushPromises();
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream; charset=utf-8' }));
+    const notifications = events().filter(({ event }) => event === 'notification');
+    expect(events()[0]).toMatchObject({ event: 'ready', data: { resumed: true } });
+    expect(notifications.map(({ data }) => data.id)).toEqual(['missed', 'new']);
+    expect(notifications[0].id).toBe(getNotificationEventId('missed', new Date(now - HOUR_MS)));
+  });
+
+  test('streams unread counts and sync jobs', async () => {
+    const { req, res, events } = createConnection();
+
+    openUserEventStream(req, res, { userId: USER_ID });
+    await flushPromises();
+    await mockFirebase.firestore.doc(`notifications/${USER_ID}`).set({ unreadCount: 3 });
+    const [[userId, onUpdate]] = syncJobQueue.onSyncJobUpdate.mock.calls;
+    onUpdate({ id: 'job-1', status: 'running' });
+    await flushPromises();
+
+    expect(userId).toBe(USER_ID);
+    expect(events().filter(({ event }) => event !== 'ready').map(({ event, data }) => [event, data])).toEqual([
+      ['unread-count', { unreadCount: 0 }],
+      ['unread-count', { unreadCount: 3 }],
+      ['sync', { id: 'job-1', status: 'running' }]
+    ]);
+  });
+
+  test('sends heartbeats and asks the client to reauthenticate when the token expires', () => {
+    jest.useFakeTimers();
+    process.env.STREAM_HEARTBEAT_MS = '1000';
+    const { req, res, events } = createConnection();
+
+    openUserEventStream(req, res, { userId: USER_ID, tokenExpiresAt: new Date(Date.now() + 2500) });
+    jest.advanceTimersByTime(2000);
+
+    expect(res.chunks.filter(chunk => chunk === ': heartbeat\n\n')).toHaveLength(2);
+    expect(res.ended).toBe(false);
+
+    jest.advanceTimersByTime(500);
+
+    expect(events().pop()).toMatchObject({ event: 'reauthenticate', data: { reason: 'TokenExpired' } });
+    expect(res.ended).toBe(true);
+  });
+
+  test('limits the open streams per user until one closes', () => {
+    process.env.STREAM_MAX_PER_USER = '1';
+    const first = createConnection();
+    openUserEventStream(first.req, first.res, { userId: USER_ID });
+
+    const second = createConnection();
+    expect(() => openUserEventStream(second.req, second.res, { userId: USER_ID }))
+      .toThrow(expect.objectContaining({ code: 'STREAM_LIMIT_REACHED' }));
+
+    first.req.emit('close');
+
+    expect(first.res.ended).toBe(true);
+    expect(() => openUserEventStream(second.req, second.res, { userId: USER_ID })).not.toThrow();
+  });
+});
@@ -0,0 +1,439 @@
+/**
+ * Account Deletion
+ * Deletes user accounts on request, after a grace period in which the user can cancel
+ *
+ * A request stores `deletion: { status: 'scheduled', requestedAt, scheduledFor }` on the user
+ * document. The deletion scheduler erases accounts whose grace period is over:
+ *  - wearable grants are revoked at the provider (failures are recorded, not fatal)
+ *  - the user leaves pending and active competitions; in completed competitions, leaderboards
+ *    and winners the user is replaced by a pseudonym so results stay intact
+ *  - invitations sent to the user are deleted, invitations sent by the user are anonymized
+ *  - `users/{uid}`, `sleepData/{uid}` (all subcollections), `sleepSummaries/{uid}`, `sleepInsights/{uid}`,
+ *    `sleepTags/{uid}`, `notifications/{uid}`, OAuth states, queued emails, sync jobs, sync run results and the
+ *    Firebase Auth user are deleted
+ * Finally a tombstone without personal data is written to `deletedAccounts/{HMAC-SHA256(uid)}`.
+ * Pseudonyms and tombstone IDs are keyed with ACCOUNT_DELETION_HASH_SECRET, so they can't be
+ * linked back to a user by hashing known user IDs.
+ * Sync run results are found with a collection group query on `results.userId`, which needs its
+ * collection group index enabled in Firestore.
+ * Every step can be repeated, so an interrupted erasure is simply retried on the next run.
+ */
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const providers = require('./providers');
+const leaderboardGenerator = require('./leaderboardGenerator');
+const User = require('../model/User');
+const Competition = require('../model/Competition');
+const { createIntervalJob } = require('./intervalJob');
+
+// Defaults, overridable with ACCOUNT_DELETION_* environment variables
+const DEFAULT_GRACE_DAYS = 30;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// An erasure claimed longer ago than this is assumed to have crashed and is retried
+const STALE_ERASURE_MS = 60 * 60 * 1000; // 1 hour
+
+const DELETED_DISPLAY_NAME = 'Deleted user';
+
+// Only used outside production when ACCOUNT_DELETION_HASH_SECRET is not set
+const DEVELOPMENT_HASH_SECRET = 'sleep-olympics-development';
+
+/**
+ * Gets the grace period between a deletion request and the erasure.
+ * @returns {number} Grace period in days.
+ */
+const getGracePeriodDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return days >= 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+/**
+ * Helper: Keyed hash that identifies a deleted account without storing its ID.
+ * @param {string} userId - The user ID.
+ * @returns {string} HMAC-SHA256 hex digest.
+ * @throws {Error} If ACCOUNT_DELETION_HASH_SECRET is not set in production.
+ * @private
+ */
+const hashUserId = (userId) => {
+  let secret = process.env.ACCOUNT_DELETION_HASH_SECRET;
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ACCOUNT_DELETION_HASH_SECRET must be set to erase accounts');
+    }
+    logger.warn('ACCOUNT_DELETION_HASH_SECRET is not set, using the development secret');
+    secret = DEVELOPMENT_HASH_SECRET;
+  }
+  return crypto.createHmac('sha256', secret).update(userId).digest('hex');
+};
+
+/**
+ * Gets the pseudonym that replaces a deleted user in competition results.
+ * @param {string} userId - The user ID.
+ * @returns {string} Pseudonym.
+ */
+const getPseudonym = (userId) => `deleted-${hashUserId(userId).substring(0, 16)}`;
+
+/**
+ * Helper: Converts a stored deletion state for API responses.
+ * @param {object|undefined} deletion - `deletion` field of the user document.
+ * @returns {object|null} Deletion state with ISO dates, or null if none.
+ * @private
+ */
+const serializeDeletion = (deletion) => {
+  if (!deletion) {
+    return null;
+  }
+  const toIso = value => (value?.toDate ? value.toDate() : new Date(value)).toISOString();
+  return {
+    status: deletion.status,
+    requestedAt: toIso(deletion.requestedAt),
+    scheduledFor: toIso(deletion.scheduledFor)
+  };
+};
+
+/**
+ * Schedules the deletion of a user's account. Requesting again keeps the original schedule.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<{deletion: object, created: boolean}>} The deletion state and whether it was just scheduled.
+ * @throws {Error} If the user doesn't exist.
+ */
+const requestAccountDeletion = async (userId) => {
+  const firestore = admin.firestore();
+  const userRef = firestore.collection('users').doc(userId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    const existing = userDoc.data().deletion;
+    if (existing) {
+      return { deletion: serializeDeletion(existing), created: false };
+    }
+
+    const requestedAt = new Date();
+    const deletion = {
+      status: 'scheduled',
+      requestedAt,
+      scheduledFor: new Date(requestedAt.getTime() + getGracePeriodDays() * 24 * 60 * 60 * 1000)
+    };
+    transaction.update(userRef, { deletion });
+
+    logger.info(`Account deletion scheduled for user ${userId}`, { scheduledFor: deletion.scheduledFor.toISOString() });
+    return { deletion: serializeDeletion(deletion), created: true };
+  });
+};
+
+/**
+ * Gets the deletion state of a user's account.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object|null>} Deletion state, or null if no deletion is scheduled.
+ * @throws {Error} If the user doesn't exist.
+ */
+const getAccountDeletion = async (userId) => {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  if (!userDoc.exists) {
+    throw new Error(`User not found: ${userId}`);
+  }
+  return serializeDeletion(userDoc.data().deletion);
+};
+
+/**
+ * Cancels a scheduled account deletion.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<string>} 'cancelled', 'not_scheduled', or 'erasing' if it is too late to cancel.
+ * @throws {Error} If the user doesn't exist.
+ */
+const cancelAccountDeletion = async (userId) => {
+  const firestore = admin.firestore();
+  const userRef = firestore.collection('users').doc(userId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    const deletion = userDoc.data().deletion;
+    if (!deletion) {
+      return 'not_scheduled';
+    }
+    if (deletion.status !== 'scheduled') {
+      return 'erasing';
+    }
+
+    transaction.update(userRef, { deletion: admin.firestore.FieldValue.delete() });
+    logger.info(`Account deletion cancelled for user ${userId}`);
+    return 'cancelled';
+  });
+};
+
+/**
+ * Helper: Revokes the user's grants at every connected wearable provider.
+ * @param {object} userData - User document data.
+ * @returns {Promise<Array<{provider: string, revoked: boolean, error?: string}>>} Result per provider.
+ * @private
+ */
+const revokeIntegrations = async (userData) => {
+  const integrations = User.normalizeIntegrations(userData);
+  const results = [];
+
+  for (const [name, integration] of Object.entries(integrations)) {
+    const provider = providers.getProvider(name);
+    if (!integration?.accessToken || !provider?.revokeToken) {
+      continue;
+    }
+
+    try {
+      await provider.revokeToken(integration.accessToken);
+      results.push({ provider: name, revoked: true });
+    } catch (error) {
+      // The account is erased anyway; the grant expires at the provider
+      logger.warn(`Could not revoke ${name} grant during account deletion`, { error: error.message });
+      results.push({ provider: name, revoked: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Helper: Removes the user from competitions and anonymizes their results.
+ * @param {{update: Function, delete: Function}} writer - Queues writes (see eraseUserAccount).
+ * @param {string} userId - The user ID.
+ * @param {string} pseudonym - Replacement user ID.
+ * @returns {Promise<{competitionsLeft: number, competitionsAnonymized: number, leaderboardsAnonymized: number, activeCompetitionIds: Array<string>}>} Counts.
+ * @private
+ */
+const anonymizeCompetitions = async (writer, userId, pseudonym) => {
+  const firestore = admin.firestore();
+  const result = { competitionsLeft: 0, competitionsAnonymized: 0, leaderboardsAnonymized: 0, activeCompetitionIds: [] };
+
+  const competitions = await firestore
+    .collection('competitions')
+    .where('participants', 'array-contains', userId)
+    .get();
+
+  for (const doc of competitions.docs) {
+    const competition = Competition.fromFirestore(doc);
+
+    if (competition.status === 'COMPLETED') {
+      // Keep the final results, without the user's identity
+      writer.update(doc.ref, {
+        participants: competition.participants.map(id => (id === userId ? pseudonym : id)),
+        winners: competition.winners.map(winner => (winner.userId === userId ? { ...winner, userId: pseudonym } : winner))
+      });
+      result.competitionsAnonymized++;
+    } else {
+      writer.update(doc.ref, { participants: admin.firestore.FieldValue.arrayRemove(userId) });
+      result.competitionsLeft++;
+      if (competition.status === 'ACTIVE') {
+        result.activeCompetitionIds.push(doc.id);
+      }
+    }
+
+    const leaderboards = await firestore
+      .collection('leaderboards')
+      .where('competitionId', '==', doc.id)
+      .get();
+
+    leaderboards.forEach(leaderboardDoc => {
+      const rankings = leaderboardDoc.data().rankings || [];
+      if (!rankings.some(ranking => ranking.userId === userId)) {
+        return;
+      }
+      writer.update(leaderboardDoc.ref, {
+        rankings: rankings.map(ranking => (ranking.userId === userId
+          ? { ...ranking, userId: pseudonym, displayName: DELETED_DISPLAY_NAME, username: '' }
+          : ranking))
+      });
+      result.leaderboardsAnonymized++;
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Erases a user's account and data, and writes the tombstone.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object>} Erasure report (counts per step).
+ */
+const eraseUserAccount = async (userId) => {
+  const firestore = admin.firestore();
+  const userRef = firestore.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  const userData = userDoc.exists ? userDoc.data() : {};
+  const pseudonym = getPseudonym(userId);
+
+  logger.info(`Erasing account of user ${userId}`);
+
+  // 1. Revoke wearable grants while the tokens still exist
+  const revocations = await revokeIntegrations(userData);
+
+  // 2. References held by shared documents
+  const bulkWriter = firestore.bulkWriter();
+  const writes = [];
+  const writer = {
+    update: (ref, data) => writes.push(bulkWriter.update(ref, data)),
+    delete: (ref) => writes.push(bulkWriter.delete(ref))
+  };
+  const competitions = await anonymizeCompetitions(writer, userId, pseudonym);
+
+  const [invitationsToUser, invitationsByUser, oauthStates, emails, syncJobs, syncResults] = await Promise.all([
+    userData.email
+      ? firestore.collection('invitations').where('email', '==', userData.email).get()
+      : Promise.resolve({ docs: [] }),
+    firestore.collection('invitations').where('invitedBy', '==', userId).get(),
+    firestore.collection('oauthStates').where('userId', '==', userId).get(),
+    firestore.collection('emailOutbox').where('userId', '==', userId).get(),
+    firestore.collection('syncJobs').where('userId', '==', userId).get(),
+    firestore.collectionGroup('results').where('userId', '==', userId).get()
+  ]);
+  invitationsToUser.docs.forEach(doc => writer.delete(doc.ref));
+  invitationsByUser.docs.forEach(doc => writer.update(doc.ref, { invitedBy: pseudonym }));
+  oauthStates.docs.forEach(doc => writer.delete(doc.ref));
+  emails.docs.forEach(doc => writer.delete(doc.ref));
+  syncJobs.docs.forEach(doc => writer.delete(doc.ref));
+  // Other collections named `results` are left alone
+  const syncRunResults = syncResults.docs.filter(doc => doc.ref.parent.parent?.parent.id === 'syncRuns');
+  syncRunResults.forEach(doc => writer.delete(doc.ref));
+  // A failed write fails the erasure, which is then retried on the next run
+  await Promise.all([...writes, bulkWriter.close()]);
+
+  // 3. The user's own documents, including all subcollections
+  await firestore.recursiveDelete(firestore.collection('notifications').doc(userId));
+  await firestore.recursiveDelete(firestore.collection('sleepData').doc(userId));
+  await firestore.recursiveDelete(firestore.collection('sleepSummaries').doc(userId));
+  await firestore.recursiveDelete(firestore.collection('sleepInsights').doc(userId));
+  await firestore.recursiveDelete(firestore.collection('sleepTags').doc(userId));
+
+  // Standings of active competitions no longer include the user
+  for (const competitionId of competitions.activeCompetitionIds) {
+    try {
+      const competitionDoc = await firestore.collection('competitions').doc(competitionId).get();
+      await leaderboardGenerator.generateLeaderboard(Competition.fromFirestore(competitionDoc));
+    } catch (error) {
+      logger.error(`Error regenerating leaderboard for competition ${competitionId} after account deletion:`, { error: error.message });
+    }
+  }
+
+  // 4. Firebase Auth
+  let authUserDeleted = false;
+  try {
+    await admin.auth().deleteUser(userId);
+    authUserDeleted = true;
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+
+  const report = {
+    revocations,
+    competitionsLeft: competitions.competitionsLeft,
+    competitionsAnonymized: competitions.competitionsAnonymized,
+    leaderboardsAnonymized: competitions.leaderboardsAnonymized,
+    invitationsDeleted: invitationsToUser.docs.length,
+    invitationsAnonymized: invitationsByUser.docs.length,
+    oauthStatesDeleted: oauthStates.docs.length,
+    emailsDeleted: emails.docs.length,
+    syncResultsDeleted: syncRunResults.length,
+    authUserDeleted
+  };
+
+  // 5. Tombstone (no personal data), then the user document itself
+  await firestore.collection('deletedAccounts').doc(hashUserId(userId)).set({
+    pseudonym,
+    requestedAt: userData.deletion?.requestedAt || null,
+    scheduledFor: userData.deletion?.scheduledFor || null,
+    erasedAt: admin.firestore.FieldValue.serverTimestamp(),
+    report
+  });
+  await firestore.recursiveDelete(userRef);
+
+  logger.info(`Erased account of user ${userId}`, report);
+  return report;
+};
+
+/**
+ * Helper: Claims a due deletion so only one instance erases the account.
+ * @param {string} userId - The user ID.
+ * @param {Date} now - Current time.
+ * @returns {Promise<boolean>} True if this call claimed it.
+ * @private
+ */
+const claimDueDeletion = async (userId, now) => {
+  const firestore = admin.firestore();
+  const userRef = firestore.collection('users').doc(userId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const deletion = userDoc.exists ? userDoc.data().deletion : null;
+    if (!deletion || deletion.scheduledFor.toDate() > now) {
+      // Cancelled, or already erased by another instance
+      return false;
+    }
+
+    const claimedAt = deletion.claimedAt?.toDate();
+    if (deletion.status === 'erasing' && claimedAt && now - claimedAt < STALE_ERASURE_MS) {
+      return false;
+    }
+
+    transaction.update(userRef, { 'deletion.status': 'erasing', 'deletion.claimedAt': now });
+    return true;
+  });
+};
+
+/**
+ * Erases every account whose grace period is over.
+ * @returns {Promise<{erased: number, failed: number}|null>} Counts, or null if a run was already in progress.
+ */
+const accountDeletionJob = createIntervalJob('Account deletion', async () => {
+  const now = new Date();
+  const result = { erased: 0, failed: 0 };
+
+  const snapshot = await admin.firestore()
+    .collection('users')
+    .where('deletion.scheduledFor', '<=', now)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    try {
+      if (await claimDueDeletion(doc.id, now)) {
+        await eraseUserAccount(doc.id);
+        result.erased++;
+      }
+    } catch (error) {
+      logger.error(`Error erasing account of user ${doc.id}:`, { error: error.message });
+      result.failed++;
+    }
+  }
+
+  if (result.erased + result.failed > 0) {
+    logger.info('Account deletion run finished', result);
+  }
+  return result;
+});
+
+/**
+ * Starts erasing due accounts on an interval in this process.
+ * @returns {Function} Function that stops the scheduler.
+ */
+const startAccountDeletionScheduler = () => accountDeletionJob.start({
+  intervalMs: parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS
+});
+
+module.exports = {
+  getGracePeriodDays,
+  getPseudonym,
+  requestAccountDeletion,
+  getAccountDeletion,
+  cancelAccountDeletion,
+  eraseUserAccount,
+  runDueAccountDeletions: accountDeletionJob.run,
+  startAccountDeletionScheduler,
+  stopAccountDeletionScheduler: accountDeletionJob.stop
+};
@@ -0,0 +1,207 @@
+/**
+ * Auto-Sync Scheduler
+ * Syncs the Oura data of every connected user once a night, so leaderboards stay
+ * current for users who don't open the app
+ *
+ * Syncs go through the sync job queue, so they share its per-user lock with syncs
+ * started by users. Each nightly run is claimed with a `syncRuns/{YYYY-MM-DD}` document;
+ * when several server instances run the scheduler only the first one to create it syncs.
+ * Per-user results are stored in `syncRuns/{runId}/results/{userId}`.
+ */
+const admin = require('firebase-admin');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const ouraSync = require('./ouraSync');
+const syncJobQueue = require('./syncJobQueue');
+const { createIntervalJob } = require('./intervalJob');
+
+// Defaults, overridable with AUTO_SYNC_* environment variables
+const DEFAULT_HOUR_UTC = 4; // Oura has usually processed the night by then
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_JITTER_MS = 30 * 1000;
+
+/**
+ * Reads the scheduler settings from the environment.
+ * @returns {{hourUtc: number, concurrency: number, maxJitterMs: number}} Settings.
+ * @private
+ */
+const getSettings = () => {
+  const hourUtc = parseInt(process.env.AUTO_SYNC_HOUR_UTC, 10);
+  const maxJitterMs = parseInt(process.env.AUTO_SYNC_MAX_JITTER_MS, 10);
+
+  return {
+    hourUtc: hourUtc >= 0 && hourUtc <= 23 ? hourUtc : DEFAULT_HOUR_UTC,
+    concurrency: parseInt(process.env.AUTO_SYNC_CONCURRENCY, 10) || DEFAULT_CONCURRENCY,
+    maxJitterMs: maxJitterMs >= 0 ? maxJitterMs : DEFAULT_MAX_JITTER_MS
+  };
+};
+
+/**
+ * Gets the IDs of users whose Oura connection can be synced.
+ * @returns {Promise<Array<string>>} User IDs.
+ * @private
+ */
+const getSyncableUserIds = async () => {
+  const users = await ouraSync.getConnectedOuraUsers();
+
+  // tokenInvalid is filtered here: a != query would skip users without the field
+  return users
+    .filter(({ integration }) => !integration.tokenInvalid)
+    .map(({ id }) => id);
+};
+
+/**
+ * Claims a run so that only one instance performs it.
+ * @param {string} runId - Run ID.
+ * @param {number} usersTotal - Number of users that will be synced.
+ * @returns {Promise<boolean>} True if this call created the run.
+ * @private
+ */
+const claimRun = async (runId, usersTotal) => {
+  const firestore = admin.firestore();
+  try {
+    await firestore.collection('syncRuns').doc(runId).create({
+      trigger: 'scheduler',
+      status: 'running',
+      usersTotal,
+      startedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    // ALREADY_EXISTS: another instance claimed this run
+    if (error.code === 6) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Syncs one user through the job queue and stores the result.
+ * @param {string} runId - Run ID.
+ * @param {string} userId - User ID.
+ * @returns {Promise<object>} Per-user result.
+ * @private
+ */
+const syncUser = async (runId, userId) => {
+  const firestore = admin.firestore();
+  let result;
+
+  try {
+    const { job } = syncJobQueue.enqueueSyncJob(userId, { trigger: 'scheduler' });
+    const finishedJob = await syncJobQueue.waitForSyncJob(job.id);
+
+    result = {
+      userId,
+      jobId: job.id,
+      status: finishedJob ? finishedJob.status : 'failed',
+      message: finishedJob?.result?.message || finishedJob?.error || null,
+      progress: finishedJob ? finishedJob.progress : null
+    };
+  } catch (error) {
+    result = { userId, jobId: null, status: 'failed', message: error.message, progress: null };
+  }
+
+  try {
+    await firestore.collection('syncRuns').doc(runId).collection('results').doc(userId).set({
+      ...result,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    logger.error(`Error storing auto-sync result for user ${userId}:`, { runId, error: error.message });
+  }
+
+  return result;
+};
+
+/**
+ * Runs one auto-sync pass over all connected users.
+ * @param {object} [options] - Run options.
+ * @param {string} [options.runId] - Run ID; defaults to today's date (UTC), so each day runs once.
+ * @param {number} [options.concurrency] - Maximum number of users synced at the same time.
+ * @param {number} [options.maxJitterMs] - Maximum random delay before each user's sync.
+ * @returns {Promise<object|null>} Run summary, or null if the run was skipped.
+ */
+const autoSyncJob = createIntervalJob('Auto-sync', async (options = {}) => {
+  const settings = getSettings();
+  const runId = options.runId || moment.utc().format('YYYY-MM-DD');
+  const concurrency = options.concurrency || settings.concurrency;
+  const maxJitterMs = options.maxJitterMs !== undefined ? options.maxJitterMs : settings.maxJitterMs;
+
+  const userIds = await getSyncableUserIds();
+
+  if (!await claimRun(runId, userIds.length)) {
+    logger.info(`Auto-sync run ${runId} already claimed by another instance, skipping`);
+    return null;
+  }
+
+  logger.info(`Auto-sync run ${runId} started for ${userIds.length} users`, { concurrency, maxJitterMs });
+
+  const pending = [...userIds];
+  const results = [];
+
+  // Each worker syncs one user at a time; the jitter spreads load on the Oura API
+  const worker = async () => {
+    while (pending.length > 0) {
+      const userId = pending.shift();
+      await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * maxJitterMs)));
+      results.push(await syncUser(runId, userId));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, userIds.length) }, worker));
+
+  const totals = { completed: 0, skipped: 0, failed: 0 };
+  results.forEach(result => {
+    totals[result.status] = (totals[result.status] || 0) + 1;
+  });
+
+  await admin.firestore().collection('syncRuns').doc(runId).update({
+    status: 'completed',
+    totals,
+    finishedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  logger.info(`Auto-sync run ${runId} finished`, totals);
+  return { runId, usersTotal: userIds.length, totals };
+});
+
+/**
+ * Gets the delay until the next nightly run.
+ * @param {number} hourUtc - Hour of the day (UTC) to run at.
+ * @returns {number} Milliseconds until the next run.
+ * @private
+ */
+const getDelayUntilNextRun = (hourUtc) => {
+  const now = moment.utc();
+  const next = now.clone().startOf('day').add(hourUtc, 'hours');
+  if (!next.isAfter(now)) {
+    next.add(1, 'day');
+  }
+  return next.diff(now);
+};
+
+/**
+ * Starts running the auto-sync every night in this process.
+ * @returns {Function} Function that stops the scheduler.
+ */
+const startAutoSyncScheduler = () => {
+  const { hourUtc } = getSettings();
+  return autoSyncJob.start({
+    getDelayMs: () => getDelayUntilNextRun(hourUtc),
+    description: `daily at ${hourUtc}:00 UTC`
+  });
+};
+
+/**
+ * Creates a run ID for a manual run outside the nightly schedule.
+ * @returns {string} Run ID.
+ */
+const createManualRunId = () => `${moment.utc().format('YYYY-MM-DD')}-manual-${uuidv4().slice(0, 8)}`;
+
+module.exports = {
+  runAutoSync: autoSyncJob.run,
+  createManualRunId,
+  startAutoSyncScheduler,
+  stopAutoSyncScheduler: autoSyncJob.stop
+};
@@ -0,0 +1,274 @@
+/**
+ * Competition Lifecycle Scheduler
+ * Moves competitions from PENDING to ACTIVE to COMPLETED based on their dates
+ * and awards the winners of completed competitions
+ *
+ * Every transition is done in a Firestore transaction that re-reads the status, so
+ * several server instances can run the scheduler at the same time: only the instance
+ * whose transaction wins performs the follow-up work (e.g. the final leaderboard).
+ *
+ * Completing a competition marks it `finalizationPending` until its final leaderboard and
+ * winners are stored. If that fails (or the process dies), a later run claims it again once
+ * the claim is older than FINALIZATION_LEASE_MS and retries.
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const leaderboardGenerator = require('./leaderboardGenerator');
+const competitionWinners = require('./competitionWinners');
+const { EVENTS, emitEvent } = require('./eventBus');
+const { createIntervalJob } = require('./intervalJob');
+
+// Import models
+const Competition = require('../model/Competition');
+
+// Default time between scheduler runs
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// How long an instance may take to finalize a competition before another one retries it
+const FINALIZATION_LEASE_MS = 10 * 60 * 1000; // 10 minutes
+
+// Stored statuses per scheduler status; older competitions may still use the lowercase names
+const STATUS_ALIASES = {
+  PENDING: ['PENDING', 'upcoming'],
+  ACTIVE: ['ACTIVE', 'active']
+};
+
+/**
+ * Atomically changes a competition's status if it still has the expected status.
+ * Completing a competition also claims its finalization for this instance.
+ * @param {string} competitionId - Competition ID.
+ * @param {string} fromStatus - Stored status the competition must currently have.
+ * @param {string} toStatus - New status.
+ * @returns {Promise<boolean>} True if this call performed the transition.
+ * @private
+ */
+const transitionStatus = async (competitionId, fromStatus, toStatus) => {
+  const firestore = admin.firestore();
+  const competitionRef = firestore.collection('competitions').doc(competitionId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const competitionDoc = await transaction.get(competitionRef);
+
+    if (!competitionDoc.exists || competitionDoc.data().status !== fromStatus) {
+      // Deleted, or another instance (or an admin) got there first
+      return false;
+    }
+
+    const update = {
+      status: toStatus,
+      statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusUpdatedBy: 'scheduler'
+    };
+    if (toStatus === 'COMPLETED') {
+      update.finalizationPending = true;
+      update.finalizationClaimedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    transaction.update(competitionRef, update);
+    return true;
+  });
+};
+
+/**
+ * Claims the finalization of a completed competition whose previous attempt did not finish.
+ * @param {string} competitionId - Competition ID.
+ * @param {Date} now - Reference time.
+ * @returns {Promise<boolean>} True if this call claimed it.
+ * @private
+ */
+const claimFinalization = async (competitionId, now) => {
+  const firestore = admin.firestore();
+  const competitionRef = firestore.collection('competitions').doc(competitionId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const competitionDoc = await transaction.get(competitionRef);
+    const data = competitionDoc.exists ? competitionDoc.data() : null;
+
+    if (!data || data.status !== 'COMPLETED' || data.finalizationPending !== true) {
+      return false;
+    }
+
+    // Another instance is still working on it
+    const claimedAt = data.finalizationClaimedAt?.toDate ? data.finalizationClaimedAt.toDate() : null;
+    if (claimedAt && now.getTime() - claimedAt.getTime() < FINALIZATION_LEASE_MS) {
+      return false;
+    }
+
+    transaction.update(competitionRef, {
+      finalizationClaimedAt: admin.firestore.FieldValue.serverTimestamp(),
+      finalizationAttempts: admin.firestore.FieldValue.increment(1)
+    });
+    return true;
+  });
+};
+
+/**
+ * Follow-up work for a competition that was just activated.
+ * Generates an initial leaderboard so participants see standings straight away, and announces the start.
+ * @param {Competition} competition - The activated competition.
+ * @private
+ */
+const onCompetitionActivated = async (competition) => {
+  await leaderboardGenerator.generateLeaderboard(competition);
+  await emitEvent(EVENTS.COMPETITION_STARTED, { competition });
+};
+
+/**
+ * Follow-up work for a competition that was just completed.
+ * Generates the final leaderboard, awards the winners, links the leaderboard to the competition
+ * (which ends its pending finalization) and announces the results.
+ * Safe to repeat: awarding winners again replaces the earlier result.
+ * @param {Competition} competition - The completed competition.
+ * @private
+ */
+const onCompetitionCompleted = async (competition) => {
+  const firestore = admin.firestore();
+  const leaderboard = await leaderboardGenerator.generateLeaderboard(competition);
+  let winners = [];
+
+  if (leaderboard) {
+    winners = await competitionWinners.awardCompetitionWinners(competition, leaderboard);
+  }
+
+  await firestore.collection('competitions').doc(competition.id).update({
+    ...(leaderboard ? { finalLeaderboardId: leaderboard.id } : {}),
+    finalizationPending: false,
+    finalizedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  await emitEvent(EVENTS.COMPETITION_ENDED, { competition, leaderboard, winners });
+  for (const winner of winners) {
+    await emitEvent(EVENTS.COMPETITION_WON, { competition, winner });
+  }
+};
+
+/**
+ * Transitions every competition of a status whose date field has passed.
+ * @param {string} fromStatus - Current status to look for ('PENDING' or 'ACTIVE', lowercase aliases included).
+ * @param {string} dateField - Date field that triggers the transition ('startDate' or 'endDate').
+ * @param {Date} now - Reference time.
+ * @returns {Promise<Array<{competition: Competition, toStatus: string}>>} The transitions performed.
+ * @private
+ */
+const transitionDueCompetitions = async (fromStatus, dateField, now) => {
+  const firestore = admin.firestore();
+  const snapshot = await firestore
+    .collection('competitions')
+    .where('status', 'in', STATUS_ALIASES[fromStatus])
+    .where(dateField, '<=', now)
+    .get();
+
+  const transitions = [];
+
+  for (const doc of snapshot.docs) {
+    const competition = Competition.fromFirestore(doc);
+
+    // A pending competition whose end date has also passed goes straight to COMPLETED
+    const toStatus = fromStatus === 'PENDING' && competition.endDate > now ? 'ACTIVE' : 'COMPLETED';
+
+    try {
+      // The model normalizes the status, the transaction compares the stored one
+      const transitioned = await transitionStatus(competition.id, doc.data().status, toStatus);
+      if (!transitioned) {
+        logger.debug(`Competition ${competition.id} already left ${fromStatus}, skipping`);
+        continue;
+      }
+
+      competition.status = toStatus;
+      logger.info(`Competition ${competition.id} moved from ${fromStatus} to ${toStatus}`);
+      transitions.push({ competition, toStatus });
+    } catch (error) {
+      logger.error(`Error transitioning competition ${competition.id} from ${fromStatus} to ${toStatus}:`, {
+        error: error.message
+      });
+    }
+  }
+
+  return transitions;
+};
+
+/**
+ * Claims the completed competitions whose finalization did not finish, so they can be finalized again.
+ * @param {Date} now - Reference time.
+ * @returns {Promise<Competition[]>} The claimed competitions.
+ * @private
+ */
+const claimUnfinishedFinalizations = async (now) => {
+  const firestore = admin.firestore();
+  const snapshot = await firestore
+    .collection('competitions')
+    .where('status', '==', 'COMPLETED')
+    .where('finalizationPending', '==', true)
+    .get();
+
+  const claimed = [];
+
+  for (const doc of snapshot.docs) {
+    try {
+      if (await claimFinalization(doc.id, now)) {
+        logger.info(`Retrying finalization of competition ${doc.id}`);
+        claimed.push(Competition.fromFirestore(doc));
+      }
+    } catch (error) {
+      logger.error(`Error claiming finalization of competition ${doc.id}:`, { error: error.message });
+    }
+  }
+
+  return claimed;
+};
+
+/**
+ * Runs one pass of the competition lifecycle.
+ * @returns {Promise<{activated: number, completed: number, finalizationsRetried: number}|null>} Counts of transitions
+ *   and retried finalizations, or null if a run was already in progress.
+ */
+const lifecycleJob = createIntervalJob('Competition lifecycle', async () => {
+  const now = new Date();
+  const result = { activated: 0, completed: 0, finalizationsRetried: 0 };
+
+  const retries = await claimUnfinishedFinalizations(now);
+  const transitions = [
+    ...await transitionDueCompetitions('PENDING', 'startDate', now),
+    ...await transitionDueCompetitions('ACTIVE', 'endDate', now),
+    ...retries.map(competition => ({ competition, toStatus: 'COMPLETED', retry: true }))
+  ];
+
+  for (const { competition, toStatus, retry } of transitions) {
+    try {
+      if (toStatus === 'ACTIVE') {
+        result.activated++;
+        await onCompetitionActivated(competition);
+      } else {
+        result[retry ? 'finalizationsRetried' : 'completed']++;
+        await onCompetitionCompleted(competition);
+      }
+    } catch (error) {
+      logger.error(`Error running ${toStatus} follow-up for competition ${competition.id}:`, {
+        error: error.message
+      });
+    }
+  }
+
+  if (transitions.length > 0) {
+    logger.info('Competition lifecycle run finished', result);
+  }
+  return result;
+});
+
+/**
+ * Starts running the competition lifecycle on an interval in this process.
+ * @param {object} [options] - Scheduler options.
+ * @param {number} [options.intervalMs] - Time between runs.
+ * @returns {Function} Function that stops the scheduler.
+ */
+const startCompetitionScheduler = (options = {}) => lifecycleJob.start({
+  intervalMs: options.intervalMs
+    || parseInt(process.env.COMPETITION_SCHEDULER_INTERVAL_MS, 10)
+    || DEFAULT_INTERVAL_MS
+});
+
+module.exports = {
+  runCompetitionLifecycle: lifecycleJob.run,
+  startCompetitionScheduler,
+  stopCompetitionScheduler: lifecycleJob.stop
+};
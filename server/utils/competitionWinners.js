@@ -0,0 +1,125 @@
+/**
+ * Competition Winners
+ * Determines and stores competition winners
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+// Number of winners when neither rules.winnerCount nor prizes say otherwise (podium)
+const DEFAULT_WINNER_COUNT = 3;
+
+/**
+ * Gets how many winners a competition has.
+ * Uses `rules.winnerCount` when set, otherwise one winner per prize.
+ * @param {Competition} competition - The competition.
+ * @returns {number} Number of winners.
+ */
+const getWinnerCount = (competition) => {
+  const ruleCount = parseInt(competition.rules?.winnerCount, 10);
+  if (!isNaN(ruleCount) && ruleCount > 0) {
+    return ruleCount;
+  }
+  if (Array.isArray(competition.prizes) && competition.prizes.length > 0) {
+    return competition.prizes.length;
+  }
+  return DEFAULT_WINNER_COUNT;
+};
+
+/**
+ * Works out the winners from a competition's final standings.
+ * Participants without a score (not enough data) cannot win.
+ * @param {Competition} competition - The competition.
+ * @param {Leaderboard} leaderboard - Final leaderboard with positions assigned.
+ * @returns {Array<{userId: string, rank: number, score: number, prize: *}>} Winners ordered by rank.
+ */
+const determineWinners = (competition, leaderboard) => {
+  const winnerCount = getWinnerCount(competition);
+  const prizes = competition.prizes || [];
+
+  return (leaderboard?.rankings || [])
+    .filter(ranking => typeof ranking.score === 'number' && !isNaN(ranking.score))
+    .sort((a, b) => a.position - b.position)
+    .slice(0, winnerCount)
+    .map((ranking, index) => ({
+      userId: ranking.userId,
+      rank: index + 1,
+      score: ranking.score,
+      prize: prizes[index] !== undefined ? prizes[index] : null
+    }));
+};
+
+/**
+ * Stores a competition's winners and keeps every user's `competitions.won` list in sync.
+ * Users who are no longer winners have the competition removed from their list.
+ * @param {string} competitionId - Competition ID.
+ * @param {Array<{userId: string, rank: number, score: number}>} winners - The winners.
+ * @returns {Promise<void>}
+ */
+const saveCompetitionWinners = async (competitionId, winners) => {
+  const firestore = admin.firestore();
+  const batch = firestore.batch();
+
+  // Update the competition winners
+  batch.update(firestore.collection('competitions').doc(competitionId), { winners });
+
+  const winnerIds = winners.map(w => w.userId);
+
+  // Get all users who might need updates
+  const userDocs = await firestore.collection('users')
+    .where('competitions.won', 'array-contains', competitionId)
+    .get();
+
+  // Remove competition from users who are no longer winners
+  userDocs.forEach(doc => {
+    if (!winnerIds.includes(doc.id)) {
+      batch.update(doc.ref, {
+        'competitions.won': admin.firestore.FieldValue.arrayRemove(competitionId)
+      });
+    }
+  });
+
+  // Add competition to new winners' won list
+  winnerIds.forEach(userId => {
+    const userRef = firestore.collection('users').doc(userId);
+    batch.update(userRef, {
+      'competitions.won': admin.firestore.FieldValue.arrayUnion(competitionId)
+    });
+  });
+
+  await batch.commit();
+};
+
+/**
+ * Determines the winners of a completed competition from its final leaderboard and stores them.
+ * Participants who deleted their account since the leaderboard was generated are left out before
+ * the winners are picked, so the next participants move up and ranks and prizes stay contiguous.
+ * @param {Competition} competition - The completed competition.
+ * @param {Leaderboard} leaderboard - Final leaderboard.
+ * @returns {Promise<Array<object>>} The awarded winners.
+ */
+const awardCompetitionWinners = async (competition, leaderboard) => {
+  const rankings = leaderboard?.rankings || [];
+
+  const firestore = admin.firestore();
+  const userDocs = rankings.length > 0
+    ? await firestore.getAll(...rankings.map(ranking => firestore.collection('users').doc(ranking.userId)))
+    : [];
+  const existingRankings = rankings.filter((ranking, index) => userDocs[index].exists);
+  const winners = determineWinners(competition, { ...leaderboard, rankings: existingRankings });
+
+  await saveCompetitionWinners(competition.id, winners);
+
+  logger.info(`Awarded ${winners.length} winner(s) for competition ${competition.id}`, {
+    winners: winners.map(w => w.userId),
+    skippedDeleted: rankings.length - existingRankings.length
+  });
+
+  return winners;
+};
+
+module.exports = {
+  getWinnerCount,
+  determineWinners,
+  saveCompetitionWinners,
+  awardCompetitionWinners
+};
@@ -0,0 +1,158 @@
+/**
+ * Notification Email Digest
+ * Emails users a digest of their unread in-app notifications
+ *
+ * Notifications are not emailed one by one; users with email notifications on get at most one
+ * digest per EMAIL_DIGEST_MIN_HOURS, listing the unread notifications created since their last
+ * digest (`notifications/{userId}.lastEmailDigestAt`). Emails go through the outbox.
+ * A digest is claimed in a transaction before it is queued, so several instances running the
+ * scheduler send it once.
+ * Sleep digests (utils/sleepDigests.js) are emailed on their own and left out.
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const { queueEmail } = require('./emailOutbox');
+const { createIntervalJob } = require('./intervalJob');
+
+// Defaults, overridable with EMAIL_DIGEST_* environment variables
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MIN_HOURS = 24;
+
+// Notifications listed in one digest
+const MAX_DIGEST_ITEMS = 10;
+
+/**
+ * Reads the digest settings from the environment.
+ * @returns {{intervalMs: number, minHours: number}} Settings.
+ * @private
+ */
+const getSettings = () => {
+  const minHours = parseFloat(process.env.EMAIL_DIGEST_MIN_HOURS);
+
+  return {
+    intervalMs: parseInt(process.env.EMAIL_DIGEST_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+    minHours: minHours > 0 ? minHours : DEFAULT_MIN_HOURS
+  };
+};
+
+/**
+ * Helper: Claims a user's next digest by moving `lastEmailDigestAt`, if no other run moved it meanwhile.
+ * @param {DocumentReference} parentRef - The user's notifications document.
+ * @param {Date|null} lastDigestAt - Last digest time read before building the digest.
+ * @param {Date} now - New digest time.
+ * @returns {Promise<boolean>} True if the digest was claimed.
+ * @private
+ */
+const claimDigest = async (parentRef, lastDigestAt, now) => {
+  const firestore = admin.firestore();
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(parentRef);
+    const current = doc.exists ? doc.data().lastEmailDigestAt?.toDate() : null;
+    if ((current ? current.getTime() : null) !== (lastDigestAt ? lastDigestAt.getTime() : null)) {
+      return false;
+    }
+
+    transaction.set(parentRef, { lastEmailDigestAt: now }, { merge: true });
+    return true;
+  });
+};
+
+/**
+ * Queues a digest email for a user if they have unread notifications since their last digest.
+ * @param {string} userId - The user ID.
+ * @param {object} user - User document data.
+ * @param {number} minHours - Minimum hours between two digests.
+ * @returns {Promise<boolean>} True if a digest was queued.
+ */
+const queueNotificationDigest = async (userId, user, minHours = getSettings().minHours) => {
+  const firestore = admin.firestore();
+  const parentRef = firestore.collection('notifications').doc(userId);
+  const parentDoc = await parentRef.get();
+  const now = new Date();
+
+  const lastDigestAt = parentDoc.exists ? parentDoc.data().lastEmailDigestAt?.toDate() : null;
+  if (lastDigestAt && now.getTime() - lastDigestAt.getTime() < minHours * 60 * 60 * 1000) {
+    return false;
+  }
+
+  // Users who never got a digest only hear about the last period
+  const since = lastDigestAt || new Date(now.getTime() - minHours * 60 * 60 * 1000);
+  const snapshot = await parentRef.collection('items')
+    .where('createdAt', '>', since)
+    .orderBy('createdAt', 'desc')
+    .get();
+  const unread = snapshot.docs.map(doc => doc.data()).filter(notification => !notification.read && notification.type !== 'DIGEST');
+
+  if (unread.length === 0) {
+    return false;
+  }
+
+  if (!await claimDigest(parentRef, lastDigestAt, now)) {
+    logger.debug(`Notification digest of user ${userId} was already sent by another run`);
+    return false;
+  }
+
+  await queueEmail('notificationDigest', user.email, {
+    displayName: user.displayName,
+    notifications: unread.slice(0, MAX_DIGEST_ITEMS).map(({ title, message }) => ({ title, message })),
+    unreadCount: (parentDoc.exists && parentDoc.data().unreadCount) || unread.length
+  }, { userId });
+
+  return true;
+};
+
+/**
+ * Queues notification digests for every user with email notifications on.
+ * @returns {Promise<{users: number, queued: number}|null>} Counts, or null if a run was already in progress.
+ */
+const notificationDigestJob = createIntervalJob('Notification digest', async () => {
+  const { minHours } = getSettings();
+  const totals = { users: 0, queued: 0 };
+
+  const snapshot = await admin.firestore()
+    .collection('users')
+    .where('notifications.email', '==', true)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    const user = doc.data();
+    // Accounts scheduled for deletion get no more email
+    if (!user.email || user.deletion) {
+      continue;
+    }
+
+    totals.users++;
+    try {
+      if (await queueNotificationDigest(doc.id, user, minHours)) {
+        totals.queued++;
+      }
+    } catch (error) {
+      logger.error(`Error queueing notification digest for user ${doc.id}:`, { error: error.message });
+    }
+  }
+
+  if (totals.queued > 0) {
+    logger.info('Notification digest run finished', totals);
+  }
+  return totals;
+});
+
+/**
+ * Starts queueing notification digests on an interval in this process.
+ * @returns {Function} Function that stops the scheduler.
+ */
+const startNotificationDigestScheduler = () => {
+  const { intervalMs, minHours } = getSettings();
+  return notificationDigestJob.start({
+    intervalMs,
+    description: `every ${Math.round(intervalMs / 1000)}s, at most one digest per ${minHours}h`
+  });
+};
+
+module.exports = {
+  queueNotificationDigest,
+  runNotificationDigests: notificationDigestJob.run,
+  startNotificationDigestScheduler,
+  stopNotificationDigestScheduler: notificationDigestJob.stop
+};
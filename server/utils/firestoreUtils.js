@@ -4,6 +4,7 @@
  */
 // Import firebase admin
 const admin = require('firebase-admin');
+const { logger } = require('./logger');
 
 // Import models
 const User = require('../model/User');
@@ -271,21 +272,22 @@ module.exports = (firestore) => {
           updatedAt: admin.firestore.FieldValue.serverTimestamp()
         };
         
-        // Special handling for Oura integration to prevent overwriting entire object
-        if (userData.ouraIntegration && existingData.ouraIntegration) {
-          console.log(`Merging Oura integration data for user ${userId}`);
-          console.log(`Existing lastSyncDate: ${existingData.ouraIntegration.lastSyncDate}`);
-          console.log(`New lastSyncDate: ${userData.ouraIntegration.lastSyncDate}`);
-          
-          // Create a deep merge to ensure we don't lose any nested properties
-          updateData.ouraIntegration = {
-            ...existingData.ouraIntegration,
-            ...userData.ouraIntegration,
-            // Ensure the lastSyncDate is properly preserved from the new data if it exists
-            lastSyncDate: userData.ouraIntegration.lastSyncDate || existingData.ouraIntegration.lastSyncDate
-          };
-          
-          console.log(`Merged lastSyncDate: ${updateData.ouraIntegration.lastSyncDate}`);
+        // Special handling for wearable integrations to prevent overwriting whole integration objects
+        if (userData.integrations) {
+          const existingIntegrations = User.normalizeIntegrations(existingData);
+          updateData.integrations = { ...existingIntegrations };
+
+          Object.entries(userData.integrations).forEach(([provider, integration]) => {
+            const existingIntegration = existingIntegrations[provider] || {};
+            logger.debug(`Merging ${provider} integration data for user ${userId}`);
+
+            updateData.integrations[provider] = {
+              ...existingIntegration,
+              ...integration,
+              // Ensure the lastSyncDate is properly preserved from the new data if it exists
+              lastSyncDate: integration.lastSyncDate || existingIntegration.lastSyncDate || null
+            };
+          });
         }
         
         // Update the document, merging with existing data
@@ -303,7 +305,7 @@ module.exports = (firestore) => {
           updatedAt: admin.firestore.FieldValue.serverTimestamp(),
           roles: userData.roles || ['user'], // Default role
           isActive: userData.isActive !== undefined ? userData.isActive : true, // Default active status
-          ouraIntegration: userData.ouraIntegration || { connected: false },
+          integrations: userData.integrations || {},
           notifications: userData.notifications || { email: true, inApp: true }
         };
         
@@ -325,8 +327,8 @@ module.exports = (firestore) => {
       console.log(`Saving user with ID: ${user.id}`);
       
       // Log important properties before saving
-      if (user.ouraIntegration) {
-        console.log(`User ouraIntegration status: ${user.ouraIntegration.connected}, lastSyncDate: ${user.ouraIntegration.lastSyncDate}`);
+      if (user.integrations && user.integrations.oura) {
+        console.log(`User Oura integration status: ${user.integrations.oura.connected}, lastSyncDate: ${user.integrations.oura.lastSyncDate}`);
       }
       
       // Always use merge=true to prevent overwriting existing data
@@ -465,6 +467,15 @@ module.exports = (firestore) => {
     }
   }
 
+  /**
+   * Gets the sleep summary of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} SleepSummary or null if not generated yet
+   */
+  async function getSleepSummary(userId) {
+    return getDocument('sleepSummaries', userId, SleepSummary);
+  }
+
   /**
    * Get competition by ID
    * @param {string} id - Competition ID
@@ -493,7 +504,7 @@ module.exports = (firestore) => {
       const leaderboardsRef = firestore
         .collection('leaderboards')
         .where('competitionId', '==', competitionId)
-        .orderBy('timestamp', 'desc')
+        .orderBy('generatedAt', 'desc')
         .limit(1);
       
       const snapshot = await leaderboardsRef.get();
@@ -542,6 +553,7 @@ module.exports = (firestore) => {
     ensureSubcollection,
     getSleepData,
     getSleepDataRange,
+    getSleepSummary,
     getCompetition,
     saveCompetition,
     getLatestLeaderboard,
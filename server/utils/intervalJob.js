@@ -0,0 +1,101 @@
+/**
+ * Interval Job
+ * Runs a background task on a schedule in this process; shared by the schedulers in utils/
+ *
+ * A run is skipped while the previous run of the same job is still in progress in this process.
+ * Across server instances the tasks coordinate themselves (Firestore claims), so every instance
+ * can run the same jobs. Timers don't keep the process alive.
+ */
+const { logger } = require('./logger');
+
+/**
+ * Creates a job that runs a task at most once at a time.
+ * @param {string} name - Name for log messages, e.g. 'Email outbox'.
+ * @param {function(...*): Promise<*>} task - The task; its arguments are passed on by `run`.
+ * @returns {{run: function(...*): Promise<*>, start: function(object): Function, stop: Function}} The job:
+ *   `run` runs the task now (resolving to null if a run is already in progress), `start` schedules it
+ *   and returns `stop`.
+ */
+const createIntervalJob = (name, task) => {
+  let isRunning = false;
+  let schedule = null; // The running schedule (a new object per start)
+  let timeoutHandle = null;
+
+  const run = async (...args) => {
+    if (isRunning) {
+      logger.warn(`${name} run already in progress, skipping`);
+      return null;
+    }
+
+    isRunning = true;
+    try {
+      return await task(...args);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  /**
+   * Stops the schedule. A run that is already in progress finishes on its own.
+   */
+  const stop = () => {
+    if (schedule) {
+      schedule = null;
+      clearTimeout(timeoutHandle);
+      timeoutHandle = null;
+      logger.info(`${name} scheduler stopped`);
+    }
+  };
+
+  /**
+   * Starts running the task on a schedule; the next run is scheduled when a run finishes.
+   * @param {object} timing - When to run.
+   * @param {number} [timing.intervalMs] - Time between runs.
+   * @param {function(): number} [timing.getDelayMs] - Time until the next run (instead of intervalMs).
+   * @param {boolean} [timing.runOnStart] - Run right away; defaults to true for intervals.
+   * @param {string} [timing.description] - Schedule for the log, e.g. 'daily at 4:00 UTC'.
+   * @returns {Function} Function that stops the scheduler.
+   */
+  const start = ({ intervalMs, getDelayMs = () => intervalMs, runOnStart = intervalMs !== undefined, description } = {}) => {
+    if (schedule) {
+      logger.warn(`${name} scheduler already started`);
+      return stop;
+    }
+    const current = {};
+    schedule = current;
+
+    const scheduleNext = () => {
+      timeoutHandle = setTimeout(runScheduled, getDelayMs());
+      // Don't keep the process alive just for the scheduler
+      timeoutHandle.unref();
+    };
+
+    const runScheduled = () => {
+      run()
+        .catch(error => {
+          logger.error(`${name} run failed:`, { error: error.message });
+        })
+        .finally(() => {
+          // Not when stopped (or stopped and started again) meanwhile
+          if (schedule === current) {
+            scheduleNext();
+          }
+        });
+    };
+
+    logger.info(`${name} scheduler started (${description || `every ${Math.round(intervalMs / 1000)}s`})`);
+    if (runOnStart) {
+      runScheduled();
+    } else {
+      scheduleNext();
+    }
+
+    return stop;
+  };
+
+  return { run, start, stop };
+};
+
+module.exports = {
+  createIntervalJob
+};
@@ -0,0 +1,232 @@
+/**
+ * Leaderboard Generator
+ * Builds competition leaderboard snapshots from participants' daily sleep data
+ */
+const admin = require('firebase-admin');
+const moment = require('moment');
+const { logger } = require('./logger');
+const scoringStrategies = require('./scoringStrategies');
+const { EVENTS, emitEvent } = require('./eventBus');
+
+// Import models
+const Competition = require('../model/Competition');
+const Leaderboard = require('../model/Leaderboard');
+const SleepData = require('../model/SleepData');
+
+/**
+ * Reads a participant's daily sleep records inside a date window.
+ * @param {string} userId - The participant's user ID.
+ * @param {Date} startDate - Window start (inclusive).
+ * @param {Date} endDate - Window end (inclusive).
+ * @param {string[]} allowedSources - Only records from these sources are returned.
+ * @returns {Promise<Array<object>>} Raw daily sleep records sorted by date ASC.
+ * @private
+ */
+const getParticipantSleepRecords = async (userId, startDate, endDate, allowedSources) => {
+  const firestore = admin.firestore();
+  const snapshot = await firestore
+    .collection('sleepData')
+    .doc(userId)
+    .collection('daily')
+    .where('date', '>=', startDate)
+    .where('date', '<=', endDate)
+    .orderBy('date', 'asc')
+    .get();
+
+  return snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      const date = data.date?.toDate ? data.date.toDate() : data.date;
+      return { ...data, id: doc.id, date, source: data.source || SleepData.SOURCES.OURA };
+    })
+    .filter(record => allowedSources.includes(record.source));
+};
+
+/**
+ * Resolves the scoring window for a competition, capped at the current time
+ * so that running competitions are ranked on the nights recorded so far.
+ * @param {Competition} competition - The competition.
+ * @returns {{start: Date, end: Date}} The window to read sleep data from.
+ * @private
+ */
+const getScoringWindow = (competition) => {
+  const start = moment.utc(competition.startDate).startOf('day');
+  const end = moment.min(moment.utc(competition.endDate), moment.utc()).endOf('day');
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+/**
+ * Finds the participants who dropped in the standings because others passed them.
+ * Only participants with a score in both snapshots are compared.
+ * @param {Array<object>} previousRankings - Rankings of the previous snapshot.
+ * @param {Array<object>} rankings - Rankings of the new snapshot.
+ * @returns {Array<{userId: string, previousPosition: number, position: number, overtakenBy: Array<object>}>} Overtaken participants.
+ * @private
+ */
+const findOvertakes = (previousRankings, rankings) => {
+  const hasScore = ranking => typeof ranking.score === 'number' && !isNaN(ranking.score);
+  const previousPositions = new Map(
+    previousRankings.filter(hasScore).map(ranking => [ranking.userId, ranking.position])
+  );
+  const scored = rankings.filter(ranking => hasScore(ranking) && previousPositions.has(ranking.userId));
+
+  return scored
+    .map(ranking => {
+      const previousPosition = previousPositions.get(ranking.userId);
+      const overtakenBy = scored
+        .filter(other => previousPositions.get(other.userId) > previousPosition && other.position < ranking.position)
+        .map(other => ({ userId: other.userId, displayName: other.displayName || '' }));
+
+      return { userId: ranking.userId, previousPosition, position: ranking.position, overtakenBy };
+    })
+    .filter(overtake => overtake.position > overtake.previousPosition && overtake.overtakenBy.length > 0);
+};
+
+/**
+ * Generates a new leaderboard snapshot for a competition and stores it as the latest one.
+ * The previous latest snapshot is flipped to `isLatest: false` in the same transaction, so concurrent
+ * generations (e.g. after a sync and from the scheduler) leave exactly one latest snapshot.
+ * For active competitions, participants who were overtaken since that snapshot are announced.
+ * @param {string|Competition} competitionOrId - Competition ID or an already loaded Competition.
+ * @returns {Promise<Leaderboard|null>} The stored leaderboard, or null if the competition does not exist.
+ */
+const generateLeaderboard = async (competitionOrId) => {
+  const firestore = admin.firestore();
+
+  let competition = competitionOrId;
+  if (!(competitionOrId instanceof Competition)) {
+    const competitionDoc = await firestore.collection('competitions').doc(competitionOrId).get();
+    if (!competitionDoc.exists) {
+      logger.warn(`Cannot generate leaderboard, competition not found: ${competitionOrId}`);
+      return null;
+    }
+    competition = Competition.fromFirestore(competitionDoc);
+  }
+
+  const competitionId = competition.id;
+  const participants = competition.participants || [];
+  const { start, end } = getScoringWindow(competition);
+  const strategy = scoringStrategies.getScoringStrategy(competition.type);
+  const allowedSources = competition.getAllowedSources();
+
+  // Baseline window ends right before the competition starts
+  const baselineDays = scoringStrategies.getBaselineDays(competition);
+  const baselineStart = moment.utc(start).subtract(baselineDays, 'days').toDate();
+  const baselineEnd = moment.utc(start).subtract(1, 'millisecond').toDate();
+
+  logger.info(`Generating leaderboard for competition ${competitionId} with ${participants.length} participants`, {
+    type: competition.type,
+    strategy: strategy.description,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    allowedSources
+  });
+
+  const leaderboard = new Leaderboard({
+    competitionId,
+    generatedAt: new Date(),
+    isLatest: true,
+    rankings: []
+  });
+
+  // Load participant profiles in one round trip for display names
+  const userRefs = participants.map(userId => firestore.collection('users').doc(userId));
+  const userDocs = userRefs.length > 0 ? await firestore.getAll(...userRefs) : [];
+  const usersById = {};
+  userDocs.forEach(doc => {
+    if (doc.exists) {
+      usersById[doc.id] = doc.data();
+    }
+  });
+
+  for (const userId of participants) {
+    try {
+      const records = start <= end ? await getParticipantSleepRecords(userId, start, end, allowedSources) : [];
+      const baselineRecords = strategy.requiresBaseline
+        ? await getParticipantSleepRecords(userId, baselineStart, baselineEnd, allowedSources)
+        : [];
+      const user = usersById[userId] || {};
+
+      leaderboard.updateRanking({
+        userId,
+        displayName: user.displayName || '',
+        username: user.username || '',
+        score: strategy.calculate(records, { competition, baselineRecords }),
+        nightsTracked: records.length
+      });
+    } catch (participantError) {
+      logger.error(`Error scoring participant ${userId} for competition ${competitionId}:`, {
+        error: participantError.message
+      });
+    }
+  }
+
+  leaderboard.sortAndAssignPositions(strategy.lowerIsBetter ? 'asc' : 'desc');
+
+  // Store the new snapshot and retire the previous latest one atomically
+  const leaderboardsRef = firestore.collection('leaderboards');
+  const newLeaderboardRef = leaderboardsRef.doc();
+  const previousLatest = await firestore.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(leaderboardsRef
+      .where('competitionId', '==', competitionId)
+      .where('isLatest', '==', true));
+
+    snapshot.forEach(doc => {
+      transaction.update(doc.ref, { isLatest: false });
+    });
+    transaction.set(newLeaderboardRef, leaderboard.toFirestore());
+    return snapshot;
+  });
+
+  leaderboard.id = newLeaderboardRef.id;
+
+  logger.info(`Leaderboard ${leaderboard.id} generated for competition ${competitionId}`, {
+    rankings: leaderboard.rankings.length,
+    retired: previousLatest.size
+  });
+
+  // Final standings are announced when the competition ends instead
+  if (competition.status === 'ACTIVE' && !previousLatest.empty) {
+    const previousRankings = previousLatest.docs[0].data().rankings || [];
+    for (const overtake of findOvertakes(previousRankings, leaderboard.rankings)) {
+      await emitEvent(EVENTS.LEADERBOARD_OVERTAKEN, { ...overtake, competition });
+    }
+  }
+
+  return leaderboard;
+};
+
+/**
+ * Regenerates the leaderboards of every active competition a user takes part in.
+ * Errors are logged per competition so one failure does not block the others.
+ * @param {string} userId - The participant's user ID.
+ * @returns {Promise<number>} Number of leaderboards regenerated.
+ */
+const updateLeaderboardsForUser = async (userId) => {
+  const firestore = admin.firestore();
+
+  const snapshot = await firestore
+    .collection('competitions')
+    .where('participants', 'array-contains', userId)
+    .where('status', '==', 'ACTIVE')
+    .get();
+
+  let updated = 0;
+  for (const doc of snapshot.docs) {
+    try {
+      await generateLeaderboard(Competition.fromFirestore(doc));
+      updated++;
+    } catch (error) {
+      logger.error(`Error regenerating leaderboard for competition ${doc.id} after user ${userId} update:`, {
+        error: error.message
+      });
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  generateLeaderboard,
+  updateLeaderboardsForUser
+};
@@ -0,0 +1,90 @@
+/**
+ * Mailer
+ * Sends emails over SMTP with nodemailer
+ *
+ * Configured with SMTP_* environment variables; point SMTP_HOST/SMTP_PORT at a local fake
+ * such as MailHog (localhost:1025) to catch emails in development and tests. Without SMTP_HOST,
+ * development servers log emails instead of sending them and production refuses to send.
+ * Emails are normally sent through the outbox (utils/emailOutbox.js), not directly.
+ */
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+const DEFAULT_FROM = 'Sleep Olympics <no-reply@sleep-olympics.local>';
+
+let transporter = null;
+
+/**
+ * Checks whether an SMTP server is configured.
+ * @returns {boolean} True if SMTP_HOST is set.
+ */
+const isMailConfigured = () => !!process.env.SMTP_HOST;
+
+/**
+ * Helper: Creates the nodemailer transport from the environment (once).
+ * @returns {object} Nodemailer transport.
+ * @throws {Error} With code MAIL_NOT_CONFIGURED in production without SMTP_HOST.
+ * @private
+ */
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (!isMailConfigured()) {
+    if (process.env.NODE_ENV === 'production') {
+      const error = new Error('Email is not configured (SMTP_HOST is missing)');
+      error.code = 'MAIL_NOT_CONFIGURED';
+      throw error;
+    }
+    logger.warn('SMTP_HOST is not set, emails are logged instead of sent');
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+    return transporter;
+  }
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 30000
+  });
+  return transporter;
+};
+
+/**
+ * Sends an email.
+ * @param {object} message - Email.
+ * @param {string} message.to - Recipient address.
+ * @param {string} message.subject - Subject.
+ * @param {string} message.html - HTML body.
+ * @param {string} message.text - Plain-text body.
+ * @returns {Promise<string>} Message ID assigned by the transport.
+ * @throws {Error} Transport errors; SMTP rejections carry nodemailer's `responseCode`.
+ */
+const sendMail = async ({ to, subject, html, text }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    html,
+    text
+  });
+
+  if (!isMailConfigured()) {
+    // The body can hold links with tokens, so only the envelope is logged
+    logger.info(`Email to ${to} (not sent, SMTP not configured): ${subject}`);
+  }
+  return info.messageId;
+};
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
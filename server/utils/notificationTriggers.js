@@ -0,0 +1,168 @@
+/**
+ * Notification Triggers
+ * Turns domain events (utils/eventBus.js) into templated in-app notifications
+ *
+ * Each template maps an event payload to the notifications to send. Delivery goes through
+ * notifications.notifyUser, so users who turned in-app notifications off get none.
+ */
+const { logger } = require('./logger');
+const { EVENTS, onEvent } = require('./eventBus');
+const { notifyUser } = require('./notifications');
+
+/**
+ * Formats a 1-based position as an ordinal (1st, 2nd, 3rd, 4th, ...).
+ * @param {number} position - Position.
+ * @returns {string} Ordinal.
+ */
+const ordinal = (position) => {
+  const lastTwo = position % 100;
+  const suffix = lastTwo >= 11 && lastTwo <= 13
+    ? 'th'
+    : ({ 1: 'st', 2: 'nd', 3: 'rd' }[position % 10] || 'th');
+  return `${position}${suffix}`;
+};
+
+/**
+ * Helper: Names a competition in a message.
+ * @param {Competition} competition - The competition.
+ * @returns {string} Quoted title, or a generic name.
+ * @private
+ */
+const competitionName = (competition) => (competition.title ? `"${competition.title}"` : 'a competition');
+
+/**
+ * Helper: Capitalizes the first letter of a text (for names at the start of a sentence).
+ * @param {string} text - Text.
+ * @returns {string} Capitalized text.
+ * @private
+ */
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const STREAK_LABELS = {
+  goodScore: 'good sleep',
+  perfectScore: 'great sleep'
+};
+
+// Event -> function building the notifications ({ userId, type, title, message, data }) for a payload
+const TEMPLATES = {
+  [EVENTS.COMPETITION_STARTED]: ({ competition }) => (competition.participants || []).map(userId => ({
+    userId,
+    type: 'COMPETITION',
+    title: 'Competition started',
+    message: `${capitalize(competitionName(competition))} has started. Good luck!`,
+    data: { event: EVENTS.COMPETITION_STARTED, competitionId: competition.id }
+  })),
+
+  // Winners get a COMPETITION_WON notification instead
+  [EVENTS.COMPETITION_ENDED]: ({ competition, leaderboard, winners = [] }) => {
+    const winnerIds = new Set(winners.map(winner => winner.userId));
+    const positions = new Map((leaderboard?.rankings || []).map(ranking => [ranking.userId, ranking.position]));
+
+    return (competition.participants || [])
+      .filter(userId => !winnerIds.has(userId))
+      .map(userId => ({
+        userId,
+        type: 'COMPETITION',
+        title: 'Competition ended',
+        message: positions.has(userId)
+          ? `${capitalize(competitionName(competition))} has ended. You finished ${ordinal(positions.get(userId))}.`
+          : `${capitalize(competitionName(competition))} has ended.`,
+        data: { event: EVENTS.COMPETITION_ENDED, competitionId: competition.id, leaderboardId: leaderboard?.id || null }
+      }));
+  },
+
+  [EVENTS.COMPETITION_WON]: ({ competition, winner }) => [{
+    userId: winner.userId,
+    type: 'ACHIEVEMENT',
+    title: winner.rank === 1 ? 'You won!' : `You finished ${ordinal(winner.rank)}!`,
+    message: winner.rank === 1
+      ? `Congratulations, you won ${competitionName(competition)}!`
+      : `Congratulations, you finished ${ordinal(winner.rank)} in ${competitionName(competition)}!`,
+    data: { event: EVENTS.COMPETITION_WON, competitionId: competition.id, rank: winner.rank, prize: winner.prize ?? null }
+  }],
+
+  [EVENTS.LEADERBOARD_OVERTAKEN]: ({ userId, competition, previousPosition, position, overtakenBy }) => {
+    const names = overtakenBy.map(user => user.displayName || 'Another participant');
+    const who = names.length === 1 ? names[0] : `${names.length} participants`;
+    return [{
+      userId,
+      type: 'COMPETITION',
+      title: 'You were overtaken',
+      message: `${who} overtook you in ${competitionName(competition)}. You dropped from ${ordinal(previousPosition)} to ${ordinal(position)}.`,
+      data: { event: EVENTS.LEADERBOARD_OVERTAKEN, competitionId: competition.id, previousPosition, position }
+    }];
+  },
+
+  [EVENTS.INVITATION_ACCEPTED]: ({ invitation, userId, displayName }) => (invitation.invitedBy ? [{
+    userId: invitation.invitedBy,
+    type: 'INVITATION',
+    title: 'Invitation accepted',
+    message: `${displayName || invitation.email} accepted your invitation and joined Sleep Olympics.`,
+    data: { event: EVENTS.INVITATION_ACCEPTED, invitationId: invitation.id || null, userId: userId || null }
+  }] : []),
+
+  [EVENTS.INTEGRATION_RECONNECT_REQUIRED]: ({ userId, provider }) => [{
+    userId,
+    type: 'SYSTEM',
+    title: provider === 'oura' ? 'Reconnect your Oura ring' : 'Reconnect your wearable',
+    message: provider === 'oura'
+      ? 'Your Oura authorization has expired, so your sleep data is no longer synced. Please reconnect your Oura ring.'
+      : 'Your wearable authorization has expired, so your sleep data is no longer synced. Please reconnect it.',
+    data: { event: EVENTS.INTEGRATION_RECONNECT_REQUIRED, action: 'reconnect', provider }
+  }],
+
+  [EVENTS.STREAK_RECORD]: ({ userId, streak, length, threshold, previousRecord }) => [{
+    userId,
+    type: 'ACHIEVEMENT',
+    title: 'New streak record!',
+    message: `${length} nights of ${STREAK_LABELS[streak] || 'good sleep'} in a row (score ${threshold}+), beating your previous record of ${previousRecord}.`,
+    data: { event: EVENTS.STREAK_RECORD, streak, length, threshold }
+  }]
+};
+
+let unsubscribers = [];
+
+/**
+ * Subscribes the notification templates to their events. Calling it again has no effect.
+ * @returns {Function} Function that unsubscribes them.
+ */
+const registerNotificationTriggers = () => {
+  if (unsubscribers.length > 0) {
+    return unregisterNotificationTriggers;
+  }
+
+  unsubscribers = Object.entries(TEMPLATES).map(([event, buildNotifications]) => onEvent(event, async (payload) => {
+    const notifications = buildNotifications(payload);
+
+    // One failed delivery must not keep the others from being sent
+    const results = await Promise.allSettled(
+      notifications.map(({ userId, ...notification }) => notifyUser(userId, notification))
+    );
+    const failed = results.filter(result => result.status === 'rejected');
+    failed.forEach(result => {
+      logger.error(`Error sending ${event} notification:`, { error: result.reason?.message });
+    });
+
+    logger.info(`Sent ${event} notifications`, {
+      sent: results.filter(result => result.status === 'fulfilled' && result.value).length,
+      optedOut: results.filter(result => result.status === 'fulfilled' && !result.value).length,
+      failed: failed.length
+    });
+  }));
+
+  return unregisterNotificationTriggers;
+};
+
+/**
+ * Unsubscribes the notification templates.
+ */
+const unregisterNotificationTriggers = () => {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+};
+
+module.exports = {
+  ordinal,
+  registerNotificationTriggers,
+  unregisterNotificationTriggers
+};
@@ -0,0 +1,97 @@
+/**
+ * Notifications
+ * Creates in-app notifications from background jobs (stored in `notifications/{userId}/items`)
+ *
+ * `sendNotification` always delivers; `notifyUser` first checks the user's `notifications`
+ * preferences and is what event-driven notifications (utils/notificationTriggers.js) use.
+ * Every new notification is also pushed to the user's subscribed browsers (utils/webPush.js).
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const Notification = require('../model/Notification');
+const webPush = require('./webPush');
+
+/**
+ * Pushes a new notification to the user's subscribed browsers without waiting for delivery.
+ * @param {string} userId - The user ID.
+ * @param {object} notification - The created notification, including its ID.
+ */
+const deliverPush = (userId, notification) => {
+  webPush.sendPushNotification(userId, notification).catch(error => {
+    logger.error(`Error pushing notification ${notification.id} to user ${userId}:`, { error: error.message });
+  });
+};
+
+/**
+ * Sends an in-app notification to a user and increments their unread count.
+ * @param {string} userId - The user ID.
+ * @param {object} notification - Notification content.
+ * @param {string} [notification.type='SYSTEM'] - Notification type (see Notification.validate).
+ * @param {string} notification.title - Title.
+ * @param {string} notification.message - Message.
+ * @param {object} [notification.data] - Extra data for the client (e.g. a link target).
+ * @returns {Promise<string>} ID of the created notification.
+ * @throws {Error} If the notification is invalid.
+ */
+const sendNotification = async (userId, { type = 'SYSTEM', title, message, data = {} }) => {
+  const notification = new Notification({ userId, type, title, message, data });
+  const { valid, errors } = notification.validate();
+  if (!valid) {
+    throw new Error(`Invalid notification: ${errors.join(', ')}`);
+  }
+
+  const firestore = admin.firestore();
+  const parentRef = firestore.collection('notifications').doc(userId);
+  const itemRef = parentRef.collection('items').doc();
+
+  const batch = firestore.batch();
+  batch.set(itemRef, {
+    ...notification.toFirestore(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.set(parentRef, {
+    userId,
+    unreadCount: admin.firestore.FieldValue.increment(1),
+    lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  await batch.commit();
+
+  deliverPush(userId, { ...notification, id: itemRef.id });
+  return itemRef.id;
+};
+
+/**
+ * Checks whether a user wants notifications on a channel (`users/{uid}.notifications`).
+ * Channels are enabled unless the user turned them off.
+ * @param {string} userId - The user ID.
+ * @param {string} [channel='inApp'] - Channel: 'inApp' or 'email'.
+ * @returns {Promise<boolean>} False if the user opted out or no longer exists.
+ */
+const isChannelEnabled = async (userId, channel = 'inApp') => {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  if (!userDoc.exists) {
+    return false;
+  }
+  return (userDoc.data().notifications || {})[channel] !== false;
+};
+
+/**
+ * Sends an in-app notification unless the user turned in-app notifications off.
+ * @param {string} userId - The user ID.
+ * @param {object} notification - Notification content (see sendNotification).
+ * @returns {Promise<string|null>} ID of the created notification, or null if the user opted out.
+ */
+const notifyUser = async (userId, notification) => {
+  if (!await isChannelEnabled(userId, 'inApp')) {
+    logger.debug(`Skipping ${notification.type || 'SYSTEM'} notification for user ${userId} (in-app notifications off)`);
+    return null;
+  }
+  return sendNotification(userId, notification);
+};
+
+module.exports = {
+  deliverPush,
+  sendNotification,
+  isChannelEnabled,
+  notifyUser
+};
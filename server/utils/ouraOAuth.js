@@ -1,10 +1,13 @@
 const axios = require('axios');
-const crypto = require('crypto');
 const { logger } = require('./logger');
+const { encryptData, decryptData } = require('./encryption');
 
 //conf
+// OURA_API_URL can point at a local fake Oura server for testing
+const OURA_API_URL = (process.env.OURA_API_URL || 'https://api.ouraring.com/v2').replace(/\/+$/, '');
 const OURA_AUTH_URL = 'https://cloud.ouraring.com/oauth/authorize';
-const OURA_TOKEN_URL = 'https://api.ouraring.com/oauth/token';
+const OURA_TOKEN_URL = new URL('/oauth/token', OURA_API_URL).toString();
+const OURA_REVOKE_URL = new URL('/oauth/revoke', OURA_API_URL).toString();
 const CLIENT_ID = process.env.OURA_CLIENT_ID;
 const CLIENT_SECRET = process.env.OURA_CLIENT_SECRET;
 const REDIRECT_URI = process.env.OURA_REDIRECT_URI || 'http://localhost:5000/api/users/oura/callback';
@@ -12,110 +15,8 @@ const REDIRECT_URI = process.env.OURA_REDIRECT_URI || 'http://localhost:5000/api
 //scopes
 const SCOPES = ['email', 'personal', 'daily', 'heartrate', 'workout', 'session', 'spo2Daily'];
 
-// Derive a 32-byte key from the provided key (cached for performance)
-let derivedKey = null;
-
-// Function to get properly sized encryption key
-const getEncryptionKey = () => {
-    // Return cached key if already derived
-    if (derivedKey) {
-        return derivedKey;
-    }
-
-    if (!process.env.ENCRYPTION_KEY) {
-        logger.warn('No encryption key provided. Data will not be securely encrypted.');
-        // Create a fixed insecure key for development
-        derivedKey = Buffer.alloc(32, 1); // Insecure but consistent key
-        return derivedKey;
-    }
-
-    try {
-        // Use crypto.scrypt to derive a proper 32-byte key from the provided key
-        const rawKey = process.env.ENCRYPTION_KEY;
-        // Use a fixed salt for consistency (this is OK for this purpose)
-        const salt = Buffer.from('SleepOlympicsSaltForKeyDerivation', 'utf8');
-        
-        // Sync version for simplicity in this case
-        derivedKey = crypto.scryptSync(rawKey, salt, 32);
-        return derivedKey;
-    } catch (error) {
-        logger.error('Error deriving encryption key:', error);
-        // Fallback to a direct method if scrypt fails
-        const rawKey = process.env.ENCRYPTION_KEY;
-        // Create a buffer and ensure it's 32 bytes
-        const keyBuffer = Buffer.from(rawKey.repeat(4), 'utf8'); // Repeat to ensure sufficient length
-        derivedKey = keyBuffer.slice(0, 32);
-        return derivedKey;
-    }
-};
-
-// encrypt for firestore
-const encryptData = (data) => {
-    if (!process.env.ENCRYPTION_KEY) {
-        logger.warn('Warning: No encryption key provided. Data will not be encrypted.');
-        return `insecure:${data}`;
-    }
-
-    try {
-        // Get properly sized key using key derivation
-        const key = getEncryptionKey();
-        
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipheriv(
-            'aes-256-gcm',
-            key,
-            iv
-        );
-
-        let encrypted = cipher.update(data, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-
-        const authTag = cipher.getAuthTag().toString('hex');
-
-        return `${iv.toString('hex')}:${authTag}:${encrypted}`;
-    } catch (error) {
-        logger.error('Error encrypting data:', error);
-        throw new Error('Failed to secure sensitive data');
-    }
-};
-
-// decrypt from firestore
-const decryptData = (encryptedData) => {
-    if (!process.env.ENCRYPTION_KEY) {
-        logger.warn('Warning: No encryption key provided. Using insecure storage.');
-        return encryptedData.split(':')[1];
-    }
-
-    try {
-        if (encryptedData.startsWith('insecure:')) {
-            return encryptedData.substring(9);
-        }
-
-        // Get properly sized key using key derivation
-        const key = getEncryptionKey();
-
-        const [ivHex, authTagHex, encrypted] = encryptedData.split(':');
-        const iv = Buffer.from(ivHex, 'hex');
-        const authTag = Buffer.from(authTagHex, 'hex');
-
-        const decipher = crypto.createDecipheriv(
-            'aes-256-gcm',
-            key,
-            iv
-        );
-
-        decipher.setAuthTag(authTag);
-
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-
-        return decrypted;
-    } catch (error) {
-        logger.error('Error decrypting data:', error);
-        throw new Error('Failed to retrieve sensitive data');
-    }
-};
-
+// Upper bound of pages followed by getAllPages (protects against endless next_token loops)
+const DEFAULT_MAX_PAGES = parseInt(process.env.OURA_MAX_PAGES, 10) || 50;
 
 // Generate the authorization URL
 const getAuthorizationUrl = (state) => {
@@ -219,7 +120,33 @@ const refreshAccessToken = async (refreshToken) => {
         } else {
             logger.error('Token refresh error:', error.message);
         }
-        throw new Error(`Failed to refresh access token: ${error.message}`);
+        const refreshError = new Error(`Failed to refresh access token: ${error.message}`);
+        // invalid_grant: the refresh token was revoked, expired or already used; only reconnecting helps
+        if (error.response?.status === 400 && error.response.data?.error === 'invalid_grant') {
+            refreshError.code = 'OURA_REFRESH_TOKEN_INVALID';
+        }
+        throw refreshError;
+    }
+};
+
+// Revoke an access token, ending the user's grant for this app at Oura
+const revokeAccessToken = async (encryptedAccessToken) => {
+    const accessToken = decryptData(encryptedAccessToken);
+
+    try {
+        await axios.get(OURA_REVOKE_URL, {
+            params: { access_token: accessToken },
+            timeout: 10000
+        });
+        logger.info('Revoked Oura access token');
+    } catch (error) {
+        // 401: the token had already expired or been revoked, so there is no grant left
+        if (error.response?.status === 401) {
+            logger.info('Oura access token was already invalid, nothing to revoke');
+            return;
+        }
+        logger.error('Token revocation error:', error.response?.data || error.message);
+        throw new Error(`Failed to revoke Oura access token: ${error.message}`);
     }
 };
 
@@ -267,7 +194,7 @@ const createOuraClient = (encryptedAccessToken, requestId = require('uuid').v4()
 const createClientWithToken = (accessToken, requestId) => {
     // Create Axios client
     const client = axios.create({
-        baseURL: 'https://api.ouraring.com/v2/',
+        baseURL: `${OURA_API_URL}/`,
         headers: {
             Authorization: `Bearer ${accessToken}`,
             'Content-Type': 'application/json',
@@ -343,14 +270,56 @@ const createClientWithToken = (accessToken, requestId) => {
         return Promise.reject(error);
     });
 
+    /**
+     * Fetches every page of an Oura V2 collection endpoint by following `next_token`.
+     * @param {string} url - Endpoint path, e.g. '/daily_sleep'.
+     * @param {object} [options] - Request options.
+     * @param {object} [options.params] - Query parameters sent with every page.
+     * @param {number} [options.maxPages] - Maximum number of pages to fetch.
+     * @returns {Promise<{data: Array<object>, pages: number, truncated: boolean}>} All records;
+     *   `truncated` is true when maxPages was reached before the last page.
+     */
+    client.getAllPages = async (url, { params = {}, maxPages = DEFAULT_MAX_PAGES, ...config } = {}) => {
+        const data = [];
+        let nextToken = null;
+        let pages = 0;
+
+        do {
+            const response = await client.get(url, {
+                ...config,
+                params: nextToken ? { ...params, next_token: nextToken } : params
+            });
+            pages++;
+
+            // Every V2 collection endpoint responds with { data: [...], next_token }
+            if (!response.data || !Array.isArray(response.data.data)) {
+                const formatError = new Error(`Invalid Oura API response format from ${url}`);
+                formatError.code = 'OURA_INVALID_RESPONSE';
+                formatError.responseData = response.data;
+                throw formatError;
+            }
+
+            data.push(...response.data.data);
+            nextToken = response.data.next_token || null;
+        } while (nextToken && pages < maxPages);
+
+        if (nextToken) {
+            logger.warn(`Stopped paginating Oura ${url} after ${pages} pages (maxPages reached)`, { requestId });
+        }
+
+        return { data, pages, truncated: !!nextToken };
+    };
+
     return client;
 };
 
 module.exports = {
+    OURA_API_URL,
     encryptData,
     decryptData,
     getAuthorizationUrl,
     exchangeCodeForToken,
     refreshAccessToken,
+    revokeAccessToken,
     createOuraClient
 };
@@ -0,0 +1,1070 @@
+/**
+ * Oura Sync
+ * Fetches a user's data from the Oura V2 API and stores it in Firestore.
+ * Runs without an HTTP request, so it can be used by the sync job queue and background jobs.
+ */
+const admin = require('firebase-admin');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const ouraOAuth = require('./ouraOAuth');
+const ouraTokenRefresh = require('./ouraTokenRefresh');
+const leaderboardGenerator = require('./leaderboardGenerator');
+const sleepSummaryGenerator = require('./sleepSummaryGenerator');
+const sleepInsights = require('./sleepInsights');
+const sleepDataWriter = require('./sleepDataWriter');
+const firestoreUtilsFactory = require('./firestoreUtils');
+
+// Import models
+const SleepData = require('../model/SleepData');
+const User = require('../model/User');
+
+/**
+ * Maps Oura V2 API daily_sleep data to our internal SleepData structure.
+ * @param {Array<object>} ouraApiData - Array of sleep record objects from Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @returns {Array<object>} Array of mapped SleepData objects (without validation).
+ */
+const mapOuraDataToSleepData = (ouraApiData, userId) => {
+  if (!ouraApiData || !Array.isArray(ouraApiData)) {
+    logger.error('Invalid or missing ouraApiData provided to mapOuraDataToSleepData', { userId });
+    return [];
+  }
+
+  logger.info(`Mapping ${ouraApiData.length} Oura records for user ${userId}`);
+
+  // Log the structure of the first record for reference if available
+  if (ouraApiData.length > 0) {
+    logger.debug(`Sample Oura V2 record structure for mapping reference (userId: ${userId}):`, {
+      sampleRecord: JSON.stringify(ouraApiData[0], null, 2).substring(0, 1000) // Log snippet
+    });
+  }
+
+  return ouraApiData.map((record, index) => {
+    try {
+      // --- Validate Essential V2 Fields ---
+      if (!record || typeof record !== 'object') {
+        logger.warn(`Skipping invalid Oura record (not an object) at index ${index}`, { userId });
+        return null;
+      }
+
+      const dayField = record.day; // V2 uses 'day' (YYYY-MM-DD)
+      if (!dayField || typeof dayField !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dayField)) {
+        logger.warn('Skipping Oura record with missing or invalid "day" field', {
+          userId,
+          recordId: record.id || `index_${index}`,
+          dayReceived: dayField,
+          keys: Object.keys(record).join(', ')
+        });
+        return null;
+      }
+
+      const dateId = dayField;
+      const date = moment.utc(dayField).toDate(); // Use UTC to avoid timezone issues with YYYY-MM-DD
+
+      if (isNaN(date.getTime())) {
+        logger.warn(`Invalid date parsed from Oura record day: ${dayField}`, { userId, recordId: record.id });
+        return null;
+      }
+
+      // --- Extract V2 Fields ---
+      const sleepScore = record.score; // V2 uses 'score'
+      if (typeof sleepScore !== 'number') {
+         logger.warn(`Skipping Oura record with missing or invalid "score" field`, {
+           userId,
+           recordId: record.id,
+           dateId,
+           scoreReceived: sleepScore
+         });
+         // Decide if you want to skip or provide a default. Skipping is safer.
+         // return null;
+         // Or provide a default if a record without a score is still useful:
+         // sleepScore = 0; // Or some other default indicator
+         return null; // Skipping for now
+      }
+
+
+      // Durations are typically in seconds in V2
+      const totalSleepSeconds = record.total_sleep_duration ?? 0; // Use nullish coalescing for defaults
+      const deepSleepSeconds = record.deep_sleep_duration ?? 0;
+      const remSleepSeconds = record.rem_sleep_duration ?? 0;
+      const lightSleepSeconds = record.light_sleep_duration ?? 0;
+      const latencySeconds = record.onset_latency ?? 0;
+      const efficiency = record.efficiency ?? 0; // Efficiency score (0-100)
+
+      // Heart rate data
+      const hrAvg = record.hr_average ?? 0;
+      const hrLowest = record.hr_lowest ?? 0;
+
+      // HRV data (Root Mean Square of Successive Differences)
+      const hrv = record.rmssd ?? 0;
+
+      // Respiratory rate data
+      const respRate = record.breath_average ?? 0;
+
+      // --- Create Mapped Object ---
+      const mappedData = {
+        userId,
+        dateId, // YYYY-MM-DD
+        date,   // JavaScript Date object (UTC)
+        source: SleepData.SOURCES.OURA,
+        ouraScore: Math.round(sleepScore), // Ensure integer score
+        metrics: {
+          totalSleepTime: Math.round(totalSleepSeconds),
+          efficiency: Math.round(efficiency), // Ensure integer efficiency
+          deepSleep: Math.round(deepSleepSeconds),
+          remSleep: Math.round(remSleepSeconds),
+          lightSleep: Math.round(lightSleepSeconds),
+          latency: Math.round(latencySeconds),
+          heartRate: {
+            average: hrAvg,
+            lowest: hrLowest
+          },
+          hrv: hrv, // Usually ms or ms^2 depending on specific 'rmssd' field variant
+          respiratoryRate: respRate // Breaths per minute
+        },
+        sourceData: {
+          provider: 'oura',
+          // providerUserId: record.user_id || 'unknown', // V2 API doesn't usually return user_id per record
+          sourceType: 'oura_sleep_v2', // Be specific about the source
+          sourceId: record.id || `generated-${dateId}-${Date.now()}` // Use Oura record ID if available
+        }
+      };
+
+      // Log first couple of mapped records for debugging if needed
+      if (index < 2) {
+        logger.debug(`Mapped Oura record ${index + 1} for user ${userId}:`, { mappedData });
+      }
+
+      return mappedData;
+
+    } catch (error) {
+      logger.error(`Error mapping Oura record at index ${index} for user ${userId}:`, {
+        error: error.message,
+        stack: error.stack?.substring(0, 300), // Log part of stack
+        recordId: record?.id,
+        recordKeys: record ? Object.keys(record).join(', ') : 'N/A'
+        // Avoid logging the full record PII if possible, log keys or ID instead
+      });
+      return null;
+    }
+  }).filter(Boolean); // Remove any null entries from mapping errors or skipped records
+};
+
+/**
+ * Helper: Validates the 'day' field (YYYY-MM-DD) of an Oura V2 record.
+ * @param {object} record - Oura record.
+ * @param {number} index - Index of the record in the API response.
+ * @param {string} userId - The user ID.
+ * @param {string} dataset - Dataset name for logging.
+ * @returns {string|null} The day, or null if the record should be skipped.
+ * @private
+ */
+const getValidOuraDay = (record, index, userId, dataset) => {
+  if (!record || typeof record !== 'object') {
+    logger.warn(`Skipping invalid Oura ${dataset} record (not an object) at index ${index}`, { userId });
+    return null;
+  }
+  const day = record.day;
+  if (!day || typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    logger.warn(`Skipping Oura ${dataset} record with missing or invalid "day" field`, {
+      userId,
+      recordId: record.id || `index_${index}`,
+      dayReceived: day
+    });
+    return null;
+  }
+  return day;
+};
+
+/**
+ * Helper: Maps each Oura record with the given mapper, skipping records that fail.
+ * @param {Array<object>} ouraApiData - Records from the Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @param {string} dataset - Dataset name for logging.
+ * @param {Function} mapRecord - (record, index) => mapped object or null.
+ * @returns {Array<object>} Mapped objects.
+ * @private
+ */
+const mapOuraRecords = (ouraApiData, userId, dataset, mapRecord) => {
+  if (!ouraApiData || !Array.isArray(ouraApiData)) {
+    logger.error(`Invalid or missing Oura ${dataset} data provided for mapping`, { userId });
+    return [];
+  }
+
+  return ouraApiData.map((record, index) => {
+    try {
+      return mapRecord(record, index);
+    } catch (error) {
+      logger.error(`Error mapping Oura ${dataset} record at index ${index} for user ${userId}:`, {
+        error: error.message,
+        recordId: record?.id
+      });
+      return null;
+    }
+  }).filter(Boolean);
+};
+
+/**
+ * Maps Oura V2 API sleep period data (/sleep) to our internal sleep period structure.
+ * A day can have several periods (main sleep, naps, rest), so periods are keyed by Oura ID.
+ * @param {Array<object>} ouraApiData - Array of sleep period objects from Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @returns {Array<object>} Array of mapped sleep period objects.
+ */
+const mapOuraSleepPeriods = (ouraApiData, userId) =>
+  mapOuraRecords(ouraApiData, userId, 'sleep period', (record, index) => {
+    const dateId = getValidOuraDay(record, index, userId, 'sleep period');
+    if (!dateId || !record.id) return null;
+
+    return {
+      userId,
+      periodId: record.id,
+      dateId,
+      type: record.type || 'sleep', // long_sleep, sleep, late_nap, rest
+      bedtimeStart: record.bedtime_start ? new Date(record.bedtime_start) : null,
+      bedtimeEnd: record.bedtime_end ? new Date(record.bedtime_end) : null,
+      metrics: {
+        timeInBed: record.time_in_bed ?? 0,
+        totalSleepTime: record.total_sleep_duration ?? 0,
+        awakeTime: record.awake_time ?? 0,
+        deepSleep: record.deep_sleep_duration ?? 0,
+        remSleep: record.rem_sleep_duration ?? 0,
+        lightSleep: record.light_sleep_duration ?? 0,
+        latency: record.latency ?? 0,
+        efficiency: record.efficiency ?? 0,
+        restlessPeriods: record.restless_periods ?? 0,
+        heartRate: {
+          average: record.average_heart_rate ?? 0,
+          lowest: record.lowest_heart_rate ?? 0
+        },
+        hrv: record.average_hrv ?? 0,
+        respiratoryRate: record.average_breath ?? 0
+      },
+      sourceData: { provider: 'oura', sourceType: 'oura_sleep_period_v2', sourceId: record.id }
+    };
+  });
+
+/**
+ * Maps Oura V2 API daily readiness data (/daily_readiness) to our internal structure.
+ * @param {Array<object>} ouraApiData - Array of readiness objects from Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @returns {Array<object>} Array of mapped readiness objects.
+ */
+const mapOuraReadinessData = (ouraApiData, userId) =>
+  mapOuraRecords(ouraApiData, userId, 'readiness', (record, index) => {
+    const dateId = getValidOuraDay(record, index, userId, 'readiness');
+    if (!dateId || typeof record.score !== 'number') return null;
+
+    return {
+      userId,
+      dateId,
+      date: moment.utc(dateId).toDate(),
+      score: Math.round(record.score),
+      temperatureDeviation: record.temperature_deviation ?? null,
+      temperatureTrendDeviation: record.temperature_trend_deviation ?? null,
+      contributors: record.contributors || {},
+      sourceData: { provider: 'oura', sourceType: 'oura_readiness_v2', sourceId: record.id || null }
+    };
+  });
+
+/**
+ * Maps Oura V2 API daily activity data (/daily_activity) to our internal structure.
+ * @param {Array<object>} ouraApiData - Array of activity objects from Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @returns {Array<object>} Array of mapped activity objects.
+ */
+const mapOuraActivityData = (ouraApiData, userId) =>
+  mapOuraRecords(ouraApiData, userId, 'activity', (record, index) => {
+    const dateId = getValidOuraDay(record, index, userId, 'activity');
+    if (!dateId) return null;
+
+    return {
+      userId,
+      dateId,
+      date: moment.utc(dateId).toDate(),
+      score: typeof record.score === 'number' ? Math.round(record.score) : null,
+      steps: record.steps ?? 0,
+      activeCalories: record.active_calories ?? 0,
+      totalCalories: record.total_calories ?? 0,
+      walkingDistance: record.equivalent_walking_distance ?? 0, // meters
+      highActivityTime: record.high_activity_time ?? 0, // seconds
+      mediumActivityTime: record.medium_activity_time ?? 0,
+      lowActivityTime: record.low_activity_time ?? 0,
+      sedentaryTime: record.sedentary_time ?? 0,
+      contributors: record.contributors || {},
+      sourceData: { provider: 'oura', sourceType: 'oura_activity_v2', sourceId: record.id || null }
+    };
+  });
+
+/**
+ * Maps Oura V2 API daily SpO2 data (/daily_spo2) to our internal structure.
+ * @param {Array<object>} ouraApiData - Array of SpO2 objects from Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @returns {Array<object>} Array of mapped SpO2 objects.
+ */
+const mapOuraSpo2Data = (ouraApiData, userId) =>
+  mapOuraRecords(ouraApiData, userId, 'spo2', (record, index) => {
+    const dateId = getValidOuraDay(record, index, userId, 'spo2');
+    if (!dateId) return null;
+
+    return {
+      userId,
+      dateId,
+      date: moment.utc(dateId).toDate(),
+      averagePercentage: record.spo2_percentage?.average ?? null,
+      breathingDisturbanceIndex: record.breathing_disturbance_index ?? null,
+      sourceData: { provider: 'oura', sourceType: 'oura_spo2_v2', sourceId: record.id || null }
+    };
+  });
+
+/**
+ * Maps Oura V2 API heart rate samples (/heartrate) to one document per day.
+ * The endpoint returns a flat time series, so samples are grouped by their UTC day.
+ * @param {Array<object>} ouraApiData - Array of { bpm, source, timestamp } samples from Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @returns {Array<object>} Array of mapped per-day heart rate objects.
+ */
+const mapOuraHeartRateData = (ouraApiData, userId) => {
+  const samples = mapOuraRecords(ouraApiData, userId, 'heartrate', (record) => {
+    if (!record || typeof record.bpm !== 'number' || !record.timestamp) return null;
+    const timestamp = moment.utc(record.timestamp);
+    if (!timestamp.isValid()) return null;
+    return { bpm: record.bpm, source: record.source || 'unknown', timestamp: timestamp.toDate() };
+  });
+
+  const days = {};
+  samples.forEach(sample => {
+    const dateId = moment.utc(sample.timestamp).format('YYYY-MM-DD');
+    if (!days[dateId]) {
+      days[dateId] = [];
+    }
+    days[dateId].push(sample);
+  });
+
+  return Object.keys(days).map(dateId => {
+    const bpms = days[dateId].map(s => s.bpm);
+    return {
+      userId,
+      dateId,
+      date: moment.utc(dateId).toDate(),
+      samples: days[dateId],
+      min: Math.min(...bpms),
+      max: Math.max(...bpms),
+      average: Math.round((bpms.reduce((acc, bpm) => acc + bpm, 0) / bpms.length) * 10) / 10,
+      sourceData: { provider: 'oura', sourceType: 'oura_heartrate_v2' }
+    };
+  });
+};
+
+/**
+ * Maps Oura V2 API workout data (/workout) to our internal workout structure.
+ * @param {Array<object>} ouraApiData - Array of workout objects from Oura V2 API.
+ * @param {string} userId - The user ID.
+ * @returns {Array<object>} Array of mapped workout objects.
+ */
+const mapOuraWorkoutData = (ouraApiData, userId) =>
+  mapOuraRecords(ouraApiData, userId, 'workout', (record, index) => {
+    const dateId = getValidOuraDay(record, index, userId, 'workout');
+    if (!dateId || !record.id) return null;
+
+    return {
+      userId,
+      workoutId: record.id,
+      dateId,
+      activity: record.activity || 'unknown',
+      label: record.label || null,
+      intensity: record.intensity || null, // easy, moderate, hard
+      calories: record.calories ?? 0,
+      distance: record.distance ?? 0, // meters
+      startTime: record.start_datetime ? new Date(record.start_datetime) : null,
+      endTime: record.end_datetime ? new Date(record.end_datetime) : null,
+      sourceData: { provider: 'oura', sourceType: 'oura_workout_v2', sourceId: record.id }
+    };
+  });
+
+// Heart rate is a 5-minute time series, so it is only synced for recent days
+const HEARTRATE_SYNC_MAX_DAYS = 30;
+
+/**
+ * Additional Oura V2 datasets synced next to daily_sleep.
+ * Each dataset is stored in its own subcollection under sleepData/{userId};
+ * `dataType` is Oura's name for the dataset (as used in webhooks).
+ * @private
+ */
+const OURA_DATASETS = [
+  {
+    name: 'sleepPeriods',
+    dataType: 'sleep',
+    endpoint: '/sleep',
+    collection: 'sleepPeriods',
+    mapper: mapOuraSleepPeriods,
+    getDocId: record => record.periodId
+  },
+  {
+    name: 'readiness',
+    dataType: 'daily_readiness',
+    endpoint: '/daily_readiness',
+    collection: 'readiness',
+    mapper: mapOuraReadinessData,
+    getDocId: record => record.dateId
+  },
+  {
+    name: 'activity',
+    dataType: 'daily_activity',
+    endpoint: '/daily_activity',
+    collection: 'activity',
+    mapper: mapOuraActivityData,
+    getDocId: record => record.dateId
+  },
+  {
+    name: 'spo2',
+    dataType: 'daily_spo2',
+    endpoint: '/daily_spo2',
+    collection: 'spo2',
+    mapper: mapOuraSpo2Data,
+    getDocId: record => record.dateId
+  },
+  {
+    name: 'heartRate',
+    dataType: 'heartrate',
+    endpoint: '/heartrate',
+    collection: 'heartRate',
+    mapper: mapOuraHeartRateData,
+    getDocId: record => record.dateId,
+    // The heart rate endpoint takes datetimes instead of dates; null when the whole range is too old
+    buildParams: (startDate, endDate) => {
+      const start = moment.max(startDate.clone(), moment.utc().subtract(HEARTRATE_SYNC_MAX_DAYS, 'days').startOf('day'));
+      if (start.isAfter(endDate)) {
+        return null;
+      }
+      return { start_datetime: start.toISOString(), end_datetime: endDate.toISOString() };
+    }
+  },
+  {
+    name: 'workouts',
+    dataType: 'workout',
+    endpoint: '/workout',
+    collection: 'workouts',
+    mapper: mapOuraWorkoutData,
+    getDocId: record => record.workoutId
+  }
+];
+
+/**
+ * Fetches, maps and stores the additional Oura datasets for a user.
+ * A failing dataset is reported but does not stop the others or the sleep sync.
+ * @param {object} ouraClient - Axios client created by ouraOAuth.createOuraClient.
+ * @param {string} userId - The user ID.
+ * @param {moment.Moment} startDate - Sync start (UTC).
+ * @param {moment.Moment} endDate - Sync end (UTC).
+ * @param {string} requestId - Request ID for tracing.
+ * @param {object} progress - Sync progress counters, updated as records are fetched and written.
+ * @param {Array<string>} [dataTypes] - Only sync these Oura data types (all when omitted).
+ * @returns {Promise<object>} Per-dataset report { received, stored, failed, error, skipped }.
+ * @private
+ */
+const syncAdditionalOuraDatasets = async (ouraClient, userId, startDate, endDate, requestId, progress, dataTypes) => {
+  const firestore = admin.firestore();
+  const parentRef = firestore.collection('sleepData').doc(userId);
+  const BATCH_SIZE = 250;
+  const report = {};
+
+  const datasets = dataTypes ? OURA_DATASETS.filter(dataset => dataTypes.includes(dataset.dataType)) : OURA_DATASETS;
+
+  for (const dataset of datasets) {
+    const datasetReport = { received: 0, stored: 0, failed: 0 };
+    report[dataset.name] = datasetReport;
+
+    try {
+      const params = dataset.buildParams
+        ? dataset.buildParams(startDate, endDate)
+        : { start_date: startDate.format('YYYY-MM-DD'), end_date: endDate.format('YYYY-MM-DD') };
+
+      if (!params) {
+        // e.g. heart rate for a targeted re-fetch of a day older than HEARTRATE_SYNC_MAX_DAYS
+        datasetReport.skipped = true;
+        logger.info(`Skipped Oura ${dataset.name} for user ${userId}, the range is outside what is synced`, { requestId });
+        continue;
+      }
+
+      const { data: apiData, truncated } = await ouraClient.getAllPages(dataset.endpoint, { params });
+      datasetReport.received = apiData.length;
+      datasetReport.truncated = truncated;
+      progress.fetched += apiData.length;
+
+      const mappedRecords = dataset.mapper(apiData, userId);
+      const collectionRef = parentRef.collection(dataset.collection);
+
+      for (let i = 0; i < mappedRecords.length; i += BATCH_SIZE) {
+        const batch = firestore.batch();
+        const chunk = mappedRecords.slice(i, i + BATCH_SIZE);
+
+        chunk.forEach(record => {
+          batch.set(collectionRef.doc(dataset.getDocId(record)), {
+            ...record,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          }, { merge: true });
+        });
+
+        try {
+          await batch.commit();
+          datasetReport.stored += chunk.length;
+          progress.written += chunk.length;
+        } catch (batchError) {
+          logger.error(`Error committing Oura ${dataset.name} batch for user ${userId}:`, { requestId, error: batchError.message });
+          datasetReport.failed += chunk.length;
+          progress.failed += chunk.length;
+        }
+      }
+
+      logger.info(`Synced Oura ${dataset.name} for user ${userId}: ${datasetReport.stored}/${mappedRecords.length} stored`, { requestId });
+    } catch (error) {
+      // e.g. the scope for this dataset was not granted; keep going with the rest
+      datasetReport.error = error.response ? `Oura API returned status ${error.response.status}` : error.message;
+      logger.warn(`Failed to sync Oura ${dataset.name} for user ${userId}`, { requestId, error: datasetReport.error });
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Gets the Firestore subcollection (under sleepData/{userId}) that stores each Oura data type.
+ * @returns {Object<string, string>} Map of Oura data type to collection name.
+ */
+const getOuraDataTypeCollections = () => ({
+  daily_sleep: 'daily',
+  ...Object.fromEntries(OURA_DATASETS.map(dataset => [dataset.dataType, dataset.collection]))
+});
+
+/**
+ * Helper: Updates sync state fields of a user's Oura integration, unless the integration was
+ * disconnected or its tokens changed since the sync read them (disconnect, reconnect or a refresh
+ * elsewhere). Only the given fields are written, so the stored tokens are never overwritten.
+ * @param {string} userId - The user ID.
+ * @param {string} usedAccessToken - The (encrypted) access token the sync used.
+ * @param {object} fields - Integration fields to set, e.g. { lastSyncDate }.
+ * @param {string} [requestId] - Request ID for logging.
+ * @returns {Promise<boolean>} True if the fields were written.
+ * @private
+ */
+const updateOuraSyncState = async (userId, usedAccessToken, fields, requestId) => {
+  const firestore = admin.firestore();
+  const userRef = firestore.collection('users').doc(userId);
+
+  const updated = await firestore.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const integration = User.normalizeIntegrations(userData).oura;
+
+    if (!integration?.connected || !ouraTokenRefresh.isSameToken(integration.accessToken, usedAccessToken)) {
+      return false;
+    }
+
+    // Users not yet migrated keep the integration in the legacy field
+    const prefix = userData.integrations?.oura ? 'integrations.oura' : 'ouraIntegration';
+    transaction.update(userRef, Object.fromEntries(
+      Object.entries(fields).map(([field, value]) => [`${prefix}.${field}`, value])
+    ));
+    return true;
+  });
+
+  if (!updated) {
+    logger.info(`Oura connection of user ${userId} changed during the sync, not updating its sync state`, { requestId });
+  }
+  return updated;
+};
+
+/**
+ * Creates an empty set of sync progress counters.
+ * @returns {{fetched: number, written: number, failed: number}} Progress counters.
+ */
+const createSyncProgress = () => ({ fetched: 0, written: 0, failed: 0 });
+
+/**
+ * Syncs a user's data from the Oura V2 API.
+ * Handles token refresh, fetches data, maps it, and stores it in Firestore.
+ * Besides daily_sleep, the additional datasets in OURA_DATASETS are synced into their own subcollections.
+ * Expected failures (no connection, invalid token, Oura API errors) are reported in the result, not thrown.
+ * @param {string} userId - The user ID.
+ * @param {object} [options] - Sync options.
+ * @param {string} [options.requestId] - ID for tracing this sync operation.
+ * @param {object} [options.progress] - Progress counters updated while syncing (see createSyncProgress).
+ * @param {{startDate: (Date|string), endDate: (Date|string)}} [options.dateRange] - Re-fetch only this range
+ *   instead of everything since the last sync. Targeted syncs don't move `lastSyncDate`.
+ * @param {{dataType: string, id: string}} [options.ouraObject] - Re-fetch only the day of this Oura object
+ *   (e.g. from a webhook notification); takes precedence over dateRange.
+ * @param {Array<string>} [options.dataTypes] - Only sync these Oura data types, e.g. ['daily_sleep', 'workout'].
+ * @returns {Promise<object>} Sync result with `status` ('completed', 'skipped' or 'failed') and `message`.
+ */
+const syncUserOuraData = async (userId, options = {}) => {
+  const { requestId = uuidv4(), progress = createSyncProgress(), ouraObject, dataTypes } = options;
+  let { dateRange } = options;
+  const isTargeted = !!(dateRange || ouraObject);
+  const firestore = admin.firestore();
+  const firestoreUtils = firestoreUtilsFactory(firestore);
+
+  logger.info(`Starting Oura data sync for user ID: ${userId}`, { requestId });
+
+  try {
+    // 1. Get User and Oura Integration Details (after a running token refresh, so the tokens are current)
+    await ouraTokenRefresh.waitForTokenRefresh(userId);
+    const user = await firestoreUtils.getUser(userId);
+
+    if (!user) {
+      logger.error(`User not found during Oura sync: ${userId}`, { requestId });
+      return { status: 'failed', message: 'User not found', error: 'User record does not exist.' };
+    }
+    user.id = userId; // Ensure ID is consistently set
+
+    // Ensure the Oura integration exists and is initialized
+    if (!user.integrations.oura) {
+      logger.warn(`User ${userId} has no Oura integration object. Initializing.`, { requestId });
+      user.integrations.oura = { connected: false, tokenInvalid: false };
+      // Persist this initialization? Maybe not here, but upon connection.
+    }
+
+    logger.info(`Checking Oura connection status for user ${userId}: connected=${user.integrations.oura.connected}, tokenInvalid=${user.integrations.oura.tokenInvalid}`, { requestId });
+
+    // 2. Check Connection Status and Tokens
+    if (
+      !user.integrations.oura.connected ||
+      user.integrations.oura.tokenInvalid || // Check if token was marked invalid previously
+      !user.integrations.oura.accessToken ||
+      !user.integrations.oura.refreshToken
+    ) {
+      const message = user.integrations.oura.tokenInvalid
+        ? 'Oura authorization needs renewal. Please reconnect your Oura ring.'
+        : 'No Oura Ring connected or authorized.';
+      logger.info(`Sync skipped for user ${userId}: ${message}`, { requestId });
+      return {
+        status: 'skipped',
+        message: message,
+        data: [],
+        needsReconnect: user.integrations.oura.tokenInvalid || !user.integrations.oura.connected, // Flag for client UI
+        noConnection: !user.integrations.oura.connected // Specific flag for no connection initially
+      };
+    }
+
+    // 3. Check Token Expiration and Refresh if Needed
+    let accessToken = user.integrations.oura.accessToken; // Encrypted token
+    const now = new Date();
+    const expiryTime = user.integrations.oura.expiresAt ? new Date(user.integrations.oura.expiresAt) : null; // Handle potentially stored string/timestamp
+    const isExpired = !expiryTime || now >= expiryTime;
+
+    if (isExpired) {
+      logger.info(`Oura token expired or nearing expiration for user ${userId}. Refreshing...`, {
+        requestId,
+        expiryTime: expiryTime?.toISOString(),
+        now: now.toISOString()
+      });
+      // Shares the per-user lock with the proactive token refresh job
+      const refresh = await ouraTokenRefresh.refreshOuraToken(userId, { requestId });
+
+      // 'superseded': refreshed elsewhere meanwhile, the stored tokens are usable as long as still connected
+      const hasValidTokens = ['refreshed', 'superseded'].includes(refresh.status) &&
+        refresh.integration?.connected && !refresh.integration.tokenInvalid;
+
+      if (!hasValidTokens) {
+        logger.error(`Failed to refresh Oura token for user ${userId}.`, { requestId, status: refresh.status, error: refresh.error });
+
+        if (refresh.status === 'failed') {
+          // Temporary problem (network, Oura outage); the connection stays valid
+          return {
+            status: 'failed',
+            message: 'Could not renew the Oura authorization. Please try again later.',
+            data: [],
+            error: 'Failed to refresh Oura token.'
+          };
+        }
+
+        // Report that the user has to reconnect
+        return {
+          status: 'failed',
+          message: 'Oura authorization needs renewal. Please reconnect your Oura ring.',
+          data: [],
+          error: 'Failed to refresh Oura token.',
+          needsReconnect: true // Flag for client UI
+        };
+      }
+
+      // Continue with the stored tokens; the sync state is only written while they are still stored
+      user.integrations.oura = refresh.integration;
+      accessToken = refresh.integration.accessToken;
+    } else {
+        // Log time to expiry if not expired
+        const timeToExpiryMinutes = expiryTime ? Math.round((expiryTime.getTime() - now.getTime()) / 1000 / 60) : 'unknown';
+        logger.info(`Oura token for user ${userId} is valid. Expires in approx ${timeToExpiryMinutes} minutes.`, { requestId });
+    }
+
+
+    // 4. Determine Sync Period
+    if (ouraObject) {
+      // Oura notifications only identify the object, look up which day it belongs to
+      const objectClient = ouraOAuth.createOuraClient(accessToken, requestId);
+      const objectResponse = await objectClient.get(`/${ouraObject.dataType}/${ouraObject.id}`);
+      const day = objectResponse.data?.day;
+
+      if (!day) {
+        logger.warn(`Oura ${ouraObject.dataType} object ${ouraObject.id} has no day, nothing to sync for user ${userId}`, { requestId });
+        return { status: 'skipped', message: 'The Oura record has no day to sync.' };
+      }
+      dateRange = { startDate: day, endDate: day };
+    }
+
+    let endDate = moment.utc().endOf('day'); // Sync up to end of today (UTC)
+    let startDate;
+    const sixMonthsAgo = moment.utc().subtract(6, 'months').startOf('day');
+    const lastSyncDateRaw = user.integrations.oura.lastSyncDate;
+    let lastSyncDate = null;
+
+    if (lastSyncDateRaw) {
+        // Handle Firestore Timestamp or ISO string
+        if (lastSyncDateRaw.toDate) { // Firestore Timestamp
+            lastSyncDate = moment.utc(lastSyncDateRaw.toDate());
+        } else if (typeof lastSyncDateRaw === 'string') {
+            lastSyncDate = moment.utc(lastSyncDateRaw);
+        } else if (lastSyncDateRaw instanceof Date) {
+            lastSyncDate = moment.utc(lastSyncDateRaw);
+        }
+    }
+
+    if (isTargeted) {
+      // Re-fetch of a specific range, e.g. a day Oura notified us about
+      startDate = moment.utc(dateRange.startDate).startOf('day');
+      endDate = moment.utc(dateRange.endDate).endOf('day');
+      logger.info(`Targeted sync for user ${userId}. Fetching ${dataTypes ? dataTypes.join(', ') : 'all data'} from ${startDate.format('YYYY-MM-DD')} to ${endDate.format('YYYY-MM-DD')}.`, { requestId });
+    } else if (lastSyncDate && lastSyncDate.isValid() && lastSyncDate.isAfter(sixMonthsAgo)) {
+      // Sync from the day *after* the last sync to avoid duplicates, up to max 6 months back
+      startDate = lastSyncDate.add(1, 'day').startOf('day');
+      logger.info(`Incremental sync for user ${userId}. Fetching data from ${startDate.format('YYYY-MM-DD')} to ${endDate.format('YYYY-MM-DD')}.`, { requestId });
+    } else {
+      // First sync or last sync too long ago, fetch last 6 months
+      startDate = sixMonthsAgo;
+       logger.info(`Performing full sync (or >6 months since last) for user ${userId}. Fetching data from ${startDate.format('YYYY-MM-DD')} to ${endDate.format('YYYY-MM-DD')}.`, { requestId });
+    }
+
+    // Ensure start date is not after end date
+    if (startDate.isAfter(endDate)) {
+        logger.info(`Start date ${startDate.format('YYYY-MM-DD')} is after end date ${endDate.format('YYYY-MM-DD')}. No new data to fetch for user ${userId}.`, { requestId });
+        // Optionally update lastSyncDate here even if no data fetched?
+        // user.integrations.oura.lastSyncDate = new Date(); // Update sync time regardless
+        // await firestoreUtils.saveUser(user);
+        return {
+            status: 'completed',
+            message: 'Sleep data is already up to date.',
+            recordsProcessed: 0,
+            recordsTotal: 0
+        };
+    }
+
+    // Format dates for API (YYYY-MM-DD)
+    const formattedStartDate = startDate.format('YYYY-MM-DD');
+    const formattedEndDate = endDate.format('YYYY-MM-DD');
+
+    // 5. Fetch Data from Oura API V2
+    let apiResponseData = [];
+    let ouraClient;
+    try {
+      // Create Oura client (assumes it handles decryption internally or token is decrypted)
+      ouraClient = ouraOAuth.createOuraClient(accessToken, requestId); // Pass request ID for potential tracing in client
+
+      if (!dataTypes || dataTypes.includes('daily_sleep')) {
+        logger.info(`Making Oura API V2 request to /daily_sleep for user ${userId}`, {
+          requestId,
+          params: { start_date: formattedStartDate, end_date: formattedEndDate }
+        });
+
+        // Use the documented V2 endpoint, following next_token for long ranges
+        const result = await ouraClient.getAllPages('/daily_sleep', {
+          params: {
+            start_date: formattedStartDate,
+            end_date: formattedEndDate
+          }
+        });
+
+        apiResponseData = result.data;
+        progress.fetched += apiResponseData.length;
+        logger.info(`Received ${apiResponseData.length} sleep records in ${result.pages} page(s) from Oura API for user ${userId}`, {
+          requestId,
+          truncated: result.truncated
+        });
+      }
+
+    } catch (apiError) {
+      let errorMessage = 'Failed to fetch data from Oura API.';
+      let needsReconnect = false;
+      let statusCode = 500; // Default internal error
+
+      // Basic validation of the V2 response structure failed on one of the pages
+      if (apiError.code === 'OURA_INVALID_RESPONSE') {
+        logger.error(`Invalid Oura API response format received for user ${userId}. Expected { data: [...] }`, {
+            requestId,
+            responseStructure: JSON.stringify(apiError.responseData)?.substring(0, 500) // Log snippet
+        });
+        // Don't throw, report a controlled error
+        return {
+            status: 'failed',
+            message: 'Received an unexpected response format from Oura. Sync could not be completed.',
+            error: 'Invalid API response format',
+            data: []
+        };
+      }
+
+      if (apiError.response) {
+        // Handle specific HTTP errors from Oura
+        statusCode = apiError.response.status;
+        const responseDataSnippet = JSON.stringify(apiError.response.data)?.substring(0, 500);
+        logger.error(`Oura API request failed for user ${userId} with status ${statusCode}`, {
+          requestId,
+          statusText: apiError.response.statusText,
+          data: responseDataSnippet,
+          // config: apiError.config // Can be verbose, enable if needed
+        });
+
+        if (statusCode === 401 || statusCode === 403) {
+          errorMessage = 'Oura authorization failed. Please reconnect your Oura ring.';
+          needsReconnect = true;
+          // Mark token as invalid and ask the user to reconnect (unless refreshed or reconnected meanwhile)
+          try {
+            if (await ouraTokenRefresh.markTokenInvalid(userId, user.integrations.oura.refreshToken, requestId)) {
+              logger.info(`Marked Oura connection as invalid for user ${userId} due to ${statusCode} error.`, { requestId });
+            }
+          } catch (updateError) {
+            logger.error(`Failed to mark Oura token as invalid for user ${userId} after ${statusCode} error:`, {
+              requestId,
+              updateError: updateError.message
+            });
+          }
+        } else if (statusCode === 429) {
+          errorMessage = 'Oura API rate limit exceeded. Please try again later.';
+          // Optionally implement backoff strategy here or rely on client retry
+        } else {
+           errorMessage = `Oura API returned an error (Status: ${statusCode}).`;
+        }
+      } else {
+        // Network error or other issue before getting a response
+        logger.error(`Error connecting to Oura API for user ${userId}:`, {
+          requestId,
+          error: apiError.message,
+          code: apiError.code // e.g., ECONNREFUSED
+        });
+         errorMessage = 'Could not connect to Oura API.';
+      }
+
+      // Report the failure
+      return {
+        status: 'failed',
+        message: errorMessage,
+        error: apiError.message || 'Unknown Oura API error',
+        errorCode: apiError.code,
+        statusCode: statusCode, // Include Oura status code if available
+        needsReconnect: needsReconnect,
+        data: []
+      };
+    }
+
+    // 5b. Fetch and store the additional Oura datasets (sleep periods, readiness, activity, ...)
+    const datasetsReport = await syncAdditionalOuraDatasets(ouraClient, userId, startDate, endDate, requestId, progress, dataTypes);
+
+    // 6. Map Oura Data
+    const mappedSleepData = mapOuraDataToSleepData(apiResponseData, userId);
+    logger.info(`Mapped ${mappedSleepData.length} Oura records to internal format for user ${userId}`, { requestId });
+
+    if (mappedSleepData.length === 0 && apiResponseData.length > 0) {
+      logger.warn(`No valid sleep records could be mapped from ${apiResponseData.length} received Oura records for user ${userId}. Check mapping logic and data quality.`, { requestId });
+       // Potentially return info about skipped records if needed by client
+    }
+     if (mappedSleepData.length === 0) {
+      logger.info(`No new sleep data to process after mapping for user ${userId}`, { requestId });
+       // Update last sync date even if no new records were processed? Yes, sync *attempted*.
+        if (!isTargeted) {
+          if (await updateOuraSyncState(userId, accessToken, { lastSyncDate: new Date() }, requestId)) {
+            logger.info(`Updated lastSyncDate for user ${userId} after sync attempt yielded no processable data.`, { requestId });
+          }
+        }
+
+       return {
+          status: 'completed',
+          message: 'No new sleep data found or processed from Oura.',
+          recordsProcessed: 0,
+          recordsTotal: apiResponseData.length, // Show how many raw records were received
+          datasets: datasetsReport
+        };
+    }
+
+
+    // 7. Process and Store Data in Batches
+    let writeReport;
+    try {
+      writeReport = await sleepDataWriter.writeDailySleepRecords(userId, mappedSleepData, { requestId, progress });
+    } catch (storageError) {
+      logger.error(`Failed to prepare sleep data storage for user ${userId}`, { requestId, error: storageError.message });
+      return { status: 'failed', message: "Failed to prepare user data storage.", error: storageError.message };
+    }
+    const processedCount = writeReport.written;
+    const errorCount = writeReport.failed;
+    const parentRef = firestore.collection('sleepData').doc(userId);
+    const lastDate = writeReport.lastDate;
+
+
+     // 8. Update Metadata (Total Records, Date Range, Last Sync) - Outside Batch Loop for efficiency
+     try {
+        const finalUpdateData = {
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+            // Only update totalRecords if you are sure about overwrite vs increment logic
+            // Consider reading the parent doc once before loop, summing, then writing once after.
+            // For simplicity, could update lastUpdated and dateRange here, totalRecords might need more robust handling
+            'dateRange.lastDate': lastDate // Update last date seen in this sync
+            // Optionally update firstDate if this is the very first sync
+            // 'dateRange.firstDate': firstDate // Careful: only set if parent doc didn't exist or had no range
+        };
+        // If you track total records, update it carefully. Incrementing assumes no overlaps.
+        // A safer approach might be to count documents after sync or use a transaction.
+        // Example increment (use with caution if syncs can overlap or process old data):
+        // if (processedCount > 0) {
+        //     finalUpdateData.totalRecords = admin.firestore.FieldValue.increment(processedCount);
+        // }
+        // A targeted re-fetch of an older day must not move the range or sync position back
+        if (isTargeted) {
+          delete finalUpdateData['dateRange.lastDate'];
+        }
+        await parentRef.update(finalUpdateData);
+        logger.info(`Updated parent document metadata for user ${userId}`, { requestId, lastDate: lastDate.toISOString() });
+
+        // Update lastSyncDate on the user object *after* successful processing
+        if (!isTargeted) {
+          const newSyncTimestamp = new Date();
+          // Ensure marked as valid after successful sync
+          if (await updateOuraSyncState(userId, accessToken, { lastSyncDate: newSyncTimestamp, tokenInvalid: false }, requestId)) {
+            logger.info(`Successfully updated lastSyncDate to ${newSyncTimestamp.toISOString()} for user ${userId}`, { requestId });
+          }
+        }
+
+     } catch (metaUpdateError) {
+         logger.error(`Failed to update metadata or lastSyncDate after processing for user ${userId}`, { requestId, error: metaUpdateError.message });
+         // Sync partially succeeded, but metadata is stale. Critical? Maybe just log.
+     }
+
+
+    // 9. Update Sleep Summaries (sync runs in the background, so the result waits for derived data too)
+    try {
+      await sleepSummaryGenerator.updateSleepSummaries(userId);
+      logger.info(`Sleep summary updated for user ${userId}`, { requestId });
+    } catch (summaryError) {
+      logger.error(`Error updating sleep summary for user ${userId}:`, { requestId, error: summaryError.message });
+    }
+
+    // 9b. Update the cached sleep insights
+    try {
+      await sleepInsights.updateSleepInsights(userId);
+    } catch (insightsError) {
+      logger.error(`Error updating sleep insights for user ${userId}:`, { requestId, error: insightsError.message });
+    }
+
+    // 10. Regenerate leaderboards of the user's active competitions
+    try {
+      const count = await leaderboardGenerator.updateLeaderboardsForUser(userId);
+      logger.info(`Regenerated ${count} competition leaderboard(s) after sync for user ${userId}`, { requestId });
+    } catch (leaderboardError) {
+      logger.error(`Error regenerating leaderboards for user ${userId}:`, { requestId, error: leaderboardError.message });
+    }
+
+    // 11. Report Success
+    return {
+      status: 'completed',
+      message: 'Sleep data synchronized successfully.',
+      recordsProcessed: processedCount,
+      recordsReceivedFromOura: apiResponseData.length,
+      recordsFailedToProcess: errorCount,
+      // Nights already recorded from another source (manual entries, imports) are kept
+      recordsSkipped: writeReport.skipped,
+      datasets: datasetsReport,
+      dateRangeSynced: { start: formattedStartDate, end: formattedEndDate }
+    };
+
+  } catch (error) {
+    // Catch-all for unexpected errors during the sync flow
+    logger.error(`Unhandled error during Oura sync for user ${userId}:`, {
+      requestId,
+      error: error.message,
+      stack: error.stack // Include stack for unexpected errors
+    });
+    // Report a generic error (no stack trace, results are shown to clients)
+    return {
+      status: 'failed',
+      message: 'An unexpected error occurred during sleep data synchronization.',
+      error: error.message || 'Internal Server Error'
+    };
+  }
+};
+
+/**
+ * Deletes the data synced from Oura for a user: the nights in `daily` whose source is Oura and
+ * every additional dataset subcollection. Nights from other sources are kept. Nights written before
+ * `source` existed have none and came from Oura, so they are deleted too (a `where` on `source`
+ * would not match them).
+ * @param {string} userId - The user ID.
+ * @param {object} [options] - Options.
+ * @param {string} [options.requestId] - Request ID for logging.
+ * @returns {Promise<Object<string, number>>} Number of deleted documents per collection.
+ */
+const purgeOuraData = async (userId, { requestId } = {}) => {
+  const firestore = admin.firestore();
+  const parentRef = firestore.collection('sleepData').doc(userId);
+  const writer = firestore.bulkWriter();
+  const deletes = [];
+  const report = {};
+
+  const isOuraNight = doc => (doc.get('source') || SleepData.SOURCES.OURA) === SleepData.SOURCES.OURA;
+  const queries = [
+    ['daily', parentRef.collection('daily').select('source'), isOuraNight],
+    ...OURA_DATASETS.map(dataset => [dataset.collection, parentRef.collection(dataset.collection).select(), () => true])
+  ];
+
+  for (const [collection, query, shouldDelete] of queries) {
+    const snapshot = await query.get();
+    const docs = snapshot.docs.filter(shouldDelete);
+    docs.forEach(doc => deletes.push(writer.delete(doc.ref)));
+    report[collection] = docs.length;
+  }
+
+  // Rejects on the first failed delete; the purge can simply be repeated
+  await Promise.all([...deletes, writer.close()]);
+
+  logger.info(`Purged ${deletes.length} Oura documents for user ${userId}`, { requestId, ...report });
+  return report;
+};
+
+/**
+ * Gets the users with a connected Oura ring, including users whose integration is still stored
+ * in the legacy `ouraIntegration` field (not yet moved by scripts/migrate-integrations.js).
+ * @returns {Promise<Array<{id: string, integration: object}>>} User IDs with their Oura integration.
+ */
+const getConnectedOuraUsers = async () => {
+  const users = admin.firestore().collection('users');
+  const [current, legacy] = await Promise.all([
+    users.where('integrations.oura.connected', '==', true).get(),
+    users.where('ouraIntegration.connected', '==', true).get()
+  ]);
+
+  // A document with both fields is read from `integrations.oura`, like User.normalizeIntegrations does
+  const usersById = new Map();
+  [...current.docs, ...legacy.docs].forEach(doc => {
+    const integration = User.normalizeIntegrations(doc.data()).oura;
+    if (integration?.connected && !usersById.has(doc.id)) {
+      usersById.set(doc.id, { id: doc.id, integration });
+    }
+  });
+  return [...usersById.values()];
+};
+
+module.exports = {
+  mapOuraDataToSleepData,
+  createSyncProgress,
+  getConnectedOuraUsers,
+  getOuraDataTypeCollections,
+  syncUserOuraData,
+  purgeOuraData
+};
@@ -0,0 +1,263 @@
+/**
+ * Oura Token Refresh
+ * Refreshes a user's Oura tokens, for syncs and for the proactive token refresh job
+ *
+ * Oura refresh tokens can only be used once, so two refreshes for the same user must never
+ * overlap: a refresh that is already running for the user in this process is joined instead, and
+ * across instances and scripts a refresh holds the `ouraTokenRefresh:{userId}` lease
+ * (utils/firestoreLease). A refresh that had to wait for the lease uses the tokens stored by
+ * the other refresh, if it stored any.
+ * The new tokens are stored in a transaction that checks the stored refresh token is still the
+ * one that was used, so tokens stored meanwhile (e.g. by a reconnect) are kept.
+ * Tokens are compared decrypted: re-encrypting them with a new key (scripts/reencrypt-tokens.js)
+ * changes the stored value but not the token.
+ * When Oura rejects the refresh token the connection is marked invalid and the user is asked
+ * to reconnect; other failures (network, Oura outages) are left for the next attempt.
+ */
+const admin = require('firebase-admin');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const ouraOAuth = require('./ouraOAuth');
+const { encryptData, decryptData } = require('./encryption');
+const { EVENTS, emitEvent } = require('./eventBus');
+const { acquireLease, releaseLease } = require('./firestoreLease');
+const User = require('../model/User');
+
+// Stored expiry is this much earlier than Oura's, so tokens are refreshed before they stop working
+const EXPIRY_SAFETY_MARGIN_SECONDS = 600; // 10 minutes
+
+// The refresh lease outlasts a refresh; a refresh waits at most this long for another one to finish
+const REFRESH_LEASE_MS = 30 * 1000;
+const REFRESH_LEASE_WAIT_MS = 35 * 1000;
+const REFRESH_LEASE_POLL_MS = 1000;
+
+const refreshesByUser = new Map(); // userId -> promise of the running refresh (per-user lock)
+
+/**
+ * Checks whether a stored (encrypted) token is still the token that was used.
+ * @param {string} storedToken - Token currently stored.
+ * @param {string} usedToken - Token read earlier, e.g. before a refresh or sync.
+ * @returns {boolean} True if both hold the same token.
+ */
+const isSameToken = (storedToken, usedToken) => {
+  if (storedToken === usedToken) {
+    return true;
+  }
+  if (!storedToken || !usedToken) {
+    return false;
+  }
+  try {
+    return decryptData(storedToken) === decryptData(usedToken);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Marks a user's Oura connection as invalid and asks the user to reconnect, unless the tokens
+ * changed meanwhile (refreshed or reconnected).
+ * @param {string} userId - The user ID.
+ * @param {string} usedRefreshToken - The (encrypted) refresh token stored with the tokens Oura rejected.
+ * @param {string} [requestId] - Request ID for logging.
+ * @returns {Promise<boolean>} True if the connection was marked invalid.
+ */
+const markTokenInvalid = async (userId, usedRefreshToken, requestId) => {
+  const firestore = admin.firestore();
+  const userRef = firestore.collection('users').doc(userId);
+
+  const marked = await firestore.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const integration = userDoc.exists ? User.normalizeIntegrations(userDoc.data()).oura : null;
+
+    // Reconnected or refreshed meanwhile: the rejected token is no longer in use
+    if (!integration || !isSameToken(integration.refreshToken, usedRefreshToken) || integration.tokenInvalid) {
+      return false;
+    }
+
+    transaction.update(userRef, { 'integrations.oura': { ...integration, tokenInvalid: true } });
+    return true;
+  });
+
+  if (marked) {
+    logger.warn(`Marked Oura connection as invalid for user ${userId} after its tokens were rejected`, { requestId });
+    await emitEvent(EVENTS.INTEGRATION_RECONNECT_REQUIRED, { userId, provider: 'oura' });
+  }
+
+  return marked;
+};
+
+/**
+ * Helper: Reads a user's Oura integration.
+ * @param {DocumentReference} userRef - The user document.
+ * @returns {Promise<object|null>} The integration, or null.
+ * @private
+ */
+const readIntegration = async (userRef) => {
+  const userDoc = await userRef.get();
+  return userDoc.exists ? User.normalizeIntegrations(userDoc.data()).oura || null : null;
+};
+
+/**
+ * Helper: Waits until the refresh lease of a user is acquired.
+ * @param {string} leaseKey - Lease key.
+ * @param {string} holder - ID of this refresh.
+ * @returns {Promise<boolean>} True if acquired, false if another refresh still held it after REFRESH_LEASE_WAIT_MS.
+ * @private
+ */
+const waitForRefreshLease = async (leaseKey, holder) => {
+  const deadline = Date.now() + REFRESH_LEASE_WAIT_MS;
+  while (!await acquireLease(leaseKey, holder, REFRESH_LEASE_MS)) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, REFRESH_LEASE_POLL_MS));
+  }
+  return true;
+};
+
+/**
+ * Helper: Refreshes a user's Oura tokens at Oura and stores them.
+ * @param {DocumentReference} userRef - The user document.
+ * @param {object} integration - The stored Oura integration.
+ * @param {string} [requestId] - Request ID for logging.
+ * @returns {Promise<object>} Refresh result (see refreshOuraToken).
+ * @private
+ */
+const refreshTokens = async (userRef, integration, requestId) => {
+  const firestore = admin.firestore();
+  const userId = userRef.id;
+
+  let tokenResponse;
+  try {
+    tokenResponse = await ouraOAuth.refreshAccessToken(integration.refreshToken);
+  } catch (error) {
+    if (error.code !== 'OURA_REFRESH_TOKEN_INVALID') {
+      logger.warn(`Oura token refresh failed for user ${userId}, will retry later`, { requestId, error: error.message });
+      return { status: 'failed', error: error.message, integration };
+    }
+
+    await markTokenInvalid(userId, integration.refreshToken, requestId);
+    return { status: 'invalid', error: error.message, integration: { ...integration, tokenInvalid: true } };
+  }
+
+  const now = new Date();
+  const refreshed = {
+    ...integration,
+    accessToken: encryptData(tokenResponse.access_token),
+    refreshToken: encryptData(tokenResponse.refresh_token),
+    expiresAt: new Date(now.getTime() + (tokenResponse.expires_in - EXPIRY_SAFETY_MARGIN_SECONDS) * 1000),
+    lastRefreshed: now,
+    tokenInvalid: false
+  };
+
+  const stored = await firestore.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(userRef);
+    const current = currentDoc.exists ? User.normalizeIntegrations(currentDoc.data()).oura : null;
+
+    if (!current || !isSameToken(current.refreshToken, integration.refreshToken)) {
+      return false;
+    }
+
+    const update = { 'integrations.oura': { ...current, ...refreshed } };
+    if (currentDoc.data().ouraIntegration) {
+      // Don't leave the old tokens in the legacy field
+      update.ouraIntegration = admin.firestore.FieldValue.delete();
+    }
+    transaction.update(userRef, update);
+    return true;
+  });
+
+  if (!stored) {
+    // Disconnected, reconnected or refreshed elsewhere while Oura answered
+    logger.warn(`Oura tokens of user ${userId} changed during the refresh, keeping the stored tokens`, { requestId });
+    return { status: 'superseded', integration: await readIntegration(userRef) };
+  }
+
+  logger.info(`Oura token refreshed for user ${userId}. New expiry: ${refreshed.expiresAt.toISOString()}`, { requestId });
+  return { status: 'refreshed', integration: refreshed };
+};
+
+/**
+ * Helper: Refreshes and stores a user's Oura tokens while holding the user's refresh lease
+ * (without the in-process lock).
+ * @param {string} userId - The user ID.
+ * @param {string} [requestId] - Request ID for logging.
+ * @returns {Promise<object>} Refresh result (see refreshOuraToken).
+ * @private
+ */
+const performRefresh = async (userId, requestId) => {
+  const userRef = admin.firestore().collection('users').doc(userId);
+
+  const integration = await readIntegration(userRef);
+  if (!integration?.connected || integration.tokenInvalid || !integration.refreshToken) {
+    return { status: 'skipped', integration };
+  }
+
+  const leaseKey = `ouraTokenRefresh:${userId}`;
+  const holder = uuidv4();
+  if (!await waitForRefreshLease(leaseKey, holder)) {
+    logger.warn(`Oura token refresh of user ${userId} is still running elsewhere, will retry later`, { requestId });
+    return { status: 'failed', error: 'Token refresh in progress elsewhere.', integration };
+  }
+
+  try {
+    // Another refresh may have held the lease until now and changed the integration
+    const current = await readIntegration(userRef);
+    if (!current?.connected || current.tokenInvalid || !current.refreshToken) {
+      return { status: 'skipped', integration: current };
+    }
+    if (!isSameToken(current.refreshToken, integration.refreshToken)) {
+      logger.info(`Oura tokens of user ${userId} were refreshed elsewhere, using the stored tokens`, { requestId });
+      return { status: 'superseded', integration: current };
+    }
+
+    return await refreshTokens(userRef, current, requestId);
+  } finally {
+    await releaseLease(leaseKey, holder).catch(error => {
+      // The lease expires by itself
+      logger.warn(`Error releasing the Oura token refresh lease of user ${userId}:`, { requestId, error: error.message });
+    });
+  }
+};
+
+/**
+ * Refreshes a user's Oura tokens. Joins the refresh that is already running for the user, if any.
+ * @param {string} userId - The user ID.
+ * @param {object} [options] - Options.
+ * @param {string} [options.requestId] - Request ID for logging.
+ * @returns {Promise<{status: string, integration: object|null, error?: string}>} Result with the user's
+ *   Oura integration afterwards. `status` is 'refreshed', 'skipped' (not connected or already invalid),
+ *   'invalid' (refresh token rejected), 'failed' (temporary error) or 'superseded' (tokens changed meanwhile).
+ */
+const refreshOuraToken = (userId, { requestId } = {}) => {
+  const running = refreshesByUser.get(userId);
+  if (running) {
+    logger.info(`Oura token refresh already running for user ${userId}, waiting for it`, { requestId });
+    return running;
+  }
+
+  const refresh = performRefresh(userId, requestId).finally(() => {
+    refreshesByUser.delete(userId);
+  });
+  refreshesByUser.set(userId, refresh);
+  return refresh;
+};
+
+/**
+ * Waits until a running token refresh for the user (if any) has finished.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<void>}
+ */
+const waitForTokenRefresh = async (userId) => {
+  const running = refreshesByUser.get(userId);
+  if (running) {
+    await running.catch(() => {});
+  }
+};
+
+module.exports = {
+  isSameToken,
+  markTokenInvalid,
+  refreshOuraToken,
+  waitForTokenRefresh
+};
@@ -0,0 +1,259 @@
+/**
+ * Oura Webhooks
+ * Verifies and handles Oura webhook notifications and manages webhook subscriptions
+ *
+ * Oura sends one notification per changed object: { event_type, data_type, object_id, user_id }.
+ * Create and update events re-fetch the object's day for that user through the sync job queue;
+ * delete events remove the stored record, except for daily sleep (see handleWebhookEvent).
+ * Notifications are only accepted with a valid signature over a timestamp at most
+ * SIGNATURE_TOLERANCE_MS away from now, so a captured notification can't be replayed later.
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const ouraOAuth = require('./ouraOAuth');
+const ouraSync = require('./ouraSync');
+const syncJobQueue = require('./syncJobQueue');
+const User = require('../model/User');
+
+const WEBHOOK_EVENT_TYPES = ['create', 'update', 'delete'];
+
+// How far the signed timestamp may be from the current time
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000; // 5 minutes
+
+// Synced data types Oura sends notifications for (heart rate is a time series without webhooks)
+const WEBHOOK_DATA_TYPES = Object.keys(ouraSync.getOuraDataTypeCollections())
+  .filter(dataType => dataType !== 'heartrate');
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {boolean} True if equal.
+ * @private
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Helper: Checks whether a signature timestamp is close enough to the current time.
+ * @param {string} timestamp - Value of the x-oura-timestamp header (Unix seconds or milliseconds).
+ * @param {Date} now - Reference time.
+ * @returns {boolean} True if within SIGNATURE_TOLERANCE_MS.
+ * @private
+ */
+const isFreshTimestamp = (timestamp, now) => {
+  if (!/^\d+$/.test(String(timestamp))) {
+    return false;
+  }
+  const value = parseInt(timestamp, 10);
+  // Seconds have at most 10 digits until the year 2286
+  const timeMs = value < 1e11 ? value * 1000 : value;
+  return Math.abs(now.getTime() - timeMs) <= SIGNATURE_TOLERANCE_MS;
+};
+
+/**
+ * Verifies the signature of a webhook notification.
+ * Oura signs `timestamp + body` with HMAC-SHA256 using the client secret (hex encoded).
+ * Signatures over a timestamp outside SIGNATURE_TOLERANCE_MS are rejected as replays.
+ * @param {Buffer|string} rawBody - Raw request body.
+ * @param {string} timestamp - Value of the x-oura-timestamp header.
+ * @param {string} signature - Value of the x-oura-signature header.
+ * @param {Date} [now] - Current time.
+ * @returns {boolean} True if the signature is valid and recent.
+ */
+const verifySignature = (rawBody, timestamp, signature, now = new Date()) => {
+  const secret = process.env.OURA_WEBHOOK_SECRET || process.env.OURA_CLIENT_SECRET;
+  if (!secret || !rawBody || !timestamp || !signature || !isFreshTimestamp(timestamp, now)) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}${rawBody.toString('utf8')}`)
+    .digest('hex');
+
+  return safeEqual(expected, String(signature).toLowerCase());
+};
+
+/**
+ * Checks the verification token Oura sends when a subscription is created.
+ * @param {string} verificationToken - Token from the verification request.
+ * @returns {boolean} True if it matches OURA_WEBHOOK_VERIFICATION_TOKEN.
+ */
+const verifyChallengeToken = (verificationToken) => {
+  const expected = process.env.OURA_WEBHOOK_VERIFICATION_TOKEN;
+  return !!expected && !!verificationToken && safeEqual(expected, verificationToken);
+};
+
+/**
+ * Finds the app user linked to an Oura user ID.
+ * Users not yet moved by scripts/migrate-integrations.js are found by the legacy `ouraIntegration.ouraUserId`.
+ * @param {string} ouraUserId - Oura's user ID.
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>} The user document, or null.
+ * @private
+ */
+const findUserByOuraUserId = async (ouraUserId) => {
+  const users = admin.firestore().collection('users');
+
+  for (const field of ['integrations.oura.providerUserId', 'ouraIntegration.ouraUserId']) {
+    const snapshot = await users.where(field, '==', ouraUserId).limit(1).get();
+    if (!snapshot.empty) {
+      return snapshot.docs[0];
+    }
+  }
+  return null;
+};
+
+/**
+ * Deletes the stored copies of an Oura object the user deleted.
+ * Records are matched on `sourceData.sourceId`.
+ * @param {string} userId - App user ID.
+ * @param {string} collection - Subcollection under sleepData/{userId}.
+ * @param {string} objectId - Oura object ID.
+ * @returns {Promise<number>} Number of deleted documents.
+ * @private
+ */
+const deleteStoredObject = async (userId, collection, objectId) => {
+  const firestore = admin.firestore();
+  const snapshot = await firestore
+    .collection('sleepData')
+    .doc(userId)
+    .collection(collection)
+    .where('sourceData.sourceId', '==', objectId)
+    .get();
+
+  const batch = firestore.batch();
+  snapshot.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  return snapshot.size;
+};
+
+/**
+ * Queues a targeted sync, waiting for any sync the user already has in progress so the
+ * notified change is not lost to a job that fetched the data before it happened.
+ * @param {string} userId - App user ID.
+ * @param {object} syncOptions - Options for ouraSync.syncUserOuraData.
+ * @returns {Promise<object>} The queued job.
+ * @private
+ */
+const enqueueTargetedSync = async (userId, syncOptions) => {
+  for (;;) {
+    const { job, created } = syncJobQueue.enqueueSyncJob(userId, { trigger: 'webhook', syncOptions });
+    if (created) {
+      return job;
+    }
+    await syncJobQueue.waitForSyncJob(job.id);
+  }
+};
+
+/**
+ * Handles a verified webhook notification.
+ * @param {object} event - Notification body.
+ * @returns {Promise<{handled: boolean, reason?: string, jobId?: string, deleted?: number}>} What was done.
+ */
+const handleWebhookEvent = async (event = {}) => {
+  const { event_type: eventType, data_type: dataType, object_id: objectId, user_id: ouraUserId } = event;
+  if (!WEBHOOK_EVENT_TYPES.includes(eventType) || !WEBHOOK_DATA_TYPES.includes(dataType)) {
+    return { handled: false, reason: `Unsupported event ${eventType}/${dataType}` };
+  }
+  if (!objectId || !ouraUserId) {
+    return { handled: false, reason: 'Missing object_id or user_id' };
+  }
+
+  const userDoc = await findUserByOuraUserId(ouraUserId);
+  if (!userDoc || !User.normalizeIntegrations(userDoc.data()).oura?.connected) {
+    return { handled: false, reason: 'No connected user for this Oura account' };
+  }
+
+  if (eventType === 'delete' && dataType === 'daily_sleep') {
+    // Daily sleep documents don't keep the Oura ID and also hold the user's notes and tags
+    logger.warn(`Ignoring deletion of Oura daily sleep ${objectId} for user ${userDoc.id}, the stored night is kept`);
+    return { handled: false, reason: 'Deleted daily sleep is kept' };
+  }
+
+  if (eventType === 'delete') {
+    const collection = ouraSync.getOuraDataTypeCollections()[dataType];
+    const deleted = await deleteStoredObject(userDoc.id, collection, objectId);
+    logger.info(`Deleted ${deleted} stored Oura ${dataType} record(s) for user ${userDoc.id}`, { objectId });
+    return { handled: true, deleted };
+  }
+
+  const job = await enqueueTargetedSync(userDoc.id, {
+    ouraObject: { dataType, id: objectId },
+    dataTypes: [dataType]
+  });
+  return { handled: true, jobId: job.id };
+};
+
+/**
+ * Creates an axios client for Oura's webhook subscription API (authenticated with the app's client credentials).
+ * @returns {import('axios').AxiosInstance} The client.
+ * @private
+ */
+const createSubscriptionClient = () => axios.create({
+  baseURL: `${ouraOAuth.OURA_API_URL}/webhook/`,
+  headers: {
+    'x-client-id': process.env.OURA_CLIENT_ID,
+    'x-client-secret': process.env.OURA_CLIENT_SECRET,
+    'Content-Type': 'application/json'
+  },
+  timeout: 10000
+});
+
+/**
+ * Lists the app's webhook subscriptions.
+ * @returns {Promise<Array<object>>} Subscriptions ({ id, callback_url, event_type, data_type, expiration_time }).
+ */
+const listSubscriptions = async () => {
+  const response = await createSubscriptionClient().get('subscription');
+  return response.data;
+};
+
+/**
+ * Creates a webhook subscription. Oura verifies the callback URL before responding.
+ * @param {object} options - Subscription options.
+ * @param {string} options.dataType - Oura data type, e.g. 'daily_sleep'.
+ * @param {string} options.eventType - 'create', 'update' or 'delete'.
+ * @param {string} [options.callbackUrl] - Defaults to OURA_WEBHOOK_CALLBACK_URL.
+ * @returns {Promise<object>} The created subscription.
+ */
+const createSubscription = async ({ dataType, eventType, callbackUrl = process.env.OURA_WEBHOOK_CALLBACK_URL }) => {
+  if (!callbackUrl || !process.env.OURA_WEBHOOK_VERIFICATION_TOKEN) {
+    throw new Error('OURA_WEBHOOK_CALLBACK_URL and OURA_WEBHOOK_VERIFICATION_TOKEN must be set');
+  }
+
+  const response = await createSubscriptionClient().post('subscription', {
+    callback_url: callbackUrl,
+    verification_token: process.env.OURA_WEBHOOK_VERIFICATION_TOKEN,
+    event_type: eventType,
+    data_type: dataType
+  });
+  return response.data;
+};
+
+/**
+ * Renews a webhook subscription before it expires.
+ * @param {string} subscriptionId - Subscription ID.
+ * @returns {Promise<object>} The renewed subscription.
+ */
+const renewSubscription = async (subscriptionId) => {
+  const response = await createSubscriptionClient().put(`subscription/renew/${encodeURIComponent(subscriptionId)}`);
+  return response.data;
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_DATA_TYPES,
+  verifySignature,
+  verifyChallengeToken,
+  handleWebhookEvent,
+  listSubscriptions,
+  createSubscription,
+  renewSubscription
+};
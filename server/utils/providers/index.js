@@ -0,0 +1,79 @@
+/**
+ * Wearable Providers
+ * Registry of the wearable providers users can connect (Oura, and later Fitbit, Withings, ...)
+ *
+ * Every provider implements the same interface, so connecting, refreshing and fetching sleep
+ * works the same for all of them. A user's connection to a provider is stored in the user's
+ * `integrations.{provider}` map.
+ *
+ * @typedef {object} TokenSet
+ * @property {string} accessToken - Access token (plain text; encrypt before storing).
+ * @property {string} refreshToken - Refresh token (plain text; encrypt before storing).
+ * @property {number} expiresIn - Access token lifetime in seconds.
+ * @property {string|null} providerUserId - The user's ID at the provider, if it is returned.
+ *
+ * @typedef {object} WearableProvider
+ * @property {string} name - Provider key, used in routes and as `integrations.{name}`.
+ * @property {string} displayName - Human readable name.
+ * @property {function(string): string} getAuthorizationUrl - Builds the OAuth authorize URL for a state.
+ * @property {function(string): Promise<TokenSet>} exchangeCodeForToken - Exchanges an OAuth code for tokens.
+ * @property {function(string): Promise<TokenSet>} refreshAccessToken - Refreshes tokens with the stored (encrypted) refresh token.
+ * @property {function(string): Promise<void>} [revokeToken] - Revokes the grant with the stored (encrypted) access token.
+ * @property {function(string, string, string, object=): Promise<Array<object>>} fetchDailySleep -
+ *   Fetches raw daily sleep records (encryptedAccessToken, startDate, endDate, { requestId }).
+ * @property {function(Array<object>, string): Array<object>} normalizeSleepData -
+ *   Maps raw records to SleepData fields for a user.
+ * @property {function(string, object=): Promise<Object<string, number>>} [purgeSyncedData] -
+ *   Deletes the data synced from the provider for a user (userId, { requestId }); returns deleted counts.
+ */
+const ouraProvider = require('./oura');
+
+const REQUIRED_METHODS = [
+  'getAuthorizationUrl',
+  'exchangeCodeForToken',
+  'refreshAccessToken',
+  'fetchDailySleep',
+  'normalizeSleepData'
+];
+
+const providers = new Map();
+
+/**
+ * Registers a provider.
+ * @param {WearableProvider} provider - The provider.
+ * @throws {Error} If the provider doesn't implement the interface.
+ */
+const registerProvider = (provider) => {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.name} is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Gets a registered provider.
+ * @param {string} name - Provider name.
+ * @returns {WearableProvider|null} The provider, or null if unknown.
+ */
+const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * Lists the registered providers.
+ * @returns {Array<{name: string, displayName: string}>} Providers.
+ */
+const listProviders = () => Array.from(providers.values())
+  .map(({ name, displayName }) => ({ name, displayName }));
+
+registerProvider(ouraProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
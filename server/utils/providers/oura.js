@@ -0,0 +1,48 @@
+/**
+ * Oura Provider
+ * Wearable provider implementation for the Oura ring (OAuth and the V2 API via ouraOAuth)
+ */
+const ouraOAuth = require('../ouraOAuth');
+const ouraSync = require('../ouraSync');
+
+/**
+ * Converts an Oura token response to a provider token set.
+ * @param {object} tokenResponse - Response of Oura's token endpoint.
+ * @returns {import('./index').TokenSet} Token set.
+ * @private
+ */
+const toTokenSet = (tokenResponse) => ({
+  accessToken: tokenResponse.access_token,
+  refreshToken: tokenResponse.refresh_token,
+  expiresIn: tokenResponse.expires_in,
+  providerUserId: tokenResponse.user_id || null
+});
+
+/**
+ * Fetches daily sleep records for a date range.
+ * @param {string} encryptedAccessToken - Stored (encrypted) access token.
+ * @param {string} startDate - First day (YYYY-MM-DD).
+ * @param {string} endDate - Last day (YYYY-MM-DD).
+ * @param {object} [options] - Options.
+ * @param {string} [options.requestId] - Request ID for logging.
+ * @returns {Promise<Array<object>>} Oura daily_sleep records.
+ */
+const fetchDailySleep = async (encryptedAccessToken, startDate, endDate, { requestId } = {}) => {
+  const client = ouraOAuth.createOuraClient(encryptedAccessToken, requestId);
+  const { data } = await client.getAllPages('/daily_sleep', {
+    params: { start_date: startDate, end_date: endDate }
+  });
+  return data;
+};
+
+module.exports = {
+  name: 'oura',
+  displayName: 'Oura',
+  getAuthorizationUrl: ouraOAuth.getAuthorizationUrl,
+  exchangeCodeForToken: async (code) => toTokenSet(await ouraOAuth.exchangeCodeForToken(code)),
+  refreshAccessToken: async (refreshToken) => toTokenSet(await ouraOAuth.refreshAccessToken(refreshToken)),
+  revokeToken: ouraOAuth.revokeAccessToken,
+  fetchDailySleep,
+  normalizeSleepData: ouraSync.mapOuraDataToSleepData,
+  purgeSyncedData: ouraSync.purgeOuraData
+};
@@ -0,0 +1,175 @@
+/**
+ * Competition Scoring Strategies
+ * Registry of scoring strategies keyed by competition type
+ *
+ * A strategy is an object with:
+ *  - description {string}: Human readable explanation of the scoring
+ *  - lowerIsBetter {boolean}: Rank ascending instead of descending (optional)
+ *  - requiresBaseline {boolean}: Needs the participant's pre-competition records (optional)
+ *  - calculate(records, context) {Function}: Returns the participant's score, or null when
+ *    there is not enough data to score them. `context` holds `competition` and, for
+ *    strategies that require it, `baselineRecords`.
+ */
+
+// Competition types that do not name a scoring rule fall back to this strategy
+const DEFAULT_SCORING_TYPE = 'highest_score';
+
+// Number of days before the competition start used as baseline when rules don't say otherwise
+const DEFAULT_BASELINE_DAYS = 14;
+
+const strategies = {};
+
+/**
+ * Helper: Extract the numeric values picked by a selector, ignoring missing values.
+ * @param {Array<object>} records - Daily sleep records.
+ * @param {Function} selector - Returns the value for a record.
+ * @returns {Array<number>} The numeric values.
+ * @private
+ */
+const valuesOf = (records, selector) =>
+  (records || []).map(selector).filter(v => typeof v === 'number' && !isNaN(v));
+
+/**
+ * Helper: Mean of a list of numbers.
+ * @param {Array<number>} values - Numbers to average.
+ * @returns {number|null} The mean, or null if the list is empty.
+ * @private
+ */
+const mean = (values) => {
+  if (!values || values.length === 0) {
+    return null;
+  }
+  return values.reduce((acc, v) => acc + v, 0) / values.length;
+};
+
+/**
+ * Helper: Population standard deviation of a list of numbers.
+ * @param {Array<number>} values - Numbers to measure.
+ * @returns {number|null} The standard deviation, or null if the list is empty.
+ * @private
+ */
+const standardDeviation = (values) => {
+  const avg = mean(values);
+  if (avg === null) {
+    return null;
+  }
+  const variance = values.reduce((acc, v) => acc + Math.pow(v - avg, 2), 0) / values.length;
+  return Math.sqrt(variance);
+};
+
+/**
+ * Helper: Round to one decimal place, passing null through.
+ * @param {number|null} value - Value to round.
+ * @returns {number|null} Rounded value.
+ * @private
+ */
+const round1 = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+/**
+ * Builds a strategy that averages a single metric over the competition window.
+ * @param {Function} selector - Picks the metric from a daily record.
+ * @param {string} description - Strategy description.
+ * @param {boolean} [lowerIsBetter=false] - Whether lower averages rank higher.
+ * @returns {object} Scoring strategy.
+ * @private
+ */
+const averageMetricStrategy = (selector, description, lowerIsBetter = false) => ({
+  description,
+  lowerIsBetter,
+  calculate: (records) => round1(mean(valuesOf(records, selector)))
+});
+
+/**
+ * Registers (or replaces) the scoring strategy for a competition type.
+ * @param {string} type - Competition type the strategy applies to.
+ * @param {object} strategy - Strategy object (see module docs).
+ */
+const registerScoringStrategy = (type, strategy) => {
+  if (!type || typeof type !== 'string') {
+    throw new Error('Scoring strategy type must be a non-empty string');
+  }
+  if (!strategy || typeof strategy.calculate !== 'function') {
+    throw new Error(`Scoring strategy '${type}' must provide a calculate function`);
+  }
+  strategies[type] = strategy;
+};
+
+/**
+ * Gets the scoring strategy for a competition type, falling back to the default strategy.
+ * @param {string} type - Competition type.
+ * @returns {object} Scoring strategy.
+ */
+const getScoringStrategy = (type) => strategies[type] || strategies[DEFAULT_SCORING_TYPE];
+
+/**
+ * Lists the competition types that have a registered scoring strategy.
+ * @returns {Array<string>} Registered types.
+ */
+const getScoringTypes = () => Object.keys(strategies);
+
+/**
+ * Gets the number of pre-competition days used as a participant's baseline.
+ * @param {object} competition - The competition.
+ * @returns {number} Baseline length in days.
+ */
+const getBaselineDays = (competition) => {
+  const days = parseInt(competition?.rules?.baselineDays, 10);
+  return !isNaN(days) && days > 0 ? days : DEFAULT_BASELINE_DAYS;
+};
+
+// --- Built-in strategies ---
+
+registerScoringStrategy('highest_score', averageMetricStrategy(
+  r => r.ouraScore,
+  'Average nightly sleep score over the competition'
+));
+
+registerScoringStrategy('improvement', {
+  description: 'Average sleep score gain over the participant\'s pre-competition baseline',
+  requiresBaseline: true,
+  calculate: (records, { baselineRecords } = {}) => {
+    const current = mean(valuesOf(records, r => r.ouraScore));
+    const baseline = mean(valuesOf(baselineRecords, r => r.ouraScore));
+    if (current === null || baseline === null) {
+      return null;
+    }
+    return round1(current - baseline);
+  }
+});
+
+registerScoringStrategy('consistency', {
+  description: 'Standard deviation of nightly sleep scores (lower is better)',
+  lowerIsBetter: true,
+  calculate: (records) => {
+    const scores = valuesOf(records, r => r.ouraScore);
+    // A single night says nothing about consistency
+    if (scores.length < 2) {
+      return null;
+    }
+    return round1(standardDeviation(scores));
+  }
+});
+
+registerScoringStrategy('deep_sleep', averageMetricStrategy(
+  r => r.metrics?.deepSleep,
+  'Average nightly deep sleep in seconds'
+));
+
+registerScoringStrategy('efficiency', averageMetricStrategy(
+  r => r.metrics?.efficiency,
+  'Average nightly sleep efficiency'
+));
+
+registerScoringStrategy('lowest_latency', averageMetricStrategy(
+  r => r.metrics?.latency,
+  'Average time to fall asleep in seconds (lower is better)',
+  true
+));
+
+module.exports = {
+  DEFAULT_SCORING_TYPE,
+  registerScoringStrategy,
+  getScoringStrategy,
+  getScoringTypes,
+  getBaselineDays
+};
@@ -0,0 +1,138 @@
+/**
+ * Sleep Data Writer
+ * Writes per-night SleepData records to `sleepData/{userId}/daily` in batches.
+ * Shared by the Oura sync and file imports, so every source stores nights the same way:
+ * existing notes and tags are kept, and the record's fields replace the stored ones.
+ * A night from another source is never replaced (see canReplaceNight), so a sync doesn't
+ * overwrite manual or imported nights and an import doesn't overwrite synced ones.
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const SleepData = require('../model/SleepData');
+
+// Firestore batch limit is 500, use smaller for safety/memory
+const BATCH_SIZE = 50;
+
+/**
+ * Decides whether a record may replace a stored night.
+ * Nights from the same source (a re-sync or re-import) and nights without sleep data
+ * (only notes or tags) are replaced; nights from other sources are kept.
+ * @param {object} existingData - Stored document data.
+ * @param {object} record - Record being written.
+ * @returns {boolean} True if the record may replace the stored night.
+ */
+const canReplaceNight = (existingData, record) =>
+  (existingData.source || SleepData.SOURCES.OURA) === (record.source || SleepData.SOURCES.OURA) ||
+  (!existingData.ouraScore && !existingData.metrics?.totalSleepTime);
+
+/**
+ * Writes daily sleep records.
+ * @param {string} userId - The user ID.
+ * @param {Array<object>} records - SleepData fields per night (must include dateId and date).
+ * @param {object} [options] - Options.
+ * @param {string} [options.requestId] - Request ID for logging.
+ * @param {object} [options.progress] - Progress counters ({ written, failed }) updated per batch.
+ * @param {function(object, object): boolean} [options.shouldOverwrite] - Called with the stored
+ *   document data and the record when a night already exists; return false to keep the stored night.
+ *   Defaults to canReplaceNight.
+ * @returns {Promise<{written: number, failed: number, created: number, merged: number, skipped: number,
+ *   firstDate: Date|null, lastDate: Date|null}>} Counts; `merged` nights already existed,
+ *   `skipped` nights were kept because shouldOverwrite returned false.
+ * @throws {Error} If the user's sleep data document can't be prepared.
+ */
+const writeDailySleepRecords = async (userId, records, { requestId, progress, shouldOverwrite = canReplaceNight } = {}) => {
+  const firestore = admin.firestore();
+  const parentRef = firestore.collection('sleepData').doc(userId);
+  const dailyCollectionRef = parentRef.collection('daily');
+  const report = { written: 0, failed: 0, created: 0, merged: 0, skipped: 0, firstDate: null, lastDate: null };
+
+  if (records.length === 0) {
+    return report;
+  }
+
+  logger.info(`Writing ${records.length} sleep records in batches of ${BATCH_SIZE} for user ${userId}`, { requestId });
+
+  // Ensure parent document exists
+  await parentRef.set({ userId: userId, lastUpdated: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+
+  // Sort data by date to ensure dateRange updates correctly
+  const sortedRecords = [...records].sort((a, b) => a.date.getTime() - b.date.getTime());
+  report.firstDate = sortedRecords[0].date;
+  report.lastDate = sortedRecords[sortedRecords.length - 1].date;
+
+  for (let i = 0; i < sortedRecords.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    const currentBatchItems = sortedRecords.slice(i, i + BATCH_SIZE);
+    const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
+    let batchWrites = 0;
+    let batchCreated = 0;
+    let batchMerged = 0;
+
+    for (const sleepRecord of currentBatchItems) {
+      try {
+        const sleepData = new SleepData({
+          ...sleepRecord,
+          tags: [],       // Initialize empty, preserve below if exists
+          notes: ''       // Initialize empty, preserve below if exists
+        });
+
+        // Get existing data to preserve user-added notes/tags
+        const docRef = dailyCollectionRef.doc(sleepRecord.dateId);
+        const existingDoc = await docRef.get();
+        if (existingDoc.exists) {
+          const existingData = existingDoc.data();
+          if (!shouldOverwrite(existingData, sleepRecord)) {
+            report.skipped++;
+            continue;
+          }
+          sleepData.tags = existingData.tags || [];
+          sleepData.notes = existingData.notes || '';
+          batchMerged++;
+        } else {
+          batchCreated++;
+        }
+
+        batch.set(docRef, sleepData.toFirestore(), { merge: true });
+        batchWrites++;
+      } catch (recordError) {
+        logger.error(`Error processing individual sleep record for date ${sleepRecord?.dateId}, user ${userId}:`, {
+          requestId,
+          recordId: sleepRecord?.sourceData?.sourceId,
+          error: recordError.message
+        });
+        report.failed++;
+      }
+    }
+
+    if (batchWrites === 0) {
+      continue;
+    }
+
+    try {
+      await batch.commit();
+      report.written += batchWrites;
+      report.created += batchCreated;
+      report.merged += batchMerged;
+      if (progress) {
+        progress.written += batchWrites;
+      }
+      logger.info(`Committed batch ${batchNumber} for user ${userId} (${batchWrites} records).`, { requestId });
+    } catch (batchError) {
+      logger.error(`Error committing Firestore batch ${batchNumber} for user ${userId}:`, {
+        requestId,
+        error: batchError.message
+      });
+      report.failed += batchWrites;
+      if (progress) {
+        progress.failed += batchWrites;
+      }
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  canReplaceNight,
+  writeDailySleepRecords
+};
@@ -0,0 +1,391 @@
+/**
+ * Sleep Digests
+ * Scheduled daily summaries ("last night: 82, 3rd in Spring Challenge") and weekly recaps
+ * (average score, best night, streak status, rank movement)
+ *
+ * Users opt in with `users/{uid}.notifications.digest` ({ daily, weekly, time, timezone, weekday }).
+ * A digest is due once the user's local time passes `time` (on `weekday` for the recap) and is sent
+ * at most SEND_WINDOW_MINUTES late, e.g. after downtime. Digests are claimed per local date in
+ * `notifications/{uid}` inside a transaction, so each is sent once even with several instances.
+ * Delivery goes through the in-app channel (notifications.notifyUser) and, for users with email
+ * notifications on, the email outbox.
+ */
+const admin = require('firebase-admin');
+const moment = require('moment');
+const { logger } = require('./logger');
+const { notifyUser, isChannelEnabled } = require('./notifications');
+const { ordinal } = require('./notificationTriggers');
+const { queueEmail } = require('./emailOutbox');
+const { updateSleepSummaries } = require('./sleepSummaryGenerator');
+const { isValidTimezone, getLocalTime } = require('./timezone');
+const { createIntervalJob } = require('./intervalJob');
+
+// Defaults, overridable with SLEEP_DIGEST_* environment variables
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Latest a digest may be sent after the user's chosen time
+const SEND_WINDOW_MINUTES = 3 * 60;
+
+// Digest preferences of users who haven't set their own
+const DEFAULT_DIGEST_PREFERENCES = {
+  daily: false,
+  weekly: false,
+  time: '08:00', // Local time, HH:mm
+  timezone: 'UTC', // IANA time zone
+  weekday: 1 // Day of the weekly recap, ISO weekday (1 = Monday ... 7 = Sunday)
+};
+
+const DIGEST_TYPES = ['daily', 'weekly'];
+
+// Fields of `notifications/{uid}` holding the local date each digest was last sent
+const LAST_SENT_FIELDS = {
+  daily: 'lastDailyDigestDate',
+  weekly: 'lastWeeklyDigestDate'
+};
+
+/**
+ * Reads the digest settings from the environment.
+ * @returns {{intervalMs: number}} Settings.
+ * @private
+ */
+const getSettings = () => ({
+  intervalMs: parseInt(process.env.SLEEP_DIGEST_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS
+});
+
+/**
+ * Gets a user's digest preferences, filling in the defaults.
+ * @param {object} [digest] - Stored preferences (`users/{uid}.notifications.digest`).
+ * @returns {{daily: boolean, weekly: boolean, time: string, timezone: string, weekday: number}} Preferences.
+ */
+const getDigestPreferences = (digest = {}) => ({
+  daily: digest.daily === true,
+  weekly: digest.weekly === true,
+  time: /^([01]\d|2[0-3]):[0-5]\d$/.test(digest.time) ? digest.time : DEFAULT_DIGEST_PREFERENCES.time,
+  timezone: isValidTimezone(digest.timezone) ? digest.timezone : DEFAULT_DIGEST_PREFERENCES.timezone,
+  weekday: Number.isInteger(digest.weekday) && digest.weekday >= 1 && digest.weekday <= 7
+    ? digest.weekday
+    : DEFAULT_DIGEST_PREFERENCES.weekday
+});
+
+/**
+ * Gets the digests due for a user right now.
+ * @param {object} preferences - Digest preferences (see getDigestPreferences).
+ * @param {Date} [now] - Current time.
+ * @returns {{types: Array<string>, localDate: string}} Due digest types and the user's local date.
+ */
+const getDueDigests = (preferences, now = new Date()) => {
+  const local = getLocalTime(now, preferences.timezone);
+  const [hours, minutes] = preferences.time.split(':').map(Number);
+  const minutesLate = local.minutes - (hours * 60 + minutes);
+
+  if (minutesLate < 0 || minutesLate > SEND_WINDOW_MINUTES) {
+    return { types: [], localDate: local.date };
+  }
+
+  const types = DIGEST_TYPES.filter(type => preferences[type] &&
+    (type === 'daily' || local.weekday === preferences.weekday));
+  return { types, localDate: local.date };
+};
+
+/**
+ * Helper: Claims a digest for a local date so it is sent only once.
+ * @param {string} userId - The user ID.
+ * @param {string} type - Digest type: 'daily' or 'weekly'.
+ * @param {string} localDate - The user's local date (YYYY-MM-DD).
+ * @returns {Promise<{claimed: boolean, previousDate: string|null, previousPositions: object}>} Whether the
+ *   digest was claimed, the local date of the previous digest, and the competition positions at the
+ *   previous weekly recap.
+ * @private
+ */
+const claimDigest = async (userId, type, localDate) => {
+  const firestore = admin.firestore();
+  const parentRef = firestore.collection('notifications').doc(userId);
+  const field = LAST_SENT_FIELDS[type];
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(parentRef);
+    const data = doc.exists ? doc.data() : {};
+    if (data[field] === localDate) {
+      return { claimed: false, previousDate: null, previousPositions: {} };
+    }
+
+    transaction.set(parentRef, { [field]: localDate }, { merge: true });
+    return { claimed: true, previousDate: data[field] || null, previousPositions: data.weeklyDigestPositions || {} };
+  });
+};
+
+/**
+ * Helper: Releases a digest claim, so the digest is sent by a later run.
+ * @param {string} userId - The user ID.
+ * @param {string} type - Digest type: 'daily' or 'weekly'.
+ * @param {string} localDate - The claimed local date (YYYY-MM-DD).
+ * @param {string|null} previousDate - The local date of the previous digest, restored in the claim.
+ * @returns {Promise<void>}
+ * @private
+ */
+const releaseDigest = async (userId, type, localDate, previousDate) => {
+  const firestore = admin.firestore();
+  const parentRef = firestore.collection('notifications').doc(userId);
+  const field = LAST_SENT_FIELDS[type];
+
+  await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(parentRef);
+    if (doc.exists && doc.data()[field] === localDate) {
+      transaction.update(parentRef, { [field]: previousDate || admin.firestore.FieldValue.delete() });
+    }
+  });
+};
+
+/**
+ * Gets a user's current standings in their active competitions.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Array<{competitionId: string, title: string, position: number, participants: number}>>} Standings.
+ */
+const getCompetitionStandings = async (userId) => {
+  const firestore = admin.firestore();
+  const competitions = await firestore
+    .collection('competitions')
+    .where('participants', 'array-contains', userId)
+    .where('status', '==', 'ACTIVE')
+    .get();
+
+  const standings = await Promise.all(competitions.docs.map(async (doc) => {
+    const leaderboards = await firestore
+      .collection('leaderboards')
+      .where('competitionId', '==', doc.id)
+      .where('isLatest', '==', true)
+      .limit(1)
+      .get();
+    const rankings = leaderboards.empty ? [] : (leaderboards.docs[0].data().rankings || []);
+    const ranking = rankings.find(entry => entry.userId === userId);
+
+    return ranking && ranking.position
+      ? { competitionId: doc.id, title: doc.data().title || 'a competition', position: ranking.position, participants: rankings.length }
+      : null;
+  }));
+
+  return standings.filter(Boolean);
+};
+
+/**
+ * Builds the daily summary of a user: last night's score and current standings.
+ * Oura files a night under the date the user woke up, so last night is the user's local date.
+ * @param {string} userId - The user ID.
+ * @param {string} localDate - The user's local date (YYYY-MM-DD).
+ * @returns {Promise<object|null>} Digest ({ title, lines, data }), or null if there is nothing to report.
+ */
+const buildDailyDigest = async (userId, localDate) => {
+  const [nightDoc, standings] = await Promise.all([
+    admin.firestore().collection('sleepData').doc(userId).collection('daily').doc(localDate).get(),
+    getCompetitionStandings(userId)
+  ]);
+  const score = nightDoc.exists && typeof nightDoc.data().ouraScore === 'number' ? nightDoc.data().ouraScore : null;
+
+  if (score === null && standings.length === 0) {
+    return null;
+  }
+
+  const standingsText = standings.map(standing => `${ordinal(standing.position)} place in ${standing.title}`).join(', ');
+  const lines = [
+    score !== null
+      ? `Last night: ${score}${standingsText ? `, ${standingsText}` : ''}.`
+      : `No sleep recorded for last night yet.${standingsText ? ` You are ${standingsText}.` : ''}`
+  ];
+
+  return {
+    title: score !== null ? `Last night you scored ${score}` : 'Your daily sleep summary',
+    lines,
+    data: { date: localDate, score, standings }
+  };
+};
+
+/**
+ * Builds the weekly recap of a user from their refreshed sleep summary and standings.
+ * @param {string} userId - The user ID.
+ * @param {object} previousPositions - Competition ID -> position at the previous recap.
+ * @returns {Promise<object|null>} Digest ({ title, lines, data }), or null if there is nothing to report.
+ */
+const buildWeeklyDigest = async (userId, previousPositions = {}) => {
+  const [summary, standings] = await Promise.all([
+    updateSleepSummaries(userId),
+    getCompetitionStandings(userId)
+  ]);
+  const week = summary ? summary.windows['7d'] : null;
+
+  if ((!week || week.recordCount === 0) && standings.length === 0) {
+    return null;
+  }
+
+  const lines = [];
+  let bestNight = null;
+
+  if (week && week.recordCount > 0) {
+    const snapshot = await admin.firestore()
+      .collection('sleepData')
+      .doc(userId)
+      .collection('daily')
+      .where('date', '>=', moment.utc(week.startDate).toDate())
+      .orderBy('date', 'asc')
+      .get();
+    snapshot.docs.forEach(doc => {
+      const score = doc.data().ouraScore;
+      if (typeof score === 'number' && (!bestNight || score > bestNight.score)) {
+        bestNight = { date: doc.id, score };
+      }
+    });
+
+    lines.push(`Average score: ${Math.round(week.averageScore)} over ${week.recordCount} night${week.recordCount === 1 ? '' : 's'}.`);
+    if (bestNight) {
+      lines.push(`Best night: ${bestNight.score} on ${moment.utc(bestNight.date).format('dddd')}.`);
+    }
+  } else {
+    lines.push('No sleep recorded this week.');
+  }
+
+  const streak = summary ? summary.streaks.goodScore : null;
+  if (streak) {
+    lines.push(streak.current > 0
+      ? `Good sleep streak (${summary.streaks.goodScoreThreshold}+): ${streak.current} night${streak.current === 1 ? '' : 's'}, your record is ${streak.longest}.`
+      : `No good sleep streak (${summary.streaks.goodScoreThreshold}+) running, your record is ${streak.longest}.`);
+  }
+
+  const movements = standings.map(standing => {
+    const previousPosition = previousPositions[standing.competitionId] || null;
+    let movement = '';
+    if (previousPosition && previousPosition > standing.position) {
+      movement = ` (up from ${ordinal(previousPosition)})`;
+    } else if (previousPosition && previousPosition < standing.position) {
+      movement = ` (down from ${ordinal(previousPosition)})`;
+    }
+    lines.push(`${standing.title}: ${ordinal(standing.position)} of ${standing.participants}${movement}.`);
+    return { ...standing, previousPosition };
+  });
+
+  return {
+    title: 'Your week in sleep',
+    lines,
+    data: {
+      averageScore: week ? week.averageScore : 0,
+      nights: week ? week.recordCount : 0,
+      bestNight,
+      streak: streak ? { current: streak.current, longest: streak.longest, threshold: summary.streaks.goodScoreThreshold } : null,
+      standings: movements
+    }
+  };
+};
+
+/**
+ * Builds and delivers a due digest to a user, unless it was already sent for this local date.
+ * @param {string} userId - The user ID.
+ * @param {object} user - User document data.
+ * @param {string} type - Digest type: 'daily' or 'weekly'.
+ * @param {string} localDate - The user's local date (YYYY-MM-DD).
+ * @returns {Promise<boolean>} True if a digest was delivered.
+ */
+const sendSleepDigest = async (userId, user, type, localDate) => {
+  const { claimed, previousDate, previousPositions } = await claimDigest(userId, type, localDate);
+  if (!claimed) {
+    return false;
+  }
+
+  let digest;
+  try {
+    digest = type === 'daily'
+      ? await buildDailyDigest(userId, localDate)
+      : await buildWeeklyDigest(userId, previousPositions);
+
+    if (type === 'weekly' && digest) {
+      const positions = {};
+      digest.data.standings.forEach(standing => {
+        positions[standing.competitionId] = standing.position;
+      });
+      await admin.firestore().collection('notifications').doc(userId).set({ weeklyDigestPositions: positions }, { merge: true });
+    }
+  } catch (error) {
+    // Nothing was delivered yet, so a later run may try again
+    await releaseDigest(userId, type, localDate, previousDate);
+    throw error;
+  }
+
+  if (!digest) {
+    logger.debug(`Nothing to report in the ${type} digest of user ${userId}`);
+    return false;
+  }
+
+  await notifyUser(userId, {
+    type: 'DIGEST',
+    title: digest.title,
+    message: digest.lines.join(' '),
+    data: { digest: type, ...digest.data }
+  });
+
+  if (user.email && await isChannelEnabled(userId, 'email')) {
+    await queueEmail('sleepDigest', user.email, {
+      frequency: type,
+      displayName: user.displayName,
+      title: digest.title,
+      lines: digest.lines
+    }, { userId });
+  }
+
+  return true;
+};
+
+/**
+ * Sends the digests that are due for every user who opted in.
+ * @returns {Promise<{users: number, sent: number}|null>} Counts, or null if a run was already in progress.
+ */
+const sleepDigestJob = createIntervalJob('Sleep digest', async () => {
+  const totals = { users: 0, sent: 0 };
+
+  const users = admin.firestore().collection('users');
+  const snapshots = await Promise.all(DIGEST_TYPES.map(type =>
+    users.where(`notifications.digest.${type}`, '==', true).get()));
+
+  const usersById = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => usersById.set(doc.id, doc.data())));
+
+  const now = new Date();
+  for (const [userId, user] of usersById) {
+    // Accounts scheduled for deletion get no more digests
+    if (user.deletion) {
+      continue;
+    }
+
+    totals.users++;
+    const { types, localDate } = getDueDigests(getDigestPreferences(user.notifications?.digest), now);
+    for (const type of types) {
+      try {
+        if (await sendSleepDigest(userId, user, type, localDate)) {
+          totals.sent++;
+        }
+      } catch (error) {
+        logger.error(`Error sending ${type} digest to user ${userId}:`, { error: error.message });
+      }
+    }
+  }
+
+  if (totals.sent > 0) {
+    logger.info('Sleep digest run finished', totals);
+  }
+  return totals;
+});
+
+/**
+ * Starts sending sleep digests on an interval in this process.
+ * @returns {Function} Function that stops the scheduler.
+ */
+const startSleepDigestScheduler = () => sleepDigestJob.start({ intervalMs: getSettings().intervalMs });
+
+module.exports = {
+  DEFAULT_DIGEST_PREFERENCES,
+  getDigestPreferences,
+  getDueDigests,
+  getCompetitionStandings,
+  buildDailyDigest,
+  buildWeeklyDigest,
+  sendSleepDigest,
+  runSleepDigests: sleepDigestJob.run,
+  startSleepDigestScheduler,
+  stopSleepDigestScheduler: sleepDigestJob.stop
+};
@@ -0,0 +1,287 @@
+/**
+ * Sleep Export
+ * Streams a user's daily sleep data (metrics, tags and notes) as CSV, JSON or a FHIR R4 Bundle
+ *
+ * Documents are read from `sleepData/{userId}/daily` with a Firestore query stream and written
+ * one at a time, respecting the output's backpressure, so exports of any size use little memory.
+ * The FHIR Bundle contains one sleep Observation per night (LOINC 93832-4 "Sleep duration") with
+ * the other metrics as components.
+ */
+const admin = require('firebase-admin');
+const { v5: uuidv5 } = require('uuid');
+const SleepData = require('../model/SleepData');
+
+const EXPORT_FORMATS = ['csv', 'json', 'fhir'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  fhir: 'application/fhir+json; charset=utf-8'
+};
+
+const FILE_EXTENSIONS = {
+  csv: 'csv',
+  json: 'json',
+  fhir: 'fhir.json'
+};
+
+// Namespace for the stable Observation IDs (uuid v5 of userId/dateId)
+const OBSERVATION_ID_NAMESPACE = '0b7d7c1e-3c4f-4d9a-9f51-6a1f0c2e8d47';
+const METRIC_CODE_SYSTEM = 'urn:sleep-olympics:sleep-metric';
+const USER_IDENTIFIER_SYSTEM = 'urn:sleep-olympics:user';
+const TAG_CODE_SYSTEM = 'urn:sleep-olympics:sleep-tag';
+
+const CSV_COLUMNS = [
+  ['date', record => record.dateId],
+  ['source', record => record.source],
+  ['score', record => record.ouraScore],
+  ['totalSleepTime', record => record.metrics.totalSleepTime],
+  ['timeInBed', record => record.metrics.timeInBed],
+  ['efficiency', record => record.metrics.efficiency],
+  ['deepSleep', record => record.metrics.deepSleep],
+  ['remSleep', record => record.metrics.remSleep],
+  ['lightSleep', record => record.metrics.lightSleep],
+  ['awakeTime', record => record.metrics.awakeTime],
+  ['latency', record => record.metrics.latency],
+  ['heartRateAverage', record => record.metrics.heartRate?.average],
+  ['heartRateLowest', record => record.metrics.heartRate?.lowest],
+  ['hrv', record => record.metrics.hrv],
+  ['respiratoryRate', record => record.metrics.respiratoryRate],
+  ['bedtimeStart', record => record.metrics.bedtimeStart],
+  ['bedtimeEnd', record => record.metrics.bedtimeEnd],
+  ['subjectiveQuality', record => record.metrics.subjectiveQuality],
+  ['tags', record => record.tags.join(';')],
+  ['notes', record => record.notes]
+];
+
+// FHIR components: [metric, display, UCUM unit, value]
+const FHIR_COMPONENTS = [
+  ['sleep-score', 'Sleep score', '{score}', record => record.ouraScore],
+  ['time-in-bed', 'Time in bed', 'min', record => toMinutes(record.metrics.timeInBed)],
+  ['sleep-efficiency', 'Sleep efficiency', '%', record => record.metrics.efficiency],
+  ['deep-sleep', 'Deep sleep duration', 'min', record => toMinutes(record.metrics.deepSleep)],
+  ['rem-sleep', 'REM sleep duration', 'min', record => toMinutes(record.metrics.remSleep)],
+  ['light-sleep', 'Light sleep duration', 'min', record => toMinutes(record.metrics.lightSleep)],
+  ['awake-time', 'Awake time in bed', 'min', record => toMinutes(record.metrics.awakeTime)],
+  ['sleep-latency', 'Sleep latency', 'min', record => toMinutes(record.metrics.latency)],
+  ['heart-rate-average', 'Average heart rate during sleep', '/min', record => record.metrics.heartRate?.average],
+  ['heart-rate-lowest', 'Lowest heart rate during sleep', '/min', record => record.metrics.heartRate?.lowest],
+  ['hrv', 'Heart rate variability (RMSSD)', 'ms', record => record.metrics.hrv],
+  ['respiratory-rate', 'Average respiratory rate during sleep', '/min', record => record.metrics.respiratoryRate]
+];
+
+/**
+ * Helper: Converts seconds to rounded minutes.
+ * @param {number} seconds - Duration in seconds.
+ * @returns {number|undefined} Minutes, or undefined if unknown.
+ * @private
+ */
+const toMinutes = (seconds) => (typeof seconds === 'number' ? Math.round(seconds / 60) : undefined);
+
+/**
+ * Helper: Converts Firestore Timestamps in a value to ISO strings.
+ * @param {*} value - Value read from Firestore.
+ * @returns {*} JSON-friendly value.
+ * @private
+ */
+const toPlainValue = (value) => {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, toPlainValue(nested)]));
+  }
+  return value;
+};
+
+/**
+ * Helper: Escapes a CSV cell. Cells that spreadsheets would run as formulas are prefixed with '.
+ * @param {*} value - Cell value.
+ * @returns {string} Escaped cell.
+ * @private
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Helper: Builds the FHIR Observation of a night.
+ * @param {object} record - Exported record.
+ * @param {string} userId - The user ID.
+ * @returns {object} FHIR R4 Observation.
+ * @private
+ */
+const toFhirObservation = (record, userId) => {
+  const { metrics } = record;
+  const observation = {
+    resourceType: 'Observation',
+    id: uuidv5(`${userId}/${record.dateId}`, OBSERVATION_ID_NAMESPACE),
+    status: 'final',
+    category: [{
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+        code: 'activity',
+        display: 'Activity'
+      }]
+    }],
+    code: {
+      coding: [{ system: 'http://loinc.org', code: '93832-4', display: 'Sleep duration' }],
+      text: 'Sleep duration'
+    },
+    subject: { identifier: { system: USER_IDENTIFIER_SYSTEM, value: userId } },
+    device: { display: record.source }
+  };
+
+  if (metrics.bedtimeStart && metrics.bedtimeEnd) {
+    observation.effectivePeriod = { start: metrics.bedtimeStart, end: metrics.bedtimeEnd };
+  } else {
+    observation.effectiveDateTime = record.dateId;
+  }
+
+  if (typeof metrics.totalSleepTime === 'number') {
+    observation.valueQuantity = {
+      value: toMinutes(metrics.totalSleepTime),
+      unit: 'min',
+      system: 'http://unitsofmeasure.org',
+      code: 'min'
+    };
+  }
+
+  const components = FHIR_COMPONENTS
+    .map(([code, display, unit, getValue]) => [code, display, unit, getValue(record)])
+    .filter(([, , , value]) => typeof value === 'number')
+    .map(([code, display, unit, value]) => ({
+      code: { coding: [{ system: METRIC_CODE_SYSTEM, code, display }], text: display },
+      valueQuantity: { value, unit, system: 'http://unitsofmeasure.org', code: unit }
+    }));
+  if (components.length > 0) {
+    observation.component = components;
+  }
+
+  if (record.tags.length > 0) {
+    observation.meta = { tag: record.tags.map(tag => ({ system: TAG_CODE_SYSTEM, code: tag })) };
+  }
+  if (record.notes) {
+    observation.note = [{ text: record.notes }];
+  }
+
+  return observation;
+};
+
+/**
+ * Helper: Writes to the output and waits if its buffer is full.
+ * @param {import('stream').Writable} output - Output stream.
+ * @param {string} chunk - Text to write.
+ * @returns {Promise<void>}
+ * @private
+ */
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+      };
+      output.on('drain', done);
+      output.on('close', done);
+    });
+  }
+};
+
+/**
+ * Gets the HTTP headers of an export download.
+ * @param {string} format - Export format.
+ * @returns {{contentType: string, filename: string}} Content type and download file name.
+ */
+const getExportFileInfo = (format) => ({
+  contentType: CONTENT_TYPES[format],
+  filename: `sleep-data-${new Date().toISOString().split('T')[0]}.${FILE_EXTENSIONS[format]}`
+});
+
+/**
+ * Streams a user's daily sleep data to an output stream.
+ * Stops early if the output is closed (e.g. the client disconnected).
+ * @param {string} userId - The user ID.
+ * @param {import('stream').Writable} output - Output stream (e.g. an Express response).
+ * @param {object} options - Export options.
+ * @param {string} options.format - 'csv', 'json' or 'fhir'.
+ * @param {string} [options.startDate] - First day (YYYY-MM-DD); defaults to the first stored night.
+ * @param {string} [options.endDate] - Last day (YYYY-MM-DD); defaults to the last stored night.
+ * @returns {Promise<number>} Number of exported nights.
+ */
+const streamSleepDataExport = async (userId, output, { format, startDate, endDate }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  // Daily documents are keyed by YYYY-MM-DD, so the ID orders and filters them by date
+  let query = admin.firestore()
+    .collection('sleepData')
+    .doc(userId)
+    .collection('daily')
+    .orderBy(admin.firestore.FieldPath.documentId());
+  if (startDate) {
+    query = query.where(admin.firestore.FieldPath.documentId(), '>=', startDate);
+  }
+  if (endDate) {
+    query = query.where(admin.firestore.FieldPath.documentId(), '<=', endDate);
+  }
+
+  const exportedAt = new Date().toISOString();
+  if (format === 'csv') {
+    await write(output, `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`);
+  } else if (format === 'json') {
+    await write(output, `{"userId":${JSON.stringify(userId)},"exportedAt":"${exportedAt}","sleepData":[`);
+  } else {
+    await write(output, `{"resourceType":"Bundle","type":"collection","timestamp":"${exportedAt}","entry":[`);
+  }
+
+  let count = 0;
+  for await (const doc of query.stream()) {
+    if (output.destroyed) {
+      break;
+    }
+
+    const sleepData = SleepData.fromFirestore(doc);
+    const record = toPlainValue({ ...sleepData.toFirestore(), dateId: sleepData.dateId || doc.id });
+    const separator = count > 0 ? ',' : '';
+
+    if (format === 'csv') {
+      await write(output, `${CSV_COLUMNS.map(([, getValue]) => toCsvCell(getValue(record))).join(',')}\r\n`);
+    } else if (format === 'json') {
+      await write(output, separator + JSON.stringify(record));
+    } else {
+      const observation = toFhirObservation(record, userId);
+      await write(output, separator + JSON.stringify({ fullUrl: `urn:uuid:${observation.id}`, resource: observation }));
+    }
+    count++;
+  }
+
+  if (format === 'json') {
+    await write(output, `],"count":${count}}`);
+  } else if (format === 'fhir') {
+    await write(output, ']}');
+  }
+
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportFileInfo,
+  streamSleepDataExport
+};
@@ -0,0 +1,383 @@
+/**
+ * Sleep Import
+ * Imports sleep history from export files of other platforms:
+ *  - Apple Health: the `export.xml` of an Apple Health export (HKCategoryTypeIdentifierSleepAnalysis records)
+ *  - Google Fit: Google Takeout JSON, either the sleep segment data file from "All Data"
+ *    (`{ "Data Points": [...] }`, com.google.sleep.segment) or an array of "All Sessions" sleep sessions
+ *
+ * Files are parsed as streams, so only the sleep segments are kept in memory, never the file.
+ * Segments are grouped into sessions (a gap of more than 2 hours starts a new session) and
+ * the longest session ending on a day becomes that day's night, like a manual entry.
+ */
+const { StringDecoder } = require('string_decoder');
+const { pipeline } = require('stream/promises');
+const moment = require('moment');
+const sax = require('sax');
+const { parser: jsonParser } = require('stream-json');
+const { pick } = require('stream-json/filters/Pick');
+const { streamValues } = require('stream-json/streamers/StreamValues');
+const { logger } = require('./logger');
+const { calculateSleepScore } = require('./sleepScore');
+const sleepDataWriter = require('./sleepDataWriter');
+const SleepData = require('../model/SleepData');
+
+const SESSION_GAP_MS = 2 * 60 * 60 * 1000; // 2 hours
+const MIN_NIGHT_SLEEP_MS = 60 * 60 * 1000; // 1 hour; shorter sessions are naps
+const MAX_NIGHT_IN_BED_MS = 24 * 60 * 60 * 1000;
+
+const APPLE_SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+const APPLE_DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss ZZ';
+
+// Apple Health sleep analysis values -> stages
+const APPLE_STAGES = {
+  HKCategoryValueSleepAnalysisInBed: 'inBed',
+  HKCategoryValueSleepAnalysisAsleep: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepUnspecified: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepCore: 'light',
+  HKCategoryValueSleepAnalysisAsleepDeep: 'deep',
+  HKCategoryValueSleepAnalysisAsleepREM: 'rem',
+  HKCategoryValueSleepAnalysisAwake: 'awake'
+};
+
+// Google Fit com.google.sleep.segment values -> stages (3 = out of bed is ignored)
+const GOOGLE_SEGMENT_STAGES = {
+  1: 'awake',
+  2: 'asleep',
+  4: 'light',
+  5: 'deep',
+  6: 'rem'
+};
+
+// Google Fit session/segment activities -> stages
+const GOOGLE_ACTIVITY_STAGES = {
+  sleep: 'asleep',
+  'sleep.light': 'light',
+  'sleep.deep': 'deep',
+  'sleep.rem': 'rem',
+  'sleep.awake': 'awake',
+  awake: 'awake'
+};
+
+const ASLEEP_STAGES = ['asleep', 'light', 'deep', 'rem'];
+
+/**
+ * Helper: Creates an error for a file that can't be imported.
+ * @param {string} message - Error message.
+ * @returns {Error} Error with code 'IMPORT_INVALID_FILE'.
+ * @private
+ */
+const invalidFileError = (message) => {
+  const error = new Error(message);
+  error.code = 'IMPORT_INVALID_FILE';
+  return error;
+};
+
+/**
+ * Guesses the format of an uploaded file.
+ * @param {string} filename - Uploaded file name.
+ * @param {string} mimeType - Uploaded MIME type.
+ * @returns {string|null} SleepData.SOURCES.APPLE_HEALTH, SleepData.SOURCES.GOOGLE_FIT or null.
+ */
+const detectFormat = (filename = '', mimeType = '') => {
+  if (/\.xml$/i.test(filename) || /xml/.test(mimeType)) {
+    return SleepData.SOURCES.APPLE_HEALTH;
+  }
+  if (/\.json$/i.test(filename) || /json/.test(mimeType)) {
+    return SleepData.SOURCES.GOOGLE_FIT;
+  }
+  return null;
+};
+
+/**
+ * Parses the sleep segments of an Apple Health export.xml.
+ * @param {import('stream').Readable} input - File contents.
+ * @param {function(object): void} onSegment - Called with each segment ({ start, end, utcOffset, stage }).
+ * @returns {Promise<number>} Number of sleep records read.
+ * @private
+ */
+const parseAppleHealthExport = async (input, onSegment) => {
+  const xmlParser = sax.parser(true);
+  const decoder = new StringDecoder('utf8');
+  let records = 0;
+  let parseError = null;
+
+  xmlParser.onerror = (error) => {
+    parseError = error;
+  };
+  xmlParser.onopentag = ({ name, attributes }) => {
+    if (name !== 'Record' || attributes.type !== APPLE_SLEEP_TYPE) {
+      return;
+    }
+    records++;
+
+    const stage = APPLE_STAGES[attributes.value];
+    const start = moment.parseZone(attributes.startDate, APPLE_DATE_FORMAT, true);
+    const end = moment.parseZone(attributes.endDate, APPLE_DATE_FORMAT, true);
+    if (stage && start.isValid() && end.isValid() && end.isAfter(start)) {
+      onSegment({ start: start.valueOf(), end: end.valueOf(), utcOffset: end.utcOffset(), stage });
+    }
+  };
+
+  for await (const chunk of input) {
+    xmlParser.write(decoder.write(chunk));
+    if (parseError) {
+      throw invalidFileError(`Invalid Apple Health export: ${parseError.message.split('\n')[0]}`);
+    }
+  }
+  xmlParser.write(decoder.end()).close();
+  if (parseError) {
+    throw invalidFileError(`Invalid Apple Health export: ${parseError.message.split('\n')[0]}`);
+  }
+
+  return records;
+};
+
+/**
+ * Parses the sleep segments of a Google Takeout (Fit) JSON file.
+ * @param {import('stream').Readable} input - File contents.
+ * @param {number} utcOffset - UTC offset in minutes used for dates (Takeout times are UTC).
+ * @param {function(object): void} onSegment - Called with each segment ({ start, end, utcOffset, stage }).
+ * @returns {Promise<number>} Number of sleep records read.
+ * @private
+ */
+const parseGoogleFitExport = async (input, utcOffset, onSegment) => {
+  let records = 0;
+
+  const addSegment = (start, end, stage) => {
+    if (stage && Number.isFinite(start) && Number.isFinite(end) && end > start) {
+      onSegment({ start, end, utcOffset, stage });
+    }
+  };
+
+  const handleValue = (value) => {
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    // "All Data" sleep segment data point
+    if (value.dataTypeName === 'com.google.sleep.segment') {
+      records++;
+      const segmentType = value.fitValue?.[0]?.value?.intVal;
+      addSegment(Number(value.startTimeNanos) / 1e6, Number(value.endTimeNanos) / 1e6, GOOGLE_SEGMENT_STAGES[segmentType]);
+      return;
+    }
+
+    // "All Sessions" sleep session, optionally with stage segments
+    if (value.fitnessActivity === 'sleep') {
+      records++;
+      const segments = Array.isArray(value.segment) ? value.segment : [];
+      if (segments.length === 0) {
+        addSegment(Date.parse(value.startTime), Date.parse(value.endTime), 'asleep');
+      }
+      segments.forEach(segment => {
+        addSegment(Date.parse(segment.startTime), Date.parse(segment.endTime), GOOGLE_ACTIVITY_STAGES[segment.fitnessActivity]);
+      });
+    }
+  };
+
+  try {
+    await pipeline(
+      input,
+      jsonParser(),
+      pick({ filter: /^(\d+|Data Points\.\d+)$/ }),
+      streamValues(),
+      async function (values) {
+        for await (const { value } of values) {
+          handleValue(value);
+        }
+      }
+    );
+  } catch (error) {
+    if (error.code === 'IMPORT_FILE_TOO_LARGE') {
+      throw error;
+    }
+    throw invalidFileError(`Invalid Google Takeout file: ${error.message}`);
+  }
+
+  return records;
+};
+
+/**
+ * Helper: Total length of a set of possibly overlapping intervals
+ * (exports often contain the same night from several devices).
+ * @param {Array<{start: number, end: number}>} intervals - Intervals in ms.
+ * @returns {number} Covered time in ms.
+ * @private
+ */
+const getCoveredTime = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  let total = 0;
+  let currentStart = null;
+  let currentEnd = null;
+
+  sorted.forEach(({ start, end }) => {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) {
+        total += currentEnd - currentStart;
+      }
+      currentStart = start;
+      currentEnd = end;
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  });
+
+  return currentEnd === null ? total : total + currentEnd - currentStart;
+};
+
+/**
+ * Helper: Groups segments into sessions.
+ * @param {Array<object>} segments - Segments.
+ * @returns {Array<Array<object>>} Segments per session.
+ * @private
+ */
+const groupSessions = (segments) => {
+  const sessions = [];
+  let current = null;
+  let currentEnd = 0;
+
+  [...segments].sort((a, b) => a.start - b.start).forEach(segment => {
+    if (!current || segment.start - currentEnd > SESSION_GAP_MS) {
+      current = [];
+      sessions.push(current);
+      currentEnd = segment.end;
+    }
+    current.push(segment);
+    currentEnd = Math.max(currentEnd, segment.end);
+  });
+
+  return sessions;
+};
+
+/**
+ * Helper: Builds SleepData fields for a session.
+ * @param {Array<object>} session - Segments of the session.
+ * @param {string} userId - The user ID.
+ * @param {string} source - SleepData source.
+ * @returns {object|null} SleepData fields, or null if the session isn't a night.
+ * @private
+ */
+const buildNight = (session, userId, source) => {
+  const bedTime = session.reduce((earliest, segment) => Math.min(earliest, segment.start), Infinity);
+  const lastSegment = session.reduce((last, segment) => (segment.end > last.end ? segment : last));
+  const wakeTime = lastSegment.end;
+  const timeForStages = (stages) => getCoveredTime(session.filter(segment => stages.includes(segment.stage)));
+
+  // Old Apple exports only have "in bed" records: count in-bed time as sleep
+  const hasSleepStages = session.some(segment => ASLEEP_STAGES.includes(segment.stage));
+  const asleepMs = hasSleepStages ? timeForStages(ASLEEP_STAGES) : timeForStages(['inBed']);
+
+  if (asleepMs < MIN_NIGHT_SLEEP_MS || wakeTime - bedTime > MAX_NIGHT_IN_BED_MS) {
+    return null;
+  }
+
+  const { score, totalSleepTime, timeInBed, efficiency } = calculateSleepScore({
+    bedTime: new Date(bedTime),
+    wakeTime: new Date(wakeTime),
+    awakeMinutes: (wakeTime - bedTime - asleepMs) / 60000
+  });
+
+  const metrics = {
+    totalSleepTime,
+    timeInBed,
+    efficiency,
+    awakeTime: timeInBed - totalSleepTime,
+    bedtimeStart: new Date(bedTime),
+    bedtimeEnd: new Date(wakeTime)
+  };
+
+  // Stage details are only known when the device recorded them
+  if (session.some(segment => ['light', 'deep', 'rem'].includes(segment.stage))) {
+    metrics.deepSleep = Math.round(timeForStages(['deep']) / 1000);
+    metrics.remSleep = Math.round(timeForStages(['rem']) / 1000);
+    metrics.lightSleep = Math.round(timeForStages(['light']) / 1000);
+  }
+
+  // Like Oura, a night belongs to the day the user wakes up (in the user's own time zone)
+  const dateId = moment.utc(wakeTime).utcOffset(lastSegment.utcOffset).format('YYYY-MM-DD');
+
+  return {
+    userId,
+    dateId,
+    date: moment.utc(dateId).toDate(),
+    source,
+    ouraScore: score,
+    metrics,
+    sourceData: {
+      provider: source,
+      sourceType: `${source}_export`
+    }
+  };
+};
+
+/**
+ * Imports an export file into the user's daily sleep data.
+ * @param {string} userId - The user ID.
+ * @param {import('stream').Readable} input - File contents.
+ * @param {object} options - Import options.
+ * @param {string} options.format - SleepData.SOURCES.APPLE_HEALTH or SleepData.SOURCES.GOOGLE_FIT.
+ * @param {string} [options.utcOffset='+00:00'] - UTC offset for Google Takeout times (+HH:MM).
+ * @param {string} [options.requestId] - Request ID for logging.
+ * @returns {Promise<object>} Import report: records read, nights found, created, merged,
+ *   skipped because of conflicts (with their dates) and failed.
+ * @throws {Error} With code 'IMPORT_INVALID_FILE' if the file can't be parsed.
+ */
+const importSleepExport = async (userId, input, { format, utcOffset = '+00:00', requestId } = {}) => {
+  const segments = [];
+  const onSegment = segment => segments.push(segment);
+
+  let recordsRead;
+  if (format === SleepData.SOURCES.APPLE_HEALTH) {
+    recordsRead = await parseAppleHealthExport(input, onSegment);
+  } else if (format === SleepData.SOURCES.GOOGLE_FIT) {
+    recordsRead = await parseGoogleFitExport(input, moment().utcOffset(utcOffset).utcOffset(), onSegment);
+  } else {
+    throw invalidFileError(`Unsupported import format: ${format}`);
+  }
+
+  // Keep the longest night per day (other sessions that day are naps)
+  const nightsByDate = new Map();
+  groupSessions(segments)
+    .map(session => buildNight(session, userId, format))
+    .filter(Boolean)
+    .forEach(night => {
+      const existing = nightsByDate.get(night.dateId);
+      if (!existing || night.metrics.totalSleepTime > existing.metrics.totalSleepTime) {
+        nightsByDate.set(night.dateId, night);
+      }
+    });
+  const nights = Array.from(nightsByDate.values());
+
+  logger.info(`Parsed ${format} import for user ${userId}: ${recordsRead} records, ${nights.length} nights`, { requestId });
+
+  const skippedDates = [];
+  const writeReport = await sleepDataWriter.writeDailySleepRecords(userId, nights, {
+    requestId,
+    shouldOverwrite: (existingData, night) => {
+      if (sleepDataWriter.canReplaceNight(existingData, night)) {
+        return true;
+      }
+      skippedDates.push(night.dateId);
+      return false;
+    }
+  });
+
+  return {
+    format,
+    recordsRead,
+    nightsFound: nights.length,
+    nightsCreated: writeReport.created,
+    nightsMerged: writeReport.merged,
+    nightsSkipped: writeReport.skipped,
+    nightsFailed: writeReport.failed,
+    skippedDates: skippedDates.sort(),
+    dateRange: nights.length > 0
+      ? { start: moment.utc(writeReport.firstDate).format('YYYY-MM-DD'), end: moment.utc(writeReport.lastDate).format('YYYY-MM-DD') }
+      : null
+  };
+};
+
+module.exports = {
+  detectFormat,
+  importSleepExport
+};
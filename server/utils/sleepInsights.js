@@ -0,0 +1,290 @@
+/**
+ * Sleep Insights
+ * Compares a user's recent nights with their personal baseline and relates sleep scores to tags
+ *
+ * - Baselines: for each metric, the mean and standard deviation of the BASELINE_NIGHTS nights
+ *   before the night being checked (a rolling baseline, so it follows long-term changes).
+ * - Anomalies: nights in the last ANOMALY_LOOKBACK_DAYS days whose metric is more than
+ *   `threshold` standard deviations from the baseline in the unhealthy direction
+ *   (e.g. a resting heart rate spike or an HRV drop).
+ * - Tag correlations: average score (and key metrics) of nights with a tag versus nights without.
+ *
+ * Insights are cached in `sleepInsights/{userId}` and regenerated after syncs and imports.
+ */
+const admin = require('firebase-admin');
+const moment = require('moment');
+const { logger } = require('./logger');
+
+// Nights of history analyzed
+const HISTORY_DAYS = 180;
+// Size of the rolling baseline, and the minimum nights needed before a night can be flagged
+const BASELINE_NIGHTS = 30;
+const MIN_BASELINE_NIGHTS = 7;
+// Recent days checked for anomalies
+const ANOMALY_LOOKBACK_DAYS = 14;
+// Default number of standard deviations that counts as an anomaly
+const DEFAULT_THRESHOLD = 2;
+// Minimum nights with (and without) a tag before it is correlated
+const MIN_TAG_NIGHTS = 3;
+// Cached insights older than this are regenerated on read (baselines move with the calendar)
+const CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Analyzed metrics. `concern` is the direction that is flagged: 1 = too high, -1 = too low.
+// Missing values are stored as 0 by the Oura mapping, so only positive values are used.
+const METRICS = [
+  { name: 'hrv', label: 'HRV', unit: 'ms', concern: -1, getValue: metrics => metrics.hrv },
+  { name: 'restingHeartRate', label: 'Resting heart rate', unit: 'bpm', concern: 1, getValue: metrics => metrics.heartRate?.lowest },
+  { name: 'respiratoryRate', label: 'Respiratory rate', unit: 'breaths/min', concern: 1, getValue: metrics => metrics.respiratoryRate },
+  { name: 'latency', label: 'Sleep latency', unit: 's', concern: 1, getValue: metrics => metrics.latency },
+  { name: 'deepSleep', label: 'Deep sleep', unit: 's', concern: -1, getValue: metrics => metrics.deepSleep }
+];
+
+/**
+ * Helper: Rounds to one decimal place.
+ * @param {number} value - Value.
+ * @returns {number} Rounded value.
+ * @private
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Helper: Calculates the mean and (sample) standard deviation of values.
+ * @param {Array<number>} values - Values.
+ * @returns {{mean: number, stdDev: number, nights: number}|null} Statistics, or null without values.
+ * @private
+ */
+const calculateStats = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+  return { mean, stdDev: Math.sqrt(variance), nights: values.length };
+};
+
+/**
+ * Helper: Reads the analyzed nights of a user, oldest first.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Array<{dateId: string, score: number|null, tags: Array<string>, values: object}>>} Nights.
+ * @private
+ */
+const loadNights = async (userId) => {
+  const startDate = moment.utc().subtract(HISTORY_DAYS, 'days').format('YYYY-MM-DD');
+
+  // Daily documents are keyed by YYYY-MM-DD, so the ID orders and filters them by date
+  const snapshot = await admin.firestore()
+    .collection('sleepData')
+    .doc(userId)
+    .collection('daily')
+    .where(admin.firestore.FieldPath.documentId(), '>=', startDate)
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    const metrics = data.metrics || {};
+    const values = {};
+    METRICS.forEach(metric => {
+      const value = metric.getValue(metrics);
+      if (typeof value === 'number' && value > 0) {
+        values[metric.name] = value;
+      }
+    });
+
+    return {
+      dateId: doc.id,
+      score: typeof data.ouraScore === 'number' && data.ouraScore > 0 ? data.ouraScore : null,
+      tags: Array.isArray(data.tags) ? data.tags : [],
+      values
+    };
+  });
+};
+
+/**
+ * Helper: Gets the baseline of a metric from the nights before an index.
+ * @param {Array<object>} nights - Nights, oldest first.
+ * @param {number} index - Index of the night being checked.
+ * @param {string} metricName - Metric name.
+ * @returns {{mean: number, stdDev: number, nights: number}|null} Baseline, or null if there is too little history.
+ * @private
+ */
+const getBaseline = (nights, index, metricName) => {
+  const values = [];
+  for (let i = index - 1; i >= 0 && values.length < BASELINE_NIGHTS; i--) {
+    if (nights[i].values[metricName] !== undefined) {
+      values.push(nights[i].values[metricName]);
+    }
+  }
+  return values.length >= MIN_BASELINE_NIGHTS ? calculateStats(values) : null;
+};
+
+/**
+ * Helper: Finds recent nights whose metrics deviate from the rolling baseline.
+ * @param {Array<object>} nights - Nights, oldest first.
+ * @param {number} threshold - Number of standard deviations that counts as an anomaly.
+ * @returns {Array<object>} Anomalies, newest first.
+ * @private
+ */
+const detectAnomalies = (nights, threshold) => {
+  const lookbackStart = moment.utc().subtract(ANOMALY_LOOKBACK_DAYS, 'days').format('YYYY-MM-DD');
+  const anomalies = [];
+
+  nights.forEach((night, index) => {
+    if (night.dateId < lookbackStart) {
+      return;
+    }
+
+    METRICS.forEach(metric => {
+      const value = night.values[metric.name];
+      const baseline = value !== undefined ? getBaseline(nights, index, metric.name) : null;
+      if (!baseline || baseline.stdDev === 0) {
+        return;
+      }
+
+      const zScore = (value - baseline.mean) / baseline.stdDev;
+      if (zScore * metric.concern < threshold) {
+        return;
+      }
+
+      anomalies.push({
+        date: night.dateId,
+        metric: metric.name,
+        value,
+        baselineMean: round(baseline.mean),
+        baselineStdDev: round(baseline.stdDev),
+        zScore: round(zScore),
+        direction: zScore > 0 ? 'high' : 'low',
+        message: `${metric.label} was ${round(Math.abs(zScore))} standard deviations ${zScore > 0 ? 'above' : 'below'} your baseline (${value} vs ${round(baseline.mean)} ${metric.unit})`
+      });
+    });
+  });
+
+  return anomalies.sort((a, b) => b.date.localeCompare(a.date) || Math.abs(b.zScore) - Math.abs(a.zScore));
+};
+
+/**
+ * Helper: Compares nights with each tag to nights without it.
+ * @param {Array<object>} nights - Nights.
+ * @returns {Array<object>} Correlations, largest score difference first.
+ * @private
+ */
+const correlateTags = (nights) => {
+  const scoredNights = nights.filter(night => night.score !== null);
+  const tags = new Set(scoredNights.flatMap(night => night.tags));
+  const correlations = [];
+
+  tags.forEach(tag => {
+    const tagged = scoredNights.filter(night => night.tags.includes(tag));
+    const untagged = scoredNights.filter(night => !night.tags.includes(tag));
+    if (tagged.length < MIN_TAG_NIGHTS || untagged.length < MIN_TAG_NIGHTS) {
+      return;
+    }
+
+    const taggedScore = calculateStats(tagged.map(night => night.score)).mean;
+    const untaggedScore = calculateStats(untagged.map(night => night.score)).mean;
+    const scoreDifference = round(taggedScore - untaggedScore);
+
+    const metricDifferences = {};
+    METRICS.forEach(metric => {
+      const taggedStats = calculateStats(tagged.map(night => night.values[metric.name]).filter(value => value !== undefined));
+      const untaggedStats = calculateStats(untagged.map(night => night.values[metric.name]).filter(value => value !== undefined));
+      if (taggedStats && untaggedStats) {
+        metricDifferences[metric.name] = round(taggedStats.mean - untaggedStats.mean);
+      }
+    });
+
+    const points = Math.abs(Math.round(scoreDifference));
+    correlations.push({
+      tag,
+      nightsTagged: tagged.length,
+      nightsUntagged: untagged.length,
+      averageScoreTagged: round(taggedScore),
+      averageScoreUntagged: round(untaggedScore),
+      scoreDifference,
+      metricDifferences,
+      message: points === 0
+        ? `Nights tagged "${tag}" score about the same as other nights`
+        : `Nights tagged "${tag}" average ${points} point${points === 1 ? '' : 's'} ${scoreDifference < 0 ? 'lower' : 'higher'}`
+    });
+  });
+
+  return correlations.sort((a, b) => Math.abs(b.scoreDifference) - Math.abs(a.scoreDifference));
+};
+
+/**
+ * Generates a user's sleep insights.
+ * @param {string} userId - The user ID.
+ * @param {object} [options] - Options.
+ * @param {number} [options.threshold=2] - Number of standard deviations that counts as an anomaly.
+ * @returns {Promise<object>} Insights: current baselines, anomalies and tag correlations.
+ */
+const generateSleepInsights = async (userId, { threshold = DEFAULT_THRESHOLD } = {}) => {
+  const nights = await loadNights(userId);
+
+  const baselines = {};
+  METRICS.forEach(metric => {
+    const baseline = getBaseline(nights, nights.length, metric.name);
+    baselines[metric.name] = baseline
+      ? { mean: round(baseline.mean), stdDev: round(baseline.stdDev), nights: baseline.nights, unit: metric.unit }
+      : null;
+  });
+
+  return {
+    userId,
+    generatedAt: new Date(),
+    threshold,
+    nightsAnalyzed: nights.length,
+    period: {
+      startDate: nights[0]?.dateId || null,
+      endDate: nights[nights.length - 1]?.dateId || null
+    },
+    baselines,
+    anomalies: detectAnomalies(nights, threshold),
+    tagCorrelations: correlateTags(nights)
+  };
+};
+
+/**
+ * Regenerates and caches a user's sleep insights (default threshold).
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object>} The insights.
+ */
+const updateSleepInsights = async (userId) => {
+  const insights = await generateSleepInsights(userId);
+  await admin.firestore().collection('sleepInsights').doc(userId).set(insights);
+  logger.info(`Updated sleep insights for user ${userId}: ${insights.anomalies.length} anomalies, ${insights.tagCorrelations.length} tag correlations`);
+  return insights;
+};
+
+/**
+ * Gets a user's sleep insights, from the cache when it is fresh.
+ * A non-default threshold is computed on demand and not cached.
+ * @param {string} userId - The user ID.
+ * @param {object} [options] - Options.
+ * @param {number} [options.threshold] - Number of standard deviations that counts as an anomaly.
+ * @param {boolean} [options.refresh=false] - Regenerate even if the cache is fresh.
+ * @returns {Promise<object>} The insights.
+ */
+const getSleepInsights = async (userId, { threshold, refresh = false } = {}) => {
+  if (threshold !== undefined && threshold !== DEFAULT_THRESHOLD) {
+    return generateSleepInsights(userId, { threshold });
+  }
+
+  if (!refresh) {
+    const cached = await admin.firestore().collection('sleepInsights').doc(userId).get();
+    const generatedAt = cached.exists ? cached.data().generatedAt?.toDate() : null;
+    if (generatedAt && Date.now() - generatedAt.getTime() < CACHE_MAX_AGE_MS) {
+      return { ...cached.data(), generatedAt };
+    }
+  }
+
+  return updateSleepInsights(userId);
+};
+
+module.exports = {
+  generateSleepInsights,
+  updateSleepInsights,
+  getSleepInsights
+};
@@ -0,0 +1,90 @@
+/**
+ * Sleep Score
+ * Calculates a 0-100 sleep score for records that don't come with one (manual entries, imports),
+ * so they can be ranked next to Oura's sleep score
+ *
+ * Score = duration points (0-60) + quality points (0-40), rounded:
+ *  - Duration: full 60 points for 7-9 hours of sleep. Below 7 hours the points drop linearly
+ *    to 0 at 3 hours; above 9 hours 10 points are lost per extra hour.
+ *  - Quality: the subjective quality (1-5) maps linearly to 0-40 points. Without a rating the
+ *    sleep efficiency is used instead: 0 points at 65% or less, 40 points at 95% or more.
+ */
+
+const FULL_DURATION_MIN_HOURS = 7;
+const FULL_DURATION_MAX_HOURS = 9;
+const ZERO_DURATION_HOURS = 3;
+const OVERSLEEP_PENALTY_PER_HOUR = 10;
+const DURATION_POINTS = 60;
+const QUALITY_POINTS = 40;
+const MIN_EFFICIENCY = 65;
+const MAX_EFFICIENCY = 95;
+
+/**
+ * Helper: Clamp a number to a range.
+ * @param {number} value - Value to clamp.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {number} The clamped value.
+ * @private
+ */
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Points for the amount of sleep.
+ * @param {number} sleepHours - Hours asleep.
+ * @returns {number} Duration points (0-60).
+ */
+const calculateDurationPoints = (sleepHours) => {
+  if (sleepHours < FULL_DURATION_MIN_HOURS) {
+    const ratio = (sleepHours - ZERO_DURATION_HOURS) / (FULL_DURATION_MIN_HOURS - ZERO_DURATION_HOURS);
+    return DURATION_POINTS * clamp(ratio, 0, 1);
+  }
+  if (sleepHours > FULL_DURATION_MAX_HOURS) {
+    return clamp(DURATION_POINTS - (sleepHours - FULL_DURATION_MAX_HOURS) * OVERSLEEP_PENALTY_PER_HOUR, 0, DURATION_POINTS);
+  }
+  return DURATION_POINTS;
+};
+
+/**
+ * Points for how well the user slept.
+ * @param {number|null} quality - Subjective quality (1-5), or null when not rated.
+ * @param {number} efficiency - Sleep efficiency in percent (time asleep / time in bed).
+ * @returns {number} Quality points (0-40).
+ */
+const calculateQualityPoints = (quality, efficiency) => {
+  if (typeof quality === 'number') {
+    return QUALITY_POINTS * clamp((quality - 1) / 4, 0, 1);
+  }
+  return QUALITY_POINTS * clamp((efficiency - MIN_EFFICIENCY) / (MAX_EFFICIENCY - MIN_EFFICIENCY), 0, 1);
+};
+
+/**
+ * Calculates the sleep score and basic metrics of a night.
+ * @param {object} night - The night.
+ * @param {Date} night.bedTime - When the user went to bed.
+ * @param {Date} night.wakeTime - When the user got up.
+ * @param {number} [night.awakeMinutes=0] - Minutes spent awake in bed (falling asleep, waking up at night).
+ * @param {number} [night.quality] - Subjective quality (1-5).
+ * @returns {{score: number, totalSleepTime: number, timeInBed: number, efficiency: number}}
+ *   Score (0-100) and metrics (times in seconds, efficiency in percent).
+ */
+const calculateSleepScore = ({ bedTime, wakeTime, awakeMinutes = 0, quality = null }) => {
+  const timeInBed = Math.max(0, (wakeTime.getTime() - bedTime.getTime()) / 1000);
+  const totalSleepTime = clamp(timeInBed - awakeMinutes * 60, 0, timeInBed);
+  const efficiency = timeInBed > 0 ? (totalSleepTime / timeInBed) * 100 : 0;
+
+  const score = calculateDurationPoints(totalSleepTime / 3600) + calculateQualityPoints(quality, efficiency);
+
+  return {
+    score: Math.round(clamp(score, 0, 100)),
+    totalSleepTime: Math.round(totalSleepTime),
+    timeInBed: Math.round(timeInBed),
+    efficiency: Math.round(efficiency)
+  };
+};
+
+module.exports = {
+  calculateDurationPoints,
+  calculateQualityPoints,
+  calculateSleepScore
+};
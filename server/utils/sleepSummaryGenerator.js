@@ -0,0 +1,505 @@
+/**
+ * Sleep Summary Generator
+ * Calculates the per-user sleep summary (averages, rolling windows, per-metric aggregates,
+ * streaks, weekly and monthly trends) from daily sleep data
+ */
+const admin = require('firebase-admin');
+const moment = require('moment');
+const { logger } = require('./logger');
+const { EVENTS, emitEvent } = require('./eventBus');
+
+// Import models
+const SleepSummary = require('../model/SleepSummary');
+
+// Rolling windows stored on the summary (days ending today); other lengths are computed on request
+const SUMMARY_WINDOWS = [7, 30, 90];
+// Number of recent ISO weeks in the weekly trend
+const WEEKLY_TREND_WEEKS = 12;
+// Streak thresholds used unless the user configured their own (users/{uid}.summarySettings)
+const DEFAULT_STREAK_THRESHOLDS = {
+  goodScoreThreshold: 75,
+  perfectScoreThreshold: 85
+};
+
+// Aggregated metrics. Missing values are stored as 0 by the Oura mapping, so only positive values are used.
+const SUMMARY_METRICS = [
+  { name: 'score', getValue: data => data.ouraScore },
+  { name: 'totalSleepTime', getValue: data => data.metrics?.totalSleepTime },
+  { name: 'efficiency', getValue: data => data.metrics?.efficiency },
+  { name: 'deepSleep', getValue: data => data.metrics?.deepSleep },
+  { name: 'remSleep', getValue: data => data.metrics?.remSleep },
+  { name: 'lightSleep', getValue: data => data.metrics?.lightSleep },
+  { name: 'latency', getValue: data => data.metrics?.latency },
+  { name: 'hrv', getValue: data => data.metrics?.hrv },
+  { name: 'restingHeartRate', getValue: data => data.metrics?.heartRate?.lowest },
+  { name: 'respiratoryRate', getValue: data => data.metrics?.respiratoryRate }
+];
+
+/**
+ * Gets a user's streak thresholds, falling back to the defaults.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<{goodScoreThreshold: number, perfectScoreThreshold: number}>} Thresholds.
+ */
+const getStreakThresholds = async (userId) => {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  const settings = userDoc.exists ? (userDoc.data().summarySettings || {}) : {};
+
+  return {
+    goodScoreThreshold: typeof settings.goodScoreThreshold === 'number'
+      ? settings.goodScoreThreshold
+      : DEFAULT_STREAK_THRESHOLDS.goodScoreThreshold,
+    perfectScoreThreshold: typeof settings.perfectScoreThreshold === 'number'
+      ? settings.perfectScoreThreshold
+      : DEFAULT_STREAK_THRESHOLDS.perfectScoreThreshold
+  };
+};
+
+/**
+ * Helper: Reads a user's scored nights since a date, oldest first.
+ * @param {string} userId - The user ID.
+ * @param {Date} startDate - Earliest night included.
+ * @returns {Promise<Array<{id: string, date: Date, score: number, values: object}>>} Records.
+ * @private
+ */
+const loadRecords = async (userId, startDate) => {
+  const snapshot = await admin.firestore()
+    .collection('sleepData')
+    .doc(userId)
+    .collection('daily')
+    .where('date', '>=', startDate)
+    .orderBy('date', 'asc')
+    .get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    // Ensure date is a Date object and score is a number
+    const date = data.date?.toDate ? data.date.toDate() : (data.date instanceof Date ? data.date : null);
+    const score = typeof data.ouraScore === 'number' ? data.ouraScore : null;
+    if (!date || score === null) {
+      logger.warn(`Skipping record in summary calculation due to invalid date/score for user ${userId}, doc ID ${doc.id}`);
+      return null; // Skip invalid records
+    }
+
+    const values = {};
+    SUMMARY_METRICS.forEach(metric => {
+      const value = metric.getValue(data);
+      if (typeof value === 'number' && value > 0) {
+        values[metric.name] = value;
+      }
+    });
+
+    return {
+      id: doc.id, // dateId (YYYY-MM-DD)
+      date,
+      score,
+      values
+    };
+  }).filter(Boolean); // Filter out nulls
+};
+
+/**
+ * Calculates and updates sleep summary statistics in Firestore.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<SleepSummary|null>} The generated SleepSummary object or null if no data.
+ */
+const updateSleepSummaries = async (userId) => {
+  const firestore = admin.firestore();
+
+  logger.info(`Starting sleep summary update for user ${userId}`);
+
+  try {
+    // Get all data for overall statistics, limited to the last 2 years
+    const twoYearsAgo = moment.utc().subtract(2, 'years').startOf('day').toDate();
+    const allDocsData = await loadRecords(userId, twoYearsAgo);
+
+    if (allDocsData.length === 0) {
+      logger.info(`No valid sleep records found for user ${userId} within the summary period. Cannot generate summary.`);
+      return null;
+    }
+
+    // Calculate averages using valid data
+    const currentMonthStart = moment.utc().startOf('month');
+    const previousMonthStart = moment.utc().subtract(1, 'month').startOf('month');
+    const previousMonthEnd = moment.utc().subtract(1, 'month').endOf('month');
+
+    const currentMonthData = allDocsData.filter(d => moment.utc(d.date).isSameOrAfter(currentMonthStart));
+    const previousMonthData = allDocsData.filter(d => {
+        const mDate = moment.utc(d.date);
+        return mDate.isSameOrAfter(previousMonthStart) && mDate.isSameOrBefore(previousMonthEnd);
+    });
+
+    const currentMonthAvg = calculateAverageScore(currentMonthData);
+    const previousMonthAvg = calculateAverageScore(previousMonthData);
+    const overallAvg = calculateAverageScore(allDocsData);
+
+    // Calculate best and worst scores
+    const sortedByScore = [...allDocsData].sort((a, b) => b.score - a.score);
+    const bestScoreData = sortedByScore[0]; // Highest score
+    const worstScoreData = sortedByScore[sortedByScore.length - 1]; // Lowest score
+
+    // Rolling windows ending today
+    const windows = {};
+    SUMMARY_WINDOWS.forEach(days => {
+      windows[`${days}d`] = calculateWindow(allDocsData, days);
+    });
+
+    // Improvement: this month vs. last month, and the last 30 days vs. the first 30 days of history
+    const firstPeriodEnd = moment.utc(allDocsData[0].date).add(30, 'days');
+    const firstPeriodAvg = calculateAverageScore(allDocsData.filter(d => moment.utc(d.date).isBefore(firstPeriodEnd)));
+    const improvement = {
+      monthly: currentMonthData.length > 0 && previousMonthData.length > 0
+        ? round(currentMonthAvg - previousMonthAvg)
+        : 0,
+      overall: windows['30d'].recordCount > 0 ? round(windows['30d'].averageScore - firstPeriodAvg) : 0
+    };
+
+    // Calculate streaks (using date-sorted data) with the user's thresholds
+    const { goodScoreThreshold, perfectScoreThreshold } = await getStreakThresholds(userId);
+    const goodScoreStreak = calculateStreak(allDocsData, goodScoreThreshold);
+    const perfectScoreStreak = calculateStreak(allDocsData, perfectScoreThreshold);
+
+    // Calculate weekly and monthly trends
+    const weeklyTrend = calculateWeeklyTrend(allDocsData);
+    const monthlyTrend = calculateMonthlyTrend(allDocsData);
+
+    // Create summary object using the SleepSummary model
+    const summary = new SleepSummary({
+      userId,
+      version: SleepSummary.CURRENT_VERSION,
+      dailyAverage: {
+        currentMonth: currentMonthAvg,
+        previousMonth: previousMonthAvg,
+        overall: overallAvg
+      },
+      windows,
+      weeklyTrend, // Array of { week: 'GGGG-[W]WW', startDate, averageScore, recordCount, metrics }
+      monthlyTrend, // Array of { month: 'YYYY-MM', averageScore: X, recordCount: Y }
+      bestScore: bestScoreData.score,
+      bestScoreDate: bestScoreData.id,
+      worstScore: worstScoreData.score,
+      worstScoreDate: worstScoreData.id,
+      improvement,
+      currentMonth: {
+        averageScore: currentMonthAvg,
+        startDate: currentMonthStart.format('YYYY-MM-DD'),
+        endDate: moment.utc().format('YYYY-MM-DD'), // Today
+        recordCount: currentMonthData.length,
+        metrics: calculateMetricAggregates(currentMonthData)
+      },
+      previousMonth: {
+        averageScore: previousMonthAvg,
+        startDate: previousMonthStart.format('YYYY-MM-DD'),
+        endDate: previousMonthEnd.format('YYYY-MM-DD'),
+        recordCount: previousMonthData.length,
+        metrics: calculateMetricAggregates(previousMonthData)
+      },
+      overall: {
+        averageScore: overallAvg,
+        recordCount: allDocsData.length,
+        firstDate: allDocsData[0].id, // allDocsData is date-sorted ASC
+        lastDate: allDocsData[allDocsData.length - 1].id,
+        metrics: calculateMetricAggregates(allDocsData)
+      },
+      streaks: {
+        goodScoreThreshold,
+        goodScore: goodScoreStreak,
+        perfectScoreThreshold,
+        perfectScore: perfectScoreStreak
+      },
+      lastUpdated: new Date()
+    });
+
+    // Replace the whole document so fields of older summary layouts don't linger
+    const summaryRef = firestore.collection('sleepSummaries').doc(userId);
+    const previousDoc = await summaryRef.get();
+    await summaryRef.set(summary.toFirestore());
+
+    if (previousDoc.exists) {
+      for (const record of findStreakRecords(previousDoc.data().streaks, summary.streaks)) {
+        await emitEvent(EVENTS.STREAK_RECORD, { userId, ...record });
+      }
+    }
+
+    logger.info(`Successfully updated sleep summary for user ${userId}.`);
+    return summary; // Return the generated summary
+
+  } catch (error) {
+    logger.error(`Error updating sleep summaries for user ${userId}:`, { error: error.message, stack: error.stack });
+    // Don't re-throw, just log and return null to indicate failure
+    return null;
+  }
+};
+
+/**
+ * Helper: Finds ongoing streaks that just beat the user's previous record.
+ * The record is the longest streak that ended before the ongoing one (`previousLongest`), so a streak
+ * that ties it is a record the night after. A record is reported once, on the night the ongoing
+ * streak first passes it, not for every night it grows. Summaries stored before `previousLongest`
+ * existed can't tell a tie from a record and report nothing.
+ * @param {object|null} previousStreaks - Streaks of the previously stored summary.
+ * @param {object} streaks - Newly calculated streaks.
+ * @returns {Array<{streak: string, length: number, threshold: number, previousRecord: number}>} New records.
+ * @private
+ */
+const findStreakRecords = (previousStreaks, streaks) => {
+  if (!previousStreaks) {
+    return [];
+  }
+
+  const isRecord = ({ current, previousLongest }) => previousLongest > 0 && current > previousLongest;
+
+  return ['goodScore', 'perfectScore']
+    .filter(streak => {
+      const previous = previousStreaks[streak];
+      const current = streaks[streak];
+      // Records only compare against the same threshold
+      return previous && typeof previous.previousLongest === 'number' &&
+        previousStreaks[`${streak}Threshold`] === streaks[`${streak}Threshold`] &&
+        isRecord(current) && !isRecord(previous);
+    })
+    .map(streak => ({
+      streak,
+      length: streaks[streak].current,
+      threshold: streaks[`${streak}Threshold`],
+      previousRecord: streaks[streak].previousLongest
+    }));
+};
+
+/**
+ * Calculates a rolling window of any length for a user, for window lengths that aren't stored on the summary.
+ * @param {string} userId - The user ID.
+ * @param {number} days - Window length in days (ending today).
+ * @returns {Promise<object>} The window (see calculateWindow).
+ */
+const getSummaryWindow = async (userId, days) => {
+  const startDate = moment.utc().subtract(days - 1, 'days').startOf('day').toDate();
+  const records = await loadRecords(userId, startDate);
+  return calculateWindow(records, days);
+};
+
+/**
+ * Helper: Rounds to one decimal place.
+ * @param {number} value - Value.
+ * @returns {number} Rounded value.
+ * @private
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Helper: Calculates average, minimum and maximum of every metric.
+ * @param {Array<{values: object}>} records - Records.
+ * @returns {object} Aggregates keyed by metric name: { average, min, max, nights }, or null without values.
+ * @private
+ */
+const calculateMetricAggregates = (records) => {
+  const aggregates = {};
+  SUMMARY_METRICS.forEach(metric => {
+    const values = records.map(record => record.values[metric.name]).filter(value => value !== undefined);
+    aggregates[metric.name] = values.length === 0 ? null : {
+      average: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      min: Math.min(...values),
+      max: Math.max(...values),
+      nights: values.length
+    };
+  });
+  return aggregates;
+};
+
+/**
+ * Helper: Calculates the statistics of the last `days` days (ending today).
+ * @param {Array<{id: string, score: number, values: object}>} sortedDocs - Records sorted by date ASC.
+ * @param {number} days - Window length in days.
+ * @returns {object} { days, startDate, endDate, recordCount, averageScore, metrics }.
+ * @private
+ */
+const calculateWindow = (sortedDocs, days) => {
+  const startDate = moment.utc().subtract(days - 1, 'days').format('YYYY-MM-DD');
+  const endDate = moment.utc().format('YYYY-MM-DD');
+  const records = sortedDocs.filter(doc => doc.id >= startDate && doc.id <= endDate);
+
+  return {
+    days,
+    startDate,
+    endDate,
+    recordCount: records.length,
+    averageScore: calculateAverageScore(records),
+    metrics: calculateMetricAggregates(records)
+  };
+};
+
+/**
+ * Helper: Calculate average score from an array of data points.
+ * @param {Array<{score: number}>} dataPoints - Array of objects with a 'score' property.
+ * @returns {number} Calculated average score (rounded to 1 decimal) or 0 if no data.
+ * @private
+ */
+const calculateAverageScore = (dataPoints) => {
+  if (!dataPoints || dataPoints.length === 0) {
+    return 0;
+  }
+  const validScores = dataPoints.map(d => d.score).filter(s => typeof s === 'number');
+  if (validScores.length === 0) {
+      return 0;
+  }
+  const sum = validScores.reduce((acc, score) => acc + score, 0);
+  const average = sum / validScores.length;
+  return Math.round(average * 10) / 10; // Round to one decimal place
+};
+
+/**
+ * Helper: Calculate longest and current streak of scores >= threshold.
+ * Assumes input `docs` are sorted by date ascending.
+ * @param {Array<{id: string, score: number}>} sortedDocs - Array of score objects sorted by date ASC.
+ * @param {number} threshold - The score threshold for the streak.
+ * @returns {object} Object containing current streak, longest streak details (dates as YYYY-MM-DD) and
+ *   `previousLongest`, the longest streak that ended before the current one.
+ * @private
+ */
+const calculateStreak = (sortedDocs, threshold) => {
+  let currentStreak = 0;
+  let longestStreak = 0;
+  let longestEndedStreak = 0;
+  let longestStreakStartDate = null;
+  let longestStreakEndDate = null;
+  let currentStreakStartDate = null; // Track start date of current streak
+
+  if (!sortedDocs || sortedDocs.length === 0) {
+      return { current: 0, longest: 0, previousLongest: 0, longestStartDate: null, longestEndDate: null };
+  }
+
+  // Ensure data is sorted by date (important!)
+  // The caller should ideally provide sorted data, but we can sort here as a fallback
+  // sortedDocs.sort((a, b) => a.date.getTime() - b.date.getTime()); // Uncomment if input might not be sorted
+
+  sortedDocs.forEach((doc, index) => {
+    if (doc.score >= threshold) {
+      if (currentStreak === 0) {
+        currentStreakStartDate = doc.id; // Start of a new streak
+      }
+      currentStreak++;
+    } else {
+      // Streak broken or never started
+      if (currentStreak > longestStreak) {
+        // The ended streak was the longest so far
+        longestStreak = currentStreak;
+        longestStreakStartDate = currentStreakStartDate;
+        // End date is the date of the *last* successful day in the streak
+        longestStreakEndDate = index > 0 ? sortedDocs[index - 1].id : currentStreakStartDate; // Handle edge case of first item breaking streak
+      }
+      longestEndedStreak = Math.max(longestEndedStreak, currentStreak);
+      // Reset current streak
+      currentStreak = 0;
+      currentStreakStartDate = null;
+    }
+  });
+
+  // After the loop, check if the current running streak is the longest
+  if (currentStreak > longestStreak) {
+    longestStreak = currentStreak;
+    longestStreakStartDate = currentStreakStartDate;
+    longestStreakEndDate = sortedDocs[sortedDocs.length - 1].id; // Ends on the last day
+  }
+
+  // Determine if the *current* streak is ongoing (i.e., the last day met the threshold)
+  const lastDayMetThreshold = sortedDocs[sortedDocs.length - 1]?.score >= threshold;
+  const finalCurrentStreak = lastDayMetThreshold ? currentStreak : 0;
+
+
+  return {
+    current: finalCurrentStreak,
+    longest: longestStreak,
+    previousLongest: longestEndedStreak,
+    longestStartDate: longestStreakStartDate,
+    longestEndDate: longestStreakEndDate
+  };
+};
+
+/**
+ * Helper: Calculate average score per month for the last N months with data.
+ * Assumes input `docs` are sorted by date ascending.
+ * @param {Array<{date: Date, score: number}>} sortedDocs - Array of score objects sorted by date ASC.
+ * @param {number} [numMonths=6] - Number of recent months to include in the trend.
+ * @returns {Array<object>} Array of { month: 'YYYY-MM', averageScore: X, recordCount: Y } for recent months.
+ * @private
+ */
+const calculateMonthlyTrend = (sortedDocs, numMonths = 6) => {
+  if (!sortedDocs || sortedDocs.length === 0) {
+    return [];
+  }
+
+  const monthlyData = {}; // Use object keyed by 'YYYY-MM'
+
+  sortedDocs.forEach(doc => {
+    const monthKey = moment.utc(doc.date).format('YYYY-MM');
+    if (!monthlyData[monthKey]) {
+      monthlyData[monthKey] = {
+        month: monthKey,
+        scores: [],
+        recordCount: 0
+      };
+    }
+    monthlyData[monthKey].scores.push(doc.score);
+    monthlyData[monthKey].recordCount++;
+  });
+
+  // Calculate average for each month and sort by month
+  const trend = Object.values(monthlyData)
+    .map(monthStats => ({
+      month: monthStats.month,
+      averageScore: calculateAverageScore(monthStats.scores.map(s => ({score: s}))), // Reuse helper
+      recordCount: monthStats.recordCount
+    }))
+    .sort((a, b) => a.month.localeCompare(b.month)); // Sort chronologically
+
+  // Return only the last N months
+  return trend.slice(-numMonths);
+};
+
+/**
+ * Helper: Calculate averages per ISO week for the last N weeks with data.
+ * Assumes input `docs` are sorted by date ascending.
+ * @param {Array<{date: Date, score: number, values: object}>} sortedDocs - Records sorted by date ASC.
+ * @param {number} [numWeeks=WEEKLY_TREND_WEEKS] - Number of recent weeks to include in the trend.
+ * @returns {Array<object>} Array of { week: 'GGGG-[W]WW', startDate, averageScore, recordCount, metrics } for recent weeks.
+ * @private
+ */
+const calculateWeeklyTrend = (sortedDocs, numWeeks = WEEKLY_TREND_WEEKS) => {
+  const weeklyData = {}; // Keyed by ISO week, e.g. '2024-W07'
+
+  sortedDocs.forEach(doc => {
+    const weekKey = moment.utc(doc.date).format('GGGG-[W]WW');
+    if (!weeklyData[weekKey]) {
+      weeklyData[weekKey] = {
+        week: weekKey,
+        startDate: moment.utc(doc.date).startOf('isoWeek').format('YYYY-MM-DD'),
+        records: []
+      };
+    }
+    weeklyData[weekKey].records.push(doc);
+  });
+
+  return Object.values(weeklyData)
+    .sort((a, b) => a.week.localeCompare(b.week))
+    .slice(-numWeeks)
+    .map(weekStats => {
+      const aggregates = calculateMetricAggregates(weekStats.records);
+      return {
+        week: weekStats.week,
+        startDate: weekStats.startDate,
+        averageScore: calculateAverageScore(weekStats.records),
+        recordCount: weekStats.records.length,
+        // Weekly averages only, to keep the trend small
+        metrics: Object.fromEntries(
+          Object.entries(aggregates).map(([name, aggregate]) => [name, aggregate ? aggregate.average : null])
+        )
+      };
+    });
+};
+
+module.exports = {
+  DEFAULT_STREAK_THRESHOLDS,
+  SUMMARY_WINDOWS,
+  updateSleepSummaries,
+  getSummaryWindow,
+  getStreakThresholds
+};
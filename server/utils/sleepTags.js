@@ -0,0 +1,380 @@
+/**
+ * Sleep Tags
+ * Per-user tag vocabulary and tag statistics
+ *
+ * Tags are normalized (lowercase, words joined with '-') and mapped through the user's vocabulary
+ * in `sleepTags/{userId}`, so "Coffee", "coffee " and an alias like "caffeine" are all stored as
+ * "coffee". The vocabulary maps each canonical tag to its aliases; tags used for the first time
+ * are added to it automatically.
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+const MAX_TAG_LENGTH = 50;
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 400;
+
+// Metrics compared for nights with and without a tag
+const STAT_METRICS = [
+  { name: 'score', getValue: data => data.ouraScore },
+  { name: 'totalSleepTime', getValue: data => data.metrics?.totalSleepTime },
+  { name: 'efficiency', getValue: data => data.metrics?.efficiency },
+  { name: 'deepSleep', getValue: data => data.metrics?.deepSleep },
+  { name: 'remSleep', getValue: data => data.metrics?.remSleep },
+  { name: 'latency', getValue: data => data.metrics?.latency },
+  { name: 'hrv', getValue: data => data.metrics?.hrv },
+  { name: 'restingHeartRate', getValue: data => data.metrics?.heartRate?.lowest }
+];
+
+/**
+ * Normalizes a tag: lowercase, trimmed, whitespace and underscores as '-', only letters, digits and '-'.
+ * @param {string} tag - Tag as entered.
+ * @returns {string} Normalized tag ('' if nothing is left).
+ */
+const normalizeTag = (tag) => String(tag)
+  .normalize('NFKC')
+  .toLowerCase()
+  .trim()
+  .replace(/[\s_]+/g, '-')
+  .replace(/[^\p{L}\p{N}-]/gu, '')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '')
+  .substring(0, MAX_TAG_LENGTH);
+
+/**
+ * Helper: Creates an error with a code the controller maps to a status.
+ * @param {string} message - Error message.
+ * @param {string} code - Error code.
+ * @returns {Error} Error.
+ * @private
+ */
+const createTagError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Helper: Gets the vocabulary document of a user.
+ * @param {string} userId - The user ID.
+ * @returns {FirebaseFirestore.DocumentReference} Document reference.
+ * @private
+ */
+const getVocabularyRef = (userId) => admin.firestore().collection('sleepTags').doc(userId);
+
+/**
+ * Helper: Maps every canonical tag and alias to its canonical tag.
+ * @param {Object<string, {aliases: Array<string>}>} vocabulary - Vocabulary.
+ * @returns {Map<string, string>} Tag or alias -> canonical tag.
+ * @private
+ */
+const buildLookup = (vocabulary) => {
+  const lookup = new Map();
+  Object.entries(vocabulary).forEach(([tag, entry]) => {
+    lookup.set(tag, tag);
+    (entry.aliases || []).forEach(alias => lookup.set(alias, tag));
+  });
+  return lookup;
+};
+
+/**
+ * Gets a user's tag vocabulary.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object<string, {aliases: Array<string>}>>} Canonical tag -> entry.
+ */
+const getTagVocabulary = async (userId) => {
+  const doc = await getVocabularyRef(userId).get();
+  return doc.exists ? doc.data().tags || {} : {};
+};
+
+/**
+ * Normalizes tags, maps aliases to their canonical tag and removes duplicates.
+ * Tags that aren't in the vocabulary yet are added to it.
+ * @param {string} userId - The user ID.
+ * @param {Array<string>} tags - Tags as entered.
+ * @returns {Promise<Array<string>>} Canonical tags.
+ */
+const resolveTags = async (userId, tags) => {
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (normalized.length === 0) {
+    return [];
+  }
+
+  const firestore = admin.firestore();
+  const vocabularyRef = getVocabularyRef(userId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(vocabularyRef);
+    const vocabulary = doc.exists ? doc.data().tags || {} : {};
+    const lookup = buildLookup(vocabulary);
+
+    const resolved = [...new Set(normalized.map(tag => lookup.get(tag) || tag))];
+    const newTags = resolved.filter(tag => !vocabulary[tag]);
+
+    if (newTags.length > 0) {
+      const update = { userId, updatedAt: admin.firestore.FieldValue.serverTimestamp(), tags: {} };
+      newTags.forEach(tag => {
+        update.tags[tag] = { aliases: [], createdAt: new Date() };
+      });
+      transaction.set(vocabularyRef, update, { merge: true });
+    }
+
+    return resolved;
+  });
+};
+
+/**
+ * Helper: Rewrites a tag on every night that has it.
+ * @param {string} userId - The user ID.
+ * @param {string} tag - Tag to replace.
+ * @param {string|null} replacement - Canonical tag to use instead, or null to remove the tag.
+ * @returns {Promise<number>} Number of updated nights.
+ * @private
+ */
+const rewriteTagOnNights = async (userId, tag, replacement) => {
+  const firestore = admin.firestore();
+  const snapshot = await firestore
+    .collection('sleepData')
+    .doc(userId)
+    .collection('daily')
+    .where('tags', 'array-contains', tag)
+    .get();
+
+  for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    snapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+      const tags = (doc.data().tags || []).map(existing => (existing === tag ? replacement : existing)).filter(Boolean);
+      batch.update(doc.ref, { tags: [...new Set(tags)], updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    });
+    await batch.commit();
+  }
+
+  return snapshot.size;
+};
+
+/**
+ * Creates a tag or replaces its aliases. An alias that is itself a tag (or another tag's alias)
+ * is merged into this tag, and the nights that used it are retagged.
+ * @param {string} userId - The user ID.
+ * @param {string} tag - Canonical tag.
+ * @param {Array<string>} aliases - Aliases.
+ * @returns {Promise<{tag: string, aliases: Array<string>, merged: Array<string>, nightsRetagged: number}>} Result.
+ * @throws {Error} TAG_INVALID if the tag is empty after normalization.
+ */
+const setTagAliases = async (userId, tag, aliases) => {
+  const canonical = normalizeTag(tag);
+  if (!canonical) {
+    throw createTagError('Tag must contain letters or digits', 'TAG_INVALID');
+  }
+  const normalizedAliases = [...new Set(aliases.map(normalizeTag))].filter(alias => alias && alias !== canonical);
+
+  const firestore = admin.firestore();
+  const vocabularyRef = getVocabularyRef(userId);
+
+  const merged = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(vocabularyRef);
+    const vocabulary = doc.exists ? doc.data().tags || {} : {};
+    const mergedTags = [];
+
+    // An alias can belong to one tag only; tags used as aliases are merged with their own aliases
+    const allAliases = new Set(normalizedAliases);
+    Object.entries(vocabulary).forEach(([existingTag, entry]) => {
+      if (existingTag !== canonical && allAliases.has(existingTag)) {
+        (entry.aliases || []).filter(alias => alias !== canonical).forEach(alias => allAliases.add(alias));
+        mergedTags.push(existingTag);
+        delete vocabulary[existingTag];
+      }
+    });
+    Object.values(vocabulary).forEach(entry => {
+      entry.aliases = (entry.aliases || []).filter(alias => !allAliases.has(alias) && alias !== canonical);
+    });
+
+    vocabulary[canonical] = {
+      ...(vocabulary[canonical] || { createdAt: new Date() }),
+      aliases: [...allAliases].sort()
+    };
+
+    transaction.set(vocabularyRef, {
+      userId,
+      tags: vocabulary,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { mergedTags, aliases: vocabulary[canonical].aliases };
+  });
+
+  // Nights may carry any of the aliases (e.g. stored before the alias existed)
+  let nightsRetagged = 0;
+  for (const alias of merged.aliases) {
+    nightsRetagged += await rewriteTagOnNights(userId, alias, canonical);
+  }
+
+  logger.info(`Updated tag ${canonical} for user ${userId}`, { aliases: merged.aliases.length, merged: merged.mergedTags, nightsRetagged });
+  return { tag: canonical, aliases: merged.aliases, merged: merged.mergedTags, nightsRetagged };
+};
+
+/**
+ * Deletes a tag from the vocabulary and from every night.
+ * @param {string} userId - The user ID.
+ * @param {string} tag - Tag or alias.
+ * @returns {Promise<{tag: string, nightsUpdated: number}|null>} Result, or null if the tag is unknown.
+ */
+const deleteTag = async (userId, tag) => {
+  const firestore = admin.firestore();
+  const vocabularyRef = getVocabularyRef(userId);
+  const normalized = normalizeTag(tag);
+
+  const canonical = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(vocabularyRef);
+    const vocabulary = doc.exists ? doc.data().tags || {} : {};
+    const resolved = buildLookup(vocabulary).get(normalized);
+    if (!resolved) {
+      return null;
+    }
+
+    // FieldPath instead of a dotted string, so any tag is a valid field name
+    transaction.update(
+      vocabularyRef,
+      new admin.firestore.FieldPath('tags', resolved), admin.firestore.FieldValue.delete(),
+      'updatedAt', admin.firestore.FieldValue.serverTimestamp()
+    );
+    return resolved;
+  });
+
+  if (!canonical) {
+    return null;
+  }
+
+  const nightsUpdated = await rewriteTagOnNights(userId, canonical, null);
+  logger.info(`Deleted tag ${canonical} for user ${userId}`, { nightsUpdated });
+  return { tag: canonical, nightsUpdated };
+};
+
+/**
+ * Adds and removes individual tags of a night, leaving its other tags as they are.
+ * @param {string} userId - The user ID.
+ * @param {string} date - Night (YYYY-MM-DD).
+ * @param {object} changes - Changes.
+ * @param {Array<string>} [changes.add] - Tags to add.
+ * @param {Array<string>} [changes.remove] - Tags (or aliases) to remove.
+ * @returns {Promise<Array<string>>} The night's tags afterwards.
+ * @throws {Error} NIGHT_NOT_FOUND if there is no sleep data for the date.
+ */
+const updateNightTags = async (userId, date, { add = [], remove = [] }) => {
+  const firestore = admin.firestore();
+  const added = await resolveTags(userId, add);
+  const vocabulary = await getTagVocabulary(userId);
+  const lookup = buildLookup(vocabulary);
+  const removed = new Set(remove.map(normalizeTag).map(tag => lookup.get(tag) || tag));
+
+  const docRef = firestore.collection('sleepData').doc(userId).collection('daily').doc(date);
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      throw createTagError(`No sleep data for ${date}`, 'NIGHT_NOT_FOUND');
+    }
+
+    const tags = [...new Set([...(doc.data().tags || []), ...added])].filter(tag => !removed.has(tag));
+    transaction.update(docRef, { tags, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return tags;
+  });
+};
+
+/**
+ * Helper: Calculates the mean and median of values.
+ * @param {Array<number>} values - Values.
+ * @returns {{nights: number, mean: number|null, median: number|null}} Statistics.
+ * @private
+ */
+const describe = (values) => {
+  if (values.length === 0) {
+    return { nights: 0, mean: null, median: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return { nights: values.length, mean: Math.round(mean * 10) / 10, median: Math.round(median * 10) / 10 };
+};
+
+/**
+ * Compares nights with and without each tag.
+ * @param {string} userId - The user ID.
+ * @param {object} [options] - Options.
+ * @param {string} [options.startDate] - First night (YYYY-MM-DD); defaults to the first stored night.
+ * @param {string} [options.endDate] - Last night (YYYY-MM-DD); defaults to the last stored night.
+ * @returns {Promise<object>} Per tag: number of nights, and mean and median of the score and key
+ *   metrics with and without the tag.
+ */
+const getTagStats = async (userId, { startDate, endDate } = {}) => {
+  // Daily documents are keyed by YYYY-MM-DD, so the ID filters them by date
+  let query = admin.firestore()
+    .collection('sleepData')
+    .doc(userId)
+    .collection('daily')
+    .orderBy(admin.firestore.FieldPath.documentId());
+  if (startDate) {
+    query = query.where(admin.firestore.FieldPath.documentId(), '>=', startDate);
+  }
+  if (endDate) {
+    query = query.where(admin.firestore.FieldPath.documentId(), '<=', endDate);
+  }
+
+  const [snapshot, vocabulary] = await Promise.all([query.get(), getTagVocabulary(userId)]);
+
+  // Nights without any metrics (e.g. only a note) don't say anything about a tag
+  const nights = snapshot.docs
+    .map(doc => ({ dateId: doc.id, data: doc.data() }))
+    .filter(night => typeof night.data.ouraScore === 'number' && night.data.ouraScore > 0);
+
+  const tags = new Set([...Object.keys(vocabulary), ...nights.flatMap(night => night.data.tags || [])]);
+
+  const stats = [...tags].map(tag => {
+    const withTag = nights.filter(night => (night.data.tags || []).includes(tag));
+    const withoutTag = nights.filter(night => !(night.data.tags || []).includes(tag));
+
+    const metrics = {};
+    STAT_METRICS.forEach(metric => {
+      const valuesOf = group => group
+        .map(night => metric.getValue(night.data))
+        .filter(value => typeof value === 'number' && value > 0);
+      const withStats = describe(valuesOf(withTag));
+      const withoutStats = describe(valuesOf(withoutTag));
+
+      metrics[metric.name] = {
+        with: withStats,
+        without: withoutStats,
+        difference: withStats.mean !== null && withoutStats.mean !== null
+          ? Math.round((withStats.mean - withoutStats.mean) * 10) / 10
+          : null
+      };
+    });
+
+    return {
+      tag,
+      aliases: vocabulary[tag]?.aliases || [],
+      nights: { with: withTag.length, without: withoutTag.length },
+      metrics
+    };
+  });
+
+  return {
+    period: {
+      startDate: nights[0]?.dateId || null,
+      endDate: nights[nights.length - 1]?.dateId || null
+    },
+    nightsAnalyzed: nights.length,
+    tags: stats.sort((a, b) => b.nights.with - a.nights.with || a.tag.localeCompare(b.tag))
+  };
+};
+
+module.exports = {
+  normalizeTag,
+  getTagVocabulary,
+  resolveTags,
+  setTagAliases,
+  deleteTag,
+  updateNightTags,
+  getTagStats
+};
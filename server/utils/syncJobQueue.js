@@ -0,0 +1,325 @@
+/**
+ * Sync Job Queue
+ * Runs Oura syncs as background jobs inside this process
+ *
+ * A sync can take longer than an HTTP request may stay open, so requests only enqueue a job
+ * and clients poll its status. Each user can have at most one queued or running job; enqueueing
+ * again returns the existing job instead of starting an overlapping sync.
+ * Status and progress changes can be followed with `onSyncJobUpdate` (used by the event stream).
+ *
+ * Jobs run in the instance that queued them. Across instances and scripts:
+ * - A running job holds the `ouraSync:{userId}` lease (utils/firestoreLease); a job that can't get
+ *   it ends as 'skipped', because the user is already being synced elsewhere.
+ * - The job status is stored in `syncJobs/{jobId}` on every status change, so `getSyncJob` also
+ *   finds jobs of other instances (with the progress of their last status change).
+ */
+const { EventEmitter } = require('events');
+const admin = require('firebase-admin');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const ouraSync = require('./ouraSync');
+const { acquireLease, releaseLease } = require('./firestoreLease');
+
+// Number of syncs running at the same time
+const DEFAULT_CONCURRENCY = 2;
+
+// How long finished jobs stay available for status polling
+const JOB_RETENTION_MS = 60 * 60 * 1000; // 1 hour
+
+// How often the progress of a running job is published to subscribers
+const PROGRESS_INTERVAL_MS = 1000;
+
+// The per-user sync lease is held this long and extended while the sync runs
+const SYNC_LEASE_MS = 5 * 60 * 1000; // 5 minutes
+const SYNC_LEASE_RENEW_MS = 60 * 1000;
+
+const jobs = new Map(); // jobId -> job
+const activeJobsByUser = new Map(); // userId -> jobId of the queued/running job (per-user lock)
+const pendingJobIds = [];
+let runningCount = 0;
+
+// Emits serialized jobs under their user ID whenever a job changes
+const jobUpdates = new EventEmitter();
+jobUpdates.setMaxListeners(0);
+
+/**
+ * Gets the maximum number of concurrently running syncs.
+ * @returns {number} Concurrency limit.
+ * @private
+ */
+const getConcurrency = () => parseInt(process.env.SYNC_QUEUE_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+/**
+ * Converts a job to the shape exposed to API clients.
+ * @param {object} job - Internal job.
+ * @returns {object} Public job status.
+ * @private
+ */
+const serializeJob = (job) => ({
+  id: job.id,
+  userId: job.userId,
+  trigger: job.trigger,
+  status: job.status,
+  progress: { ...job.progress },
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Publishes the current state of a job to the user's subscribers.
+ * @param {object} job - Internal job.
+ * @private
+ */
+const publishJob = (job) => {
+  jobUpdates.emit(job.userId, serializeJob(job));
+};
+
+/**
+ * Stores the current state of a job in Firestore. Failures are logged; the job itself goes on.
+ * @param {object} job - Internal job.
+ * @returns {Promise<void>}
+ * @private
+ */
+const persistJob = async (job) => {
+  try {
+    await admin.firestore().collection('syncJobs').doc(job.id).set({
+      ...serializeJob(job),
+      // Finished jobs can be polled for the retention period; unfinished ones until they finish
+      expiresAt: job.finishedAt ? new Date(job.finishedAt.getTime() + JOB_RETENTION_MS) : null
+    });
+  } catch (error) {
+    logger.error(`Error storing the status of sync job ${job.id}:`, { error: error.message });
+  }
+};
+
+/**
+ * Helper: Gets the lease key that keeps syncs of a user from overlapping.
+ * @param {string} userId - The user ID.
+ * @returns {string} Lease key.
+ * @private
+ */
+const getSyncLeaseKey = (userId) => `ouraSync:${userId}`;
+
+/**
+ * Removes finished jobs older than the retention period.
+ * @private
+ */
+const pruneFinishedJobs = () => {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [jobId, job] of jobs) {
+    if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+      jobs.delete(jobId);
+    }
+  }
+};
+
+/**
+ * Runs a single job and releases the user's lock when it finishes.
+ * @param {object} job - Internal job.
+ * @private
+ */
+const runJob = async (job) => {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = new Date();
+  logger.info(`Sync job ${job.id} started for user ${job.userId}`, { trigger: job.trigger });
+  publishJob(job);
+  persistJob(job);
+
+  // Progress counters are updated in place by the sync; publish them while they change
+  let publishedProgress = JSON.stringify(job.progress);
+  const progressHandle = setInterval(() => {
+    const progress = JSON.stringify(job.progress);
+    if (progress !== publishedProgress) {
+      publishedProgress = progress;
+      publishJob(job);
+    }
+  }, PROGRESS_INTERVAL_MS);
+  progressHandle.unref();
+
+  const leaseKey = getSyncLeaseKey(job.userId);
+  let leaseHandle = null;
+
+  try {
+    if (!await acquireLease(leaseKey, job.id, SYNC_LEASE_MS)) {
+      logger.info(`Sync of user ${job.userId} is already running elsewhere, skipping job ${job.id}`);
+      job.result = { status: 'skipped', message: 'A sync of your data is already running.' };
+      job.status = 'skipped';
+      return;
+    }
+
+    leaseHandle = setInterval(() => {
+      acquireLease(leaseKey, job.id, SYNC_LEASE_MS).catch(error => {
+        logger.warn(`Error extending the sync lease of job ${job.id}:`, { error: error.message });
+      });
+    }, SYNC_LEASE_RENEW_MS);
+    leaseHandle.unref();
+
+    const result = await ouraSync.syncUserOuraData(job.userId, {
+      ...job.syncOptions,
+      requestId: job.id,
+      progress: job.progress
+    });
+    job.result = result;
+    job.status = result.status;
+  } catch (error) {
+    logger.error(`Sync job ${job.id} failed for user ${job.userId}:`, { error: error.message });
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    clearInterval(progressHandle);
+    if (leaseHandle) {
+      clearInterval(leaseHandle);
+      await releaseLease(leaseKey, job.id).catch(error => {
+        // The lease expires by itself
+        logger.warn(`Error releasing the sync lease of job ${job.id}:`, { error: error.message });
+      });
+    }
+    job.finishedAt = new Date();
+    runningCount--;
+    activeJobsByUser.delete(job.userId);
+
+    logger.info(`Sync job ${job.id} finished with status ${job.status}`, job.progress);
+    job.resolveCompletion(serializeJob(job));
+    publishJob(job);
+    persistJob(job);
+    processQueue();
+  }
+};
+
+/**
+ * Starts queued jobs while there is capacity.
+ * @private
+ */
+const processQueue = () => {
+  while (runningCount < getConcurrency() && pendingJobIds.length > 0) {
+    const job = jobs.get(pendingJobIds.shift());
+    if (job) {
+      runJob(job);
+    }
+  }
+};
+
+/**
+ * Queues an Oura sync for a user, unless one is already queued or running.
+ * @param {string} userId - The user ID.
+ * @param {object} [options] - Job options.
+ * @param {string} [options.trigger='manual'] - What started the sync (for status and logs).
+ * @param {object} [options.syncOptions] - Options for ouraSync.syncUserOuraData, e.g. a targeted dateRange.
+ * @returns {{job: object, created: boolean}} The job status and whether a new job was created.
+ */
+const enqueueSyncJob = (userId, { trigger = 'manual', syncOptions = {} } = {}) => {
+  pruneFinishedJobs();
+
+  const activeJobId = activeJobsByUser.get(userId);
+  if (activeJobId) {
+    logger.info(`Sync already queued or running for user ${userId}, returning job ${activeJobId}`);
+    return { job: serializeJob(jobs.get(activeJobId)), created: false };
+  }
+
+  const job = {
+    id: uuidv4(),
+    userId,
+    trigger,
+    syncOptions,
+    status: 'queued',
+    progress: ouraSync.createSyncProgress(),
+    result: null,
+    error: null,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null
+  };
+  job.completion = new Promise(resolve => {
+    job.resolveCompletion = resolve;
+  });
+
+  jobs.set(job.id, job);
+  activeJobsByUser.set(userId, job.id);
+  pendingJobIds.push(job.id);
+  logger.info(`Sync job ${job.id} queued for user ${userId}`, { trigger, queued: pendingJobIds.length });
+  publishJob(job);
+  persistJob(job);
+
+  processQueue();
+  return { job: serializeJob(job), created: true };
+};
+
+/**
+ * Gets the status of a sync job, also of jobs run by other instances.
+ * @param {string} jobId - Job ID.
+ * @returns {Promise<object|null>} Job status, or null if unknown or expired.
+ */
+const getSyncJob = async (jobId) => {
+  const job = jobs.get(jobId);
+  if (job) {
+    return serializeJob(job);
+  }
+
+  const jobDoc = await admin.firestore().collection('syncJobs').doc(jobId).get();
+  if (!jobDoc.exists) {
+    return null;
+  }
+
+  const { expiresAt, ...storedJob } = jobDoc.data();
+  if (expiresAt && expiresAt.toDate() <= new Date()) {
+    return null;
+  }
+
+  // Same shape as jobs of this instance: dates instead of Timestamps
+  ['createdAt', 'startedAt', 'finishedAt'].forEach(field => {
+    storedJob[field] = storedJob[field] ? storedJob[field].toDate() : null;
+  });
+  return storedJob;
+};
+
+/**
+ * Waits until a sync job of this instance has finished.
+ * @param {string} jobId - Job ID.
+ * @returns {Promise<object|null>} Final job status, or null if unknown or expired.
+ */
+const waitForSyncJob = async (jobId) => {
+  const job = jobs.get(jobId);
+  return job ? job.completion : null;
+};
+
+/**
+ * Checks whether a sync is queued or running for a user in this instance.
+ * @param {string} userId - The user ID.
+ * @returns {boolean} True if the user has an active sync job.
+ */
+const isSyncActive = (userId) => activeJobsByUser.has(userId);
+
+/**
+ * Gets the queued or running sync job of a user in this instance.
+ * @param {string} userId - The user ID.
+ * @returns {object|null} Job status, or null if the user has no active job.
+ */
+const getActiveSyncJob = (userId) => {
+  const jobId = activeJobsByUser.get(userId);
+  return jobId ? serializeJob(jobs.get(jobId)) : null;
+};
+
+/**
+ * Follows the sync jobs of a user: called with the job status when a job is queued, starts,
+ * makes progress (at most every PROGRESS_INTERVAL_MS) and finishes.
+ * @param {string} userId - The user ID.
+ * @param {Function} listener - Called with the job status.
+ * @returns {Function} Function that stops following.
+ */
+const onSyncJobUpdate = (userId, listener) => {
+  jobUpdates.on(userId, listener);
+  return () => jobUpdates.off(userId, listener);
+};
+
+module.exports = {
+  enqueueSyncJob,
+  isSyncActive,
+  getActiveSyncJob,
+  getSyncJob,
+  onSyncJobUpdate,
+  waitForSyncJob
+};
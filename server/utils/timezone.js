@@ -0,0 +1,57 @@
+/**
+ * Time Zones
+ * Helpers for IANA time zones (e.g. 'Europe/Tallinn'), using the runtime's Intl support
+ */
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Checks whether a time zone name is a valid IANA time zone.
+ * @param {string} timezone - Time zone, e.g. 'Europe/Tallinn'.
+ * @returns {boolean} True if valid.
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Gets the local date, time and weekday of a moment in a time zone.
+ * @param {Date} date - Moment in time.
+ * @param {string} timezone - IANA time zone.
+ * @returns {{date: string, minutes: number, weekday: number}} Local date (YYYY-MM-DD), minutes since
+ *   local midnight and ISO weekday.
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday) + 1
+  };
+};
+
+module.exports = {
+  isValidTimezone,
+  getLocalTime
+};
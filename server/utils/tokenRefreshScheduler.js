@@ -0,0 +1,116 @@
+/**
+ * Token Refresh Scheduler
+ * Refreshes Oura tokens that are about to expire, so users who don't sync for a while
+ * keep a working connection instead of having to reconnect
+ *
+ * Refreshes go through ouraTokenRefresh and share its per-user lock (and, across instances, its
+ * lease) with syncs. Users with a queued or running sync in this instance are skipped; the sync
+ * refreshes their token itself if needed.
+ */
+const { logger } = require('./logger');
+const ouraSync = require('./ouraSync');
+const ouraTokenRefresh = require('./ouraTokenRefresh');
+const syncJobQueue = require('./syncJobQueue');
+const { createIntervalJob } = require('./intervalJob');
+
+// Defaults, overridable with TOKEN_REFRESH_* environment variables
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_WINDOW_HOURS = 6;
+
+/**
+ * Reads the scheduler settings from the environment.
+ * @returns {{intervalMs: number, windowHours: number}} Settings.
+ * @private
+ */
+const getSettings = () => {
+  const windowHours = parseFloat(process.env.TOKEN_REFRESH_WINDOW_HOURS);
+
+  return {
+    intervalMs: parseInt(process.env.TOKEN_REFRESH_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+    windowHours: windowHours > 0 ? windowHours : DEFAULT_WINDOW_HOURS
+  };
+};
+
+/**
+ * Helper: Converts a stored expiry (Timestamp, Date or string) to a Date.
+ * @param {*} expiresAt - Stored expiry.
+ * @returns {Date|null} Expiry, or null if unknown.
+ * @private
+ */
+const toDate = (expiresAt) => {
+  if (!expiresAt) {
+    return null;
+  }
+  return expiresAt.toDate ? expiresAt.toDate() : new Date(expiresAt);
+};
+
+/**
+ * Gets the IDs of connected users whose Oura token expires within the window.
+ * @param {number} windowHours - Refresh tokens expiring within this many hours.
+ * @returns {Promise<Array<string>>} User IDs.
+ * @private
+ */
+const getExpiringUserIds = async (windowHours) => {
+  const cutoff = Date.now() + windowHours * 60 * 60 * 1000;
+  const users = await ouraSync.getConnectedOuraUsers();
+
+  // Filtered here: combining the expiry range with the equality would need a composite index
+  return users
+    .filter(({ integration }) => {
+      const { tokenInvalid, refreshToken, expiresAt } = integration;
+      const expiry = toDate(expiresAt);
+      return !tokenInvalid && refreshToken && (!expiry || expiry.getTime() <= cutoff);
+    })
+    .map(({ id }) => id);
+};
+
+/**
+ * Refreshes every Oura token that expires within the window.
+ * @param {object} [options] - Run options.
+ * @param {number} [options.windowHours] - Refresh tokens expiring within this many hours.
+ * @returns {Promise<object|null>} Counts per refresh status, or null if a run was already in progress.
+ */
+const tokenRefreshJob = createIntervalJob('Token refresh', async (options = {}) => {
+  const windowHours = options.windowHours || getSettings().windowHours;
+  const totals = { refreshed: 0, skipped: 0, invalid: 0, failed: 0, superseded: 0, syncing: 0 };
+
+  const userIds = await getExpiringUserIds(windowHours);
+
+  for (const userId of userIds) {
+    if (syncJobQueue.isSyncActive(userId)) {
+      totals.syncing++;
+      continue;
+    }
+
+    try {
+      const { status } = await ouraTokenRefresh.refreshOuraToken(userId);
+      totals[status] = (totals[status] || 0) + 1;
+    } catch (error) {
+      logger.error(`Error refreshing Oura token for user ${userId}:`, { error: error.message });
+      totals.failed++;
+    }
+  }
+
+  if (userIds.length > 0) {
+    logger.info(`Token refresh run finished for ${userIds.length} users`, totals);
+  }
+  return totals;
+});
+
+/**
+ * Starts refreshing expiring tokens on an interval in this process.
+ * @returns {Function} Function that stops the scheduler.
+ */
+const startTokenRefreshScheduler = () => {
+  const { intervalMs, windowHours } = getSettings();
+  return tokenRefreshJob.start({
+    intervalMs,
+    description: `every ${Math.round(intervalMs / 1000)}s, tokens expiring within ${windowHours}h`
+  });
+};
+
+module.exports = {
+  runTokenRefresh: tokenRefreshJob.run,
+  startTokenRefreshScheduler,
+  stopTokenRefreshScheduler: tokenRefreshJob.stop
+};
@@ -0,0 +1,298 @@
+/**
+ * User Event Stream
+ * Pushes a user's real-time updates over a Server-Sent Events connection (`GET /api/stream`)
+ *
+ * Events:
+ * - `ready`: { resumed }, sent once the stream is set up.
+ * - `notification`: a new notification. Only notifications carry an event ID
+ *   (`<createdAt ms>-<notification id>`), so `Last-Event-ID` names the last notification the client
+ *   received; on reconnect the notifications created after it are replayed (at most MAX_RESUME_MS back).
+ * - `unread-count`: { unreadCount }, sent on connect and whenever the count changes.
+ * - `leaderboard`: the user's position in an active competition, sent on connect and when it changes.
+ * - `sync`: status and progress of the user's sync job.
+ * - `reauthenticate`: sent right before the stream closes because the ID token expired; clients
+ *   reconnect with a fresh token and the last event ID.
+ *
+ * Notifications, unread counts and leaderboards come from Firestore listeners, so changes made by other
+ * instances and standalone scripts are streamed too; sync jobs run in this process (utils/syncJobQueue.js).
+ * A comment line is sent every STREAM_HEARTBEAT_MS so proxies and the server timeout don't close idle streams.
+ */
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+const syncJobQueue = require('./syncJobQueue');
+
+// Defaults, overridable with STREAM_* environment variables
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_MAX_STREAMS_PER_USER = 5;
+
+// How far back notifications are replayed on reconnect
+const MAX_RESUME_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Delay before browsers reconnect after the connection drops
+const RECONNECT_DELAY_MS = 5000;
+
+// Firestore 'in' queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+const openStreams = new Set(); // close functions of all open streams
+const streamCountByUser = new Map(); // userId -> number of open streams
+
+/**
+ * Reads the stream settings from the environment.
+ * @returns {{heartbeatMs: number, maxStreamsPerUser: number}} Settings.
+ * @private
+ */
+const getSettings = () => ({
+  heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || DEFAULT_HEARTBEAT_MS,
+  maxStreamsPerUser: parseInt(process.env.STREAM_MAX_PER_USER, 10) || DEFAULT_MAX_STREAMS_PER_USER
+});
+
+/**
+ * Helper: Converts a Firestore timestamp (or Date) to a Date.
+ * @param {*} value - Timestamp, Date or empty.
+ * @returns {Date|null} Date.
+ * @private
+ */
+const toDate = (value) => (value?.toDate ? value.toDate() : (value || null));
+
+/**
+ * Gets the event ID of a notification.
+ * @param {string} notificationId - Notification ID.
+ * @param {Date} createdAt - Creation time.
+ * @returns {string} Event ID.
+ */
+const getNotificationEventId = (notificationId, createdAt) => `${createdAt.getTime()}-${notificationId}`;
+
+/**
+ * Gets the time to replay notifications from for a `Last-Event-ID`.
+ * @param {string} [lastEventId] - Last event ID the client received.
+ * @param {Date} [now] - Current time.
+ * @returns {Date|null} Replay start (exclusive), or null if the ID is missing or invalid.
+ */
+const getResumeTime = (lastEventId, now = new Date()) => {
+  const match = /^(\d{1,15})-/.exec(lastEventId || '');
+  if (!match) {
+    return null;
+  }
+
+  const time = Math.min(parseInt(match[1], 10), now.getTime());
+  return new Date(Math.max(time, now.getTime() - MAX_RESUME_MS));
+};
+
+/**
+ * Helper: Splits an array into chunks.
+ * @param {Array} items - Items.
+ * @param {number} size - Chunk size.
+ * @returns {Array<Array>} Chunks.
+ * @private
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Opens the event stream of a user on a response.
+ * @param {object} req - Express request (closing it closes the stream).
+ * @param {object} res - Express response.
+ * @param {object} options - Options.
+ * @param {string} options.userId - The user ID.
+ * @param {string} [options.lastEventId] - Last event ID the client received, to replay missed notifications.
+ * @param {Date} [options.tokenExpiresAt] - When the user's ID token expires; the stream is closed then.
+ * @returns {Function} Function that closes the stream.
+ * @throws {Error} With code STREAM_LIMIT_REACHED if the user already has the maximum number of streams open.
+ */
+const openUserEventStream = (req, res, { userId, lastEventId, tokenExpiresAt }) => {
+  const { heartbeatMs, maxStreamsPerUser } = getSettings();
+  const openCount = streamCountByUser.get(userId) || 0;
+  if (openCount >= maxStreamsPerUser) {
+    const error = new Error(`At most ${maxStreamsPerUser} streams can be open per user`);
+    error.code = 'STREAM_LIMIT_REACHED';
+    throw error;
+  }
+  streamCountByUser.set(userId, openCount + 1);
+
+  const firestore = admin.firestore();
+  const notificationsRef = firestore.collection('notifications').doc(userId);
+  const unsubscribers = [];
+  let leaderboardUnsubscribers = [];
+  let heartbeatHandle = null;
+  let expiryHandle = null;
+  let closed = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const send = (event, data, id) => {
+    if (closed) {
+      return;
+    }
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeatHandle);
+    clearTimeout(expiryHandle);
+    [...unsubscribers, ...leaderboardUnsubscribers].forEach(unsubscribe => unsubscribe());
+
+    const count = (streamCountByUser.get(userId) || 1) - 1;
+    if (count > 0) {
+      streamCountByUser.set(userId, count);
+    } else {
+      streamCountByUser.delete(userId);
+    }
+    openStreams.delete(close);
+    res.end();
+  };
+
+  // A failed listener ends the stream; the browser reconnects and resumes from the last notification
+  const onListenerError = (source) => (error) => {
+    logger.error(`Event stream ${source} listener failed for user ${userId}:`, { error: error.message });
+    close();
+  };
+
+  const resumeTime = getResumeTime(lastEventId);
+  send('ready', { resumed: resumeTime !== null });
+
+  // New notifications (and the ones missed since Last-Event-ID)
+  unsubscribers.push(notificationsRef.collection('items')
+    .where('createdAt', '>', resumeTime || new Date())
+    .orderBy('createdAt', 'asc')
+    .onSnapshot(snapshot => {
+      snapshot.docChanges()
+        .filter(change => change.type === 'added')
+        .forEach(({ doc }) => {
+          const notification = doc.data();
+          const createdAt = toDate(notification.createdAt);
+          send('notification', {
+            id: doc.id,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            data: notification.data || {},
+            read: !!notification.read,
+            createdAt
+          }, getNotificationEventId(doc.id, createdAt));
+        });
+    }, onListenerError('notifications')));
+
+  // Unread count
+  let unreadCount = null;
+  unsubscribers.push(notificationsRef.onSnapshot(doc => {
+    const count = (doc.exists && doc.data().unreadCount) || 0;
+    if (count !== unreadCount) {
+      unreadCount = count;
+      send('unread-count', { unreadCount: count });
+    }
+  }, onListenerError('unread count')));
+
+  // Positions in the user's active competitions; the leaderboard listeners follow the competitions
+  const competitionTitles = new Map();
+  const positions = new Map(); // competitionId -> position
+  const onLeaderboards = (snapshot) => {
+    snapshot.docs.forEach(doc => {
+      const leaderboard = doc.data();
+      const ranking = (leaderboard.rankings || []).find(entry => entry.userId === userId);
+      if (!ranking || positions.get(leaderboard.competitionId) === ranking.position) {
+        return;
+      }
+
+      const previousPosition = positions.has(leaderboard.competitionId) ? positions.get(leaderboard.competitionId) : null;
+      positions.set(leaderboard.competitionId, ranking.position);
+      send('leaderboard', {
+        competitionId: leaderboard.competitionId,
+        competitionTitle: competitionTitles.get(leaderboard.competitionId) || '',
+        position: ranking.position,
+        previousPosition,
+        score: ranking.score,
+        participants: (leaderboard.rankings || []).length,
+        generatedAt: toDate(leaderboard.generatedAt)
+      });
+    });
+  };
+
+  unsubscribers.push(firestore.collection('competitions')
+    .where('participants', 'array-contains', userId)
+    .where('status', '==', 'ACTIVE')
+    .onSnapshot(snapshot => {
+      const previousIds = [...competitionTitles.keys()].sort().join(',');
+      competitionTitles.clear();
+      snapshot.docs.forEach(doc => competitionTitles.set(doc.id, doc.data().title || ''));
+
+      const competitionIds = [...competitionTitles.keys()].sort();
+      if (competitionIds.join(',') === previousIds) {
+        return;
+      }
+
+      [...positions.keys()]
+        .filter(competitionId => !competitionTitles.has(competitionId))
+        .forEach(competitionId => positions.delete(competitionId));
+      leaderboardUnsubscribers.forEach(unsubscribe => unsubscribe());
+      leaderboardUnsubscribers = chunk(competitionIds, IN_QUERY_LIMIT).map(ids => firestore.collection('leaderboards')
+        .where('competitionId', 'in', ids)
+        .where('isLatest', '==', true)
+        .onSnapshot(onLeaderboards, onListenerError('leaderboard')));
+    }, onListenerError('competitions')));
+
+  // Sync jobs of this process
+  const activeJob = syncJobQueue.getActiveSyncJob(userId);
+  if (activeJob) {
+    send('sync', activeJob);
+  }
+  unsubscribers.push(syncJobQueue.onSyncJobUpdate(userId, job => send('sync', job)));
+
+  heartbeatHandle = setInterval(() => {
+    if (!closed) {
+      res.write(': heartbeat\n\n');
+    }
+  }, heartbeatMs);
+  heartbeatHandle.unref();
+
+  // Firebase ID tokens are valid for an hour; end the stream when it expires
+  const expiresInMs = tokenExpiresAt ? tokenExpiresAt.getTime() - Date.now() : null;
+  if (expiresInMs !== null) {
+    expiryHandle = setTimeout(() => {
+      send('reauthenticate', { reason: 'TokenExpired' });
+      close();
+    }, Math.max(expiresInMs, 0));
+    expiryHandle.unref();
+  }
+
+  req.on('close', close);
+  openStreams.add(close);
+
+  return close;
+};
+
+/**
+ * Closes every open event stream (e.g. on shutdown, so the HTTP server can close).
+ * @returns {number} Number of streams closed.
+ */
+const closeAllEventStreams = () => {
+  const count = openStreams.size;
+  [...openStreams].forEach(close => close());
+  if (count > 0) {
+    logger.info(`Closed ${count} event stream(s)`);
+  }
+  return count;
+};
+
+module.exports = {
+  getNotificationEventId,
+  getResumeTime,
+  openUserEventStream,
+  closeAllEventStreams
+};
@@ -0,0 +1,255 @@
+/**
+ * Web Push
+ * Delivers notifications to users' browsers with the Web Push protocol (VAPID)
+ *
+ * Browser push subscriptions are stored per device in `notifications/{userId}/pushSubscriptions/{id}`,
+ * where the ID is a hash of the subscription endpoint, so registering a device again updates it.
+ * VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (generate them with
+ * `npm run push:vapid-keys`). Each subscription remembers the public key it was created with;
+ * after a key rotation old subscriptions can no longer be used and are removed, and clients
+ * re-subscribe with the new key from `GET /api/notifications/push/public-key`.
+ * Subscriptions the push service reports as gone (404/410) are pruned automatically.
+ *
+ * The server sends requests to the stored endpoint, so only endpoints of the known browser push
+ * services (PUSH_SERVICE_HOSTS) are accepted; anything else could point the server at internal hosts.
+ */
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const webpush = require('web-push');
+const { logger } = require('./logger');
+
+const DEFAULT_SUBJECT = 'mailto:no-reply@sleep-olympics.local';
+// How long the push service keeps an undelivered message (seconds)
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Push services of the major browsers; a leading dot matches any subdomain
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com', // Chrome, Edge (Chromium), Opera
+  'updates.push.services.mozilla.com', // Firefox
+  '.push.apple.com', // Safari (web.push.apple.com)
+  '.notify.windows.com' // Legacy Edge
+];
+
+/**
+ * Gets the VAPID configuration from the environment.
+ * @returns {{publicKey: string, privateKey: string, subject: string}|null} Keys, or null if not configured.
+ */
+const getVapidConfig = () => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    return null;
+  }
+  return {
+    publicKey: VAPID_PUBLIC_KEY,
+    privateKey: VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT
+  };
+};
+
+/**
+ * Checks whether Web Push is configured.
+ * @returns {boolean} True if VAPID keys are set.
+ */
+const isPushConfigured = () => getVapidConfig() !== null;
+
+/**
+ * Generates a new VAPID key pair.
+ * @returns {{publicKey: string, privateKey: string}} URL-safe base64 keys.
+ */
+const generateVapidKeys = () => webpush.generateVAPIDKeys();
+
+/**
+ * Helper: Gets the subscriptions collection of a user.
+ * @param {string} userId - The user ID.
+ * @returns {CollectionReference} Collection reference.
+ * @private
+ */
+const subscriptionsRef = (userId) => admin.firestore()
+  .collection('notifications')
+  .doc(userId)
+  .collection('pushSubscriptions');
+
+/**
+ * Gets the document ID of a subscription endpoint.
+ * @param {string} endpoint - Push service endpoint URL.
+ * @returns {string} ID.
+ */
+const getSubscriptionId = (endpoint) => crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 40);
+
+/**
+ * Checks whether a subscription endpoint is an https URL of a known push service.
+ * @param {string} endpoint - Push service endpoint URL.
+ * @returns {boolean} True if the server may send to it.
+ */
+const isAllowedPushEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== 'https:' || url.port !== '' || url.username || url.password) {
+    return false;
+  }
+  const hostname = url.hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.some(host => (host.startsWith('.') ? hostname.endsWith(host) : hostname === host));
+};
+
+/**
+ * Registers (or refreshes) a browser push subscription for a user.
+ * @param {string} userId - The user ID.
+ * @param {object} subscription - PushSubscription JSON from the browser.
+ * @param {string} subscription.endpoint - Push service endpoint URL.
+ * @param {{p256dh: string, auth: string}} subscription.keys - Encryption keys.
+ * @param {object} [device] - Device details.
+ * @param {string} [device.deviceName] - Name chosen by the user.
+ * @param {string} [device.userAgent] - Browser user agent.
+ * @returns {Promise<{id: string, created: boolean}>} Subscription ID and whether it is new.
+ * @throws {Error} With code PUSH_NOT_CONFIGURED if VAPID keys are missing, or INVALID_PUSH_ENDPOINT
+ *   if the endpoint is not a known push service.
+ */
+const saveSubscription = async (userId, { endpoint, keys }, { deviceName = null, userAgent = null } = {}) => {
+  const vapid = getVapidConfig();
+  if (!vapid) {
+    const error = new Error('Web Push is not configured');
+    error.code = 'PUSH_NOT_CONFIGURED';
+    throw error;
+  }
+  if (!isAllowedPushEndpoint(endpoint)) {
+    const error = new Error('Subscription endpoint is not a supported push service');
+    error.code = 'INVALID_PUSH_ENDPOINT';
+    throw error;
+  }
+
+  const id = getSubscriptionId(endpoint);
+  const docRef = subscriptionsRef(userId).doc(id);
+  const existing = await docRef.get();
+
+  await docRef.set({
+    endpoint,
+    keys: { p256dh: keys.p256dh, auth: keys.auth },
+    vapidPublicKey: vapid.publicKey,
+    deviceName,
+    userAgent,
+    createdAt: existing.exists ? existing.data().createdAt : admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { id, created: !existing.exists };
+};
+
+/**
+ * Removes a push subscription of a user.
+ * @param {string} userId - The user ID.
+ * @param {string} endpoint - Push service endpoint URL.
+ * @returns {Promise<boolean>} True if a subscription was removed.
+ */
+const deleteSubscription = async (userId, endpoint) => {
+  const docRef = subscriptionsRef(userId).doc(getSubscriptionId(endpoint));
+  const doc = await docRef.get();
+  if (!doc.exists) {
+    return false;
+  }
+  await docRef.delete();
+  return true;
+};
+
+/**
+ * Lists a user's push subscriptions (without their keys).
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Array<object>>} Devices.
+ */
+const listSubscriptions = async (userId) => {
+  const snapshot = await subscriptionsRef(userId).get();
+  const vapid = getVapidConfig();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      deviceName: data.deviceName,
+      userAgent: data.userAgent,
+      active: !!vapid && data.vapidPublicKey === vapid.publicKey,
+      createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : data.createdAt,
+      lastDeliveredAt: data.lastDeliveredAt?.toDate ? data.lastDeliveredAt.toDate() : (data.lastDeliveredAt || null)
+    };
+  });
+};
+
+/**
+ * Pushes a notification to every subscribed device of a user.
+ * Subscriptions that are gone (404/410), belong to a previous VAPID key or point outside the known
+ * push services are removed.
+ * @param {string} userId - The user ID.
+ * @param {object} notification - Notification.
+ * @param {string} [notification.id] - Notification ID.
+ * @param {string} notification.type - Notification type.
+ * @param {string} notification.title - Title.
+ * @param {string} notification.message - Message.
+ * @param {object} [notification.data] - Extra data for the client.
+ * @returns {Promise<{sent: number, pruned: number, failed: number}>} Delivery counts.
+ */
+const sendPushNotification = async (userId, { id = null, type, title, message, data = {} }) => {
+  const totals = { sent: 0, pruned: 0, failed: 0 };
+  const vapid = getVapidConfig();
+  if (!vapid) {
+    return totals;
+  }
+
+  const snapshot = await subscriptionsRef(userId).get();
+  if (snapshot.empty) {
+    return totals;
+  }
+
+  const payload = JSON.stringify({ id, type, title, body: message, data });
+
+  await Promise.all(snapshot.docs.map(async (doc) => {
+    const subscription = doc.data();
+
+    if (subscription.vapidPublicKey !== vapid.publicKey || !isAllowedPushEndpoint(subscription.endpoint)) {
+      await doc.ref.delete();
+      totals.pruned++;
+      return;
+    }
+
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        payload,
+        { TTL: PUSH_TTL_SECONDS, vapidDetails: vapid, timeout: 10000 }
+      );
+      await doc.ref.update({ lastDeliveredAt: admin.firestore.FieldValue.serverTimestamp() });
+      totals.sent++;
+    } catch (error) {
+      // 404/410: the browser unsubscribed or the subscription expired
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await doc.ref.delete();
+        totals.pruned++;
+        return;
+      }
+      totals.failed++;
+      logger.warn(`Push delivery to subscription ${doc.id} of user ${userId} failed:`, {
+        statusCode: error.statusCode,
+        error: error.message
+      });
+    }
+  }));
+
+  if (totals.pruned > 0) {
+    logger.info(`Pruned ${totals.pruned} push subscription(s) of user ${userId}`);
+  }
+  return totals;
+};
+
+module.exports = {
+  getVapidConfig,
+  isPushConfigured,
+  generateVapidKeys,
+  getSubscriptionId,
+  isAllowedPushEndpoint,
+  saveSubscription,
+  deleteSubscription,
+  listSubscriptions,
+  sendPushNotification
+};